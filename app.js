@@ -24,6 +24,7 @@ const { getSecret, validateRequiredSecrets } = require('./secrets');
 const { initDb, closeDb } = require('./config/db');
 const svdReplayCacheRedis = require('./services/svdReplayCacheRedis');
 const svdChallengeCacheRedis = require('./services/svdChallengeCacheRedis');
+const ownerChallengeCacheRedis = require('./services/ownerChallengeCacheRedis');
 const lockManager = require('./services/lockManager');
 const { runBsvSelfTest } = require('./services/bsvSelfTest');
 const jobService = require('./services/jobService');
@@ -31,6 +32,7 @@ const svdService = require('./services/svdService');
 const kmsSigner = require('./services/kmsSigner');
 const utxoManagerService = require('./services/utxoManagerService');
 const wocClient = require('./clients/wocClient');
+const chainDataService = require('./services/chainDataService');
 const configService = require('./services/configService');
 
 // Controllers
@@ -53,6 +55,7 @@ const {
   svdBeginLimiter,
   svdCompleteLimiter,
   svdCanaryLimiter,
+  ownerChallengeLimiter,
 } = require('./middleware/authRateLimiter');
 
 async function startServer() {
@@ -75,6 +78,7 @@ async function startServer() {
       redisLock: false,
       replayCache: false,
       challengeCache: false,
+      ownerChallengeCache: false,
       kms: false,
       svd: false,
       woc: false,
@@ -112,6 +116,15 @@ async function startServer() {
       logger.error('[svd] challenge cache initialization failed', err);
       if (process.env.NODE_ENV === 'production') throw err;
     }
+    // Initialize Redis-backed owner signature challenges (transfer/unlock/disclosure replay protection)
+    try {
+      await ownerChallengeCacheRedis.initialize();
+      readyFlags.ownerChallengeCache = true;
+      logger.info('[owner] challenge cache initialized');
+    } catch (err) {
+      logger.error('[owner] challenge cache initialization failed', err);
+      if (process.env.NODE_ENV === 'production') throw err;
+    }
     // Initialize KMS signer early so SVD can detect readiness
     try {
       kmsSigner.initialize();
@@ -136,6 +149,7 @@ async function startServer() {
       wocClient.initialize();
       readyFlags.woc = true;
       logger.info('[woc] client initialized');
+      chainDataService.initialize();
     } catch (err) {
       logger.error('[woc] client initialization failed', err);
       if (process.env.NODE_ENV === 'production') throw err;
@@ -262,7 +276,7 @@ async function startServer() {
     // Authentication routes with strict, endpoint-specific rate limits and validation
     const validateRequest = require('./middleware/validateRequest');
     // requestVerificationLimiter and submitVerificationLimiter already imported above
-    const { requestVerificationSchema, submitVerificationSchema, registerPatchSchema, txidParamSchema, uidParamSchema, transferOwnershipSchema, unlockContentSchema } = require('./middleware/validators');
+    const { requestVerificationSchema, submitVerificationSchema, registerPatchSchema, registerPatchBatchSchema, txidParamSchema, uidParamSchema, verifyQuerySchema, historyQuerySchema, recordIdParamSchema, inclusionProofQuerySchema, transferOwnershipSchema, unlockContentSchema, vaultContentUploadSchema, disclosureCreateSchema, disclosureVerifySchema, saleReleaseCreateSchema, ownerStatusReportSchema, walletBindSchema, walletAddressParamSchema, myPatchesQuerySchema, custodialClaimSchema, custodialTransferSchema, custodialHandoverSchema, issuerStatusEventSchema, cloneSuspectQuerySchema, issuerKeyRegisterSchema, issuerKeyParamSchema, issuerKeyRevokeSchema, anchorBatchListQuerySchema, anchorBatchParamSchema } = require('./middleware/validators');
     app.post(
       '/v1/auth/request-verification',
       requestVerificationLimiter,
@@ -276,7 +290,31 @@ async function startServer() {
       authController.submitVerification,
     );
     app.post('/v1/patches', requireApiKeyInProd, validateRequest(registerPatchSchema), patchController.registerPatch);
-    app.get('/v1/patches/verify/:uid_tag_id', validateRequest(uidParamSchema, 'params'), patchController.verifyPatch);
+    app.post('/v1/patches/batch', requireApiKeyInProd, validateRequest(registerPatchBatchSchema), patchController.registerPatchBatch);
+    app.get(
+      '/v1/patches/verify/:uid_tag_id',
+      publicApiLimiter,
+      validateRequest(uidParamSchema, 'params'),
+      validateRequest(verifyQuerySchema, 'query'),
+      patchController.verifyPatch,
+    );
+    app.get(
+      '/v1/patches/:uid_tag_id/history',
+      publicApiLimiter,
+      validateRequest(uidParamSchema, 'params'),
+      validateRequest(historyQuerySchema, 'query'),
+      patchController.getHistory,
+    );
+    app.get('/v1/patches/:uid_tag_id/proof', publicApiLimiter, validateRequest(uidParamSchema, 'params'), patchController.getProofBundle);
+    app.get(
+      '/v1/records/:id/inclusion-proof',
+      publicApiLimiter,
+      validateRequest(recordIdParamSchema, 'params'),
+      validateRequest(inclusionProofQuerySchema, 'query'),
+      patchController.getInclusionProof,
+    );
+    // Signed issuer trust list for third-party and offline verifiers
+    app.get('/.well-known/patchproof-issuers.json', patchController.getIssuerManifest);
     app.post(
       '/v1/patches/:txid/transfer-ownership',
       jwtAuthSvd,
@@ -284,6 +322,13 @@ async function startServer() {
       validateRequest(transferOwnershipSchema),
       patchController.transferOwnership,
     );
+    // Single-use challenge for owner-signed transfer/unlock/disclosure messages
+    app.post(
+      '/v1/patches/:uid_tag_id/challenge',
+      ownerChallengeLimiter,
+      validateRequest(uidParamSchema, 'params'),
+      patchController.issueChallenge,
+    );
     // Pending status polling endpoints
     app.get('/v1/patches/pending/registration/:id', patchController.getPendingRegistrationStatus);
     app.get('/v1/patches/pending/transfer/:id', patchController.getPendingTransferStatus);
@@ -294,8 +339,54 @@ async function startServer() {
       validateRequest(unlockContentSchema),
       patchController.unlockContent,
     );
+    app.post(
+      '/v1/patches/:uid_tag_id/content',
+      apiKeyMiddleware,
+      validateRequest(uidParamSchema, 'params'),
+      validateRequest(vaultContentUploadSchema),
+      patchController.uploadContent,
+    );
+    // Selective disclosure of privacy-mode fields: created by the current owner, checkable by anyone
+    app.post(
+      '/v1/patches/:uid_tag_id/disclosures',
+      apiKeyMiddleware,
+      validateRequest(uidParamSchema, 'params'),
+      validateRequest(disclosureCreateSchema),
+      patchController.createDisclosure,
+    );
+    app.post('/v1/disclosures/verify', publicApiLimiter, validateRequest(disclosureVerifySchema), patchController.verifyDisclosure);
+    // Owner-reported status events (stolen/recover); the issuer uses the admin route below
+    app.post(
+      '/v1/patches/:uid_tag_id/status',
+      jwtAuthSvd,
+      validateRequest(uidParamSchema, 'params'),
+      validateRequest(ownerStatusReportSchema),
+      patchController.reportStatus,
+    );
+    // Owner-signed sale release referenced by POS claim approvals
+    app.post(
+      '/v1/patches/:uid_tag_id/releases',
+      apiKeyMiddleware,
+      validateRequest(uidParamSchema, 'params'),
+      validateRequest(saleReleaseCreateSchema),
+      patchController.createSaleRelease,
+    );
     // POS claim flow routes
     app.use('/v1', require('./routes/pos'));
+    // Wallet binding: logged-in users prove control of owner addresses and list the patches those addresses own
+    const walletController = require('./controllers/walletController');
+    app.post('/v1/me/wallets/challenge', jwtAuthSvd, ownerChallengeLimiter, walletController.issueChallenge);
+    app.post('/v1/me/wallets', jwtAuthSvd, validateRequest(walletBindSchema), walletController.bindWallet);
+    app.get('/v1/me/wallets', jwtAuthSvd, walletController.listWallets);
+    app.delete('/v1/me/wallets/:address', jwtAuthSvd, validateRequest(walletAddressParamSchema, 'params'), walletController.unbindWallet);
+    app.get('/v1/me/patches', jwtAuthSvd, validateRequest(myPatchesQuerySchema, 'query'), walletController.listMyPatches);
+    // Custodial owner wallets: KMS-held keys that sign claims and transfers for users without a wallet
+    const custodialWalletController = require('./controllers/custodialWalletController');
+    app.post('/v1/me/custodial-wallet', jwtAuthSvd, custodialWalletController.createWallet);
+    app.get('/v1/me/custodial-wallet', jwtAuthSvd, custodialWalletController.getWallet);
+    app.post('/v1/me/custodial-wallet/claim-intents', jwtAuthSvd, validateRequest(custodialClaimSchema), custodialWalletController.createClaimIntent);
+    app.post('/v1/me/custodial-wallet/transfers', jwtAuthSvd, validateRequest(custodialTransferSchema), custodialWalletController.transfer);
+    app.post('/v1/me/custodial-wallet/handover', jwtAuthSvd, validateRequest(custodialHandoverSchema), custodialWalletController.handover);
     const privacyController = require('./controllers/privacyController');
     app.get('/v1/privacy/export', jwtAuthSvd, privacyController.exportData);
     app.delete('/v1/privacy/delete', jwtAuthSvd, privacyController.deleteMe);
@@ -306,9 +397,11 @@ async function startServer() {
     app.use('/docs/md', express.static(path.join(__dirname, 'docs')));
     // Shareable Proof-of-Existence certificates (static HTML)
     app.use('/certificates', express.static(path.join(__dirname, 'public', 'certificates')));
+    // Offline proof-bundle verifier (pure JS, also usable from Node)
+    app.use('/verifier', express.static(path.join(__dirname, 'public', 'verifier')));
     // Generate certificate PDF via headless browser
     app.get('/certificates/pdf', async (req, res) => {
-      const { dataHash, txid, blockHeight, timestamp, network } = req.query || {};
+      const { dataHash, txid, blockHeight, timestamp, network, uid } = req.query || {};
       if (!dataHash || !txid) {
         return res.status(400).json({ error: { message: 'Missing required query params: dataHash and txid' } });
       }
@@ -323,6 +416,7 @@ async function startServer() {
         if (blockHeight) params.set('blockHeight', String(blockHeight));
         if (timestamp) params.set('timestamp', String(timestamp));
         if (network) params.set('network', String(network));
+        if (uid) params.set('uid', String(uid));
         const targetUrl = `${base}/certificates/certificate.html?${params.toString()}`;
 
         browser = await puppeteer.launch({
@@ -351,6 +445,34 @@ async function startServer() {
     app.get('/v1/admin/utxo-health', apiKeyMiddleware, adminController.getUtxoHealth);
     app.post('/v1/admin/utxo-maintain', apiKeyMiddleware, adminController.triggerMaintenance);
     app.post('/v1/admin/batch-anchor', apiKeyMiddleware, adminController.batchAnchor);
+    // Persisted Merkle anchor batches; failed ones can be re-anchored
+    app.get('/v1/admin/anchor-batches', apiKeyMiddleware, validateRequest(anchorBatchListQuerySchema, 'query'), adminController.listAnchorBatches);
+    app.post(
+      '/v1/admin/anchor-batches/:id/reanchor',
+      apiKeyMiddleware,
+      validateRequest(anchorBatchParamSchema, 'params'),
+      adminController.reanchorBatch,
+    );
+    // Issuer key registry (rotation/revocation)
+    app.get('/v1/admin/issuer-keys', apiKeyMiddleware, adminController.listIssuerKeys);
+    app.post('/v1/admin/issuer-keys', apiKeyMiddleware, validateRequest(issuerKeyRegisterSchema), adminController.registerIssuerKey);
+    app.post(
+      '/v1/admin/issuer-keys/:keyIdentifier/revoke',
+      apiKeyMiddleware,
+      validateRequest(issuerKeyParamSchema, 'params'),
+      validateRequest(issuerKeyRevokeSchema),
+      adminController.revokeIssuerKey,
+    );
+    // Issuer-reported patch status events (stolen/recover/revoke/recall), anchored on chain
+    app.post(
+      '/v1/admin/patches/:uid_tag_id/status',
+      apiKeyMiddleware,
+      validateRequest(uidParamSchema, 'params'),
+      validateRequest(issuerStatusEventSchema),
+      adminController.recordPatchStatus,
+    );
+    // Suspected clones from the verification scan ledger
+    app.get('/v1/admin/clone-suspects', apiKeyMiddleware, validateRequest(cloneSuspectQuerySchema, 'query'), adminController.listCloneSuspects);
     // Metrics text renderer
     const metricsHandler = async (req, res) => {
       try {
@@ -404,11 +526,12 @@ async function startServer() {
         },
       });
       // Map custom errors to HTTP codes
-      const { ConflictError, NotFoundError, ForbiddenError, DataInconsistencyError } = require('./errors');
+      const { ConflictError, NotFoundError, ForbiddenError, DataInconsistencyError, RecordFormatError } = require('./errors');
       if (err instanceof ConflictError) return res.status(409).json({ error: { message: err.message } });
       if (err instanceof NotFoundError) return res.status(404).json({ error: { message: err.message } });
       if (err instanceof ForbiddenError) return res.status(403).json({ error: { message: err.message } });
       if (err instanceof DataInconsistencyError) return res.status(422).json({ error: { message: err.message } });
+      if (err instanceof RecordFormatError) return res.status(422).json({ error: { message: err.message } });
       res.status(500).json({ error: { message: 'Internal Server Error' } });
     });
 
@@ -425,6 +548,7 @@ async function startServer() {
           try { await jobService.close(); } catch (err) { logger.warn('jobService.close() failed during shutdown', { error: err && err.message }); }
           try { await svdReplayCacheRedis.close(); } catch (err) { logger.warn('svdReplayCacheRedis.close() failed during shutdown', { error: err && err.message }); }
           try { await svdChallengeCacheRedis.close(); } catch (err) { logger.warn('svdChallengeCacheRedis.close() failed during shutdown', { error: err && err.message }); }
+          try { await ownerChallengeCacheRedis.close(); } catch (err) { logger.warn('ownerChallengeCacheRedis.close() failed during shutdown', { error: err && err.message }); }
           try { await closeDb(); } catch (err) { logger.warn('closeDb() failed during shutdown', { error: err && err.message }); }
           logger.info('Server closed.');
           process.exit(0);
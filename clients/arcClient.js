@@ -0,0 +1,53 @@
+// clients/arcClient.js
+// Minimal client for ARC-style transaction processors (POST /v1/tx).
+
+const axios = require('axios');
+const logger = require('../logger');
+const { getSecret } = require('../secrets');
+
+// txStatus values meaning the processor refused the transaction
+const REJECTED_STATUSES = new Set(['REJECTED', 'DOUBLE_SPEND_ATTEMPTED']);
+
+class ArcClient {
+  constructor() {
+    this.axiosInstance = null;
+    this.isReady = false;
+  }
+
+  isConfigured() {
+    return !!process.env.ARC_URL;
+  }
+
+  initialize() {
+    const apiKey = getSecret('ARC_API_KEY');
+    this.axiosInstance = axios.create({
+      baseURL: process.env.ARC_URL.replace(/\/+$/, ''),
+      timeout: parseInt(process.env.ARC_TIMEOUT_MS, 10) || 15000,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+      },
+    });
+    this.isReady = true;
+    logger.info('[ArcClient] Initialized');
+  }
+
+  /**
+   * Submit a raw transaction. Resolves with the txid; a transaction the processor refuses
+   * is thrown as an Error with `rejected = true` and ARC's detail in the message.
+   */
+  async broadcast(rawTxHex) {
+    if (!this.isReady) this.initialize();
+    const res = await this.axiosInstance({ url: '/v1/tx', method: 'POST', data: { rawTx: rawTxHex } });
+    const data = res.data || {};
+    if (REJECTED_STATUSES.has(String(data.txStatus || '').toUpperCase())) {
+      const err = new Error(`${data.txStatus}: ${data.extraInfo || data.detail || 'transaction rejected'}`);
+      err.rejected = true;
+      throw err;
+    }
+    if (!data.txid) throw new Error('Invalid ARC response: missing txid');
+    return data.txid;
+  }
+}
+
+module.exports = new ArcClient();
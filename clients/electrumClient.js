@@ -0,0 +1,76 @@
+// clients/electrumClient.js
+// Minimal ElectrumX client (newline-delimited JSON-RPC over TCP/TLS) for address/scripthash lookups.
+// Each request uses a short-lived connection: lookups are infrequent (UTXO sync, health checks).
+
+const net = require('net');
+const tls = require('tls');
+const crypto = require('crypto');
+const bsv = require('bsv');
+
+const PROTOCOL_VERSION = '1.4';
+
+class ElectrumClient {
+  isConfigured() {
+    return !!process.env.ELECTRUMX_URL;
+  }
+
+  // ELECTRUMX_URL: tcp://host:50001 or ssl://host:50002
+  _endpoint() {
+    const url = new URL(process.env.ELECTRUMX_URL);
+    const secure = url.protocol === 'ssl:' || url.protocol === 'tls:';
+    return { host: url.hostname, port: parseInt(url.port, 10) || (secure ? 50002 : 50001), secure };
+  }
+
+  /** Electrum scripthash of an address: reversed sha256 of its P2PKH locking script. */
+  scripthash(address) {
+    const script = bsv.Script.buildPublicKeyHashOut(bsv.Address.fromString(address)).toBuffer();
+    return Buffer.from(crypto.createHash('sha256').update(script).digest()).reverse().toString('hex');
+  }
+
+  request(method, params = []) {
+    const { host, port, secure } = this._endpoint();
+    const timeoutMs = parseInt(process.env.ELECTRUMX_TIMEOUT_MS, 10) || 15000;
+    return new Promise((resolve, reject) => {
+      const socket = secure
+        ? tls.connect({ host, port, servername: host, rejectUnauthorized: process.env.ELECTRUMX_TLS_INSECURE !== '1' })
+        : net.connect({ host, port });
+      let buffer = '';
+      let settled = false;
+      const finish = (err, result) => {
+        if (settled) return;
+        settled = true;
+        socket.destroy();
+        if (err) reject(err); else resolve(result);
+      };
+      socket.setTimeout(timeoutMs, () => finish(new Error(`ElectrumX request timed out after ${timeoutMs}ms`)));
+      socket.on('error', (err) => finish(err));
+      socket.on('close', () => finish(new Error('ElectrumX connection closed before a response')));
+      socket.on('data', (chunk) => {
+        buffer += chunk.toString('utf8');
+        let nl;
+        while ((nl = buffer.indexOf('\n')) >= 0) {
+          const line = buffer.slice(0, nl);
+          buffer = buffer.slice(nl + 1);
+          let msg;
+          try { msg = JSON.parse(line); } catch (_) { continue; }
+          if (msg.id !== 2) continue; // 1 is the version handshake
+          if (msg.error) finish(new Error(`ElectrumX ${method} failed: ${msg.error.message || JSON.stringify(msg.error)}`));
+          else finish(null, msg.result);
+        }
+      });
+      // The server expects version negotiation before any other request.
+      const lines = [
+        { jsonrpc: '2.0', id: 1, method: 'server.version', params: ['patchproof', PROTOCOL_VERSION] },
+        { jsonrpc: '2.0', id: 2, method, params },
+      ];
+      socket.write(lines.map((l) => JSON.stringify(l)).join('\n') + '\n');
+    });
+  }
+
+  /** [{ tx_hash, tx_pos, height, value }] for an address (height 0 = unconfirmed). */
+  async listUnspent(address) {
+    return this.request('blockchain.scripthash.listunspent', [this.scripthash(address)]);
+  }
+}
+
+module.exports = new ElectrumClient();
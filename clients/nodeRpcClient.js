@@ -0,0 +1,59 @@
+// clients/nodeRpcClient.js
+// JSON-RPC client for a local BSV node (bitcoind-compatible API).
+
+const axios = require('axios');
+const logger = require('../logger');
+const { getSecret } = require('../secrets');
+
+class NodeRpcClient {
+  constructor() {
+    this.axiosInstance = null;
+    this.isReady = false;
+    this.nextId = 1;
+  }
+
+  isConfigured() {
+    return !!process.env.NODE_RPC_URL;
+  }
+
+  initialize() {
+    const username = process.env.NODE_RPC_USER;
+    const password = getSecret('NODE_RPC_PASSWORD');
+    this.axiosInstance = axios.create({
+      baseURL: process.env.NODE_RPC_URL,
+      timeout: parseInt(process.env.NODE_RPC_TIMEOUT_MS, 10) || 15000,
+      headers: { 'Content-Type': 'application/json' },
+      ...(username && { auth: { username, password: password || '' } }),
+    });
+    this.isReady = true;
+    logger.info('[NodeRpcClient] Initialized');
+  }
+
+  /**
+   * Call an RPC method. Node-side errors (returned with HTTP 500 by bitcoind) are thrown as an Error
+   * carrying the RPC `code` and the node's message.
+   */
+  async call(method, params = []) {
+    if (!this.isReady) this.initialize();
+    let data;
+    try {
+      const res = await this.axiosInstance({ url: '/', method: 'POST', data: { jsonrpc: '1.0', id: this.nextId++, method, params } });
+      data = res.data;
+    } catch (err) {
+      data = err?.response?.data;
+      if (!data || !data.error) throw err;
+    }
+    if (data.error) {
+      const err = new Error(`${data.error.message} (code ${data.error.code})`);
+      err.code = data.error.code;
+      throw err;
+    }
+    return data.result;
+  }
+
+  async sendRawTransaction(rawTxHex) {
+    return this.call('sendrawtransaction', [rawTxHex]);
+  }
+}
+
+module.exports = new NodeRpcClient();
@@ -0,0 +1,325 @@
+// clients/regtestChain.js
+// Deterministic in-process regtest chain. Accepts real serialized transactions, validates them against its
+// UTXO set (unlocking scripts, value, double spends), mines blocks with real headers on demand and supports
+// reorgs, so anchoring, transfer, split and sweep flows can run end to end without a network.
+//
+// Selected with CHAIN_DATA_PROVIDER=regtest (reads) and BROADCAST_PROVIDERS=regtest (broadcasts).
+// Tests seed coins with fund(), confirm with mine() and inspect with getTransaction()/listUnspent().
+
+const crypto = require('crypto');
+const bsv = require('bsv');
+
+const REGTEST_BITS = 0x207fffff;
+const GENESIS_TIME = 1700000000;
+const BLOCK_INTERVAL_SEC = 600;
+const REGTEST_TARGET = BigInt(REGTEST_BITS & 0x007fffff) << BigInt(8 * ((REGTEST_BITS >>> 24) - 3));
+
+const sha256 = (buf) => crypto.createHash('sha256').update(buf).digest();
+const sha256d = (buf) => sha256(sha256(buf));
+const rev = (buf) => Buffer.from(buf).reverse();
+const key = (txid, vout) => `${txid}:${vout}`;
+
+// Rejections mirror node reject reasons so broadcaster/anchoring error handling behaves as in production.
+function reject(reason) {
+  const err = new Error(reason);
+  err.rejected = true;
+  return err;
+}
+
+function pkhOfAddress(address) {
+  return bsv.Address.fromString(address).hashBuffer.toString('hex');
+}
+
+function merkleLevels(txids) {
+  if (txids.length === 0) return [[Buffer.alloc(32)]];
+  const levels = [txids.map((t) => rev(Buffer.from(t, 'hex')))];
+  while (levels[levels.length - 1].length > 1) {
+    const cur = levels[levels.length - 1];
+    const next = [];
+    for (let i = 0; i < cur.length; i += 2) next.push(sha256d(Buffer.concat([cur[i], cur[i + 1] || cur[i]])));
+    levels.push(next);
+  }
+  return levels;
+}
+
+class RegtestChain {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.txs = new Map(); // txid -> { hex, tx, blockHash }
+    this.mempool = new Set(); // txids in acceptance order
+    this.utxos = new Map(); // "txid:vout" -> { txid, vout, satoshis, script, pkh, height }
+    this.spentBy = new Map(); // "txid:vout" -> spending txid ('external' for spend())
+    this.blocks = [];
+    this.fundCounter = 0;
+    this.reorgCount = 0; // offsets block times so competing blocks never hash like the ones they replace
+    this._appendBlock([]); // genesis
+  }
+
+  get height() {
+    return this.blocks.length - 1;
+  }
+
+  get tipHash() {
+    return this.blocks[this.blocks.length - 1].hash;
+  }
+
+  // --- Seeding ---
+
+  /** Create coins paying `address` from a coinbase-style funding tx; unconfirmed until the next mine(). */
+  fund(address, satoshis) {
+    const tx = new bsv.Transaction();
+    this.fundCounter += 1;
+    tx.uncheckedAddInput(new bsv.Transaction.Input({
+      prevTxId: Buffer.alloc(32),
+      outputIndex: 0xffffffff,
+      script: new bsv.Script().add(Buffer.from(`regtest-fund-${this.fundCounter}`)),
+    }));
+    tx.addOutput(new bsv.Transaction.Output({ script: bsv.Script.buildPublicKeyHashOut(bsv.Address.fromString(address)), satoshis }));
+    const hex = tx.uncheckedSerialize();
+    this._accept(new bsv.Transaction(hex), hex, { funding: true });
+    return { txid: tx.hash, vout: 0 };
+  }
+
+  /** Mark an output spent outside the simulated chain (e.g. to model a wallet spending it elsewhere). */
+  spend(txid, vout) {
+    const k = key(txid, vout);
+    if (!this.utxos.delete(k)) return false;
+    this.spentBy.set(k, 'external');
+    return true;
+  }
+
+  // --- Transaction relay ---
+
+  /**
+   * Validate and accept a raw transaction into the mempool.
+   * @returns {string} txid
+   * @throws {Error} node-style reject reasons (`rejected = true`), or 'txn-already-known' for duplicates
+   */
+  broadcast(rawHex) {
+    let tx;
+    try { tx = new bsv.Transaction(rawHex); }
+    catch (e) { throw reject(`TX decode failed: ${e.message}`); }
+    if (this.txs.has(tx.hash)) throw new Error('257: txn-already-known');
+    if (tx.inputs.length === 0 || tx.outputs.length === 0) throw reject('16: bad-txns-vin-empty');
+
+    const { Interpreter } = bsv.Script;
+    const flags = Interpreter.SCRIPT_VERIFY_P2SH | Interpreter.SCRIPT_ENABLE_SIGHASH_FORKID
+      | Interpreter.SCRIPT_VERIFY_STRICTENC | Interpreter.SCRIPT_VERIFY_DERSIG;
+    let inputSats = 0;
+    tx.inputs.forEach((input, i) => {
+      const k = key(Buffer.from(input.prevTxId).toString('hex'), input.outputIndex);
+      const spender = this.spentBy.get(k);
+      if (spender) throw reject(this.mempool.has(spender) ? '258: txn-mempool-conflict' : 'Missing inputs');
+      const prev = this.utxos.get(k);
+      if (!prev) throw reject('Missing inputs');
+      const interpreter = new Interpreter();
+      const ok = interpreter.verify(input.script, bsv.Script.fromHex(prev.script), tx, i, flags, new bsv.crypto.BN(prev.satoshis));
+      if (!ok) throw reject(`16: mandatory-script-verify-flag-failed (${interpreter.errstr || 'script evaluated false'})`);
+      inputSats += prev.satoshis;
+    });
+    const outputSats = tx.outputs.reduce((s, o) => s + o.satoshis, 0);
+    if (outputSats > inputSats) throw reject('16: bad-txns-in-belowout');
+    const minFeePerKb = parseInt(process.env.REGTEST_MIN_FEE_PER_KB || '0', 10) || 0;
+    if ((inputSats - outputSats) * 1000 < minFeePerKb * (rawHex.length / 2)) throw reject('66: insufficient priority');
+
+    this._accept(tx, rawHex);
+    return tx.hash;
+  }
+
+  _accept(tx, hex, { funding = false } = {}) {
+    const txid = tx.hash;
+    if (!funding) {
+      for (const input of tx.inputs) {
+        const k = key(Buffer.from(input.prevTxId).toString('hex'), input.outputIndex);
+        this.utxos.delete(k);
+        this.spentBy.set(k, txid);
+      }
+    }
+    tx.outputs.forEach((out, vout) => {
+      const script = out.script;
+      this.utxos.set(key(txid, vout), {
+        txid,
+        vout,
+        satoshis: out.satoshis,
+        script: script.toHex(),
+        pkh: script.isPublicKeyHashOut() ? script.getPublicKeyHash().toString('hex') : null,
+        height: 0,
+      });
+    });
+    this.txs.set(txid, { hex, tx, blockHash: null, funding });
+    this.mempool.add(txid);
+  }
+
+  /** Remove an unconfirmed tx (and anything spending its outputs) from the mempool, restoring its inputs. */
+  drop(txid) {
+    const entry = this.txs.get(txid);
+    if (!entry) return false;
+    if (entry.blockHash) throw new Error(`Cannot drop confirmed transaction ${txid}; use reorg()`);
+    entry.tx.outputs.forEach((_, vout) => {
+      const spender = this.spentBy.get(key(txid, vout));
+      if (spender && spender !== 'external') this.drop(spender);
+      this.spentBy.delete(key(txid, vout));
+      this.utxos.delete(key(txid, vout));
+    });
+    if (!entry.funding) {
+      for (const input of entry.tx.inputs) {
+        const prevTxid = Buffer.from(input.prevTxId).toString('hex');
+        const prev = this.txs.get(prevTxid);
+        const k = key(prevTxid, input.outputIndex);
+        this.spentBy.delete(k);
+        const out = prev.tx.outputs[input.outputIndex];
+        this.utxos.set(k, {
+          txid: prevTxid,
+          vout: input.outputIndex,
+          satoshis: out.satoshis,
+          script: out.script.toHex(),
+          pkh: out.script.isPublicKeyHashOut() ? out.script.getPublicKeyHash().toString('hex') : null,
+          height: prev.blockHash ? this._blockByHash(prev.blockHash).height : 0,
+        });
+      }
+    }
+    this.txs.delete(txid);
+    this.mempool.delete(txid);
+    return true;
+  }
+
+  // --- Blocks ---
+
+  _appendBlock(txids) {
+    const height = this.blocks.length;
+    const time = GENESIS_TIME + height * BLOCK_INTERVAL_SEC + this.reorgCount;
+    const prevHash = height === 0 ? '00'.repeat(32) : this.tipHash;
+    const levels = merkleLevels(txids);
+    const header = Buffer.alloc(80);
+    header.writeInt32LE(0x20000000, 0);
+    rev(Buffer.from(prevHash, 'hex')).copy(header, 4);
+    levels[levels.length - 1][0].copy(header, 36);
+    header.writeUInt32LE(time, 68);
+    header.writeUInt32LE(REGTEST_BITS, 72);
+    let hash;
+    for (let nonce = 0; ; nonce++) {
+      header.writeUInt32LE(nonce, 76);
+      hash = rev(sha256d(header)).toString('hex');
+      if (BigInt(`0x${hash}`) <= REGTEST_TARGET) break;
+    }
+    const block = { hash, height, prevHash, time, txids, levels, header: header.toString('hex') };
+    this.blocks.push(block);
+    for (const txid of txids) {
+      const entry = this.txs.get(txid);
+      entry.blockHash = hash;
+      entry.tx.outputs.forEach((_, vout) => {
+        const u = this.utxos.get(key(txid, vout));
+        if (u) u.height = height;
+      });
+      this.mempool.delete(txid);
+    }
+    return block;
+  }
+
+  _blockByHash(hash) {
+    return this.blocks.find((b) => b.hash === hash) || null;
+  }
+
+  /** Mine `count` blocks; the first one includes the whole mempool. Returns the new tip height. */
+  mine(count = 1) {
+    for (let i = 0; i < count; i++) this._appendBlock(i === 0 ? [...this.mempool] : []);
+    return this.height;
+  }
+
+  /**
+   * Replace the last `depth` blocks with a longer competing chain (depth + 1 blocks). Their transactions go
+   * back to the mempool and re-confirm in the first new block, except `drop`ped ones (and their descendants),
+   * which disappear as if the competing chain had double-spent them.
+   */
+  reorg(depth = 1, { drop = [] } = {}) {
+    if (depth < 1 || depth > this.height) throw new Error(`Cannot reorg ${depth} blocks at height ${this.height}`);
+    const disconnected = this.blocks.splice(this.blocks.length - depth, depth);
+    const returning = disconnected.flatMap((b) => b.txids);
+    for (const txid of returning) {
+      const entry = this.txs.get(txid);
+      entry.blockHash = null;
+      entry.tx.outputs.forEach((_, vout) => {
+        const u = this.utxos.get(key(txid, vout));
+        if (u) u.height = 0;
+      });
+    }
+    this.mempool = new Set([...returning, ...this.mempool]);
+    for (const txid of drop) this.drop(txid);
+    this.reorgCount += 1;
+    this.mine(depth + 1);
+    return { height: this.height, disconnected: disconnected.map((b) => b.hash) };
+  }
+
+  // --- Queries (shapes follow WhatsOnChain so chain data adapters stay thin) ---
+
+  getChainInfo() {
+    return { height: this.height, bestBlockHash: this.tipHash };
+  }
+
+  listUnspent(address) {
+    const pkh = pkhOfAddress(address);
+    return [...this.utxos.values()].filter((u) => u.pkh === pkh && !this.spentBy.has(key(u.txid, u.vout)));
+  }
+
+  isSpent(txid, vout) {
+    return this.spentBy.has(key(txid, vout));
+  }
+
+  /** { txid, hex, confirmations, blockhash, blockheight, blocktime } or null when unknown. */
+  getTransaction(txid) {
+    const entry = this.txs.get(txid);
+    if (!entry) return null;
+    const block = entry.blockHash ? this._blockByHash(entry.blockHash) : null;
+    return {
+      txid,
+      hex: entry.hex,
+      confirmations: block ? this.height - block.height + 1 : 0,
+      blockhash: block ? block.hash : undefined,
+      blockheight: block ? block.height : undefined,
+      blocktime: block ? block.time : undefined,
+    };
+  }
+
+  getRawTransaction(txid) {
+    const entry = this.txs.get(txid);
+    return entry ? entry.hex : null;
+  }
+
+  /** TSC Merkle proof for a mined tx ('*' marks a node duplicated from the running hash); null while unmined. */
+  getTxMerkleProof(txid) {
+    const entry = this.txs.get(txid);
+    if (!entry || !entry.blockHash) return null;
+    const block = this._blockByHash(entry.blockHash);
+    let index = block.txids.indexOf(txid);
+    const proofIndex = index;
+    const nodes = [];
+    for (const level of block.levels.slice(0, -1)) {
+      const sibling = index ^ 1;
+      nodes.push(sibling < level.length ? rev(level[sibling]).toString('hex') : '*');
+      index = Math.floor(index / 2);
+    }
+    return { index: proofIndex, txOrId: txid, target: block.hash, nodes };
+  }
+
+  getBlockHeader(hash) {
+    const block = this._blockByHash(hash);
+    if (!block) return null;
+    const header = Buffer.from(block.header, 'hex');
+    return {
+      hash: block.hash,
+      height: block.height,
+      confirmations: this.height - block.height + 1,
+      version: header.readInt32LE(0),
+      merkleroot: rev(header.subarray(36, 68)).toString('hex'),
+      time: block.time,
+      bits: REGTEST_BITS.toString(16),
+      nonce: header.readUInt32LE(76),
+      previousblockhash: block.height > 0 ? block.prevHash : undefined,
+    };
+  }
+}
+
+module.exports = new RegtestChain();
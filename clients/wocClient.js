@@ -57,25 +57,6 @@ class WocClient {
     return n === 'test' ? 'test' : 'main';
   }
 
-  async getChainHealth(fundingAddress) {
-    const network = this._network();
-    const minConf = parseInt(process.env.UTXO_MIN_CONFIRMATIONS || '1', 10);
-    const [unspent, info] = await Promise.all([
-      this._request({ url: `/v1/bsv/${network}/address/${fundingAddress}/unspent` }),
-      this._request({ url: `/v1/bsv/${network}/chain/info` }),
-    ]);
-    const height = info?.blocks || 0;
-    const list = Array.isArray(unspent) ? unspent : [];
-    const confirmed = list.filter(u => u.height > 0 && (height - u.height + 1) >= minConf);
-    return {
-      totalUtxos: list.length,
-      totalSatoshis: list.reduce((s, u) => s + (u.value || 0), 0),
-      confirmedUtxos: confirmed.length,
-      confirmedSatoshis: confirmed.reduce((s, u) => s + (u.value || 0), 0),
-      height,
-    };
-  }
-
   async isUtxoSpent(txid, vout) {
     const network = this._network();
     try {
@@ -110,6 +91,41 @@ class WocClient {
     return this._request({ url: `/v1/bsv/${network}/chain/info` });
   }
 
+  async getRawTransaction(txid) {
+    const network = this._network();
+    const data = await this._request({ url: `/v1/bsv/${network}/tx/${txid}/hex` });
+    return typeof data === 'string' ? data.trim() : data;
+  }
+
+  // Transaction metadata (confirmations, blockhash, blockheight, blocktime); null if unknown to the network.
+  async getTransaction(txid) {
+    const network = this._network();
+    try {
+      return await this._request({ url: `/v1/bsv/${network}/tx/hash/${txid}` });
+    } catch (err) {
+      if (err?.response?.status === 404) return null;
+      throw err;
+    }
+  }
+
+  // TSC Merkle proof ({ index, txOrId, target, nodes }) for a mined tx; null while unconfirmed.
+  async getTxMerkleProof(txid) {
+    const network = this._network();
+    try {
+      const data = await this._request({ url: `/v1/bsv/${network}/tx/${txid}/proof/tsc` });
+      const proof = Array.isArray(data) ? data[0] : data;
+      return proof && Array.isArray(proof.nodes) ? proof : null;
+    } catch (err) {
+      if (err?.response?.status === 404) return null;
+      throw err;
+    }
+  }
+
+  async getBlockHeader(blockHash) {
+    const network = this._network();
+    return this._request({ url: `/v1/bsv/${network}/block/${blockHash}/header` });
+  }
+
   // Optional: recommended fee rate (sat/kB). Returns number or null if not available.
   // Currently sources from environment for ops control; can be extended to query a provider.
   getRecommendedFeePerKb() {
@@ -1,57 +1,28 @@
 // controllers/adminController.js
 const bsv = require('bsv');
 const Utxo = require('../models/Utxo');
-const AuthenticationRecord = require('../models/AuthenticationRecord');
 const utxoManager = require('../services/utxoManagerService');
-const { constructAndBroadcastTx } = require('../services/blockchainService');
-const crypto = require('crypto');
-
-function computeSha256(data) {
-  const json = typeof data === 'string' ? data : JSON.stringify(data);
-  return crypto.createHash('sha256').update(Buffer.from(json)).digest();
-}
-
-function computeMerkleRoot(hashes) {
-  if (!Array.isArray(hashes) || hashes.length === 0) return Buffer.alloc(32);
-  let level = hashes.map((h) => (Buffer.isBuffer(h) ? h : Buffer.from(h, 'hex')));
-  while (level.length > 1) {
-    const next = [];
-    for (let i = 0; i < level.length; i += 2) {
-      const left = level[i];
-      const right = level[i + 1] || level[i];
-      next.push(crypto.createHash('sha256').update(Buffer.concat([left, right])).digest());
-    }
-    level = next;
-  }
-  return level[0];
-}
-
-function computeMerklePath(index, hashes) {
-  const path = [];
-  let idx = index;
-  let level = hashes.map((h) => (Buffer.isBuffer(h) ? h : Buffer.from(h, 'hex')));
-  while (level.length > 1) {
-    const isRight = idx % 2 === 1;
-    const pairIndex = isRight ? idx - 1 : idx + 1;
-    const sibling = level[pairIndex] || level[idx];
-    path.push(sibling);
-    const next = [];
-    for (let i = 0; i < level.length; i += 2) {
-      const left = level[i];
-      const right = level[i + 1] || level[i];
-      next.push(crypto.createHash('sha256').update(Buffer.concat([left, right])).digest());
-    }
-    level = next;
-    idx = Math.floor(idx / 2);
-  }
-  return path;
-}
-const wocClient = require('../clients/wocClient');
+const batchAnchorService = require('../services/batchAnchorService');
+const lockManager = require('../services/lockManager');
+const chainData = require('../services/chainDataService');
+const broadcaster = require('../services/broadcasterService');
+const issuerKeyService = require('../services/issuerKeyService');
+const issuerManifestService = require('../services/issuerManifestService');
+const patchStatusService = require('../services/patchStatusService');
+const scanLedgerService = require('../services/scanLedgerService');
+const { ServiceUnavailableError } = require('../errors');
 const logger = require('../logger');
 
 // Simple in-process lock set (single-instance). For multi-node, replace with Redis lock.
 const taskLocks = new Set();
 
+// Batch anchoring shares the worker's distributed lock, so manual runs never race a scheduled one.
+async function runBatchLocked(fn) {
+  const run = await lockManager.withLockHeartbeat(batchAnchorService.LOCK_NAME, batchAnchorService.LEASE_MS, fn);
+  if (!run.ok && run.error !== 'LOCK_NOT_ACQUIRED') throw run.error;
+  return run;
+}
+
 class AdminController {
   _acquireLock(taskName) {
     if (taskLocks.has(taskName)) {
@@ -98,9 +69,9 @@ class AdminController {
       let chain = null;
       if (fundingAddress) {
         try {
-          chain = await wocClient.getChainHealth(fundingAddress);
+          chain = await chainData.getChainHealth(fundingAddress);
         } catch (e) {
-          logger && logger.error && logger.error('[AdminController] Failed to fetch chain health from WOC.', e);
+          logger && logger.error && logger.error('[AdminController] Failed to fetch chain health from the chain data provider.', e);
           chain = { error: e.message };
         }
       }
@@ -113,6 +84,7 @@ class AdminController {
           minConfirmations: Math.max(0, parseInt(process.env.UTXO_MIN_CONFIRMATIONS || '0', 10)),
         },
         chain,
+        broadcasters: broadcaster.getStatus(),
       });
     } catch (err) {
       next(err);
@@ -149,64 +121,113 @@ class AdminController {
   }
 
   async batchAnchor(req, res, next) {
-    const lockName = 'batch-anchor';
-    if (!this._acquireLock(lockName)) {
-      return res.status(409).json({ success: false, error: 'Batch anchor task is already in progress.' });
-    }
     try {
       // Optional query/body controls
       const limit = Math.min(parseInt(req.body?.limit || req.query?.limit || '100', 10) || 100, 1000);
       logger && logger.info && logger.info(`[AdminController] Starting batch anchor process with limit: ${limit}`);
-      // 1) Load records pending anchoring (status-based workflow)
-      const recordsToAnchor = await AuthenticationRecord.find({ status: 'pending' }).limit(limit).lean();
-
-      if (!recordsToAnchor.length) {
-        logger && logger.info && logger.info('[AdminController] No unanchored records found.');
-        return res.json({ success: true, message: 'No unanchored records found to process.', processed: 0 });
+      const run = await runBatchLocked(() => batchAnchorService.runOnce({ force: true, limit, log: req.log }));
+      if (!run.ok) {
+        return res.status(409).json({ success: false, error: 'Batch anchor task is already in progress.' });
+      }
+      const result = run.result;
+      if (!result.queued) {
+        logger && logger.info && logger.info('[AdminController] No queued records found.');
+        return res.json({ success: true, message: 'No records queued for batch anchoring.', processed: 0 });
       }
+      if (!result.anchored) {
+        return res.status(500).json({ success: false, error: result.error, batchId: result.batchId });
+      }
+      logger && logger.info && logger.info(`[AdminController] Batch anchor process completed. Anchor TXID: ${result.txid}, updated ${result.updated}/${result.size} records.`);
+
+      return res.json({ success: true, txid: result.txid, batchId: result.batchId, processed: result.size, updated: result.updated });
+    } catch (err) {
+      logger && logger.error && logger.error(`[AdminController] Batch anchor task failed: ${err.message}`, err);
+      next(err);
+    }
+  }
 
-      // 2) Build hashes and Merkle root
-      const hashes = recordsToAnchor.map((r) => computeSha256(r.record_data));
-      const merkleRoot = computeMerkleRoot(hashes);
+  // GET /v1/admin/anchor-batches[?status=failed]
+  async listAnchorBatches(req, res, next) {
+    try {
+      const batches = await batchAnchorService.listBatches({ status: req.query.status, limit: req.query.limit });
+      res.json({ batches: batches.map(({ __v, ...b }) => b) });
+    } catch (err) {
+      next(err);
+    }
+  }
 
-      // 3) Broadcast OP_RETURN with merkle root
-      const opReturnData = [Buffer.from('PatchProofBatch'), merkleRoot];
-      const broadcastResult = await constructAndBroadcastTx(opReturnData, 'BatchAnchor');
-      if (!broadcastResult.success) {
-        logger && logger.error && logger.error(`[AdminController] Broadcast failed: ${broadcastResult.error}`);
-        return res.status(500).json({ success: false, error: broadcastResult.error || 'Broadcast failed' });
+  // POST /v1/admin/anchor-batches/:id/reanchor
+  async reanchorBatch(req, res, next) {
+    try {
+      const run = await runBatchLocked(() => batchAnchorService.reanchor(req.params.id, { log: req.log }));
+      if (!run.ok) {
+        return res.status(409).json({ success: false, error: 'Batch anchor task is already in progress.' });
       }
-      const anchorTxid = broadcastResult.txid;
-      logger && logger.info && logger.info(`[AdminController] Broadcast successful. Anchor TXID: ${anchorTxid}`);
-
-      // 4) Use bulkWrite for efficiency and better atomicity
-      const bulkOps = recordsToAnchor.map((record, i) => {
-        const path = computeMerklePath(i, [...hashes]);
-        return {
-          updateOne: {
-            filter: { _id: record._id },
-            update: {
-              $set: {
-                'record_data.auth.merkleRoot': merkleRoot.toString('hex'),
-                'record_data.auth.merklePath': path.map((buf) => buf.toString('hex')),
-                'record_data.auth.anchorTxid': anchorTxid,
-                status: 'confirmed',
-              },
-            },
-          },
-        };
-      });
+      const result = run.result;
+      if (!result.success) {
+        return res.status(502).json({ success: false, error: result.error, batchId: result.batchId });
+      }
+      logger && logger.info && logger.info(`[AdminController] Re-anchored batch ${req.params.id} in ${result.txid}`);
+      return res.json({ success: true, batchId: result.batchId, txid: result.txid, merkleRoot: result.merkleRoot, updated: result.updated });
+    } catch (err) {
+      next(err);
+    }
+  }
 
-      const bulkResult = await AuthenticationRecord.bulkWrite(bulkOps);
-      const updated = bulkResult.modifiedCount;
-      logger && logger.info && logger.info(`[AdminController] Batch anchor process completed. Updated ${updated}/${recordsToAnchor.length} records.`);
+  // GET /v1/admin/issuer-keys
+  async listIssuerKeys(req, res, next) {
+    try {
+      const keys = await issuerKeyService.listKeys({ fresh: true });
+      res.json({ keys: keys.map(({ _id, __v, ...k }) => k) });
+    } catch (err) {
+      next(err);
+    }
+  }
 
-      return res.json({ success: true, txid: anchorTxid, processed: recordsToAnchor.length, updated });
+  // POST /v1/admin/issuer-keys (register; `status: active` rotates the signing key)
+  async registerIssuerKey(req, res, next) {
+    try {
+      const { _id, __v, ...key } = await issuerKeyService.registerKey(req.body);
+      issuerManifestService.keysChanged();
+      res.status(201).json({ key });
+    } catch (err) {
+      if (err instanceof ServiceUnavailableError) return res.status(503).json({ error: { message: err.message } });
+      next(err);
+    }
+  }
+
+  // POST /v1/admin/issuer-keys/:keyIdentifier/revoke
+  async revokeIssuerKey(req, res, next) {
+    try {
+      const { _id, __v, ...key } = await issuerKeyService.revokeKey(req.params.keyIdentifier, { reason: req.body.reason });
+      issuerManifestService.keysChanged();
+      res.json({ key });
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // POST /v1/admin/patches/:uid_tag_id/status (issuer-reported stolen/recover/revoke/recall)
+  async recordPatchStatus(req, res, next) {
+    try {
+      const { event, reason } = req.body;
+      const result = await patchStatusService.recordEvent(req.params.uid_tag_id, { event, reason, reportedBy: 'issuer' }, { log: req.log });
+      res.status(201).json(result);
+    } catch (err) {
+      if (err instanceof ServiceUnavailableError) return res.status(503).json({ error: { message: err.message } });
+      next(err);
+    }
+  }
+
+  // GET /v1/admin/clone-suspects (patches whose recent scans look cloned)
+  async listCloneSuspects(req, res, next) {
+    try {
+      const since = req.query.since || new Date(Date.now() - 7 * 24 * 3600 * 1000);
+      const minScore = req.query.minScore ?? scanLedgerService.minSuspectScore();
+      const suspects = await scanLedgerService.listSuspects({ since, minScore, limit: req.query.limit });
+      res.json({ since, min_score: minScore, suspects });
     } catch (err) {
-      logger && logger.error && logger.error(`[AdminController] Batch anchor task failed: ${err.message}`, err);
       next(err);
-    } finally {
-      this._releaseLock(lockName);
     }
   }
 }
@@ -0,0 +1,108 @@
+// controllers/custodialWalletController.js
+// Custodial owner wallets (/v1/me/custodial-wallet*, jwtAuthSvd). Claims and transfers are signed with the user's KMS
+// key and then checked by the same services (claimIntentService, ownershipTransferService) as self-custody owners.
+const dbService = require('../services/databaseService');
+const jobService = require('../services/jobService');
+const ownerChallengeCache = require('../services/ownerChallengeCacheRedis');
+const custodialWalletService = require('../services/custodialWalletService');
+const { ServiceUnavailableError } = require('../errors');
+
+function unavailable(res, err) {
+  return res.status(503).json({ error: { message: err.message } });
+}
+
+function disabled(res) {
+  return res.status(403).json({ error: { message: 'Custodial wallets are not enabled' } });
+}
+
+class CustodialWalletController {
+  // POST /v1/me/custodial-wallet
+  async createWallet(req, res, next) {
+    try {
+      const existing = await custodialWalletService.getWallet(req.auth.userId);
+      if (!existing && !custodialWalletService.isEnabled()) return disabled(res);
+      const { wallet, created } = await custodialWalletService.provision(req.auth.userId);
+      if (created && req.log) req.log.info({ message: 'Custodial wallet created', userId: req.auth.userId, address: wallet.address });
+      return res.status(created ? 201 : 200).json(wallet);
+    } catch (err) {
+      if (err instanceof ServiceUnavailableError) return unavailable(res, err);
+      return next(err);
+    }
+  }
+
+  // GET /v1/me/custodial-wallet
+  async getWallet(req, res, next) {
+    try {
+      const wallet = await custodialWalletService.getWallet(req.auth.userId);
+      if (!wallet) return res.status(404).json({ error: { message: 'No custodial wallet' } });
+      return res.json(custodialWalletService.describe(wallet));
+    } catch (err) {
+      return next(err);
+    }
+  }
+
+  // POST /v1/me/custodial-wallet/claim-intents
+  // POS claim intent signed for the user; the store approves it like any other (POST /v1/pos/claim-approve).
+  async createClaimIntent(req, res, next) {
+    try {
+      if (!custodialWalletService.isEnabled()) return disabled(res);
+      const wallet = await custodialWalletService.activeWallet(req.auth.userId);
+      const result = await custodialWalletService.createClaimIntent(wallet, req.auth.userId, req.body.uid);
+      if (result.error) return res.status(result.status).json({ error: { message: result.error } });
+      return res.status(201).json({ id: String(result.intent._id), status: result.intent.status });
+    } catch (err) {
+      if (err instanceof ServiceUnavailableError) return unavailable(res, err);
+      return next(err);
+    }
+  }
+
+  // POST /v1/me/custodial-wallet/transfers
+  async transfer(req, res, next) {
+    try {
+      if (!custodialWalletService.isEnabled()) return disabled(res);
+      const wallet = await custodialWalletService.activeWallet(req.auth.userId);
+      const { uid_tag_id, newOwnerAddress } = req.body;
+      const state = await dbService.getPatchState(uid_tag_id);
+      if (!state) return res.status(404).json({ error: { message: 'Patch not found' } });
+      if (state.current_owner_address !== wallet.address) {
+        return res.status(403).json({ error: { message: 'Patch is not held by your custodial wallet' } });
+      }
+      if (!ownerChallengeCache.isReady) return res.status(503).json({ error: { message: 'Challenge service unavailable' } });
+      const result = await custodialWalletService.transfer(wallet, state, newOwnerAddress, req.log);
+      if (result.error) return res.status(result.status).json({ error: { message: result.error } });
+      if (result.queued) {
+        const { jobId, pendingId } = result;
+        return res.status(202).json({ message: 'Queued for broadcast', jobId, uid_tag_id, pendingId });
+      }
+      return res.json({ message: 'Ownership transferred successfully', newTxid: result.newTxid });
+    } catch (err) {
+      if (err instanceof ServiceUnavailableError) return unavailable(res, err);
+      return next(err);
+    }
+  }
+
+  // POST /v1/me/custodial-wallet/handover
+  // Ends custodial signing and queues a 'handover' job that transfers every patch the wallet holds to the user's own
+  // address (workers/broadcastWorker.js). Repeat the call to pick up patches that arrive later (e.g. a POS claim
+  // approved during the handover) or that failed to queue.
+  async handover(req, res, next) {
+    try {
+      if (!custodialWalletService.isEnabled()) return disabled(res);
+      const { address } = req.body;
+      const current = await custodialWalletService.getWallet(req.auth.userId);
+      if (!current) return res.status(404).json({ error: { message: 'No custodial wallet' } });
+      if (address === current.address) return res.status(400).json({ error: { message: 'Handover address must be a self-custody address' } });
+      if (!jobService.isEnabled()) return res.status(503).json({ error: { message: 'Handover requires background jobs (JOBS_ASYNC)' } });
+
+      const wallet = await custodialWalletService.startHandover(req.auth.userId, address);
+      const jobId = await jobService.addHandoverJob({ userId: String(req.auth.userId), walletId: String(wallet._id) });
+      if (req.log) req.log.info({ message: 'Custodial wallet handover queued', userId: req.auth.userId, address, jobId });
+      return res.status(202).json({ ...custodialWalletService.describe(wallet), jobId });
+    } catch (err) {
+      if (err instanceof ServiceUnavailableError) return unavailable(res, err);
+      return next(err);
+    }
+  }
+}
+
+module.exports = new CustodialWalletController();
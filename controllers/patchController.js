@@ -1,12 +1,29 @@
 // controllers/patchController.js
 const Joi = require('joi');
-const bsv = require('bsv');
-const { Hash } = bsv.crypto;
 const BlockchainService = require('../services/blockchainService');
 const kmsSigner = require('../services/kmsSigner');
 const dbService = require('../services/databaseService');
 const jobService = require('../services/jobService');
 const cryptoService = require('../services/cryptoService');
+const proofBundleService = require('../services/proofBundleService');
+const custodyHistoryService = require('../services/custodyHistoryService');
+const chainVerificationService = require('../services/chainVerificationService');
+const issuerKeyService = require('../services/issuerKeyService');
+const issuerManifestService = require('../services/issuerManifestService');
+const batchAnchorService = require('../services/batchAnchorService');
+const inclusionProofService = require('../services/inclusionProofService');
+const disclosureService = require('../services/disclosureService');
+const contentVaultService = require('../services/contentVaultService');
+const saleReleaseService = require('../services/saleReleaseService');
+const patchStatusService = require('../services/patchStatusService');
+const ownershipTransferService = require('../services/ownershipTransferService');
+const nfcTagService = require('../services/nfcTagService');
+const scanLedgerService = require('../services/scanLedgerService');
+const ownerChallengeCache = require('../services/ownerChallengeCacheRedis');
+const envelope = require('../services/recordEnvelope');
+const fieldCommitments = require('../services/fieldCommitments');
+const { registerPatchSchema, nfcTagSchema } = require('../middleware/validators');
+const { ServiceUnavailableError } = require('../errors');
 
 const registerSchema = Joi.object({
     product: Joi.object({
@@ -32,12 +49,16 @@ const registerSchema = Joi.object({
       }).required().unknown(false),
 
     paymentAddress: Joi.string().optional(),
+    tag: nfcTagSchema.optional(),
 });
 
 const transferSchema = Joi.object({
     newOwnerAddress: Joi.string().required(),
     currentOwnerSignature: Joi.string().required(),
     currentOwnerPubKey: Joi.string().hex().required(),
+    nonce: Joi.string().hex().length(32).required(),
+    // Required when the txid is a Merkle batch anchor shared by several patches
+    uid_tag_id: Joi.string().trim().max(128).optional(),
 }).unknown(false);
 
 const txidParamSchema = Joi.object({
@@ -51,46 +72,113 @@ const uidParamSchema = Joi.object({
 const unlockBodySchema = Joi.object({
   ownerPubKey: Joi.string().hex().required(),
   ownerSignature: Joi.string().required(),
+  nonce: Joi.string().hex().length(32).required(),
   // Optional key unwrap + decrypt fields
   wrappedKeyB64: Joi.string().base64().optional(),
   wrapIvB64: Joi.string().base64().optional(),
   ciphertextB64: Joi.string().base64().optional(),
   cipherIvB64: Joi.string().base64().optional(),
+  // Vault item to decrypt (see contentVaultService)
+  contentId: Joi.string().hex().length(24).optional(),
 }).unknown(false);
 
 // Crypto utilities centralized in services/cryptoService
 
+// Canonical registration message signed by the issuer (rebuilt by verifyPatch and the offline verifier).
+// Records signed before envelope v1 used the JSON.stringify metadata digest (`legacy`); privacy-mode records
+// sign their field commitments instead of the metadata.
+function registrationMessage(uid_tag_id, metadata, ts, { legacy = false, commitments = null } = {}) {
+  if (commitments) {
+    return { purpose: 'register_patch', uid_tag_id, commitments_sha256: fieldCommitments.commitmentsSha256(commitments), ts };
+  }
+  return {
+    purpose: 'register_patch',
+    uid_tag_id,
+    metadata_sha256: legacy ? envelope.legacyMetadataSha256(metadata) : envelope.metadataSha256(metadata),
+    ts,
+  };
+}
+
+// Messages an anchored registration record may have been signed over, current format first.
+function signedRegistrationMessages(record) {
+  const { uid_tag_id } = record.product;
+  if (record.commitments) return [registrationMessage(uid_tag_id, null, record.auth.ts, { commitments: record.commitments })];
+  return [false, true].map((legacy) => registrationMessage(uid_tag_id, record.metadata, record.auth.ts, { legacy }));
+}
+
+// Public fields of a new registration: cleartext, or salted commitments plus their off-chain openings in privacy mode.
+function registrationFields(product, metadata) {
+  if (fieldCommitments.privacyMode() !== 'commitments') return { product, metadata, commitments: null, openings: undefined };
+  return fieldCommitments.commit({ product, metadata });
+}
+
+// Owner-signed messages end with a single-use server challenge (POST /v1/patches/:uid_tag_id/challenge), so a
+// captured signature cannot be replayed. Key order matters: the messages are hashed with JSON.stringify.
+function ownerMessage(purpose, fields, challenge) {
+  return { purpose, ...fields, nonce: challenge.nonce, expires_at: challenge.expires_at };
+}
+
+// { challenge } for an unexpired challenge issued for this patch, otherwise { status, error }.
+async function loadOwnerChallenge(uid_tag_id, nonce) {
+  if (!ownerChallengeCache.isReady) return { status: 503, error: 'Challenge service unavailable' };
+  const challenge = await ownerChallengeCache.get(uid_tag_id, nonce);
+  if (!challenge) return { status: 400, error: 'Unknown or expired challenge' };
+  return { challenge };
+}
+
+// Sign registration messages in one KMS call; the KMS key must be the one the issuer key registry expects.
+async function signRegistrations(issuerKey, messages) {
+  const requests = messages.map((msg) => ({
+    keyIdentifier: issuerKey.keyIdentifier,
+    sighash: Buffer.from(BlockchainService.toHashBuf(msg)).toString('hex'),
+  }));
+  const sigs = await kmsSigner.signBatch(requests);
+  if (!Array.isArray(sigs) || sigs.length !== messages.length) throw new Error('KMS signing failed');
+  if (issuerKey.pubkey && sigs.some((s) => String(s.pubKeyHex).toLowerCase() !== issuerKey.pubkey)) {
+    throw new Error(`KMS key '${issuerKey.keyIdentifier}' does not match the registered issuer key`);
+  }
+  return sigs;
+}
+
 class PatchController {
   // POST /v1/patches
   async registerPatch(req, res, next) {
     try {
-      const { error } = registerSchema.validate(req.body);
+      const { error, value: body } = registerSchema.validate(req.body);
       if (error) {
           return res.status(400).json({ error: { message: 'Validation failed', details: error.details.map(d => d.message) } });
       }
       const { product, metadata, paymentAddress, auth: inputAuth } = req.body;
       const uid_tag_id = product.uid_tag_id;
 
-      // Build canonical message and sign via KMS (no WIF in server)
-      const issuerKeyIdentifier = process.env.ISSUER_KEY_IDENTIFIER;
+      // Cryptographic NFC tag keys; they cannot be swapped under a registered patch
+      let tagDoc = null;
+      if (body.tag) {
+        try { tagDoc = nfcTagService.prepare(uid_tag_id, body.tag); }
+        catch (e) { return res.status(400).json({ error: { message: e.message } }); }
+      }
+      // A patch registers once: a registration still pending or anchoring counts as well as a confirmed one
+      if ((await dbService.findRegisteredUids([uid_tag_id])).has(uid_tag_id)) {
+        return res.status(409).json({ error: { message: 'Patch is already registered' } });
+      }
+
+      // Build canonical message and sign via KMS (no WIF in server) with the active registry key
+      let issuerKey;
+      try { issuerKey = await issuerKeyService.getSigningKey(); }
+      catch (e) {
+        return res.status(503).json({ error: { message: `Issuer signing unavailable: ${e.message}` } });
+      }
+      const issuerKeyIdentifier = issuerKey.keyIdentifier;
       if (process.env.NODE_ENV === 'production' && !issuerKeyIdentifier) {
         return res.status(500).json({ error: { message: 'Server misconfigured: ISSUER_KEY_IDENTIFIER not set' } });
       }
       const ts = Date.now();
-      const canonicalMsg = {
-        purpose: 'register_patch',
-        uid_tag_id,
-        metadata_sha256: Hash.sha256(Buffer.from(JSON.stringify(metadata || {}), 'utf8')).toString('hex'),
-        ts,
-      };
-      const hashBuf = BlockchainService.toHashBuf(canonicalMsg);
-      const sighash = Buffer.from(hashBuf).toString('hex');
+      const fields = registrationFields(product, metadata);
       let issuerSignature, issuerPubKeyHex;
       try {
-        const sigs = await kmsSigner.signBatch([{ keyIdentifier: issuerKeyIdentifier, sighash }]);
-        if (!Array.isArray(sigs) || sigs.length !== 1) throw new Error('KMS signing failed');
-        issuerSignature = sigs[0].signatureHex;
-        issuerPubKeyHex = sigs[0].pubKeyHex;
+        const [sig] = await signRegistrations(issuerKey, [registrationMessage(uid_tag_id, fields.metadata, ts, { commitments: fields.commitments })]);
+        issuerSignature = sig.signatureHex;
+        issuerPubKeyHex = sig.pubKeyHex;
       } catch (e) {
         return res.status(503).json({ error: { message: `Issuer signing unavailable: ${e.message}` } });
       }
@@ -98,18 +186,41 @@ class PatchController {
       const initialOwner = (inputAuth && inputAuth.owner) || paymentAddress || null;
       const record = {
         type: 'AUTHENTICATION_RECORD',
-        product,
-        metadata,
+        product: fields.product,
+        metadata: fields.metadata,
+        ...(fields.commitments && { commitments: fields.commitments }),
         auth: {
           owner: initialOwner,
           issuer_signature: issuerSignature,
           issuer_pubkey: issuerPubKeyHex,
+          ...(issuerKey.registered && { issuer_key_id: issuerKeyIdentifier }),
           ts,
         },
       };
 
+      // Reject records the on-chain envelope would refuse before anything is persisted (RecordFormatError -> 422)
+      envelope.checkRecord('registration', record);
+
       // Create pending intent first for atomicity
-      const pending = await dbService.createPendingRegistration(uid_tag_id, initialOwner, record);
+      const batchMode = (process.env.REGISTRATION_ANCHOR_MODE || 'single').toLowerCase() === 'batch';
+      const pending = await dbService.createPendingRegistration(uid_tag_id, initialOwner, record, {
+        anchorMode: batchMode ? 'batch' : 'single',
+        fieldOpenings: fields.openings,
+      });
+      // Tag keys only once the registration exists; a registration whose keys were not stored is not anchored
+      if (tagDoc) {
+        try { await nfcTagService.saveTags([tagDoc]); }
+        catch (e) {
+          await dbService.markRegistrationFailed(pending._id || pending.id, `Tag keys not saved: ${e.message}`);
+          throw e;
+        }
+      }
+
+      // Batch mode: the batch anchor worker commits it under a shared Merkle root (services/batchAnchorService.js)
+      if (batchMode) {
+        if (req.log) req.log.info({ message: 'Queued registration for batch anchoring', uid_tag_id, pendingId: pending._id || pending.id });
+        return res.status(202).json({ message: 'Queued for batch anchoring', uid_tag_id, pendingId: pending._id || pending.id });
+      }
 
       // If async jobs enabled, enqueue and return 202
       if (jobService.isEnabled()) {
@@ -122,21 +233,21 @@ class PatchController {
       }
 
       // Synchronous fallback for environments without workers
-      const opReturnData = [Buffer.from(JSON.stringify(record))];
-      const broadcastResult = await BlockchainService.constructAndBroadcastTx(opReturnData, 'Registration', req.log);
+      const opReturnData = envelope.encode('registration', record);
+      const broadcastResult = await BlockchainService.constructAndBroadcastRegistrationTx(opReturnData, req.log);
       if (!broadcastResult.success) {
         await dbService.markRegistrationFailed(pending._id || pending.id, broadcastResult.error || 'broadcast failed');
         throw new Error(`Broadcast failed: ${broadcastResult.error}`);
       }
       const txid = broadcastResult.txid;
       record.auth.txid = txid;
-      await dbService.markRegistrationConfirmed(pending._id || pending.id, txid);
+      await dbService.markRegistrationConfirmed(pending._id || pending.id, txid, { ownershipOutput: broadcastResult.ownershipOutput, dataSha256: broadcastResult.dataSha256 });
 
       if (req.log) req.log.info({ message: 'Patch registered successfully', txid, uid_tag_id });
       // Build shareable certificate URL (blockHeight/timestamp optional and may be filled later by client)
-      const mhash = Hash.sha256(Buffer.from(JSON.stringify(metadata || {}), 'utf8')).toString('hex');
+      const mhash = envelope.metadataSha256(record.metadata);
       const base = `${req.protocol}://${req.get('host')}`;
-      const certPath = `/certificates/certificate.html?dataHash=${encodeURIComponent(mhash)}&txid=${encodeURIComponent(txid)}`;
+      const certPath = `/certificates/certificate.html?dataHash=${encodeURIComponent(mhash)}&txid=${encodeURIComponent(txid)}&uid=${encodeURIComponent(uid_tag_id)}`;
       const certificateUrl = `${base}${certPath}`;
       return res.status(201).json({ message: 'Patch registered successfully', txid, certificateUrl });
     } catch (err) {
@@ -147,7 +258,110 @@ class PatchController {
     }
   }
 
-  // GET /v1/patches/verify/:uid_tag_id
+  // POST /v1/patches/batch
+  // Manufacturing runs: every item is validated on its own, all issuer signatures come from one KMS call and
+  // the accepted records are anchored together under one Merkle root. Invalid or already registered items are
+  // reported and skipped without failing the rest.
+  async registerPatchBatch(req, res, next) {
+    try {
+      const results = [];
+      const accepted = [];
+      const seen = new Set();
+      req.body.items.forEach((item, index) => {
+        const { error, value } = registerPatchSchema.validate(item, { abortEarly: false, stripUnknown: true });
+        const uid_tag_id = error ? (item && item.product && item.product.uid_tag_id) || null : value.product.uid_tag_id;
+        const result = { index, uid_tag_id, status: 'pending' };
+        results.push(result);
+        if (error) {
+          Object.assign(result, { status: 'invalid', error: error.details.map((d) => d.message).join('; ') });
+        } else if (seen.has(uid_tag_id)) {
+          Object.assign(result, { status: 'duplicate', error: 'uid_tag_id appears earlier in this batch' });
+        } else {
+          let tagDoc = null;
+          try { tagDoc = value.tag ? nfcTagService.prepare(uid_tag_id, value.tag) : null; }
+          catch (e) { Object.assign(result, { status: 'invalid', error: e.message }); return; }
+          seen.add(uid_tag_id);
+          accepted.push({ result, value, tagDoc });
+        }
+      });
+
+      const registered = accepted.length ? await dbService.findRegisteredUids(accepted.map((a) => a.result.uid_tag_id)) : new Set();
+      const toRegister = accepted.filter(({ result }) => {
+        if (!registered.has(result.uid_tag_id)) return true;
+        Object.assign(result, { status: 'already_registered', error: 'Patch is already registered' });
+        return false;
+      });
+      const summary = () => ({
+        total: results.length,
+        anchored: results.filter((r) => r.status === 'anchored').length,
+        rejected: results.filter((r) => r.status !== 'anchored').length,
+      });
+      if (toRegister.length === 0) {
+        return res.status(400).json({ error: { message: 'No registrable items in batch' }, ...summary(), results });
+      }
+
+      let issuerKey;
+      let sigs;
+      const ts = Date.now();
+      const fields = toRegister.map(({ value }) => registrationFields(value.product, value.metadata));
+      try {
+        issuerKey = await issuerKeyService.getSigningKey();
+        if (process.env.NODE_ENV === 'production' && !issuerKey.keyIdentifier) {
+          return res.status(500).json({ error: { message: 'Server misconfigured: ISSUER_KEY_IDENTIFIER not set' } });
+        }
+        sigs = await signRegistrations(issuerKey, fields.map((f) => registrationMessage(f.product.uid_tag_id, f.metadata, ts, { commitments: f.commitments })));
+      } catch (e) {
+        return res.status(503).json({ error: { message: `Issuer signing unavailable: ${e.message}` } });
+      }
+
+      const entries = toRegister.map(({ value }, i) => ({
+        uid_tag_id: value.product.uid_tag_id,
+        field_openings: fields[i].openings,
+        record_data: {
+          type: 'AUTHENTICATION_RECORD',
+          product: fields[i].product,
+          metadata: fields[i].metadata,
+          ...(fields[i].commitments && { commitments: fields[i].commitments }),
+          auth: {
+            owner: (value.auth && value.auth.owner) || null,
+            issuer_signature: sigs[i].signatureHex,
+            issuer_pubkey: sigs[i].pubKeyHex,
+            ...(issuerKey.registered && { issuer_key_id: issuerKey.keyIdentifier }),
+            ts,
+          },
+        },
+      }));
+      const records = await dbService.createPendingRegistrations(entries);
+      try { await nfcTagService.saveTags(toRegister.filter((t) => t.tagDoc).map((t) => t.tagDoc)); }
+      catch (e) {
+        await Promise.all(records.map((rec) => dbService.markRegistrationFailed(rec._id, `Tag keys not saved: ${e.message}`)));
+        throw e;
+      }
+      records.forEach((rec, i) => { toRegister[i].result.recordId = String(rec._id); });
+
+      const anchor = await batchAnchorService.anchorBatch(records, { trigger: 'registration', log: req.log });
+      const batchId = String(anchor.batchId);
+      if (!anchor.success) {
+        // Records stay claimed by the failed batch; POST /v1/admin/anchor-batches/:id/reanchor retries it
+        toRegister.forEach(({ result }) => Object.assign(result, { status: 'failed', error: `Broadcast failed: ${anchor.error}` }));
+        return res.status(502).json({ error: { message: `Broadcast failed: ${anchor.error}` }, batchId, ...summary(), results });
+      }
+      toRegister.forEach(({ result }, i) => Object.assign(result, { status: 'anchored', merklePath: anchor.merklePaths[i] }));
+
+      if (req.log) req.log.info({ message: 'Batch registered', txid: anchor.txid, batchId, anchored: toRegister.length, rejected: results.length - toRegister.length });
+      return res.status(toRegister.length === results.length ? 201 : 207).json({
+        batchId,
+        txid: anchor.txid,
+        merkleRoot: anchor.merkleRoot,
+        ...summary(),
+        results,
+      });
+    } catch (err) {
+      return next(err);
+    }
+  }
+
+  // GET /v1/patches/verify/:uid_tag_id[?onchain=true]
   async verifyPatch(req, res, next) {
     try {
         const { error } = uidParamSchema.validate(req.params);
@@ -159,34 +373,70 @@ class PatchController {
       if (!state) {
         return res.status(404).json({ status: 'not_found', message: 'Patch not registered.' });
       }
-      const record = await dbService.getRecordByTxid(state.current_txid);
-      if (!record) {
+      const doc = await dbService.getConfirmedRecord(state.current_txid, uid_tag_id);
+      if (!doc) {
         return res.status(500).json({ status: 'error', message: 'Data inconsistency: State found but record is missing.' });
       }
-      
+      const record = doc.record_data;
+      // Transfers carry the issuer signature forward but re-stamp auth.ts, so it is checked against the registration
+      const registration = doc.type === 'REGISTRATION' ? doc : await dbService.getRegistrationRecord(uid_tag_id);
+      if (!registration) {
+        return res.status(500).json({ status: 'error', message: 'Data inconsistency: State found but registration is missing.' });
+      }
+      const signed = registration.record_data;
+
       // Rebuild canonical message for verification
-      const mhash = Hash.sha256(Buffer.from(JSON.stringify(record.metadata || {}), 'utf8')).toString('hex');
-      const verifyMsg = {
-        purpose: 'register_patch',
-        uid_tag_id: record.product.uid_tag_id,
-        metadata_sha256: mhash,
-        ts: record.auth.ts,
-      };
-      const computedHashBuf = BlockchainService.toHashBuf(verifyMsg);
-      const issuerSignatureValid = BlockchainService.verifySignature(
-        computedHashBuf,
-        record.auth.issuer_signature,
-        record.auth.issuer_pubkey
-      );
-      
-      const status = issuerSignatureValid ? 'authentic' : 'compromised';
-      
+      const issuerSignatureValid = signedRegistrationMessages(signed).some((msg) => BlockchainService.verifySignature(
+        BlockchainService.toHashBuf(msg),
+        signed.auth.issuer_signature,
+        signed.auth.issuer_pubkey
+      ));
+
+      // The key must also be trusted by the registry (known, not revoked, record signed inside its window)
+      const issuerKey = await issuerKeyService.checkSigner(signed.auth.issuer_pubkey, signed.auth.ts);
+      let status = 'compromised';
+      if (issuerSignatureValid) status = issuerKey.trusted ? 'authentic' : 'untrusted_issuer';
+
+      // On-chain mode: the anchor tx must exist, carry this record and be sufficiently confirmed.
+      const onchainDefault = ['1', 'true', 'yes'].includes(String(process.env.VERIFY_ONCHAIN_DEFAULT || '').toLowerCase());
+      const onchainRequested = req.query.onchain !== undefined ? req.query.onchain === true || req.query.onchain === 'true' : onchainDefault;
+      let onChain = null;
+      if (onchainRequested) {
+        try {
+          onChain = await chainVerificationService.verifyAnchor(state.current_txid, record, { dataSha256: doc.data_sha256 });
+        } catch (e) {
+          if (req.log) req.log.warn({ message: 'On-chain verification unavailable', txid: state.current_txid, error: e.message });
+          return res.status(503).json({ error: { message: 'On-chain verification unavailable' } });
+        }
+        if (status === 'authentic' && onChain.status !== 'confirmed') status = onChain.status;
+      }
+      // A genuine patch reported stolen, revoked or recalled verifies as that status
+      const patchStatus = patchStatusService.describe(state);
+      if (status === 'authentic' && patchStatus.status !== 'active') status = patchStatus.status;
+
+      // Cryptographic tag tap (null when the patch has no tag and none was presented)
+      const tag = await nfcTagService.verifyTap(uid_tag_id, req.query);
+
+      // Scan ledger: record this verification and score it for clone anomalies; never fails or stalls the verification
+      const risk = scanLedgerService.isEnabled()
+        ? await scanLedgerService.scoreScan(uid_tag_id, { ip: req.ip, userAgent: req.get && req.get('user-agent'), headers: req.headers, tag }, req.log)
+        : null;
+
       return res.json({
         status,
+        tag_genuine: tag ? tag.genuine : null,
+        risk,
         record,
+        patchStatus,
         verificationDetails: {
           issuerSignatureValid,
+          issuerKey,
           onChainTxid: state.current_txid,
+          ownershipOutpoint: Number.isInteger(state.current_ownership_vout) ? `${state.current_txid}:${state.current_ownership_vout}` : null,
+          chainStatus: doc.chain_status || null,
+          blockHeight: doc.block_height ?? null,
+          ...(onChain && { onChain }),
+          ...(tag && { tag }),
         },
       });
     } catch (err) {
@@ -194,89 +444,213 @@ class PatchController {
     }
   }
 
-  // POST /v1/patches/:txid/transfer-ownership
-  async transferOwnership(req, res, next) {
+  // GET /v1/patches/:uid_tag_id/history?cursor=&limit=
+  async getHistory(req, res, next) {
     try {
-        const { error: paramsError } = txidParamSchema.validate(req.params);
-        if (paramsError) {
-            return res.status(400).json({ error: { message: 'Invalid TXID format.', details: paramsError.details.map(d => d.message) } });
-        }
-        const { error: bodyError } = transferSchema.validate(req.body);
-        if (bodyError) {
-            return res.status(400).json({ error: { message: 'Validation failed', details: bodyError.details.map(d => d.message) } });
-        }
+      const { cursor, limit } = req.query;
+      const history = await custodyHistoryService.getHistory(req.params.uid_tag_id, { cursor, limit });
+      if (!history) return res.status(404).json({ error: { message: 'Patch not registered' } });
+      return res.json(history);
+    } catch (err) {
+      if (err.code === 'BAD_CURSOR') {
+        return res.status(400).json({ error: { message: err.message } });
+      }
+      return next(err);
+    }
+  }
+
+  // GET /v1/patches/:uid_tag_id/proof
+  // Self-contained bundle for offline verification (see public/verifier/patchproof-verifier.js)
+  async getProofBundle(req, res, next) {
+    try {
+      const bundle = await proofBundleService.buildBundle(req.params.uid_tag_id);
+      if (!bundle) return res.status(404).json({ error: { message: 'Patch not registered' } });
+      return res.json(bundle);
+    } catch (err) {
+      if (err instanceof ServiceUnavailableError) {
+        return res.status(503).json({ error: { message: err.message } });
+      }
+      return next(err);
+    }
+  }
 
-      const { txid: currentTxid } = req.params;
-      const { newOwnerAddress, currentOwnerSignature, currentOwnerPubKey } = req.body;
-      
-      const currentRecord = await dbService.getRecordByTxid(currentTxid);
-      if (!currentRecord) return res.status(404).json({ error: { message: 'Record not found for the given TXID' } });
-      
-      const uid_tag_id = currentRecord.product.uid_tag_id;
+  // GET /v1/records/:id/inclusion-proof[?verify=true]
+  // Merkle inclusion proof of a batch-anchored record; `verify` also checks it against the anchor tx on chain.
+  async getInclusionProof(req, res, next) {
+    try {
+      const proof = await inclusionProofService.getProof(req.params.id);
+      if (!req.query.verify) return res.json(proof);
+      let verification;
+      try {
+        verification = await inclusionProofService.verifyProof(proof);
+      } catch (e) {
+        if (req.log) req.log.warn({ message: 'Inclusion proof verification unavailable', txid: proof.anchor.txid, error: e.message });
+        return res.status(503).json({ error: { message: 'On-chain verification unavailable' } });
+      }
+      return res.json({ ...proof, verification });
+    } catch (err) {
+      return next(err);
+    }
+  }
 
-      // Load current state to check current owner address
+  // POST /v1/patches/:uid_tag_id/disclosures
+  // Privacy mode: the current owner reveals chosen committed fields (cleartext + salt) for a third party to check.
+  async createDisclosure(req, res, next) {
+    try {
+      const { uid_tag_id } = req.params;
+      const { fields, ownerPubKey, ownerSignature, nonce } = req.body;
       const state = await dbService.getPatchState(uid_tag_id);
-      if (!state) return res.status(404).json({ error: { message: 'Patch state not found' } });
+      if (!state) return res.status(404).json({ error: { message: 'Patch not found' } });
 
-      // 1) PubKey must map to current owner address
-      const derivedAddress = BlockchainService.publicKeyHexToAddress(currentOwnerPubKey);
+      const derivedAddress = BlockchainService.publicKeyHexToAddress(ownerPubKey);
       if (!state.current_owner_address || derivedAddress !== state.current_owner_address) {
         return res.status(403).json({ error: { message: 'Caller is not the current owner' } });
       }
+      const { challenge, status, error } = await loadOwnerChallenge(uid_tag_id, nonce);
+      if (!challenge) return res.status(status).json({ error: { message: error } });
+      // Bound to the current state and the exact field list, so a signature cannot be replayed for other fields
+      const message = ownerMessage('disclose_fields', { uid_tag_id, currentTxid: state.current_txid, fields }, challenge);
+      if (!BlockchainService.verifySignature(BlockchainService.computeSha256(message), ownerSignature, ownerPubKey)) {
+        return res.status(403).json({ error: { message: 'Invalid owner signature' } });
+      }
+      if (!(await ownerChallengeCache.consume(challenge.nonce))) {
+        return res.status(409).json({ error: { message: 'Challenge already used' } });
+      }
+
+      const disclosure = await disclosureService.createDisclosure(uid_tag_id, fields);
+      if (req.log) req.log.info({ message: 'Fields disclosed', uid_tag_id, fields });
+      return res.json(disclosure);
+    } catch (err) {
+      return next(err);
+    }
+  }
 
-      // 2) Verify signature over canonical message to prevent replay
-      const message = { purpose: 'transfer_ownership', uid_tag_id, currentTxid, newOwnerAddress };
-      const hashBuf = BlockchainService.computeSha256(message);
-      const ok = BlockchainService.verifySignature(hashBuf, currentOwnerSignature, currentOwnerPubKey);
-      if (!ok) {
+  // POST /v1/patches/:uid_tag_id/releases
+  // The current owner authorizes a store to sell the patch through the POS claim flow until validUntil.
+  async createSaleRelease(req, res, next) {
+    try {
+      const { uid_tag_id } = req.params;
+      const { store, buyerAddress, validUntil, ownerPubKey, ownerSignature, nonce } = req.body;
+      const now = Date.now();
+      if (validUntil <= now || validUntil > now + saleReleaseService.maxTtlMs()) {
+        return res.status(400).json({ error: { message: 'validUntil is in the past or beyond the maximum release lifetime' } });
+      }
+      const state = await dbService.getPatchState(uid_tag_id);
+      if (!state) return res.status(404).json({ error: { message: 'Patch not found' } });
+      const blocked = patchStatusService.blockedReason(state);
+      if (blocked) return res.status(409).json({ error: { message: blocked } });
+
+      const derivedAddress = BlockchainService.publicKeyHexToAddress(ownerPubKey);
+      if (!state.current_owner_address || derivedAddress !== state.current_owner_address) {
+        return res.status(403).json({ error: { message: 'Caller is not the current owner' } });
+      }
+      const { challenge, status, error } = await loadOwnerChallenge(uid_tag_id, nonce);
+      if (!challenge) return res.status(status).json({ error: { message: error } });
+      const message = saleReleaseService.releaseMessage({ uid_tag_id, currentTxid: state.current_txid, store, buyerAddress, validUntil }, challenge);
+      if (!BlockchainService.verifySignature(BlockchainService.computeSha256(message), ownerSignature, ownerPubKey)) {
         return res.status(403).json({ error: { message: 'Invalid owner signature' } });
       }
+      if (!(await ownerChallengeCache.consume(challenge.nonce))) {
+        return res.status(409).json({ error: { message: 'Challenge already used' } });
+      }
 
-      // Build structured transfer record (JSON) to embed in OP_RETURN
-      const ts = Date.now();
-      const newRecordData = JSON.parse(JSON.stringify(currentRecord));
-      newRecordData.auth.owner = newOwnerAddress;
-      newRecordData.auth.prev_txid = currentTxid;
-      newRecordData.auth.current_owner_pubkey = currentOwnerPubKey;
-      newRecordData.auth.current_owner_signature = currentOwnerSignature;
-      newRecordData.auth.ts = ts;
+      const release = await saleReleaseService.createRelease(state, { store, buyerAddress, validUntil, ownerPubKey, ownerSignature }, challenge);
+      if (req.log) req.log.info({ message: 'Sale release created', uid_tag_id, store, releaseId: release.releaseId });
+      return res.status(201).json(release);
+    } catch (err) {
+      return next(err);
+    }
+  }
 
-      // Create pending intent for atomicity
-      const pending = await dbService.createPendingTransfer(uid_tag_id, currentTxid, newOwnerAddress, newRecordData);
+  // POST /v1/patches/:uid_tag_id/status
+  // The current owner reports their patch stolen or recovers it; the signed report is anchored with the event.
+  async reportStatus(req, res, next) {
+    try {
+      const { uid_tag_id } = req.params;
+      const { event, reason, ownerPubKey, ownerSignature, nonce } = req.body;
+      const state = await dbService.getPatchState(uid_tag_id);
+      if (!state) return res.status(404).json({ error: { message: 'Patch not found' } });
 
-      if (jobService.isEnabled()) {
-        const jobId = await jobService.addTransferJob({ pendingId: pending._id || pending.id, uid_tag_id, currentTxid, newOwnerAddress, record: newRecordData });
-        try { await dbService.attachJobToPendingTransfer(pending._id || pending.id, jobId); }
-        // eslint-disable-next-line no-empty
-        catch (_) {}
-        if (req.log) req.log.info({ message: 'Queued transfer broadcast job', jobId, uid_tag_id, pendingId: pending._id || pending.id });
-        return res.status(202).json({ message: 'Queued for broadcast', jobId, uid_tag_id, pendingId: pending._id || pending.id });
+      const derivedAddress = BlockchainService.publicKeyHexToAddress(ownerPubKey);
+      if (!state.current_owner_address || derivedAddress !== state.current_owner_address) {
+        return res.status(403).json({ error: { message: 'Caller is not the current owner' } });
+      }
+      const { challenge, status, error } = await loadOwnerChallenge(uid_tag_id, nonce);
+      if (!challenge) return res.status(status).json({ error: { message: error } });
+      const message = patchStatusService.ownerMessage({ uid_tag_id, currentTxid: state.current_txid, event, reason }, challenge);
+      if (!BlockchainService.verifySignature(BlockchainService.computeSha256(message), ownerSignature, ownerPubKey)) {
+        return res.status(403).json({ error: { message: 'Invalid owner signature' } });
+      }
+      if (!(await ownerChallengeCache.consume(challenge.nonce))) {
+        return res.status(409).json({ error: { message: 'Challenge already used' } });
       }
 
-      // Synchronous fallback
-      const opReturnData = [Buffer.from(JSON.stringify(newRecordData))];
-      const broadcastResult = await BlockchainService.constructAndBroadcastTransferTx(
-        currentTxid,
-        newOwnerAddress,
-        currentOwnerSignature,
-        opReturnData,
-        req.log
-      );
+      const result = await patchStatusService.recordEvent(uid_tag_id, {
+        event,
+        reason,
+        reportedBy: 'owner',
+        owner: { pubkey: ownerPubKey, signature: ownerSignature, challenge },
+      }, { log: req.log });
+      return res.status(201).json(result);
+    } catch (err) {
+      if (err instanceof ServiceUnavailableError) {
+        return res.status(503).json({ error: { message: err.message } });
+      }
+      return next(err);
+    }
+  }
 
-      if (!broadcastResult.success) {
-        await dbService.markTransferFailed(pending._id || pending.id, broadcastResult.error || 'broadcast failed');
-        throw new Error(`Broadcast failed: ${broadcastResult.error}`);
+  // POST /v1/disclosures/verify
+  async verifyDisclosure(req, res, next) {
+    try {
+      let verification;
+      try {
+        verification = await disclosureService.verifyDisclosure(req.body);
+      } catch (e) {
+        if (req.log) req.log.warn({ message: 'Disclosure verification unavailable', txid: req.body.anchor.txid, error: e.message });
+        return res.status(503).json({ error: { message: 'On-chain verification unavailable' } });
       }
-      const newTxid = broadcastResult.txid;
-      newRecordData.auth.txid = newTxid;
-      await dbService.markTransferConfirmed(pending._id || pending.id, newTxid);
+      return res.json(verification);
+    } catch (err) {
+      return next(err);
+    }
+  }
 
-      if (req.log) req.log.info({ message: 'Ownership transferred successfully', oldTxid: currentTxid, newTxid });
-      return res.json({ message: 'Ownership transferred successfully', newTxid });
+  // GET /.well-known/patchproof-issuers.json
+  async getIssuerManifest(req, res, next) {
+    try {
+      const manifest = await issuerManifestService.getManifest();
+      const maxAge = parseInt(process.env.ISSUER_MANIFEST_MAX_AGE_SEC || '300', 10);
+      res.set('Cache-Control', `public, max-age=${maxAge}`);
+      return res.json(manifest);
     } catch (err) {
-      if (err.message.startsWith('Conflict:')) {
-        return res.status(409).json({ error: { message: err.message } });
+      if (err instanceof ServiceUnavailableError) {
+        return res.status(503).json({ error: { message: err.message } });
+      }
+      return next(err);
+    }
+  }
+
+  // POST /v1/patches/:txid/transfer-ownership
+  async transferOwnership(req, res, next) {
+    try {
+        const { error: paramsError } = txidParamSchema.validate(req.params);
+        if (paramsError) {
+            return res.status(400).json({ error: { message: 'Invalid TXID format.', details: paramsError.details.map(d => d.message) } });
+        }
+        const { error: bodyError } = transferSchema.validate(req.body);
+        if (bodyError) {
+            return res.status(400).json({ error: { message: 'Validation failed', details: bodyError.details.map(d => d.message) } });
+        }
+
+      const result = await ownershipTransferService.transfer({ currentTxid: req.params.txid, ...req.body }, req.log);
+      if (result.error) return res.status(result.status).json({ error: { message: result.error } });
+      if (result.queued) {
+        const { jobId, uid_tag_id, pendingId } = result;
+        return res.status(202).json({ message: 'Queued for broadcast', jobId, uid_tag_id, pendingId });
       }
+      return res.json({ message: 'Ownership transferred successfully', newTxid: result.newTxid });
+    } catch (err) {
       return next(err);
     }
   }
@@ -294,7 +668,7 @@ class PatchController {
           return res.status(400).json({ error: { message: 'Validation failed', details: bodyCheck.error.details.map(d => d.message) } });
         }
 
-        const { ownerPubKey, ownerSignature, wrappedKeyB64, wrapIvB64, ciphertextB64, cipherIvB64 } = req.body;
+        const { ownerPubKey, ownerSignature, nonce, wrappedKeyB64, wrapIvB64, ciphertextB64, cipherIvB64, contentId } = req.body;
 
         const state = await dbService.getPatchState(uid_tag_id);
         if (!state) return res.status(404).json({ error: { message: 'Patch not found' } });
@@ -305,20 +679,31 @@ class PatchController {
           return res.status(403).json({ error: { message: 'Caller is not the current owner' } });
         }
 
-        // Verify signature to authorize unlock
-        const message = { purpose: 'unlock_content', uid_tag_id, currentTxid: state.current_txid };
+        // Verify signature to authorize unlock (single-use challenge)
+        const { challenge, status, error: challengeError } = await loadOwnerChallenge(uid_tag_id, nonce);
+        if (!challenge) return res.status(status).json({ error: { message: challengeError } });
+        const message = ownerMessage('unlock_content', { uid_tag_id, currentTxid: state.current_txid }, challenge);
         const hashBuf = BlockchainService.computeSha256(message);
         const ok = BlockchainService.verifySignature(hashBuf, ownerSignature, ownerPubKey);
         if (!ok) {
           return res.status(403).json({ error: { message: 'Invalid owner signature' } });
         }
+        if (!(await ownerChallengeCache.consume(challenge.nonce))) {
+          return res.status(409).json({ error: { message: 'Challenge already used' } });
+        }
 
-        // If no crypto payload provided, return authorization success only
+        // Content vault: list the patch's items, or decrypt one with the key wrapped for this owner
+        if (contentId) {
+          const item = await contentVaultService.openContent(uid_tag_id, contentId, derivedAddress);
+          return res.json({ authorized: true, uid_tag_id, txid: state.current_txid, item });
+        }
         if (!wrappedKeyB64 || !wrapIvB64 || !ciphertextB64 || !cipherIvB64) {
-          return res.json({ authorized: true, uid_tag_id, txid: state.current_txid });
+          const vault = await contentVaultService.listContent(uid_tag_id);
+          const rewrap_pending = await contentVaultService.rewrapPending(uid_tag_id, req.log);
+          return res.json({ authorized: true, uid_tag_id, txid: state.current_txid, vault, rewrap_pending });
         }
 
-        // Attempt key unwrap + decrypt (fail-safe: cryptoService enforces missing secret policy)
+        // Legacy: caller-supplied wrapped key and ciphertext (wrapping key derived from the uid_tag_id only) (fail-safe: cryptoService enforces missing secret policy)
         const wrappingKey = cryptoService.hkdfSha256(null, uid_tag_id, 'patchproof-unlock-key', 32);
         const wrappedKey = Buffer.from(wrappedKeyB64, 'base64');
         const wrapIv = Buffer.from(wrapIvB64, 'base64');
@@ -334,6 +719,39 @@ class PatchController {
     }
   }
 
+  // POST /v1/patches/:uid_tag_id/challenge
+  // Single-use nonce the current owner signs into transfer_ownership, unlock_content and disclose_fields messages.
+  async issueChallenge(req, res, next) {
+    try {
+      const { uid_tag_id } = req.params;
+      const state = await dbService.getPatchState(uid_tag_id);
+      if (!state) return res.status(404).json({ error: { message: 'Patch not found' } });
+      if (!ownerChallengeCache.isReady) return res.status(503).json({ error: { message: 'Challenge service unavailable' } });
+      const { nonce, expires_at } = await ownerChallengeCache.issue(uid_tag_id);
+      return res.status(201).json({ uid_tag_id, currentTxid: state.current_txid, nonce, expires_at });
+    } catch (err) {
+      return next(err);
+    }
+  }
+
+  // POST /v1/patches/:uid_tag_id/content
+  // Issuer upload of private content for a registered patch; stored encrypted in the content vault.
+  async uploadContent(req, res, next) {
+    try {
+      const { uid_tag_id } = req.params;
+      const { name, contentType, dataB64 } = req.body;
+      const data = Buffer.from(dataB64, 'base64');
+      const max = contentVaultService.maxContentBytes();
+      if (data.length > max) {
+        return res.status(413).json({ error: { message: `Content exceeds ${max} bytes` } });
+      }
+      const item = await contentVaultService.putContent(uid_tag_id, { name, contentType, data });
+      return res.status(201).json({ uid_tag_id, ...item });
+    } catch (err) {
+      return next(err);
+    }
+  }
+
   // GET /v1/patches/pending/registration/:id
   async getPendingRegistrationStatus(req, res, next) {
     try {
@@ -348,9 +766,9 @@ class PatchController {
         try {
           const record = await dbService.getRecordByTxid(doc.txid);
           if (record && record.metadata) {
-            const mhash = Hash.sha256(Buffer.from(JSON.stringify(record.metadata || {}), 'utf8')).toString('hex');
+            const mhash = envelope.metadataSha256(record.metadata);
             const base = `${req.protocol}://${req.get('host')}`;
-            certificateUrl = `${base}/certificates/certificate.html?dataHash=${encodeURIComponent(mhash)}&txid=${encodeURIComponent(doc.txid)}`;
+            certificateUrl = `${base}/certificates/certificate.html?dataHash=${encodeURIComponent(mhash)}&txid=${encodeURIComponent(doc.txid)}&uid=${encodeURIComponent(doc.uid_tag_id)}`;
           }
         } catch (_) { /* ignore */ }
       }
@@ -359,6 +777,9 @@ class PatchController {
         uid_tag_id: doc.uid_tag_id,
         status: doc.status,
         txid: doc.txid || null,
+        // Batch-anchored registrations are committed by a shared Merkle-root tx instead of their own
+        batchId: doc.batch_id || null,
+        anchorTxid: (doc.record_data && doc.record_data.auth && doc.record_data.auth.anchorTxid) || null,
         certificateUrl,
         error: doc.failure_reason || null,
         created_at: doc.created_at,
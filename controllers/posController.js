@@ -3,9 +3,9 @@ const Joi = require('joi');
 const ClaimIntent = require('../models/ClaimIntent');
 const dbService = require('../services/databaseService');
 const jobService = require('../services/jobService');
-const BlockchainService = require('../services/blockchainService');
-
-const TTL_MS = parseInt(process.env.CLAIM_INTENT_TTL_MS || '180000', 10); // default 3 minutes
+const saleReleaseService = require('../services/saleReleaseService');
+const patchStatusService = require('../services/patchStatusService');
+const claimIntentService = require('../services/claimIntentService');
 
 const createIntentSchema = Joi.object({
   uid: Joi.string().min(3).max(128).required(),
@@ -24,12 +24,12 @@ const createIntentSchema = Joi.object({
 const approveSchema = Joi.object({
   intentId: Joi.string().required(),
   approvedBy: Joi.string().required(),
+  // The store comes from the caller's store key (req.posStore); a body value must name the same store
+  store: Joi.string().min(1).max(100).optional(),
+  // Owner-signed sale release (POST /v1/patches/:uid_tag_id/releases); optional only for store-custody claims
+  releaseId: Joi.string().hex().length(24).optional(),
 }).unknown(false);
 
-function buildCanonical(uid, addr, ts, nonce) {
-  return `PATCHPROOF_CLAIM|uid:${uid}|addr:${addr}|ts:${ts}|nonce:${nonce}`;
-}
-
 class PosController {
   // POST /v1/pos/claim-intent
   async createClaimIntent(req, res, next) {
@@ -37,41 +37,9 @@ class PosController {
       const { error } = createIntentSchema.validate(req.body);
       if (error) return res.status(400).json({ error: { message: 'Validation failed', details: error.details.map(d => d.message) } });
 
-      const { uid, customer, challenge, signature } = req.body;
-      const { address, pubKey, userId } = customer;
-      const { ts, nonce } = challenge;
-
-      // TTL check
-      const now = Date.now();
-      if (Math.abs(now - Number(ts)) > TTL_MS) {
-        return res.status(400).json({ error: { message: 'Challenge timestamp expired' } });
-      }
-
-      // Derive address from pubKey and compare
-      const derivedAddr = BlockchainService.publicKeyHexToAddress(pubKey);
-      if (derivedAddr !== address) {
-        return res.status(400).json({ error: { message: 'Address does not match public key' } });
-      }
-
-      // Verify signature over canonical string
-      const canonical = buildCanonical(uid, address, ts, nonce);
-      const hashBuf = BlockchainService.computeSha256(canonical);
-      const ok = BlockchainService.verifySignature(hashBuf, signature, pubKey);
-      if (!ok) return res.status(401).json({ error: { message: 'Invalid signature' } });
-
-      // Ensure patch exists
-      const state = await dbService.getPatchState(uid);
-      if (!state) return res.status(404).json({ error: { message: 'Patch not found' } });
-
-      const intent = await ClaimIntent.create({
-        uid,
-        customer: { address, userId, pubKey },
-        ts,
-        nonce,
-        signature,
-        status: 'pending',
-      });
-
+      const result = await claimIntentService.createIntent(req.body);
+      if (result.error) return res.status(result.status).json({ error: { message: result.error } });
+      const { intent } = result;
       return res.status(201).json({ id: String(intent._id), status: intent.status });
     } catch (err) {
       return next(err);
@@ -84,14 +52,20 @@ class PosController {
       const { error } = approveSchema.validate(req.body);
       if (error) return res.status(400).json({ error: { message: 'Validation failed', details: error.details.map(d => d.message) } });
 
-      const { intentId, approvedBy } = req.body;
+      const { intentId, approvedBy, releaseId } = req.body;
+      const store = req.posStore;
+      if (!store) return res.status(401).json({ error: { message: 'Store key required' } });
+      if (req.body.store && req.body.store !== store) {
+        return res.status(403).json({ error: { message: 'Store does not match the store key' } });
+      }
+      // Claims are only approved once their transfer can be queued; there is no synchronous fallback
+      if (!jobService.isEnabled()) return res.status(503).json({ error: { message: 'Transfer queue unavailable' } });
       const intent = await ClaimIntent.findById(intentId);
       if (!intent) return res.status(404).json({ error: { message: 'Intent not found' } });
       if (intent.status !== 'pending') return res.status(409).json({ error: { message: `Intent is ${intent.status}` } });
 
       // TTL re-check
-      const now = Date.now();
-      if (Math.abs(now - Number(intent.ts)) > TTL_MS) {
+      if (claimIntentService.isExpired(intent.ts)) {
         intent.status = 'expired';
         await intent.save();
         return res.status(409).json({ error: { message: 'Intent expired' } });
@@ -100,28 +74,42 @@ class PosController {
       // Validate current patch state
       const state = await dbService.getPatchState(intent.uid);
       if (!state) return res.status(404).json({ error: { message: 'Patch state not found' } });
+      const blocked = patchStatusService.blockedReason(state);
+      if (blocked) return res.status(409).json({ error: { message: blocked } });
 
-      const currentRecord = await dbService.getRecordByTxid(state.current_txid);
+      const currentRecord = await dbService.getRecordByTxid(state.current_txid, intent.uid);
       if (!currentRecord) return res.status(404).json({ error: { message: 'Current record not found' } });
 
+      // The owner must have released the patch to this store, unless the store still holds it under its policy
+      const grant = await saleReleaseService.authorizeClaim(intent, state, { store, releaseId });
+      if (grant.error) return res.status(grant.status).json({ error: { message: grant.error } });
+
       // Build transfer record (mirrors transferOwnership controller style)
       const record = {
         type: 'AUTHENTICATION_RECORD',
         product: currentRecord.product,
         metadata: currentRecord.metadata,
+        // Privacy-mode records keep their field commitments, so disclosures still check against the latest record
+        ...(currentRecord.commitments && { commitments: currentRecord.commitments }),
         auth: {
           owner: intent.customer.address,
           previous_owner: state.current_owner_address,
-          // Note: In POS flow, server-authorized transfer replaces current owner signature requirement.
+          // POS flow: the owner's sale release (or the store's custody policy) stands in for a transfer signature
           pos_approved_by: approvedBy,
+          pos_store: store,
+          ...(grant.release && { sale_release: grant.release }),
+          // Issuer provenance carries over unchanged (required on every record)
+          issuer_signature: currentRecord.auth?.issuer_signature,
+          issuer_pubkey: currentRecord.auth?.issuer_pubkey,
+          issuer_key_id: currentRecord.auth?.issuer_key_id,
           ts: Date.now(),
         },
       };
 
-      const pending = await dbService.createPendingTransfer(intent.uid, state.current_txid, intent.customer.address, record);
-
-      let jobId = null;
-      if (jobService.isEnabled()) {
+      let pending = null;
+      let jobId;
+      try {
+        pending = await dbService.createPendingTransfer(intent.uid, state.current_txid, intent.customer.address, record);
         jobId = await jobService.addTransferJob({
           pendingId: pending._id || pending.id,
           uid_tag_id: intent.uid,
@@ -131,18 +119,32 @@ class PosController {
           // Link back for worker-side status propagation
           posIntentId: String(intent._id),
         });
-        try {
-          await dbService.attachJobToPendingTransfer(pending._id || pending.id, jobId);
-        } catch (e) {
-          // Non-fatal: job id attachment is best-effort
-          if (req && req.log) req.log.warn({ message: 'attachJobToPendingTransfer failed', error: e?.message, pendingId: String(pending._id || pending.id), jobId });
-          else console.warn('[POS] attachJobToPendingTransfer failed', e);
+      } catch (err) {
+        // Nothing was queued: fail the pending transfer and give the owner's release back so the sale can be retried
+        if (pending) {
+          try {
+            await dbService.markTransferFailed(pending._id || pending.id, `Queueing failed: ${err.message}`);
+          } catch (e) {
+            if (req && req.log) req.log.error({ message: 'markTransferFailed failed', error: e?.message, pendingId: String(pending._id || pending.id) });
+          }
         }
+        if (grant.release) await saleReleaseService.restoreRelease(grant.release.id, intent._id);
+        throw err;
+      }
+      try {
+        await dbService.attachJobToPendingTransfer(pending._id || pending.id, jobId);
+      } catch (e) {
+        // Non-fatal: job id attachment is best-effort
+        if (req && req.log) req.log.warn({ message: 'attachJobToPendingTransfer failed', error: e?.message, pendingId: String(pending._id || pending.id), jobId });
+        else console.warn('[POS] attachJobToPendingTransfer failed', e);
       }
 
       intent.status = 'approved';
       intent.approvedBy = approvedBy;
       intent.approved_at = new Date();
+      intent.store = store;
+      intent.authorization = grant.authorization;
+      intent.release_id = grant.release ? grant.release.id : null;
       intent.transfer_pending_id = String(pending._id || pending.id);
       await intent.save();
 
@@ -159,8 +161,8 @@ class PosController {
       if (!id) return res.status(400).json({ error: { message: 'Missing id' } });
       const intent = await ClaimIntent.findById(id).lean().exec();
       if (!intent) return res.status(404).json({ error: { message: 'Not found' } });
-      const { status, txid, error, approvedBy } = intent;
-      return res.status(200).json({ id: String(id), status, txid: txid || null, error: error || null, approvedBy: approvedBy || null });
+      const { status, txid, error, approvedBy, store, authorization } = intent;
+      return res.status(200).json({ id: String(id), status, txid: txid || null, error: error || null, approvedBy: approvedBy || null, store: store || null, authorization: authorization || null });
     } catch (err) {
       return next(err);
     }
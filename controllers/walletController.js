@@ -0,0 +1,81 @@
+// controllers/walletController.js
+// Wallet binding for logged-in users (/v1/me/*, jwtAuthSvd): prove control of an owner address, then list owned patches.
+const BlockchainService = require('../services/blockchainService');
+const ownerChallengeCache = require('../services/ownerChallengeCacheRedis');
+const walletBindingService = require('../services/walletBindingService');
+
+class WalletController {
+  // POST /v1/me/wallets/challenge
+  async issueChallenge(req, res, next) {
+    try {
+      if (!ownerChallengeCache.isReady) return res.status(503).json({ error: { message: 'Challenge service unavailable' } });
+      const userId = String(req.auth.userId);
+      const { nonce, expires_at } = await ownerChallengeCache.issue(walletBindingService.challengeScope(userId));
+      return res.status(201).json({ user_id: userId, nonce, expires_at });
+    } catch (err) {
+      return next(err);
+    }
+  }
+
+  // POST /v1/me/wallets
+  // The address is derived from pubKey, which must sign bind_wallet for this user and challenge.
+  async bindWallet(req, res, next) {
+    try {
+      const userId = String(req.auth.userId);
+      const { pubKey, signature, nonce } = req.body;
+      let address;
+      try { address = BlockchainService.publicKeyHexToAddress(pubKey); }
+      catch (_) { return res.status(400).json({ error: { message: 'Invalid public key' } }); }
+
+      if (!ownerChallengeCache.isReady) return res.status(503).json({ error: { message: 'Challenge service unavailable' } });
+      const challenge = await ownerChallengeCache.get(walletBindingService.challengeScope(userId), nonce);
+      if (!challenge) return res.status(400).json({ error: { message: 'Unknown or expired challenge' } });
+      const message = walletBindingService.bindingMessage(userId, address, challenge);
+      if (!BlockchainService.verifySignature(BlockchainService.computeSha256(message), signature, pubKey)) {
+        return res.status(403).json({ error: { message: 'Invalid wallet signature' } });
+      }
+      if (!(await ownerChallengeCache.consume(challenge.nonce))) {
+        return res.status(409).json({ error: { message: 'Challenge already used' } });
+      }
+
+      const wallet = await walletBindingService.bind(userId, { address, pubkey: pubKey, signature, nonce });
+      if (req.log) req.log.info({ message: 'Wallet bound', userId, address });
+      return res.status(201).json(wallet);
+    } catch (err) {
+      return next(err);
+    }
+  }
+
+  // GET /v1/me/wallets
+  async listWallets(req, res, next) {
+    try {
+      return res.json({ wallets: await walletBindingService.listWallets(req.auth.userId) });
+    } catch (err) {
+      return next(err);
+    }
+  }
+
+  // DELETE /v1/me/wallets/:address
+  async unbindWallet(req, res, next) {
+    try {
+      const removed = await walletBindingService.unbind(req.auth.userId, req.params.address);
+      if (!removed) return res.status(404).json({ error: { message: 'Address is not bound' } });
+      if (req.log) req.log.info({ message: 'Wallet unbound', userId: req.auth.userId, address: req.params.address });
+      return res.status(204).end();
+    } catch (err) {
+      return next(err);
+    }
+  }
+
+  // GET /v1/me/patches?cursor=&limit=
+  async listMyPatches(req, res, next) {
+    try {
+      const { cursor, limit } = req.query;
+      return res.json(await walletBindingService.listOwnedPatches(req.auth.userId, { cursor, limit }));
+    } catch (err) {
+      return next(err);
+    }
+  }
+}
+
+module.exports = new WalletController();
@@ -20,6 +20,8 @@ class AppError extends Error {
   class DataInconsistencyError extends AppError { constructor(message = 'Data inconsistency') { super(message, 500); } }
   class ServiceUnavailableError extends AppError { constructor(message = 'Service Unavailable') { super(message, 503); } }
   class InsufficientFundsError extends AppError { constructor(message = 'Insufficient funds') { super(message, 400); } }
+  // Anchored payload that is not a valid PatchProof envelope/record (services/recordEnvelope.js)
+  class RecordFormatError extends AppError { constructor(message = 'Invalid PatchProof record') { super(message, 422); } }
   
   
   // --- SVD-specific Errors ---
@@ -39,6 +41,7 @@ class AppError extends Error {
       DataInconsistencyError,
       ServiceUnavailableError,
       InsufficientFundsError,
+      RecordFormatError,
       SvdError,
       SvdReplayError,
       SvdExpiredError,
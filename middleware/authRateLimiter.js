@@ -135,6 +135,17 @@ module.exports = {
     standardHeaders: true,
     legacyHeaders: false,
   }),
+  // Owner signature challenges (POST /v1/patches/:uid_tag_id/challenge), per IP
+  ownerChallengeLimiter: rateLimit({
+    store: makeStore('rl:owner-challenge:'),
+    windowMs: parseInt(process.env.OWNER_CHALLENGE_WINDOW_MS, 10) || 60 * 1000,
+    max: parseInt(process.env.OWNER_CHALLENGE_MAX, 10) || 30,
+    message: 'Too many challenge requests. Please slow down.',
+    keyGenerator: (req) => req.ip,
+    handler: rateLimitExceededHandler,
+    standardHeaders: true,
+    legacyHeaders: false,
+  }),
   // Admin canary limiter (use IP-based key)
   svdCanaryLimiter: rateLimit({
     store: makeStore('rl:svd-canary:'),
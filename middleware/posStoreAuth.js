@@ -0,0 +1,46 @@
+// middleware/posStoreAuth.js
+// Per-store credentials for POS terminals. Each store has its own key (header `x-store-key`); the store a claim is
+// approved for is the one the key belongs to (req.posStore), so a terminal cannot act as another store and the
+// global API key is never handed to cashiers.
+//
+// POS_STORE_KEYS (secret): JSON { "<store>": "<sha256 hex of the store's key>" }
+const crypto = require('crypto');
+const logger = require('../logger');
+const { getSecret } = require('../secrets');
+
+function storeKeyHashes() {
+  const raw = getSecret('POS_STORE_KEYS');
+  if (!raw) return {};
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (e) {
+    logger.error({ message: '[POS] POS_STORE_KEYS is not valid JSON', error: e.message });
+    return {};
+  }
+}
+
+/** The store whose key matches, compared in constant time against every configured hash; null when none does. */
+function storeForKey(key) {
+  if (!key) return null;
+  const presented = crypto.createHash('sha256').update(String(key)).digest();
+  let store = null;
+  for (const [name, hash] of Object.entries(storeKeyHashes())) {
+    const expected = Buffer.from(String(hash), 'hex');
+    if (expected.length === presented.length && crypto.timingSafeEqual(expected, presented)) store = name;
+  }
+  return store;
+}
+
+function posStoreAuth(req, res, next) {
+  const store = storeForKey(req.header('x-store-key'));
+  if (!store) {
+    (req.log || logger).warn({ message: 'Unauthorized POS request: invalid store key', ip: req.ip, route: req.originalUrl });
+    return res.status(401).json({ error: { message: 'Invalid store key' } });
+  }
+  req.posStore = store;
+  return next();
+}
+
+module.exports = posStoreAuth;
+module.exports.storeForKey = storeForKey;
@@ -6,13 +6,27 @@ const Joi = require('joi');
 
 // Custom validation for a standard BSV address (basic P2PKH pattern).
 const bsvAddress = () => Joi.string().trim().min(25).max(35).pattern(/^[13][a-km-zA-HJ-NP-Z1-9]{24,34}$/);
+// MongoDB ObjectId as 24 hex chars
+const objectId = () => Joi.string().hex().length(24);
 
 // --- Patch Schemas ---
 
+// Cryptographic NFC tag bound to the patch at registration (services/nfcTagService.js)
+const sunOnly = (schema) => schema.when('scheme', { is: 'sun_cmac', then: Joi.required(), otherwise: Joi.forbidden() });
+const eccOnly = (schema) => schema.when('scheme', { is: 'ecc', then: Joi.required(), otherwise: Joi.forbidden() });
+const nfcTagSchema = Joi.object({
+  scheme: Joi.string().valid('sun_cmac', 'ecc').required(),
+  chipUid: sunOnly(Joi.string().hex().length(14)), // 7-byte chip UID
+  key: sunOnly(Joi.string().hex().length(32)), // AES-128 SDM file read key
+  curve: Joi.string().valid('secp256k1', 'p256').when('scheme', { is: 'ecc', then: Joi.optional().default('secp256k1'), otherwise: Joi.forbidden() }),
+  pubkey: eccOnly(Joi.string().hex({ byteAligned: true }).min(66).max(130)),
+});
+
 const registerPatchSchema = Joi.object({
   product: Joi.object({
     uid_tag_id: Joi.string().trim().max(128).required(),
     name: Joi.string().trim().max(256).optional(),
+    serial_number: Joi.string().trim().max(128).optional(),
   }).required(),
   metadata: Joi.object({
     notes: Joi.string().trim().max(4096).optional(),
@@ -21,21 +35,121 @@ const registerPatchSchema = Joi.object({
   auth: Joi.object({
     owner: bsvAddress().optional(),
   }).optional(),
+  tag: nfcTagSchema.optional(),
+});
+
+// Items are validated one by one against registerPatchSchema in the controller, so one bad item does not reject the run.
+const registerPatchBatchSchema = Joi.object({
+  items: Joi.array().items(Joi.object().unknown(true)).min(1)
+    .max(parseInt(process.env.PATCH_BATCH_MAX_ITEMS || '500', 10)).required(),
 });
 
+// Single-use challenge nonce from POST /v1/patches/:uid_tag_id/challenge, signed into owner messages
+const ownerNonce = () => Joi.string().hex().length(32);
+
 const transferOwnershipSchema = Joi.object({
   newOwnerAddress: bsvAddress().required(),
   currentOwnerSignature: Joi.string().hex().required(),
   currentOwnerPubKey: Joi.string().hex().required(),
+  nonce: ownerNonce().required(),
+  // Required when the txid is a Merkle batch anchor shared by several patches
+  uid_tag_id: Joi.string().trim().max(128).optional(),
 });
 
 const unlockContentSchema = Joi.object({
   ownerPubKey: Joi.string().hex().required(),
   ownerSignature: Joi.string().required(),
+  nonce: ownerNonce().required(),
   wrappedKeyB64: Joi.string().base64().optional(),
   wrapIvB64: Joi.string().base64().optional(),
   ciphertextB64: Joi.string().base64().optional(),
   cipherIvB64: Joi.string().base64().optional(),
+  contentId: Joi.string().hex().length(24).optional(),
+});
+
+// Issuer upload into the encrypted content vault
+const vaultContentUploadSchema = Joi.object({
+  name: Joi.string().min(1).max(200).required(),
+  contentType: Joi.string().max(100).default('application/octet-stream'),
+  dataB64: Joi.string().base64().min(1).required(),
+});
+
+// Owner-signed selective disclosure of committed fields (privacy mode)
+const committedFieldPath = () => Joi.string().pattern(/^(product|metadata)\.[A-Za-z0-9_-]+$/);
+
+const disclosureCreateSchema = Joi.object({
+  fields: Joi.array().items(committedFieldPath()).min(1).max(50).unique().required(),
+  ownerPubKey: Joi.string().hex().required(),
+  ownerSignature: Joi.string().hex().required(),
+  nonce: ownerNonce().required(),
+});
+
+// Owner-signed release authorizing a store to sell the patch via the POS claim flow
+const saleReleaseCreateSchema = Joi.object({
+  store: Joi.string().min(1).max(100).required(),
+  buyerAddress: bsvAddress().optional(),
+  validUntil: Joi.number().integer().positive().required(),
+  ownerPubKey: Joi.string().hex().required(),
+  ownerSignature: Joi.string().hex().required(),
+  nonce: ownerNonce().required(),
+});
+
+// Status events: owners report stolen/recover (signed); the issuer (admin) may also revoke and recall.
+// A revoke always carries one of these reason codes so verifiers can tell a suspected counterfeit from a destroyed patch.
+const REVOKE_REASONS = ['counterfeit_suspected', 'destroyed'];
+const statusReason = () => Joi.string().trim().min(1).max(200);
+
+const ownerStatusReportSchema = Joi.object({
+  event: Joi.string().valid('report_stolen', 'recover').required(),
+  reason: statusReason().optional(),
+  ownerPubKey: Joi.string().hex().required(),
+  ownerSignature: Joi.string().hex().required(),
+  nonce: ownerNonce().required(),
+});
+
+const issuerStatusEventSchema = Joi.object({
+  event: Joi.string().valid('report_stolen', 'recover', 'revoke', 'recall').required(),
+  reason: Joi.when('event', {
+    switch: [
+      { is: 'revoke', then: Joi.string().valid(...REVOKE_REASONS).required() },
+      { is: 'recall', then: statusReason().required() },
+    ],
+    otherwise: statusReason().optional(),
+  }),
+});
+
+const disclosureVerifySchema = Joi.object({
+  format: Joi.string().valid('patchproof-disclosure').required(),
+  version: Joi.number().integer().valid(1).required(),
+  uid_tag_id: Joi.string().max(128).required(),
+  commitments: Joi.object().required(),
+  fields: Joi.array().items(Joi.object({
+    path: committedFieldPath().required(),
+    value: Joi.any(),
+    salt: Joi.string().hex().required(),
+  })).min(1).max(50).required(),
+  anchor: Joi.object({ txid: Joi.string().hex().length(64).required() }).required(),
+}).unknown(true);
+
+// Wallet binding (POST /v1/me/wallets): pubKey signs bind_wallet for the caller and a /v1/me/wallets/challenge nonce
+const walletBindSchema = Joi.object({
+  pubKey: Joi.string().hex().required(),
+  signature: Joi.string().hex().required(),
+  nonce: ownerNonce().required(),
+});
+
+// Custodial wallets (/v1/me/custodial-wallet/*): the service signs with the user's KMS key
+const custodialClaimSchema = Joi.object({
+  uid: Joi.string().trim().min(3).max(128).required(),
+});
+
+const custodialTransferSchema = Joi.object({
+  uid_tag_id: Joi.string().trim().min(3).max(128).required(),
+  newOwnerAddress: bsvAddress().required(),
+});
+
+const custodialHandoverSchema = Joi.object({
+  address: bsvAddress().required(),
 });
 
 // --- General Parameter Schemas ---
@@ -48,6 +162,73 @@ const uidParamSchema = Joi.object({
   uid_tag_id: Joi.string().trim().min(3).max(128).required(),
 });
 
+// Tap from a cryptographic tag: tag_uid + tag_ctr + tag_cmac (SUN) or tag_msg + tag_sig (ECC)
+const verifyQuerySchema = Joi.object({
+  onchain: Joi.boolean().truthy('1').falsy('0').optional(),
+  tag_uid: Joi.string().hex().length(14).optional(),
+  tag_ctr: Joi.string().hex().length(6).optional(),
+  tag_cmac: Joi.string().hex().length(16).optional(),
+  tag_msg: Joi.string().hex({ byteAligned: true }).min(8).max(512).optional(),
+  tag_sig: Joi.string().hex({ byteAligned: true }).max(144).optional(),
+}).and('tag_uid', 'tag_ctr', 'tag_cmac').and('tag_msg', 'tag_sig');
+
+const walletAddressParamSchema = Joi.object({
+  address: bsvAddress().required(),
+});
+
+const myPatchesQuerySchema = Joi.object({
+  cursor: objectId().optional(),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+});
+
+const recordIdParamSchema = Joi.object({
+  id: objectId().required(),
+});
+
+const inclusionProofQuerySchema = Joi.object({
+  verify: Joi.boolean().truthy('1').falsy('0').default(false),
+});
+
+const historyQuerySchema = Joi.object({
+  cursor: Joi.string().trim().max(256).pattern(/^[A-Za-z0-9_-]+$/).optional(),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+});
+
+// --- Admin Schemas ---
+
+const keyIdentifier = () => Joi.string().trim().min(1).max(128).pattern(/^[A-Za-z0-9._:-]+$/);
+
+const issuerKeyRegisterSchema = Joi.object({
+  keyIdentifier: keyIdentifier().required(),
+  pubkeyHex: Joi.string().hex().length(66).optional(),
+  validFrom: Joi.date().iso().optional(),
+  validUntil: Joi.date().iso().when('validFrom', { is: Joi.exist(), then: Joi.date().greater(Joi.ref('validFrom')) }).optional(),
+  status: Joi.string().valid('active', 'retired').default('active'),
+});
+
+const issuerKeyParamSchema = Joi.object({
+  keyIdentifier: keyIdentifier().required(),
+});
+
+const issuerKeyRevokeSchema = Joi.object({
+  reason: Joi.string().trim().max(512).optional(),
+});
+
+const anchorBatchListQuerySchema = Joi.object({
+  status: Joi.string().valid('anchoring', 'anchored', 'failed').optional(),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+});
+
+const cloneSuspectQuerySchema = Joi.object({
+  since: Joi.date().iso().optional(),
+  minScore: Joi.number().integer().min(0).max(100).optional(),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+});
+
+const anchorBatchParamSchema = Joi.object({
+  id: objectId().required(),
+});
+
 // --- Auth Schemas ---
 
 const requestVerificationSchema = Joi.object({
@@ -60,7 +241,6 @@ const submitVerificationSchema = Joi.object({
 });
 
 // --- SVD Schemas ---
-const objectId = () => Joi.string().hex().length(24);
 
 const svdRegisterSchema = Joi.object({
   userId: objectId().required(),
@@ -83,11 +263,36 @@ const svdCompleteSchema = Joi.object({
 module.exports = {
   // Patch
   registerPatchSchema,
+  registerPatchBatchSchema,
+  nfcTagSchema,
   transferOwnershipSchema,
   unlockContentSchema,
+  vaultContentUploadSchema,
+  disclosureCreateSchema,
+  saleReleaseCreateSchema,
+  ownerStatusReportSchema,
+  issuerStatusEventSchema,
+  disclosureVerifySchema,
+  walletBindSchema,
+  custodialClaimSchema,
+  custodialTransferSchema,
+  custodialHandoverSchema,
   // Params
   txidParamSchema,
   uidParamSchema,
+  verifyQuerySchema,
+  historyQuerySchema,
+  walletAddressParamSchema,
+  myPatchesQuerySchema,
+  recordIdParamSchema,
+  inclusionProofQuerySchema,
+  // Admin
+  issuerKeyRegisterSchema,
+  issuerKeyParamSchema,
+  issuerKeyRevokeSchema,
+  anchorBatchListQuerySchema,
+  cloneSuspectQuerySchema,
+  anchorBatchParamSchema,
   // Auth
   requestVerificationSchema,
   submitVerificationSchema,
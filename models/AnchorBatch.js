@@ -0,0 +1,34 @@
+// models/AnchorBatch.js
+const mongoose = require('mongoose');
+
+// One Merkle batch anchored by a `batch` envelope carrying merkle_root (services/batchAnchorService.js).
+// `members` keeps the leaf order, so a `failed` batch can be re-anchored with the same root.
+const AnchorBatchSchema = new mongoose.Schema(
+  {
+    merkle_root: { type: String, required: true }, // hex
+    // Leaf preimage: canonical JSON of record_data (envelope v1); 'json' = JSON.stringify of batches built before v1
+    leaf_encoding: { type: String, enum: ['json', 'canonical-json'], default: 'json' },
+    members: {
+      type: [{
+        record_id: { type: mongoose.Schema.Types.ObjectId, ref: 'AuthenticationRecord', required: true },
+        leaf_hash: { type: String, required: true }, // SHA-256 of record_data under leaf_encoding
+        _id: false,
+      }],
+      required: true,
+    },
+    size: { type: Number, required: true },
+    // anchoring (claimed / broadcast in flight) -> anchored | failed (re-anchorable)
+    status: { type: String, enum: ['anchoring', 'anchored', 'failed'], required: true, default: 'anchoring', index: true },
+    // What closed the batch: size threshold, max latency, manual run or a batch registration request
+    trigger: { type: String, enum: ['size', 'latency', 'manual', 'registration'], required: true },
+    txid: { type: String, default: null, index: true },
+    attempts: { type: Number, default: 0 },
+    error: { type: String, default: null },
+    anchored_at: { type: Date, default: null },
+  },
+  { timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' } }
+);
+
+AnchorBatchSchema.index({ 'members.record_id': 1 });
+
+module.exports = mongoose.model('AnchorBatch', AnchorBatchSchema);
@@ -9,6 +9,7 @@ const RecordDataSchema = new mongoose.Schema({
     type: {
       uid_tag_id: { type: String, required: true },
       name: String,
+      serial_number: String,
       // Add other known product fields here
     },
     required: true,
@@ -23,16 +24,65 @@ const RecordDataSchema = new mongoose.Schema({
     default: {},
     _id: false,
   },
+  // Privacy mode: salted commitments published instead of the cleartext product/metadata fields
+  // (services/fieldCommitments.js); absent on public records
+  commitments: {
+    type: {
+      scheme: String,
+      fields: [{ path: String, digest: String, _id: false }],
+    },
+    default: undefined,
+    _id: false,
+  },
+  // Status events (type STATUS): stolen/recovered/revoked/recalled, chained through prev_status_txid
+  // (services/patchStatusService.js); absent on custody records
+  status: {
+    type: {
+      event: String,
+      state: String,
+      reason: String,
+      ref_txid: String, // custody record (PatchState.current_txid) the event applies to
+      prev_status_txid: String,
+    },
+    default: undefined,
+    _id: false,
+  },
   auth: {
     type: {
       owner: { type: String, index: true },
       issuer_signature: { type: String, required: true },
       issuer_pubkey: { type: String, required: true },
+      issuer_key_id: String,
       ts: { type: Number, required: true },
       txid: String,
       merkleRoot: String,
       merklePath: [String],
       anchorTxid: String,
+      // Owner-reported status events: the owner's signature over the challenge-bound message
+      reported_by: String,
+      current_owner_pubkey: String,
+      current_owner_signature: String,
+      challenge_nonce: String,
+      challenge_expires_at: Number,
+      // POS claims: server-authorized transfers record who approved them and the owner they replaced
+      previous_owner: String,
+      pos_approved_by: String,
+      pos_store: String,
+      // Owner-signed sale release the POS claim consumed (absent for store-custody claims)
+      sale_release: {
+        type: {
+          id: String,
+          pubkey: String,
+          signature: String,
+          store: String,
+          buyerAddress: String,
+          validUntil: Number,
+          nonce: String,
+          expires_at: Number,
+        },
+        default: undefined,
+        _id: false,
+      },
     },
     required: true,
     _id: false,
@@ -53,11 +103,11 @@ const AuthenticationRecordSchema = new mongoose.Schema(
       required: true,
       // Covered by compound index below
     },
-    // Distinguish registration vs transfer events
+    // Distinguish registration vs transfer events; STATUS events sit beside the custody chain
     type: {
       type: String,
       required: true,
-      enum: ['REGISTRATION', 'TRANSFER'],
+      enum: ['REGISTRATION', 'TRANSFER', 'STATUS'],
       index: true,
     },
     // For transfers, link to previous record's txid
@@ -70,19 +120,102 @@ const AuthenticationRecordSchema = new mongoose.Schema(
     status: {
       type: String,
       required: true,
-      enum: ['pending', 'confirmed', 'failed'],
+      // 'anchoring': claimed by a Merkle batch whose anchor tx is in flight (or failed and awaiting re-anchor)
+      enum: ['pending', 'anchoring', 'confirmed', 'failed'],
       default: 'pending',
       index: true,
     },
+    // 'batch': registration waits for the scheduled Merkle batch anchor instead of its own tx
+    anchor_mode: {
+      type: String,
+      enum: ['single', 'batch'],
+      default: 'single',
+    },
+    // AnchorBatch that committed (or is committing) this record
+    batch_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AnchorBatch',
+      default: null,
+      index: true,
+    },
     // Store the well-defined record data.
     record_data: {
       type: RecordDataSchema,
       required: true,
     },
+    // Chain progress of a confirmed record's tx, maintained by the confirmation tracker:
+    // broadcast (accepted, unmined) -> mined (in a block) -> final (CONFIRMATION_FINALITY_DEPTH deep).
+    // 'dropped' marks a tx that vanished but could not be re-queued automatically.
+    chain_status: {
+      type: String,
+      enum: ['broadcast', 'mined', 'final', 'dropped'],
+      default: null,
+    },
     block_height: {
       type: Number,
       default: null,
     },
+    block_hash: {
+      type: String,
+      default: null,
+    },
+    broadcast_at: {
+      type: Date,
+      default: null,
+    },
+    chain_checked_at: {
+      type: Date,
+      default: null,
+    },
+    // First time the tracker could not find the tx; cleared when it reappears
+    chain_missing_since: {
+      type: Date,
+      default: null,
+    },
+    // Txids of earlier broadcasts of this record that were dropped or reorged out
+    dropped_txids: {
+      type: [String],
+      default: undefined,
+    },
+    // Privacy mode: cleartext and salt of every committed field. Never anchored and not selected by default;
+    // read only to build an owner's selective disclosure (services/disclosureService.js).
+    field_openings: {
+      type: [{ path: String, value: mongoose.Schema.Types.Mixed, salt: String, _id: false }],
+      default: undefined,
+      select: false,
+    },
+    // SHA-256 (hex) of the OP_RETURN data actually broadcast; used by on-chain verification
+    data_sha256: {
+      type: String,
+      default: null,
+    },
+    // On-chain ownership output created by this record's tx; the next transfer must spend it
+    ownership_output: {
+      type: {
+        vout: Number,
+        satoshis: Number,
+        scriptPubKey: String,
+        keyIdentifier: String,
+      },
+      default: null,
+      _id: false,
+    },
+    // Tx broadcast for a pending record before it was confirmed; a retried job confirms this tx instead of
+    // broadcasting (and spending the ownership output) again
+    broadcast_result: {
+      type: {
+        txid: String,
+        data_sha256: String,
+        ownership_output: {
+          vout: Number,
+          satoshis: Number,
+          scriptPubKey: String,
+          keyIdentifier: String,
+        },
+      },
+      default: null,
+      _id: false,
+    },
     failure_reason: {
       type: String,
     },
@@ -101,5 +234,11 @@ const AuthenticationRecordSchema = new mongoose.Schema(
 // Additional indexes for common access patterns
 AuthenticationRecordSchema.index({ uid_tag_id: 1, created_at: -1 });
 AuthenticationRecordSchema.index({ created_at: -1 });
+// Confirmation tracker: least recently checked unsettled records first
+AuthenticationRecordSchema.index({ status: 1, chain_status: 1, chain_checked_at: 1 });
+// Batch anchor scheduler: oldest queued records first
+AuthenticationRecordSchema.index({ status: 1, anchor_mode: 1, created_at: 1 });
+// Batch-anchored records by their shared anchor tx
+AuthenticationRecordSchema.index({ 'record_data.auth.anchorTxid': 1 }, { sparse: true });
 
 module.exports = mongoose.model('AuthenticationRecord', AuthenticationRecordSchema);
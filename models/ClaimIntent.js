@@ -22,6 +22,11 @@ const ClaimIntentSchema = new mongoose.Schema(
     approvedBy: { type: String, default: null },
     approved_at: { type: Date, default: null },
 
+    // What authorized taking the patch from its owner: an owner-signed sale release or the store's custody policy
+    store: { type: String, default: null },
+    authorization: { type: String, enum: ['owner_release', 'store_policy', null], default: null },
+    release_id: { type: String, default: null },
+
     // Transfer linkage
     transfer_pending_id: { type: String, default: null },
     txid: { type: String, default: null },
@@ -0,0 +1,20 @@
+// models/CustodialWallet.js
+const mongoose = require('mongoose');
+
+// Service-held owner key for a logged-in user without a wallet of their own (services/custodialWalletService.js).
+// The private key lives in the KMS under key_identifier; after a handover the user's patches move to handover_address
+// and the key signs nothing further.
+const CustodialWalletSchema = new mongoose.Schema(
+  {
+    user_id: { type: String, required: true, unique: true },
+    key_identifier: { type: String, required: true, unique: true },
+    pubkey: { type: String, required: true },
+    address: { type: String, required: true, index: true },
+    status: { type: String, enum: ['active', 'handed_over'], default: 'active' },
+    handover_address: { type: String, default: null },
+    handed_over_at: { type: Date, default: null },
+  },
+  { timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' } }
+);
+
+module.exports = mongoose.model('CustodialWallet', CustodialWalletSchema);
@@ -0,0 +1,19 @@
+// models/IssuerKey.js
+const mongoose = require('mongoose');
+
+// Registry of KMS issuer keys. At most one key is `active` (used for new registrations); `retired` keys still
+// verify records signed inside their validity window; `revoked` keys verify nothing.
+const IssuerKeySchema = new mongoose.Schema(
+  {
+    key_id: { type: String, required: true, unique: true }, // KMS keyIdentifier
+    pubkey: { type: String, required: true, unique: true }, // compressed hex
+    status: { type: String, enum: ['active', 'retired', 'revoked'], required: true, index: true },
+    valid_from: { type: Date, required: true },
+    valid_until: { type: Date, default: null }, // exclusive; null = open-ended
+    revoked_at: { type: Date, default: null },
+    revocation_reason: { type: String, default: null },
+  },
+  { timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' } }
+);
+
+module.exports = mongoose.model('IssuerKey', IssuerKeySchema);
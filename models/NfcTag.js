@@ -0,0 +1,24 @@
+// models/NfcTag.js
+const mongoose = require('mongoose');
+
+// Cryptographic NFC tag bound to a patch at registration (services/nfcTagService.js): an NTAG 424 DNA-style SUN tag
+// (per-tag AES-128 SDM key, stored AES-GCM wrapped under MASTER_SECRET) or an ECC tag that signs a counter-prefixed
+// message. last_counter only moves forward, so a copied tag URL or signature verifies once.
+const NfcTagSchema = new mongoose.Schema(
+  {
+    uid_tag_id: { type: String, required: true, unique: true },
+    scheme: { type: String, enum: ['sun_cmac', 'ecc'], required: true },
+    // sun_cmac
+    chip_uid: { type: String, default: null }, // 7-byte chip UID, hex (lowercase)
+    wrapped_key: { type: String, default: null }, // base64: ciphertext || tag
+    wrap_iv: { type: String, default: null }, // base64
+    // ecc
+    curve: { type: String, enum: ['secp256k1', 'p256', null], default: null },
+    pubkey: { type: String, default: null }, // hex, compressed or uncompressed
+    last_counter: { type: Number, default: -1 },
+    last_verified_at: { type: Date, default: null },
+  },
+  { timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' } }
+);
+
+module.exports = mongoose.model('NfcTag', NfcTagSchema);
@@ -8,17 +8,41 @@ const PatchStateSchema = new mongoose.Schema(
       required: true,
       unique: true, // unique index implicitly created
     },
-    // Transaction ID representing the current UTXO/state
+    // Transaction ID representing the current UTXO/state. Not unique: a Merkle batch anchor tx is the current txid
+    // of every patch it registered until each is transferred (scripts/db/ensure-indexes.js drops the old unique index).
     current_txid: {
       type: String,
       required: true,
-      unique: true,
+      index: true,
     },
     current_owner_address: {
       type: String,
       required: true,
       index: true,
     },
+    // Output index of the ownership output in current_txid (null for legacy, unlinked states)
+    current_ownership_vout: {
+      type: Number,
+      default: null,
+    },
+    // Latest confirmed status event (services/patchStatusService.js); transfers and POS claims are blocked unless 'active'
+    status: {
+      type: String,
+      enum: ['active', 'stolen', 'revoked', 'recalled'],
+      default: 'active',
+    },
+    status_txid: {
+      type: String,
+      default: null,
+    },
+    status_reason: {
+      type: String,
+      default: null,
+    },
+    status_updated_at: {
+      type: Date,
+      default: null,
+    },
   },
   {
     // Enable full timestamps and optimistic concurrency control
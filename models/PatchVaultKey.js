@@ -0,0 +1,21 @@
+// models/PatchVaultKey.js
+const mongoose = require('mongoose');
+
+// Per-patch data key of the content vault (services/contentVaultService.js), AES-GCM wrapped under a key derived
+// from MASTER_SECRET, the uid_tag_id and the owner it is wrapped for. Re-wrapped on every ownership transfer.
+const PatchVaultKeySchema = new mongoose.Schema(
+  {
+    uid_tag_id: { type: String, required: true, unique: true },
+    wrapped_key: { type: String, required: true }, // base64: ciphertext || tag
+    wrap_iv: { type: String, required: true }, // base64
+    owner_address: { type: String, required: true }, // owner the key is currently wrapped for
+    key_epoch: { type: Number, default: 0 }, // incremented on every re-wrap
+    rewrapped_at: { type: Date, default: null },
+    // Set when the re-wrap after a transfer failed; cleared by the next successful re-wrap (retried on vault access)
+    rewrap_pending: { type: Boolean, default: false },
+    rewrap_error: { type: String, default: null },
+  },
+  { timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' } }
+);
+
+module.exports = mongoose.model('PatchVaultKey', PatchVaultKeySchema);
@@ -0,0 +1,26 @@
+// models/SaleRelease.js
+const mongoose = require('mongoose');
+
+// Owner-signed, time-bounded authorization for a store to sell a patch through the POS claim flow
+// (services/saleReleaseService.js). Bound to the patch state it was signed for; consumed by one approved claim.
+const SaleReleaseSchema = new mongoose.Schema(
+  {
+    uid_tag_id: { type: String, required: true, index: true },
+    current_txid: { type: String, required: true }, // patch state the owner signed for
+    owner_address: { type: String, required: true },
+    owner_pubkey: { type: String, required: true },
+    signature: { type: String, required: true }, // DER hex over the release_for_sale message
+    store: { type: String, required: true }, // store allowed to approve the claim
+    buyer_address: { type: String, default: null }, // null = any buyer
+    valid_until: { type: Number, required: true }, // epoch ms
+    // Owner challenge signed into the message (services/ownerChallengeCacheRedis.js)
+    nonce: { type: String, required: true },
+    nonce_expires_at: { type: Number, required: true },
+    status: { type: String, enum: ['active', 'consumed'], default: 'active', index: true },
+    consumed_by_intent: { type: String, default: null },
+    consumed_at: { type: Date, default: null },
+  },
+  { timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' } }
+);
+
+module.exports = mongoose.model('SaleRelease', SaleReleaseSchema);
@@ -0,0 +1,33 @@
+// models/ScanEvent.js
+const mongoose = require('mongoose');
+
+const retentionDays = parseInt(process.env.SCAN_RETENTION_DAYS || '90', 10) || 90;
+
+// One verification scan of a registered patch (services/scanLedgerService.js). Geo is coarse (edge geo headers,
+// coordinates rounded to 0.1 degree) and the IP is only kept as a keyed hash. Expires after SCAN_RETENTION_DAYS.
+const ScanEventSchema = new mongoose.Schema(
+  {
+    uid_tag_id: { type: String, required: true },
+    scanned_at: { type: Date, default: Date.now, index: { expires: `${retentionDays}d` } },
+    geo: {
+      country: { type: String, default: null },
+      region: { type: String, default: null },
+      city: { type: String, default: null },
+      lat: { type: Number, default: null },
+      lon: { type: Number, default: null },
+    },
+    ip_hash: { type: String, default: null }, // HMAC-SHA256 under a MASTER_SECRET-derived key
+    user_agent: { type: String, default: null },
+    tag_counter: { type: Number, default: null },
+    tag_genuine: { type: Boolean, default: null },
+    tag_reason: { type: String, default: null },
+    flags: { type: [String], default: [] }, // impossible_travel | scan_burst | duplicate_counter | tag_invalid
+    risk_score: { type: Number, default: 0 },
+  },
+  { versionKey: false }
+);
+
+ScanEventSchema.index({ uid_tag_id: 1, scanned_at: -1 });
+ScanEventSchema.index({ risk_score: 1, scanned_at: -1 });
+
+module.exports = mongoose.model('ScanEvent', ScanEventSchema);
@@ -0,0 +1,19 @@
+// models/VaultContent.js
+const mongoose = require('mongoose');
+
+// Private content uploaded by the issuer for a patch (manuals, warranty documents, digital twins), encrypted with
+// the patch's vault data key (models/PatchVaultKey.js). Only the current owner can have it decrypted.
+const VaultContentSchema = new mongoose.Schema(
+  {
+    uid_tag_id: { type: String, required: true, index: true },
+    name: { type: String, required: true },
+    content_type: { type: String, required: true },
+    size: { type: Number, required: true }, // plaintext bytes
+    sha256: { type: String, required: true }, // hex, of the plaintext
+    iv: { type: String, required: true }, // base64
+    ciphertext: { type: Buffer, required: true, select: false }, // ciphertext || tag; AAD = uid_tag_id|content id
+  },
+  { timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' } }
+);
+
+module.exports = mongoose.model('VaultContent', VaultContentSchema);
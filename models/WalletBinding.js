@@ -0,0 +1,20 @@
+// models/WalletBinding.js
+const mongoose = require('mongoose');
+
+// An owner address a logged-in user (SVD userId or email `sub`) proved control of by signing a single-use challenge
+// (services/walletBindingService.js). GET /v1/me/patches lists the patches currently owned by the user's addresses.
+const WalletBindingSchema = new mongoose.Schema(
+  {
+    user_id: { type: String, required: true },
+    address: { type: String, required: true },
+    pubkey: { type: String, required: true }, // hex public key that signed the binding
+    signature: { type: String, required: true }, // DER hex over the bind_wallet message
+    nonce: { type: String, required: true },
+  },
+  { timestamps: { createdAt: 'bound_at', updatedAt: 'updated_at' } }
+);
+
+WalletBindingSchema.index({ user_id: 1, address: 1 }, { unique: true });
+WalletBindingSchema.index({ address: 1 });
+
+module.exports = mongoose.model('WalletBinding', WalletBindingSchema);
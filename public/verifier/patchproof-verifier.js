@@ -0,0 +1,1050 @@
+// public/verifier/patchproof-verifier.js
+// Offline verifier for PatchProof proof bundles (GET /v1/patches/:uid_tag_id/proof).
+//
+// Dependency-free: runs in Node (`require`) and in browsers (<script> exposes `PatchProofVerifier`).
+// It never talks to the network; everything it checks comes from the bundle itself:
+// - raw transactions hash to the txids the records claim
+// - OP_RETURN payloads match the records (or, for batch anchors, the Merkle path folds to the anchored root);
+//   both the versioned PatchProof envelope (services/recordEnvelope.js) and legacy v0 payloads are read
+// - issuer signature over the registration message, owner signatures / POS approvals on transfers
+// - custody linkage (previous_txid, spent ownership outputs)
+// - SPV: tx Merkle proofs against 80-byte block headers, header proof-of-work, optional trusted block hashes
+// - optionally, issuer keys against a signed trust list (GET /.well-known/patchproof-issuers.json) and a pinned root key
+// verifyInclusionProof() checks a single record's batch inclusion proof (GET /v1/records/:id/inclusion-proof);
+// verifyDisclosure() checks fields revealed from a privacy-mode record against its anchored commitments.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.PatchProofVerifier = factory();
+}(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  // --- Byte helpers ---
+  function hexToBytes(hex) {
+    if (typeof hex !== 'string' || hex.length % 2 !== 0 || /[^0-9a-f]/i.test(hex)) throw new Error('invalid hex');
+    const out = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < out.length; i++) out[i] = parseInt(hex.substr(i * 2, 2), 16);
+    return out;
+  }
+  function bytesToHex(bytes) {
+    let s = '';
+    for (let i = 0; i < bytes.length; i++) s += (bytes[i] < 16 ? '0' : '') + bytes[i].toString(16);
+    return s;
+  }
+  function concat(a, b) {
+    const out = new Uint8Array(a.length + b.length);
+    out.set(a, 0);
+    out.set(b, a.length);
+    return out;
+  }
+  function reverse(bytes) { return Uint8Array.from(bytes).reverse(); }
+  function utf8(str) { return new TextEncoder().encode(str); }
+  function utf8Decode(bytes) { return new TextDecoder().decode(bytes); }
+  function bytesEqual(a, b) {
+    if (a.length !== b.length) return false;
+    for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) return false;
+    return true;
+  }
+
+  // --- SHA-256 ---
+  const K256 = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+  ]);
+
+  function sha256(msg) {
+    const bitLen = msg.length * 8;
+    const padded = new Uint8Array(((msg.length + 9 + 63) >> 6) << 6);
+    padded.set(msg);
+    padded[msg.length] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(padded.length - 8, Math.floor(bitLen / 0x100000000));
+    view.setUint32(padded.length - 4, bitLen >>> 0);
+    const h = new Uint32Array([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]);
+    const w = new Uint32Array(64);
+    const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+    for (let off = 0; off < padded.length; off += 64) {
+      for (let i = 0; i < 16; i++) w[i] = view.getUint32(off + i * 4);
+      for (let i = 16; i < 64; i++) {
+        const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+        const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+        w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+      }
+      let [a, b, c, d, e, f, g, hh] = h;
+      for (let i = 0; i < 64; i++) {
+        const S1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+        const ch = (e & f) ^ (~e & g);
+        const t1 = (hh + S1 + ch + K256[i] + w[i]) >>> 0;
+        const S0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+        const maj = (a & b) ^ (a & c) ^ (b & c);
+        const t2 = (S0 + maj) >>> 0;
+        hh = g; g = f; f = e; e = (d + t1) >>> 0;
+        d = c; c = b; b = a; a = (t1 + t2) >>> 0;
+      }
+      h[0] += a; h[1] += b; h[2] += c; h[3] += d; h[4] += e; h[5] += f; h[6] += g; h[7] += hh;
+    }
+    const out = new Uint8Array(32);
+    const ov = new DataView(out.buffer);
+    for (let i = 0; i < 8; i++) ov.setUint32(i * 4, h[i]);
+    return out;
+  }
+  function sha256d(msg) { return sha256(sha256(msg)); }
+
+  // --- RIPEMD-160 (for pubkey -> address hash) ---
+  const RL = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 7, 4, 13, 1, 10, 6, 15, 3, 12, 0, 9, 5, 2, 14, 11, 8,
+    3, 10, 14, 4, 9, 15, 8, 1, 2, 7, 0, 6, 13, 11, 5, 12, 1, 9, 11, 10, 0, 8, 12, 4, 13, 3, 7, 15, 14, 5, 6, 2,
+    4, 0, 5, 9, 7, 12, 2, 10, 14, 1, 3, 8, 11, 6, 15, 13];
+  const RR = [5, 14, 7, 0, 9, 2, 11, 4, 13, 6, 15, 8, 1, 10, 3, 12, 6, 11, 3, 7, 0, 13, 5, 10, 14, 15, 8, 12, 4, 9, 1, 2,
+    15, 5, 1, 3, 7, 14, 6, 9, 11, 8, 12, 2, 10, 0, 4, 13, 8, 6, 4, 1, 3, 11, 15, 0, 5, 12, 2, 13, 9, 7, 10, 14,
+    12, 15, 10, 4, 1, 5, 8, 7, 6, 2, 13, 14, 0, 3, 9, 11];
+  const SL = [11, 14, 15, 12, 5, 8, 7, 9, 11, 13, 14, 15, 6, 7, 9, 8, 7, 6, 8, 13, 11, 9, 7, 15, 7, 12, 15, 9, 11, 7, 13, 12,
+    11, 13, 6, 7, 14, 9, 13, 15, 14, 8, 13, 6, 5, 12, 7, 5, 11, 12, 14, 15, 14, 15, 9, 8, 9, 14, 5, 6, 8, 6, 5, 12,
+    9, 15, 5, 11, 6, 8, 13, 12, 5, 12, 13, 14, 11, 8, 5, 6];
+  const SR = [8, 9, 9, 11, 13, 15, 15, 5, 7, 7, 8, 11, 14, 14, 12, 6, 9, 13, 15, 7, 12, 8, 9, 11, 7, 7, 12, 7, 6, 15, 13, 11,
+    9, 7, 15, 11, 8, 6, 6, 14, 12, 13, 5, 14, 13, 13, 7, 5, 15, 5, 8, 11, 14, 14, 6, 14, 6, 9, 12, 9, 12, 5, 15, 8,
+    8, 5, 12, 9, 12, 5, 14, 6, 8, 13, 6, 5, 15, 13, 11, 11];
+  const KL = [0x00000000, 0x5a827999, 0x6ed9eba1, 0x8f1bbcdc, 0xa953fd4e];
+  const KR = [0x50a28be6, 0x5c4dd124, 0x6d703ef3, 0x7a6d76e9, 0x00000000];
+
+  function ripemd160(msg) {
+    const bitLen = msg.length * 8;
+    const padded = new Uint8Array(((msg.length + 9 + 63) >> 6) << 6);
+    padded.set(msg);
+    padded[msg.length] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(padded.length - 8, bitLen >>> 0, true);
+    view.setUint32(padded.length - 4, Math.floor(bitLen / 0x100000000), true);
+    const h = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0];
+    const rotl = (x, n) => (x << n) | (x >>> (32 - n));
+    const f = (j, x, y, z) => {
+      if (j < 16) return x ^ y ^ z;
+      if (j < 32) return (x & y) | (~x & z);
+      if (j < 48) return (x | ~y) ^ z;
+      if (j < 64) return (x & z) | (y & ~z);
+      return x ^ (y | ~z);
+    };
+    const x = new Array(16);
+    for (let off = 0; off < padded.length; off += 64) {
+      for (let i = 0; i < 16; i++) x[i] = view.getUint32(off + i * 4, true);
+      let [al, bl, cl, dl, el] = h;
+      let [ar, br, cr, dr, er] = h;
+      for (let j = 0; j < 80; j++) {
+        const r = j >> 4;
+        let t = (rotl((al + f(j, bl, cl, dl) + x[RL[j]] + KL[r]) | 0, SL[j]) + el) | 0;
+        al = el; el = dl; dl = rotl(cl, 10); cl = bl; bl = t;
+        t = (rotl((ar + f(79 - j, br, cr, dr) + x[RR[j]] + KR[r]) | 0, SR[j]) + er) | 0;
+        ar = er; er = dr; dr = rotl(cr, 10); cr = br; br = t;
+      }
+      const t = (h[1] + cl + dr) | 0;
+      h[1] = (h[2] + dl + er) | 0;
+      h[2] = (h[3] + el + ar) | 0;
+      h[3] = (h[4] + al + br) | 0;
+      h[4] = (h[0] + bl + cr) | 0;
+      h[0] = t;
+    }
+    const out = new Uint8Array(20);
+    const ov = new DataView(out.buffer);
+    for (let i = 0; i < 5; i++) ov.setUint32(i * 4, h[i], true);
+    return out;
+  }
+
+  // --- Base58Check (addresses) ---
+  const B58 = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+  function base58CheckDecode(str) {
+    let n = 0n;
+    for (const ch of str) {
+      const v = B58.indexOf(ch);
+      if (v < 0) throw new Error('invalid base58');
+      n = n * 58n + BigInt(v);
+    }
+    let hex = n.toString(16);
+    if (hex.length % 2) hex = '0' + hex;
+    let leading = 0;
+    while (leading < str.length && str[leading] === '1') leading++;
+    const bytes = concat(new Uint8Array(leading), n === 0n ? new Uint8Array(0) : hexToBytes(hex));
+    const payload = bytes.slice(0, -4);
+    if (!bytesEqual(sha256d(payload).slice(0, 4), bytes.slice(-4))) throw new Error('bad address checksum');
+    return payload;
+  }
+  function addressHash160(address) {
+    const payload = base58CheckDecode(address);
+    if (payload.length !== 21) throw new Error('unsupported address');
+    return payload.slice(1);
+  }
+
+  // --- secp256k1 ECDSA verification ---
+  const P = 0xfffffffffffffffffffffffffffffffffffffffffffffffffffffffefffffc2fn;
+  const N = 0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141n;
+  const GX = 0x79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798n;
+  const GY = 0x483ada7726a3c4655da4fbfc0e1108a8fd17b448a68554199c47d08ffb10d4b8n;
+
+  const mod = (a, m) => { const r = a % m; return r >= 0n ? r : r + m; };
+  function modPow(base, exp, m) {
+    let result = 1n;
+    let b = mod(base, m);
+    let e = exp;
+    while (e > 0n) {
+      if (e & 1n) result = (result * b) % m;
+      b = (b * b) % m;
+      e >>= 1n;
+    }
+    return result;
+  }
+  const modInv = (a, m) => modPow(a, m - 2n, m);
+
+  // Jacobian coordinates [X, Y, Z]; Z = 0 is the point at infinity.
+  function jDouble([x, y, z]) {
+    if (z === 0n || y === 0n) return [0n, 1n, 0n];
+    const ysq = mod(y * y, P);
+    const s = mod(4n * x * ysq, P);
+    const m = mod(3n * x * x, P);
+    const nx = mod(m * m - 2n * s, P);
+    const ny = mod(m * (s - nx) - 8n * ysq * ysq, P);
+    const nz = mod(2n * y * z, P);
+    return [nx, ny, nz];
+  }
+  function jAdd(p, q) {
+    if (p[2] === 0n) return q;
+    if (q[2] === 0n) return p;
+    const z1z1 = mod(p[2] * p[2], P);
+    const z2z2 = mod(q[2] * q[2], P);
+    const u1 = mod(p[0] * z2z2, P);
+    const u2 = mod(q[0] * z1z1, P);
+    const s1 = mod(p[1] * q[2] * z2z2, P);
+    const s2 = mod(q[1] * p[2] * z1z1, P);
+    if (u1 === u2) return s1 === s2 ? jDouble(p) : [0n, 1n, 0n];
+    const h = mod(u2 - u1, P);
+    const r = mod(s2 - s1, P);
+    const h2 = mod(h * h, P);
+    const h3 = mod(h * h2, P);
+    const nx = mod(r * r - h3 - 2n * u1 * h2, P);
+    const ny = mod(r * (u1 * h2 - nx) - s1 * h3, P);
+    const nz = mod(h * p[2] * q[2], P);
+    return [nx, ny, nz];
+  }
+  function jMul(point, k) {
+    let acc = [0n, 1n, 0n];
+    let addend = point;
+    let e = k;
+    while (e > 0n) {
+      if (e & 1n) acc = jAdd(acc, addend);
+      addend = jDouble(addend);
+      e >>= 1n;
+    }
+    return acc;
+  }
+  function affineX([x, , z]) {
+    const zinv = modInv(z, P);
+    return mod(x * zinv * zinv, P);
+  }
+
+  function bytesToBigInt(bytes) { return bytes.length ? BigInt('0x' + bytesToHex(bytes)) : 0n; }
+
+  function decodePublicKey(bytes) {
+    if (bytes.length === 65 && bytes[0] === 0x04) {
+      return [bytesToBigInt(bytes.slice(1, 33)), bytesToBigInt(bytes.slice(33)), 1n];
+    }
+    if (bytes.length === 33 && (bytes[0] === 0x02 || bytes[0] === 0x03)) {
+      const x = bytesToBigInt(bytes.slice(1));
+      let y = modPow(mod(x * x * x + 7n, P), (P + 1n) / 4n, P);
+      if (mod(y * y, P) !== mod(x * x * x + 7n, P)) throw new Error('invalid public key');
+      if ((y & 1n) !== BigInt(bytes[0] & 1)) y = P - y;
+      return [x, y, 1n];
+    }
+    throw new Error('invalid public key');
+  }
+
+  function decodeDer(bytes) {
+    let i = 0;
+    if (bytes[i++] !== 0x30) throw new Error('invalid DER signature');
+    i++; // total length
+    if (bytes[i++] !== 0x02) throw new Error('invalid DER signature');
+    const rLen = bytes[i++];
+    const r = bytesToBigInt(bytes.slice(i, i + rLen)); i += rLen;
+    if (bytes[i++] !== 0x02) throw new Error('invalid DER signature');
+    const sLen = bytes[i++];
+    const s = bytesToBigInt(bytes.slice(i, i + sLen));
+    return { r, s };
+  }
+
+  // Matches services/blockchainService.verifySignature: the 32-byte digest is read little-endian.
+  function verifyEcdsa(digest, signatureHex, pubKeyHex) {
+    try {
+      const { r, s } = decodeDer(hexToBytes(signatureHex));
+      if (r <= 0n || r >= N || s <= 0n || s >= N) return false;
+      const q = decodePublicKey(hexToBytes(pubKeyHex));
+      const e = bytesToBigInt(reverse(digest));
+      const w = modInv(s, N);
+      const point = jAdd(jMul([GX, GY, 1n], mod(e * w, N)), jMul(q, mod(r * w, N)));
+      if (point[2] === 0n) return false;
+      return mod(affineX(point), N) === r;
+    } catch (_) {
+      return false;
+    }
+  }
+
+  // --- Canonical messages (mirror the server's signing code) ---
+  // Stable stringify: sorted keys, as produced by safe-stable-stringify for plain JSON values.
+  function stableStringify(value) {
+    if (Array.isArray(value)) return '[' + value.map(stableStringify).join(',') + ']';
+    if (value && typeof value === 'object') {
+      return '{' + Object.keys(value).sort().filter((k) => value[k] !== undefined)
+        .map((k) => JSON.stringify(k) + ':' + stableStringify(value[k])).join(',') + '}';
+    }
+    return JSON.stringify(value);
+  }
+  // Envelope v1 signs the canonical metadata digest; records registered before it signed JSON.stringify order.
+  // Privacy-mode records sign their field commitments instead (services/fieldCommitments.js).
+  function registrationDigests(uid_tag_id, metadata, ts, commitments) {
+    if (commitments) {
+      const commitments_sha256 = bytesToHex(sha256(utf8(stableStringify(commitments))));
+      return [sha256(utf8(stableStringify({ purpose: 'register_patch', uid_tag_id, commitments_sha256, ts })))];
+    }
+    return [stableStringify(metadata || {}), JSON.stringify(metadata || {})].map((json) => {
+      const metadata_sha256 = bytesToHex(sha256(utf8(json)));
+      return sha256(utf8(stableStringify({ purpose: 'register_patch', uid_tag_id, metadata_sha256, ts })));
+    });
+  }
+  // Transfers signed since owner challenges carry the challenge nonce and expiry in auth (challenge_nonce/_expires_at).
+  function transferDigest(uid_tag_id, currentTxid, newOwnerAddress, auth) {
+    const message = { purpose: 'transfer_ownership', uid_tag_id, currentTxid, newOwnerAddress };
+    if (auth && auth.challenge_nonce) Object.assign(message, { nonce: auth.challenge_nonce, expires_at: auth.challenge_expires_at });
+    return sha256(utf8(JSON.stringify(message)));
+  }
+  // POS claims of owner-held patches anchor the previous owner's sale release (auth.sale_release).
+  function saleReleaseDigest(uid_tag_id, currentTxid, release) {
+    return sha256(utf8(JSON.stringify({
+      purpose: 'release_for_sale',
+      uid_tag_id,
+      currentTxid,
+      store: release.store,
+      buyerAddress: release.buyerAddress || null,
+      validUntil: release.validUntil,
+      nonce: release.nonce,
+      expires_at: release.expires_at,
+    })));
+  }
+  // Status events: the issuer signs the event (canonical JSON); owner reports also carry the owner's signature over
+  // the challenge-bound report (JSON.stringify, like the other owner messages).
+  function statusDigest(uid_tag_id, status, auth) {
+    const { event, state, reason, ref_txid, prev_status_txid } = status;
+    return sha256(utf8(stableStringify({ purpose: 'patch_status', uid_tag_id, event, state, reason, ref_txid, prev_status_txid, reported_by: auth.reported_by, ts: auth.ts })));
+  }
+  function statusReportDigest(uid_tag_id, status, auth) {
+    return sha256(utf8(JSON.stringify({
+      purpose: 'report_status',
+      uid_tag_id,
+      currentTxid: status.ref_txid,
+      event: status.event,
+      reason: status.reason,
+      nonce: auth.challenge_nonce,
+      expires_at: auth.challenge_expires_at,
+    })));
+  }
+
+  // --- Transaction parsing ---
+  function parseTx(rawHex) {
+    const b = hexToBytes(rawHex);
+    const view = new DataView(b.buffer);
+    let i = 0;
+    const varint = () => {
+      const first = b[i++];
+      if (first < 0xfd) return first;
+      if (first === 0xfd) { const v = view.getUint16(i, true); i += 2; return v; }
+      if (first === 0xfe) { const v = view.getUint32(i, true); i += 4; return v; }
+      const v = view.getUint32(i, true) + view.getUint32(i + 4, true) * 0x100000000; i += 8; return v;
+    };
+    i += 4; // version
+    const inputs = [];
+    const inCount = varint();
+    for (let n = 0; n < inCount; n++) {
+      const prevTxid = bytesToHex(reverse(b.slice(i, i + 32))); i += 32;
+      const vout = view.getUint32(i, true); i += 4;
+      const len = varint(); i += len;
+      i += 4; // sequence
+      inputs.push({ prevTxid, vout });
+    }
+    const outputs = [];
+    const outCount = varint();
+    for (let n = 0; n < outCount; n++) {
+      const satoshis = view.getUint32(i, true) + view.getUint32(i + 4, true) * 0x100000000; i += 8;
+      const len = varint();
+      outputs.push({ satoshis, script: b.slice(i, i + len) }); i += len;
+    }
+    if (i + 4 !== b.length) throw new Error('trailing or missing transaction bytes');
+    return { txid: bytesToHex(reverse(sha256d(b))), inputs, outputs };
+  }
+
+  // Pushdata chunks of the first OP_RETURN output (accepts OP_FALSE OP_RETURN and bare OP_RETURN).
+  function opReturnChunks(tx) {
+    for (const out of tx.outputs) {
+      const s = out.script;
+      let i;
+      if (s[0] === 0x00 && s[1] === 0x6a) i = 2;
+      else if (s[0] === 0x6a) i = 1;
+      else continue;
+      const chunks = [];
+      while (i < s.length) {
+        const op = s[i++];
+        let len;
+        if (op > 0 && op < 0x4c) len = op;
+        else if (op === 0x4c) { len = s[i]; i += 1; }
+        else if (op === 0x4d) { len = s[i] | (s[i + 1] << 8); i += 2; }
+        else if (op === 0x4e) { len = (s[i] | (s[i + 1] << 8) | (s[i + 2] << 16)) + s[i + 3] * 0x1000000; i += 4; }
+        else { chunks.push(new Uint8Array(0)); continue; }
+        chunks.push(s.slice(i, i + len));
+        i += len;
+      }
+      return chunks;
+    }
+    return null;
+  }
+
+  // --- Raw DEFLATE decoder (RFC 1951), for 'json+deflate' envelope payloads ---
+  const LEN_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+  const LEN_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+  const DIST_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+  const DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+  const CL_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+  // Canonical Huffman code: number of codes per bit length and the symbols in code order.
+  function huffman(lengths) {
+    const counts = new Uint16Array(16);
+    for (const l of lengths) counts[l]++;
+    counts[0] = 0;
+    const offsets = new Uint16Array(16);
+    for (let i = 1; i < 16; i++) offsets[i] = offsets[i - 1] + counts[i - 1];
+    const symbols = new Uint16Array(lengths.length);
+    lengths.forEach((l, sym) => { if (l) symbols[offsets[l]++] = sym; });
+    return { counts, symbols };
+  }
+  const FIXED_LIT = huffman(Array.from({ length: 288 }, (_, i) => (i < 144 ? 8 : i < 256 ? 9 : i < 280 ? 7 : 8)));
+  const FIXED_DIST = huffman(new Array(30).fill(5));
+
+  function inflateRaw(input) {
+    const out = [];
+    let pos = 0;
+    let bitBuf = 0;
+    let bitCnt = 0;
+    const bits = (n) => {
+      while (bitCnt < n) {
+        if (pos >= input.length) throw new Error('truncated deflate stream');
+        bitBuf |= input[pos++] << bitCnt;
+        bitCnt += 8;
+      }
+      const v = bitBuf & ((1 << n) - 1);
+      bitBuf >>>= n;
+      bitCnt -= n;
+      return v;
+    };
+    const symbol = ({ counts, symbols }) => {
+      let code = 0;
+      let first = 0;
+      let index = 0;
+      for (let len = 1; len < 16; len++) {
+        code |= bits(1);
+        if (code - first < counts[len]) return symbols[index + code - first];
+        index += counts[len];
+        first = (first + counts[len]) << 1;
+        code <<= 1;
+      }
+      throw new Error('invalid Huffman code');
+    };
+
+    let final = 0;
+    while (!final) {
+      final = bits(1);
+      const type = bits(2);
+      if (type === 0) {
+        bitBuf = 0; bitCnt = 0; // stored block: skip to the byte boundary
+        if (pos + 4 > input.length) throw new Error('truncated deflate stream');
+        const len = input[pos] | (input[pos + 1] << 8);
+        pos += 4;
+        if (pos + len > input.length) throw new Error('truncated deflate stream');
+        for (let k = 0; k < len; k++) out.push(input[pos++]);
+        continue;
+      }
+      if (type === 3) throw new Error('invalid deflate block type');
+      let lit = FIXED_LIT;
+      let dist = FIXED_DIST;
+      if (type === 2) {
+        const hlit = bits(5) + 257;
+        const hdist = bits(5) + 1;
+        const hclen = bits(4) + 4;
+        const cl = new Array(19).fill(0);
+        for (let i = 0; i < hclen; i++) cl[CL_ORDER[i]] = bits(3);
+        const clCode = huffman(cl);
+        const lengths = [];
+        while (lengths.length < hlit + hdist) {
+          const sym = symbol(clCode);
+          if (sym < 16) { lengths.push(sym); continue; }
+          if (sym === 16 && !lengths.length) throw new Error('invalid code lengths');
+          const value = sym === 16 ? lengths[lengths.length - 1] : 0;
+          let repeat = sym === 16 ? 3 + bits(2) : sym === 17 ? 3 + bits(3) : 11 + bits(7);
+          if (lengths.length + repeat > hlit + hdist) throw new Error('invalid code lengths');
+          while (repeat--) lengths.push(value);
+        }
+        lit = huffman(lengths.slice(0, hlit));
+        dist = huffman(lengths.slice(hlit));
+      }
+      for (;;) {
+        const sym = symbol(lit);
+        if (sym < 256) { out.push(sym); continue; }
+        if (sym === 256) break;
+        const li = sym - 257;
+        if (li >= 29) throw new Error('invalid deflate length code');
+        const len = LEN_BASE[li] + bits(LEN_EXTRA[li]);
+        const di = symbol(dist);
+        if (di >= 30) throw new Error('invalid deflate distance code');
+        const d = DIST_BASE[di] + bits(DIST_EXTRA[di]);
+        if (d > out.length) throw new Error('deflate distance too far back');
+        for (let k = 0; k < len; k++) out.push(out[out.length - d]);
+      }
+    }
+    return Uint8Array.from(out);
+  }
+
+  // --- Record envelope (mirrors services/recordEnvelope.js) ---
+  // v1: ['PatchProof', '1', type, encoding, payload]; v0: one JSON push, ['PatchProofBatch', merkle_root] or
+  // ['PatchProofIssuers', keys_sha256].
+  function decodeEnvelope(chunks) {
+    if (!chunks || !chunks.length) throw new Error('no OP_RETURN data');
+    const tag = utf8Decode(chunks[0]);
+    if (tag === 'PatchProof') {
+      if (chunks.length !== 5) throw new Error('malformed PatchProof envelope');
+      const version = utf8Decode(chunks[1]);
+      if (version !== '1') throw new Error(`unsupported envelope version ${version}`);
+      const type = utf8Decode(chunks[2]);
+      const encoding = utf8Decode(chunks[3]);
+      if (encoding === 'raw') return { version: 1, type, encoding, payload: chunks[4] };
+      if (encoding !== 'json' && encoding !== 'json+deflate') throw new Error(`unknown envelope encoding ${encoding}`);
+      const json = utf8Decode(encoding === 'json+deflate' ? inflateRaw(chunks[4]) : chunks[4]);
+      return { version: 1, type, encoding, payload: JSON.parse(json) };
+    }
+    if (tag === 'PatchProofBatch') return { version: 0, type: 'batch', encoding: 'raw', payload: chunks[1] || new Uint8Array(0) };
+    if (tag === 'PatchProofIssuers') return { version: 0, type: 'issuers', encoding: 'raw', payload: chunks[1] || new Uint8Array(0) };
+    return { version: 0, type: null, encoding: 'json', payload: JSON.parse(utf8Decode(chunks[chunks.length - 1])) };
+  }
+
+  // Merkle root committed by a batch anchor transaction, or null.
+  function batchRootOf(tx) {
+    try {
+      const env = decodeEnvelope(opReturnChunks(tx));
+      return env.type === 'batch' && env.payload.length === 32 ? bytesToHex(env.payload) : null;
+    } catch (_) { return null; }
+  }
+
+  // Issuer key set digest (keys_sha256) committed by an issuer manifest anchor transaction, or null.
+  function issuerKeysDigestOf(tx) {
+    try {
+      const env = decodeEnvelope(opReturnChunks(tx));
+      return env.type === 'issuers' && env.payload.length === 32 ? bytesToHex(env.payload) : null;
+    } catch (_) { return null; }
+  }
+
+  // --- Merkle helpers ---
+  // Batch anchors: sha256(left || right), odd nodes paired with themselves (scripts/batchAnchor.js).
+  // Paths carry no positions, so every left/right orientation up to MAX_BATCH_DEPTH is tried.
+  const MAX_BATCH_DEPTH = 16;
+  function batchPathMatches(leaf, path, root) {
+    if (path.length > MAX_BATCH_DEPTH) return null;
+    const siblings = path.map(hexToBytes);
+    for (let mask = 0; mask < (1 << siblings.length); mask++) {
+      let cur = leaf;
+      for (let d = 0; d < siblings.length; d++) {
+        cur = (mask >> d) & 1 ? sha256(concat(siblings[d], cur)) : sha256(concat(cur, siblings[d]));
+      }
+      if (bytesEqual(cur, root)) return true;
+    }
+    return false;
+  }
+
+  // Block inclusion: TSC-style proof ({ index, nodes }) folded with double SHA-256; '*' duplicates the running hash.
+  function txMerkleRoot(txid, proof) {
+    let cur = reverse(hexToBytes(txid));
+    let index = proof.index;
+    for (const node of proof.nodes) {
+      const sib = node === '*' ? cur : reverse(hexToBytes(node));
+      cur = index & 1 ? sha256d(concat(sib, cur)) : sha256d(concat(cur, sib));
+      index = Math.floor(index / 2);
+    }
+    return bytesToHex(reverse(cur));
+  }
+
+  function parseHeader(hex) {
+    const b = hexToBytes(hex);
+    if (b.length !== 80) throw new Error('block header must be 80 bytes');
+    const view = new DataView(b.buffer);
+    return {
+      hash: bytesToHex(reverse(sha256d(b))),
+      merkleRoot: bytesToHex(reverse(b.slice(36, 68))),
+      time: view.getUint32(68, true),
+      bits: view.getUint32(72, true),
+    };
+  }
+  function meetsTarget(hashHex, bits) {
+    const exponent = bits >>> 24;
+    const mantissa = BigInt(bits & 0x007fffff);
+    const target = exponent <= 3 ? mantissa >> BigInt(8 * (3 - exponent)) : mantissa << BigInt(8 * (exponent - 3));
+    return BigInt('0x' + hashHex) <= target;
+  }
+
+  function anchorTxidOf(rec) {
+    return rec.txid || (rec.record_data && rec.record_data.auth && rec.record_data.auth.anchorTxid) || null;
+  }
+
+  // Record fields committed by the OP_RETURN payload; DB-only additions (txid, merkle fields) are ignored.
+  function samePayload(payload, data) {
+    const pick = (r) => ({
+      uid: r.product && r.product.uid_tag_id,
+      commitments: r.commitments,
+      owner: r.auth && r.auth.owner,
+      issuer_signature: r.auth && r.auth.issuer_signature,
+      issuer_pubkey: r.auth && r.auth.issuer_pubkey,
+      ts: r.auth && r.auth.ts,
+    });
+    return stableStringify(pick(payload)) === stableStringify(pick(data));
+  }
+
+  function checkBlockInclusion(txid, bundle, trusted) {
+    const proof = bundle.merkleProofs && bundle.merkleProofs[txid];
+    if (!proof) return { status: 'unconfirmed' };
+    const headerHex = bundle.headers && bundle.headers[proof.blockHash] && bundle.headers[proof.blockHash].hex;
+    if (!headerHex) return { status: 'invalid', error: `missing block header ${proof.blockHash}` };
+    const header = parseHeader(headerHex);
+    if (header.hash !== proof.blockHash) return { status: 'invalid', error: 'block header does not hash to the claimed block' };
+    if (!meetsTarget(header.hash, header.bits)) return { status: 'invalid', error: 'block header fails proof-of-work' };
+    if (txMerkleRoot(txid, proof) !== header.merkleRoot) return { status: 'invalid', error: 'Merkle proof does not match block header' };
+    if (trusted && !trusted.has(header.hash)) return { status: 'invalid', error: 'block is not in the trusted block set' };
+    return { status: 'verified', blockHash: header.hash, blockTime: header.time, height: bundle.headers[proof.blockHash].height ?? null };
+  }
+
+  // --- Batch inclusion proofs ---
+  const INCLUSION_PROOF_FORMAT = 'patchproof-inclusion-proof';
+
+  // Sibling positions implied by a leaf index: an odd index is a right child, so its sibling is on the left.
+  function expectedPositions(index, size) {
+    const positions = [];
+    let idx = index;
+    for (let width = size; width > 1; width = Math.ceil(width / 2)) {
+      positions.push(idx % 2 === 1 ? 'left' : 'right');
+      idx = Math.floor(idx / 2);
+    }
+    return positions;
+  }
+
+  /**
+   * Check a record's Merkle inclusion proof (GET /v1/records/:id/inclusion-proof): the leaf data hashes to the leaf,
+   * the path (sibling + position per level) folds to `merkle_root`, and the anchor transaction commits to that root
+   * in its batch envelope (or legacy OP_RETURN ['PatchProofBatch', root]).
+   * @param {object} proof
+   * @param {string} rawTxHex Raw anchor transaction (`proof.anchor.txid`).
+   * @returns {{ valid: boolean, leafMatches: boolean, root: string|null, rootMatches: boolean, anchored: boolean, errors: string[] }}
+   */
+  function verifyInclusionProof(proof, rawTxHex) {
+    if (!proof || proof.format !== INCLUSION_PROOF_FORMAT || !Array.isArray(proof.path) || !proof.leaf || !proof.tree) {
+      return { valid: false, leafMatches: false, root: null, rootMatches: false, anchored: false, errors: ['not a PatchProof inclusion proof'] };
+    }
+    const errors = [];
+    const { leaf, tree } = proof;
+    if (leaf.alg !== 'sha256' || tree.alg !== 'sha256') errors.push('unsupported hash algorithm');
+
+    const leafMatches = typeof leaf.data === 'string' && bytesToHex(sha256(utf8(leaf.data))) === leaf.hash;
+    if (!leafMatches) errors.push('leaf data does not hash to the leaf hash');
+
+    if (!Number.isInteger(tree.size) || !Number.isInteger(tree.index) || tree.index < 0 || tree.index >= tree.size) {
+      errors.push('tree size/index out of range');
+    } else {
+      const expected = expectedPositions(tree.index, tree.size);
+      if (expected.length !== proof.path.length || expected.some((p, d) => proof.path[d].position !== p)) {
+        errors.push('path does not match the leaf index and tree size');
+      }
+    }
+
+    let root = null;
+    try {
+      let cur = hexToBytes(leaf.hash);
+      for (const step of proof.path) {
+        const sib = hexToBytes(step.hash);
+        cur = step.position === 'left' ? sha256(concat(sib, cur)) : sha256(concat(cur, sib));
+      }
+      root = bytesToHex(cur);
+    } catch (e) { errors.push(`malformed path: ${e.message}`); }
+    const rootMatches = root !== null && root === proof.merkle_root;
+    if (root !== null && !rootMatches) errors.push('path does not fold to the Merkle root');
+
+    let anchored = false;
+    const anchorTxid = proof.anchor && proof.anchor.txid;
+    if (!rawTxHex) errors.push('anchor transaction not provided');
+    else {
+      try {
+        const tx = parseTx(rawTxHex);
+        if (tx.txid !== anchorTxid) errors.push('raw transaction does not hash to the anchor txid');
+        anchored = tx.txid === anchorTxid && batchRootOf(tx) === root;
+        if (!anchored && tx.txid === anchorTxid) errors.push('anchor transaction does not commit to the Merkle root');
+      } catch (e) { errors.push(`unparseable anchor transaction: ${e.message}`); }
+    }
+    return { valid: errors.length === 0, leafMatches, root, rootMatches, anchored, errors };
+  }
+
+  // --- Selective disclosure (privacy mode) ---
+  const DISCLOSURE_FORMAT = 'patchproof-disclosure';
+
+  /**
+   * Check fields an owner revealed from a privacy-mode record (POST /v1/patches/:uid_tag_id/disclosures): every
+   * salted value must hash to its commitment, and the commitments must be the ones anchored by the registration
+   * and signed by the issuer. Batch-anchored registrations carry an inclusion proof for their leaf.
+   * @param {object} disclosure
+   * @param {string} rawTxHex raw anchor transaction (`disclosure.anchor.txid`)
+   * @returns {{ valid: boolean, uid_tag_id: string|null, fields: Array<{ path: string, value: any, matches: boolean }>, anchored: boolean, issuerSignature: boolean, issuerPubkey: string|null, errors: string[] }}
+   */
+  function verifyDisclosure(disclosure, rawTxHex) {
+    if (!disclosure || disclosure.format !== DISCLOSURE_FORMAT || !Array.isArray(disclosure.fields) || !disclosure.commitments || !disclosure.anchor) {
+      return { valid: false, uid_tag_id: null, fields: [], anchored: false, issuerSignature: false, issuerPubkey: null, errors: ['not a PatchProof disclosure'] };
+    }
+    const errors = [];
+    if (disclosure.fields.length === 0) errors.push('no fields disclosed');
+    const committed = Array.isArray(disclosure.commitments.fields) ? disclosure.commitments.fields : [];
+    const fields = disclosure.fields.map(({ path, value, salt }) => {
+      const commitment = committed.find((c) => c.path === path);
+      const matches = !!commitment && bytesToHex(sha256(utf8(stableStringify([salt, path, value])))) === commitment.digest;
+      if (!matches) errors.push(`${path} does not match its commitment`);
+      return { path, value, matches };
+    });
+
+    // The anchored registration: envelope payload of its own tx, or the leaf of its batch inclusion proof
+    let record = null;
+    let txOk = false;
+    if (!rawTxHex) errors.push('anchor transaction not provided');
+    else if (disclosure.inclusion_proof) {
+      const inclusion = verifyInclusionProof(disclosure.inclusion_proof, rawTxHex);
+      txOk = inclusion.valid && disclosure.inclusion_proof.anchor.txid === disclosure.anchor.txid;
+      for (const e of inclusion.errors) errors.push(`inclusion proof: ${e}`);
+      try { record = JSON.parse(disclosure.inclusion_proof.leaf.data); } catch (_) { record = null; }
+    } else {
+      try {
+        const tx = parseTx(rawTxHex);
+        txOk = tx.txid === disclosure.anchor.txid;
+        if (!txOk) errors.push('raw transaction does not hash to the anchor txid');
+        const env = decodeEnvelope(opReturnChunks(tx));
+        record = env.encoding === 'raw' ? null : env.payload;
+      } catch (e) { errors.push(`unreadable anchor transaction: ${e.message}`); }
+    }
+    const sameRecord = !!record && !!record.product && record.product.uid_tag_id === disclosure.uid_tag_id
+      && stableStringify(record.commitments) === stableStringify(disclosure.commitments);
+    if (rawTxHex && !sameRecord) errors.push('anchored record does not carry these commitments');
+    const auth = (sameRecord && record.auth) || {};
+    const issuerSignature = sameRecord && registrationDigests(disclosure.uid_tag_id, null, auth.ts, record.commitments)
+      .some((digest) => verifyEcdsa(digest, auth.issuer_signature || '', auth.issuer_pubkey || ''));
+    if (sameRecord && !issuerSignature) errors.push('issuer signature over the commitments invalid');
+    return {
+      valid: errors.length === 0,
+      uid_tag_id: disclosure.uid_tag_id || null,
+      fields,
+      anchored: txOk && sameRecord,
+      issuerSignature,
+      issuerPubkey: auth.issuer_pubkey || null,
+      errors,
+    };
+  }
+
+  // --- Issuer trust list ---
+  /**
+   * Check a signed issuer manifest (GET /.well-known/patchproof-issuers.json) against a pinned root public key.
+   * @param {object} manifest
+   * @param {{ rootPubkey: string, anchorTx?: string }} options Root public key obtained out of band; without it nothing
+   *   is trusted. anchorTx: raw hex of the anchor transaction (`anchor.txid`) to check that it commits to keys_sha256
+   *   (not that it is in a block).
+   * @returns {{ valid: boolean, issuedAt: string|null, anchorTxid: string|null, anchored: boolean|null, keys: object[], errors: string[] }}
+   *   `anchored` is null when no anchorTx was given.
+   */
+  function verifyIssuerManifest(manifest, options = {}) {
+    if (!manifest || manifest.format !== 'patchproof-issuers' || !Array.isArray(manifest.keys)) {
+      return { valid: false, issuedAt: null, anchorTxid: null, anchored: null, keys: [], errors: ['not a PatchProof issuer manifest'] };
+    }
+    const errors = [];
+    const { signature, ...body } = manifest;
+    const sig = signature || {};
+    if (!options.rootPubkey) errors.push('no root public key pinned');
+    else if (String(sig.pubkey || '').toLowerCase() !== String(options.rootPubkey).toLowerCase()) errors.push('manifest is not signed by the pinned root key');
+    if (!verifyEcdsa(sha256(utf8(stableStringify(body))), sig.sig || '', sig.pubkey || '')) errors.push('manifest signature invalid');
+    if (manifest.keys_sha256 !== bytesToHex(sha256(utf8(stableStringify(manifest.keys))))) errors.push('keys_sha256 does not match the key list');
+    const anchorTxid = (manifest.anchor && manifest.anchor.txid) || null;
+    let anchored = null;
+    if (options.anchorTx) {
+      anchored = false;
+      try {
+        const tx = parseTx(options.anchorTx);
+        if (!anchorTxid) errors.push('manifest is not anchored');
+        else if (tx.txid !== anchorTxid) errors.push('anchor transaction does not hash to anchor.txid');
+        else if (issuerKeysDigestOf(tx) !== manifest.keys_sha256) errors.push('anchor transaction does not commit to keys_sha256');
+        else anchored = true;
+      } catch (e) { errors.push(`unparseable anchor transaction: ${e.message}`); }
+    }
+    return {
+      valid: errors.length === 0,
+      issuedAt: manifest.issued_at || null,
+      anchorTxid,
+      anchored,
+      keys: manifest.keys,
+      errors,
+    };
+  }
+
+  // Mirrors services/issuerKeyService.checkSigner: known, not revoked, and `signedAt` (ms) inside [valid_from, valid_until).
+  function issuerTrust(keys, pubkeyHex, signedAt) {
+    const key = keys.find((k) => k.pubkey === String(pubkeyHex || '').toLowerCase());
+    if (!key) return { trusted: false, reason: 'unknown_key', keyId: null };
+    if (key.status === 'revoked') return { trusted: false, reason: 'revoked', keyId: key.key_id };
+    const t = Number(signedAt);
+    const inWindow = Number.isFinite(t) && t >= Date.parse(key.valid_from) && (!key.valid_until || t < Date.parse(key.valid_until));
+    return inWindow ? { trusted: true, reason: null, keyId: key.key_id } : { trusted: false, reason: 'outside_validity', keyId: key.key_id };
+  }
+
+  /**
+   * Verify a proof bundle offline.
+   * @param {object} bundle Proof bundle as returned by GET /v1/patches/:uid_tag_id/proof
+   * @param {{ trustedBlockHashes?: string[], issuerManifest?: object, rootPubkey?: string }} [options]
+   *   trustedBlockHashes: block hashes the caller already trusts (e.g. from their own node).
+   *   issuerManifest + rootPubkey: also require the issuer key to be trusted by the signed manifest at signing time.
+   * @returns {{ valid: boolean, confirmed: boolean, uid_tag_id: string, currentOwner: string|null, currentTxid: string|null, records: object[], status: string, statusEvents: object[], errors: string[] }}
+   */
+  function verifyBundle(bundle, options = {}) {
+    const errors = [];
+    const results = [];
+    const trusted = Array.isArray(options.trustedBlockHashes) ? new Set(options.trustedBlockHashes) : null;
+    if (!bundle || bundle.format !== 'patchproof-proof-bundle' || !Array.isArray(bundle.records)) {
+      return { valid: false, confirmed: false, uid_tag_id: bundle && bundle.uid_tag_id, currentOwner: null, currentTxid: null, records: [], errors: ['not a PatchProof proof bundle'] };
+    }
+    if (bundle.records.length === 0) errors.push('bundle contains no records');
+    const issuers = options.issuerManifest ? verifyIssuerManifest(options.issuerManifest, { rootPubkey: options.rootPubkey }) : null;
+    if (issuers) for (const e of issuers.errors) errors.push(`issuer manifest: ${e}`);
+
+    const parsed = {};
+    const ownerAt = {}; // custody txid -> owner it recorded (status events refer to these)
+    let prev = null; // { txid, owner, ownershipVout }
+    bundle.records.forEach((rec, index) => {
+      const r = { index, type: rec.type, txid: rec.txid || null, anchorTxid: anchorTxidOf(rec), checks: {}, errors: [] };
+      const fail = (msg) => r.errors.push(msg);
+      const data = rec.record_data || {};
+      let payload = null;
+
+      if (data.product && data.product.uid_tag_id !== bundle.uid_tag_id) fail('record belongs to a different uid_tag_id');
+      if (index === 0 && rec.type !== 'REGISTRATION') fail('custody chain must start with a registration');
+
+      // 1) Anchor transaction
+      let tx = null;
+      const raw = r.anchorTxid && bundle.transactions && bundle.transactions[r.anchorTxid];
+      if (!raw) fail('anchor transaction missing from bundle');
+      else {
+        try {
+          tx = parsed[r.anchorTxid] || (parsed[r.anchorTxid] = parseTx(raw));
+          r.checks.txid = tx.txid === r.anchorTxid;
+          if (!r.checks.txid) fail('raw transaction does not hash to the anchor txid');
+        } catch (e) { fail(`unparseable anchor transaction: ${e.message}`); }
+      }
+
+      // 2) Anchored data
+      if (tx && rec.txid) {
+        let env = null;
+        try { env = decodeEnvelope(opReturnChunks(tx)); } catch (_) { env = null; }
+        payload = env && env.encoding !== 'raw' ? env.payload : null;
+        r.envelopeVersion = env ? env.version : null;
+        r.checks.payload = !!payload && samePayload(payload, data);
+        if (!r.checks.payload) fail('OP_RETURN payload does not match the record');
+        else if (env.version > 0 && env.type !== String(rec.type).toLowerCase()) fail(`envelope record type ${env.type} does not match ${rec.type}`);
+      } else if (tx) {
+        const auth = data.auth || {};
+        const rootOk = !!auth.merkleRoot && batchRootOf(tx) === auth.merkleRoot;
+        // The leaf was hashed before the anchor fields were written back to the record: canonical JSON since
+        // envelope v1, JSON.stringify before.
+        const leafData = JSON.parse(JSON.stringify(data));
+        delete leafData.auth.merkleRoot; delete leafData.auth.merklePath; delete leafData.auth.anchorTxid;
+        let inTree = false;
+        if (rootOk) {
+          for (const json of [stableStringify(leafData), JSON.stringify(leafData)]) {
+            inTree = batchPathMatches(sha256(utf8(json)), auth.merklePath || [], hexToBytes(auth.merkleRoot));
+            if (inTree !== false) break;
+          }
+        }
+        r.checks.payload = rootOk && inTree === true;
+        if (!rootOk) fail('batch anchor transaction does not commit to the record Merkle root');
+        else if (inTree === null) fail('Merkle path too deep to verify without leaf positions');
+        else if (!inTree) fail('record is not included in the batch Merkle root');
+        payload = data;
+      }
+      const body = payload || data;
+      const auth = body.auth || {};
+
+      // 3) Authorization
+      if (rec.type === 'REGISTRATION') {
+        r.checks.issuerSignature = registrationDigests(body.product && body.product.uid_tag_id, body.metadata, auth.ts, body.commitments)
+          .some((digest) => verifyEcdsa(digest, auth.issuer_signature || '', auth.issuer_pubkey || ''));
+        if (!r.checks.issuerSignature) fail('issuer signature invalid');
+        if (issuers && issuers.valid) {
+          const trust = issuerTrust(issuers.keys, auth.issuer_pubkey, auth.ts);
+          r.checks.issuerTrusted = trust.trusted;
+          if (trust.keyId) r.issuerKeyId = trust.keyId;
+          if (!trust.trusted) fail(`issuer key not trusted by the manifest (${trust.reason})`);
+        }
+      } else if (rec.type === 'TRANSFER') {
+        if (!prev) fail('transfer without a preceding record');
+        else if (rec.previous_txid !== prev.txid) fail('transfer does not reference the previous record');
+        if (auth.current_owner_signature && auth.current_owner_pubkey) {
+          const sigOk = verifyEcdsa(transferDigest(bundle.uid_tag_id, rec.previous_txid, auth.owner, auth), auth.current_owner_signature, auth.current_owner_pubkey);
+          let keyOk = false;
+          try { keyOk = !!prev && bytesEqual(ripemd160(sha256(hexToBytes(auth.current_owner_pubkey))), addressHash160(prev.owner)); }
+          catch (_) { keyOk = false; }
+          r.checks.ownerSignature = sigOk && keyOk;
+          r.checks.authorization = 'owner_signature';
+          if (!sigOk) fail('owner signature invalid');
+          else if (!keyOk) fail('transfer was not signed by the previous owner');
+          if (auth.prev_txid && auth.prev_txid !== rec.previous_txid) fail('on-chain prev_txid does not match the custody chain');
+        } else if (auth.pos_approved_by && auth.sale_release) {
+          // Point-of-sale claim under a sale release the previous owner signed for this store (and buyer)
+          const rel = auth.sale_release;
+          const sigOk = verifyEcdsa(saleReleaseDigest(bundle.uid_tag_id, rec.previous_txid, rel), rel.signature || '', rel.pubkey || '');
+          let keyOk = false;
+          try { keyOk = !!prev && bytesEqual(ripemd160(sha256(hexToBytes(rel.pubkey))), addressHash160(prev.owner)); }
+          catch (_) { keyOk = false; }
+          r.checks.ownerRelease = sigOk && keyOk;
+          r.checks.authorization = 'owner_release';
+          if (!sigOk) fail('sale release signature invalid');
+          else if (!keyOk) fail('sale release was not signed by the previous owner');
+          if (prev && auth.previous_owner && auth.previous_owner !== prev.owner) fail('POS transfer names a different previous owner');
+          if (auth.pos_store && rel.store !== auth.pos_store) fail('sale release names a different store');
+          if (rel.buyerAddress && rel.buyerAddress !== auth.owner) fail('sale release names a different buyer');
+          if (Number(auth.ts) > Number(rel.validUntil)) fail('POS claim made after the sale release expired');
+        } else if (auth.pos_approved_by) {
+          // Server-authorized point-of-sale claim (store custody policy, or made before sale releases): attested by
+          // the issuer, not signed by the previous owner.
+          r.checks.authorization = 'pos_approval';
+          if (prev && auth.previous_owner && auth.previous_owner !== prev.owner) fail('POS transfer names a different previous owner');
+        } else {
+          r.checks.authorization = 'none';
+          fail('transfer carries no owner signature or POS approval');
+        }
+        // Ownership outputs: the transfer tx must spend the previous one.
+        if (prev && prev.ownershipVout !== null && prev.ownershipVout !== undefined && tx) {
+          r.checks.spendsOwnershipOutput = tx.inputs.some((i) => i.prevTxid === prev.txid && i.vout === prev.ownershipVout);
+          if (!r.checks.spendsOwnershipOutput) fail('transfer does not spend the previous ownership output');
+        }
+      } else {
+        fail(`unknown record type ${rec.type}`);
+      }
+
+      // 4) Block inclusion (SPV)
+      if (r.anchorTxid) {
+        const inclusion = checkBlockInclusion(r.anchorTxid, bundle, trusted);
+        r.checks.blockInclusion = inclusion.status;
+        if (inclusion.status === 'verified') r.block = { hash: inclusion.blockHash, time: inclusion.blockTime, height: inclusion.height };
+        if (inclusion.error) fail(inclusion.error);
+      }
+
+      prev = { txid: rec.txid || r.anchorTxid, owner: auth.owner, ownershipVout: rec.ownership_output ? rec.ownership_output.vout : null };
+      if (prev.txid) ownerAt[prev.txid] = auth.owner || null;
+      results.push(r);
+    });
+
+    // 5) Status events (stolen/recovered/revoked/recalled): anchored beside the custody chain, linked by prev_status_txid
+    const statusResults = [];
+    let statusHead = null;
+    let patchStatus = 'active';
+    let patchStatusReason = null;
+    (Array.isArray(bundle.status_events) ? bundle.status_events : []).forEach((ev, index) => {
+      const r = { index, txid: ev.txid || null, event: null, status: null, reason: null, checks: {}, errors: [] };
+      const fail = (msg) => r.errors.push(msg);
+      const data = ev.record_data || {};
+      let body = data;
+      const raw = ev.txid && bundle.transactions && bundle.transactions[ev.txid];
+      if (!raw) fail('anchor transaction missing from bundle');
+      else {
+        try {
+          const tx = parseTx(raw);
+          r.checks.txid = tx.txid === ev.txid;
+          if (!r.checks.txid) fail('raw transaction does not hash to the anchor txid');
+          let env = null;
+          try { env = decodeEnvelope(opReturnChunks(tx)); } catch (_) { env = null; }
+          const pick = (b) => stableStringify({ uid: b.product && b.product.uid_tag_id, status: b.status, sig: b.auth && b.auth.issuer_signature, ts: b.auth && b.auth.ts });
+          r.checks.payload = !!env && env.type === 'status' && pick(env.payload) === pick(data);
+          if (!r.checks.payload) fail('OP_RETURN payload does not match the status event');
+          else body = env.payload;
+        } catch (e) { fail(`unparseable anchor transaction: ${e.message}`); }
+      }
+      const st = body.status || {};
+      const auth = body.auth || {};
+      r.event = st.event || null;
+      r.status = st.state || null;
+      r.reason = st.reason || null;
+      if (!body.product || body.product.uid_tag_id !== bundle.uid_tag_id) fail('status event belongs to a different uid_tag_id');
+
+      r.checks.issuerSignature = verifyEcdsa(statusDigest(bundle.uid_tag_id, st, auth), auth.issuer_signature || '', auth.issuer_pubkey || '');
+      if (!r.checks.issuerSignature) fail('issuer signature invalid');
+      if (issuers && issuers.valid) {
+        const trust = issuerTrust(issuers.keys, auth.issuer_pubkey, auth.ts);
+        r.checks.issuerTrusted = trust.trusted;
+        if (!trust.trusted) fail(`issuer key not trusted by the manifest (${trust.reason})`);
+      }
+      if (!Object.prototype.hasOwnProperty.call(ownerAt, st.ref_txid)) fail('status event refers to a record outside the custody chain');
+      if (auth.reported_by === 'owner') {
+        const sigOk = verifyEcdsa(statusReportDigest(bundle.uid_tag_id, st, auth), auth.current_owner_signature || '', auth.current_owner_pubkey || '');
+        let keyOk = false;
+        try { keyOk = !!ownerAt[st.ref_txid] && bytesEqual(ripemd160(sha256(hexToBytes(auth.current_owner_pubkey))), addressHash160(ownerAt[st.ref_txid])); }
+        catch (_) { keyOk = false; }
+        r.checks.ownerSignature = sigOk && keyOk;
+        if (!sigOk) fail('owner signature invalid');
+        else if (!keyOk) fail('status event was not signed by the owner at the time');
+      }
+      if ((st.prev_status_txid || null) !== statusHead) fail('status event does not follow the previous status event');
+
+      if (r.txid) {
+        const inclusion = checkBlockInclusion(r.txid, bundle, trusted);
+        r.checks.blockInclusion = inclusion.status;
+        if (inclusion.error) fail(inclusion.error);
+      }
+      statusHead = r.txid;
+      if (r.status) { patchStatus = r.status; patchStatusReason = r.reason; }
+      statusResults.push(r);
+    });
+
+    for (const r of results) for (const e of r.errors) errors.push(`record ${r.index}: ${e}`);
+    for (const r of statusResults) for (const e of r.errors) errors.push(`status event ${r.index}: ${e}`);
+    const last = bundle.records[bundle.records.length - 1];
+    return {
+      valid: errors.length === 0,
+      confirmed: results.length > 0 && results.every((r) => r.checks.blockInclusion === 'verified'),
+      uid_tag_id: bundle.uid_tag_id,
+      currentOwner: prev ? prev.owner || null : null,
+      currentTxid: last ? anchorTxidOf(last) : null,
+      records: results,
+      // Latest anchored status; 'active' when the patch has no status events
+      status: patchStatus,
+      // Reason of the latest event; for `revoked` one of 'counterfeit_suspected' | 'destroyed'
+      statusReason: patchStatusReason,
+      statusEvents: statusResults,
+      issuers: issuers ? { valid: issuers.valid, issuedAt: issuers.issuedAt, anchorTxid: issuers.anchorTxid } : null,
+      errors,
+    };
+  }
+
+  return {
+    verifyBundle,
+    verifyIssuerManifest,
+    verifyInclusionProof,
+    verifyDisclosure,
+    decodeEnvelope,
+    // Exposed for tooling and tests
+    sha256,
+    inflateRaw,
+    verifyEcdsa,
+    parseTx,
+    txMerkleRoot,
+    parseHeader,
+    batchPathMatches,
+  };
+}));
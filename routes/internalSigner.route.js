@@ -1,5 +1,6 @@
 // routes/internalSigner.route.js
 // Minimal internal signer route: holds WIF in memory, gated by API key. DO NOT EXPOSE PUBLICLY.
+// Single key only (keyIdentifier is ignored); for multiple keys, HD derivation and SVD use scripts/kms-emulator.js.
 const express = require('express');
 const crypto = require('crypto');
 const bsv = require('bsv');
@@ -64,9 +65,11 @@ router.post('/sign', authed, (req, res) => {
   }
 
   try {
+    // The digest is read little-endian, like every other KMS signer and BlockchainServiceV2.verifySignature
+    // (this route signed big-endian before the KMS emulator was added; its older signatures do not verify there).
     const signatures = toSign.map((hashHex) => {
       const sig = bsv.crypto.ECDSA
-        .sign(Buffer.from(hashHex, 'hex'), priv, 'big')
+        .sign(Buffer.from(hashHex, 'hex'), priv, 'little')
         .set({ lowS: true });
       return {
         signatureHex: sig.toDER().toString('hex'),
@@ -0,0 +1,68 @@
+// routes/kmsEmulator.route.js
+// HTTP surface of the local KMS emulator (services/kmsEmulator.js), mounted by scripts/kms-emulator.js.
+// Same contract as the external KMS used by services/kmsSigner.js. DO NOT EXPOSE PUBLICLY.
+const express = require('express');
+const crypto = require('crypto');
+const kms = require('../services/kmsEmulator');
+const logger = require('../logger');
+
+const router = express.Router();
+
+const LOOPBACK = new Set(['127.0.0.1', '::1', '::ffff:127.0.0.1']);
+
+// Bearer KMS_API_KEY (what kmsSigner sends) or x-api-key. Without a key only loopback clients are served
+// (the socket address, not X-Forwarded-For).
+function authed(req, res, next) {
+  const want = String(process.env.KMS_API_KEY || '');
+  if (!want) {
+    if (LOOPBACK.has(req.socket && req.socket.remoteAddress)) return next();
+    return res.status(401).json({ error: { message: 'KMS_API_KEY is required for non-local clients' } });
+  }
+  const headerAuth = String(req.header('authorization') || '');
+  const bearer = headerAuth.startsWith('Bearer ') ? headerAuth.slice('Bearer '.length) : '';
+  const a = Buffer.from(String(req.header('x-api-key') || bearer || ''));
+  const b = Buffer.from(want);
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+    return res.status(401).json({ error: { message: 'unauthorized' } });
+  }
+  next();
+}
+
+function context(req) {
+  return { requestId: req.header('x-request-id') || undefined, client: req.ip };
+}
+
+function handle(fn) {
+  return (req, res) => {
+    try {
+      res.json(fn(req));
+    } catch (err) {
+      const status = err.statusCode || 500;
+      if (status >= 500) logger.error('[KmsEmulator] request failed', err);
+      res.status(status).json({ error: { message: err.message } });
+    }
+  };
+}
+
+router.use(authed);
+
+router.post('/sign', handle((req) => ({ signatures: kms.sign((req.body || {}).requests, context(req)) })));
+
+router.post('/svd/derive-secret', handle((req) => kms.deriveSvdSecret(req.body || {}, context(req))));
+
+// Idempotent key creation (custodial owner wallets)
+router.post('/keys', handle((req) => kms.createKey(req.body || {}, context(req))));
+
+router.get('/keys', handle(() => ({ keys: kms.listKeys() })));
+
+// keyIdentifier may name an HD child, e.g. GET /keys/issuer%2F0%2F7
+router.get('/keys/:keyIdentifier', handle((req) => kms.describeKey(req.params.keyIdentifier)));
+
+router.get('/audit', handle((req) => ({
+  entries: kms.getAudit({
+    limit: Math.min(parseInt(req.query.limit, 10) || 100, 1000),
+    keyIdentifier: req.query.keyIdentifier,
+  }),
+})));
+
+module.exports = router;
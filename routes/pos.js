@@ -2,13 +2,13 @@
 const express = require('express');
 const router = express.Router();
 const posController = require('../controllers/posController');
-const apiKeyMiddleware = require('../apiKeyMiddleware');
+const posStoreAuth = require('../middleware/posStoreAuth');
 
 // Create claim intent (customer-signed)
 router.post('/pos/claim-intent', posController.createClaimIntent);
 
-// Approve claim (POS/cashier) — protected by admin API key
-router.post('/pos/claim-approve', apiKeyMiddleware, posController.approveClaimIntent);
+// Approve claim (POS/cashier) — protected by the store's own key, which also names the store
+router.post('/pos/claim-approve', posStoreAuth, posController.approveClaimIntent);
 
 // Query claim status
 router.get('/pos/claim-status/:id', posController.getClaimStatus);
@@ -7,7 +7,7 @@ const { hideBin } = require('yargs/helpers');
 const logger = require('../logger');
 const { initDb, closeDb } = require('../config/db');
 const utxoService = require('../services/utxoService');
-const wocClient = require('../clients/wocClient');
+const chainData = require('../services/chainDataService');
 const Utxo = require('../models/Utxo');
 const bsv = require('bsv');
 
@@ -33,9 +33,9 @@ async function main() {
 
   await initDb();
 
-  // Initialize WOC client
-  try { wocClient.initialize(); } catch (e) {
-    logger.error('Failed to initialize WOC client', e);
+  // Initialize the chain data provider (CHAIN_DATA_PROVIDER)
+  try { chainData.initialize(); } catch (e) {
+    logger.error('Failed to initialize chain data provider', e);
     await closeDb();
     process.exit(2);
   }
@@ -50,14 +50,14 @@ async function main() {
 
   // Validate unspent status with robust client (timeouts/retries)
   try {
-    const spent = await wocClient.isUtxoSpent(utxoData.txid, utxoData.vout);
+    const spent = await chainData.isUtxoSpent(utxoData.txid, utxoData.vout);
     if (spent) {
       logger.error(`Refusing to add UTXO ${utxoData.txid}:${utxoData.vout} because it is already spent on-chain.`);
       await closeDb();
       process.exit(2);
     }
   } catch (e) {
-    logger.error('Failed to verify UTXO status on-chain (WOC). Aborting.', e);
+    logger.error('Failed to verify UTXO status on-chain. Aborting.', e);
     await closeDb();
     process.exit(3);
   }
@@ -76,12 +76,8 @@ async function main() {
       }
     }
     if (addr) {
-      const unspent = await wocClient.getUnspentOutputs(addr, 0);
-      const match = (Array.isArray(unspent) ? unspent : []).find(u => {
-        const txh = u.tx_hash || u.txid;
-        const v = (u.tx_pos !== null && u.tx_pos !== undefined) ? u.tx_pos : u.vout;
-        return String(txh) === String(utxoData.txid) && Number(v) === Number(utxoData.vout);
-      });
+      const unspent = await chainData.getUnspentOutputs(addr);
+      const match = unspent.find(u => String(u.txid) === String(utxoData.txid) && Number(u.vout) === Number(utxoData.vout));
       if (!match) {
         logger.error(`On-chain check: ${utxoData.txid}:${utxoData.vout} not found for address ${addr}.`);
         if (!argv.force) {
@@ -90,7 +86,7 @@ async function main() {
           process.exit(4);
         }
       } else {
-        const value = (match.value !== null && match.value !== undefined) ? match.value : match.satoshis;
+        const value = match.satoshis;
         if (Number(value) !== Number(utxoData.satoshis)) {
           logger.warn(`On-chain value (${value}) does not match provided satoshis (${utxoData.satoshis}).`);
           if (!argv.force) {
@@ -5,7 +5,7 @@ require('dotenv').config();
 
 const { initDb, closeDb } = require('../config/db');
 const lockManager = require('../services/lockManager'); // For Redis check
-const wocClient = require('../clients/wocClient'); // Robust API client
+const chainData = require('../services/chainDataService'); // Provider-neutral chain data (CHAIN_DATA_PROVIDER)
 const Utxo = require('../models/Utxo');
 const logger = require('../logger');
 
@@ -47,12 +47,13 @@ async function runHealthCheck() {
   }
   addCheck('Environment Variables', envOk ? 'PASS' : 'FAIL', `Checked ${REQUIRED_ENV_VARS.length} required variables (KMS + issuer id).`);
 
-  // Initialize WOC client before any usage
+  // Initialize the chain data provider before any usage
   try {
-    wocClient.initialize();
-    addCheck('WOC Client Init', 'PASS', 'WocClient initialized');
+    chainData.initialize();
+    const info = await chainData.getChainInfo();
+    addCheck('Chain Data Provider', 'PASS', `Provider '${chainData.providerName()}' reachable at height ${info.height}.`);
   } catch (err) {
-    addCheck('WOC Client Init', 'FAIL', `Initialization failed: ${err.message}`);
+    addCheck('Chain Data Provider', 'FAIL', `Provider '${chainData.providerName()}' failed: ${err.message}`);
   }
 
   // 2. MongoDB Connection Check
@@ -87,7 +88,7 @@ async function runHealthCheck() {
     } else {
       addCheck('UTXO Pool Availability', 'PASS', `Found ${availableUtxos.length} available UTXO(s).`);
       for (const utxo of availableUtxos) {
-        const isSpent = await wocClient.isUtxoSpent(utxo.txid, utxo.vout);
+        const isSpent = await chainData.isUtxoSpent(utxo.txid, utxo.vout);
         if (isSpent) {
           addCheck(`UTXO On-Chain Status (${utxo.txid}:${utxo.vout})`, 'FAIL', 'UTXO is spent on-chain but marked as available in DB.');
         } else {
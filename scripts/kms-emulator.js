@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+// scripts/kms-emulator.js
+// Standalone local KMS emulator for dev/CI. Point the API at it with KMS_SIGN_URL=http://127.0.0.1:<port>
+// (and SVD_USE_KMS=1). Keys come from KMS_EMULATOR_CONFIG / KMS_EMULATOR_KEYS; see services/kmsEmulator.js.
+require('dotenv').config();
+const express = require('express');
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+const kms = require('../services/kmsEmulator');
+const logger = require('../logger');
+
+function main() {
+  const argv = yargs(hideBin(process.argv))
+    .option('port', {
+      describe: 'Port to listen on',
+      type: 'number',
+      default: parseInt(process.env.KMS_EMULATOR_PORT || '8790', 10),
+    })
+    .option('host', {
+      describe: 'Interface to bind (keep it local)',
+      type: 'string',
+      default: process.env.KMS_EMULATOR_HOST || '127.0.0.1',
+    })
+    .help()
+    .alias('h', 'help')
+    .parse();
+
+  if (process.env.NODE_ENV === 'production') {
+    console.error('[kms-emulator] Refusing to run with NODE_ENV=production');
+    process.exit(1);
+  }
+
+  // Unauthenticated only on loopback: any other interface needs KMS_API_KEY
+  if (!process.env.KMS_API_KEY && !['127.0.0.1', '::1', 'localhost'].includes(argv.host)) {
+    console.error(`[kms-emulator] Refusing to listen on ${argv.host} without KMS_API_KEY`);
+    process.exit(1);
+  }
+
+  kms.load();
+  const app = express();
+  app.use(express.json({ limit: '1mb' }));
+  app.get('/health', (_req, res) => res.json({ status: 'ok' }));
+  app.use('/', require('../routes/kmsEmulator.route'));
+
+  app.listen(argv.port, argv.host, () => {
+    logger.info(`[kms-emulator] Listening on http://${argv.host}:${argv.port}${process.env.KMS_API_KEY ? '' : ' (no KMS_API_KEY: unauthenticated)'}`);
+    for (const k of kms.listKeys()) {
+      logger.info(`[kms-emulator] ${k.keyIdentifier}: ${k.address} (${k.purposes.join(',')}${k.hd ? ', hd' : ''})`);
+    }
+  });
+}
+
+main();
@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+// scripts/track-confirmations.js
+// One-shot confirmation tracker run (same logic as workers/confirmationWorker.js), e.g. from cron.
+require('dotenv').config();
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+const { initDb, closeDb } = require('../config/db');
+const lockManager = require('../services/lockManager');
+const jobService = require('../services/jobService');
+const confirmationTracker = require('../services/confirmationTrackerService');
+const logger = require('../logger');
+
+async function main() {
+  const argv = yargs(hideBin(process.argv))
+    .option('limit', {
+      describe: 'Maximum number of records to check',
+      type: 'number',
+      default: parseInt(process.env.CONFIRMATION_BATCH_SIZE || '100', 10),
+    })
+    .option('dry-run', {
+      describe: 'Report what would change without updating records or re-queuing',
+      type: 'boolean',
+      default: false,
+    })
+    .help()
+    .alias('h', 'help')
+    .parse();
+
+  await lockManager.initialize();
+  await initDb();
+  if (!argv['dry-run']) {
+    try { await jobService.initialize(); } catch (e) { logger.error('[track-confirmations] JobService init failed', e); }
+  }
+
+  try {
+    const result = await lockManager.withLockHeartbeat('confirmation-tracker', 5 * 60 * 1000, () =>
+      confirmationTracker.runOnce({ limit: argv.limit, dryRun: argv['dry-run'] })
+    );
+    if (!result.ok) {
+      console.error(`[track-confirmations] ${result.error === 'LOCK_NOT_ACQUIRED' ? 'Another tracker is running' : result.error}`);
+      process.exitCode = 1;
+      return;
+    }
+    console.log(`[track-confirmations] Dry-run=${argv['dry-run']}`, JSON.stringify(result.result));
+  } finally {
+    if (!argv['dry-run']) await jobService.close();
+    if (lockManager.redisClient) await lockManager.redisClient.quit();
+    await closeDb();
+  }
+}
+
+if (require.main === module) {
+  main().catch((e) => {
+    console.error(e);
+    process.exitCode = 1;
+  });
+}
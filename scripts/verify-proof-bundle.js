@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+// scripts/verify-proof-bundle.js
+// Verify a saved proof bundle (GET /v1/patches/:uid_tag_id/proof) fully offline.
+// Exit code 0 = valid, 1 = invalid, 2 = usage/read error.
+const fs = require('fs');
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+const { verifyBundle } = require('../public/verifier/patchproof-verifier');
+
+function main() {
+  const argv = yargs(hideBin(process.argv))
+    .usage('Usage: $0 --bundle <file.json> [--trustedBlocks <file>] [--issuers <manifest.json> --rootPubkey <hex>]')
+    .option('bundle', {
+      describe: 'Path to the proof bundle JSON',
+      type: 'string',
+      demandOption: true,
+    })
+    .option('trustedBlocks', {
+      describe: 'Optional file with one trusted block hash per line (e.g. exported from your own node)',
+      type: 'string',
+    })
+    .option('issuers', {
+      describe: 'Optional issuer manifest (GET /.well-known/patchproof-issuers.json) to check issuer keys against',
+      type: 'string',
+    })
+    .option('rootPubkey', {
+      describe: 'Pinned issuer root public key (hex); required with --issuers',
+      type: 'string',
+    })
+    .implies('issuers', 'rootPubkey')
+    .option('json', {
+      describe: 'Print the full verification result as JSON',
+      type: 'boolean',
+      default: false,
+    })
+    .help()
+    .alias('h', 'help')
+    .argv;
+
+  let bundle;
+  let trustedBlockHashes;
+  let issuerManifest;
+  try {
+    bundle = JSON.parse(fs.readFileSync(argv.bundle, 'utf8'));
+    if (argv.trustedBlocks) {
+      trustedBlockHashes = fs.readFileSync(argv.trustedBlocks, 'utf8').split(/\s+/).filter(Boolean);
+    }
+    if (argv.issuers) issuerManifest = JSON.parse(fs.readFileSync(argv.issuers, 'utf8'));
+  } catch (e) {
+    console.error(`[verify-proof-bundle] ${e.message}`);
+    process.exitCode = 2;
+    return;
+  }
+
+  const result = verifyBundle(bundle, { trustedBlockHashes, issuerManifest, rootPubkey: argv.rootPubkey });
+  if (argv.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    console.log(`uid_tag_id:    ${result.uid_tag_id}`);
+    console.log(`records:       ${result.records.length}`);
+    console.log(`current owner: ${result.currentOwner}`);
+    console.log(`current txid:  ${result.currentTxid}`);
+    console.log(`confirmed:     ${result.confirmed ? 'yes (SPV proofs verified)' : 'no (one or more records lack block proofs)'}`);
+    if (result.issuers) console.log(`issuer list:   ${result.issuers.valid ? `signed ${result.issuers.issuedAt}` : 'INVALID'}`);
+    console.log(`result:        ${result.valid ? 'VALID' : 'INVALID'}`);
+    for (const e of result.errors) console.log(`  - ${e}`);
+  }
+  process.exitCode = result.valid ? 0 : 1;
+}
+
+main();
@@ -41,6 +41,9 @@ const SECRET_MAP = {
   EMAIL_FROM: { required: false },
   FEE_PER_KB: { required: false },
   METRICS_REQUIRE_API_KEY: { required: false },
+  ARC_API_KEY: { required: false },
+  NODE_RPC_PASSWORD: { required: false },
+  POS_STORE_KEYS: { required: false },
 };
 
 function fromEnv(name) {
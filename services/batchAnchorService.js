@@ -0,0 +1,267 @@
+// services/batchAnchorService.js
+// Merkle batch anchoring: many records committed by one transaction carrying a `batch` envelope with the Merkle root
+// (services/recordEnvelope.js; pre-v1 batches used OP_RETURN ['PatchProofBatch', merkleRoot]).
+// Each anchored record gets record_data.auth.{merkleRoot, merklePath, anchorTxid} and becomes `confirmed`, and its
+// patch gets a PatchState whose current_txid is the anchor tx (shared by the batch; records are then looked up by
+// txid and uid, see databaseService.getConfirmedRecord). Every batch is persisted as an AnchorBatch (root, members
+// in leaf order, txid, status).
+//
+// Registrations queued with anchor_mode 'batch' are picked up by runOnce(), driven by workers/batchAnchorWorker.js
+// under a lockManager lease: a batch closes once BATCH_ANCHOR_MIN_SIZE records wait or the oldest has waited
+// BATCH_ANCHOR_MAX_LATENCY_SEC. POST /v1/admin/batch-anchor and scripts/batchAnchor.js force a run;
+// batch registration (POST /v1/patches/batch) anchors its own records immediately.
+const crypto = require('crypto');
+const AuthenticationRecord = require('../models/AuthenticationRecord');
+const AnchorBatch = require('../models/AnchorBatch');
+const PatchState = require('../models/PatchState');
+const BlockchainService = require('./blockchainService');
+const envelope = require('./recordEnvelope');
+const logger = require('../logger');
+const { ConflictError, NotFoundError, DataInconsistencyError } = require('../errors');
+
+// Leaves of new batches hash canonical JSON; batches anchored before envelope v1 hashed JSON.stringify output.
+const LEAF_ENCODING = 'canonical-json';
+const LOCK_NAME = 'batch-anchor';
+const LEASE_MS = 5 * 60 * 1000;
+// A batch still 'anchoring' this long after its last update was interrupted (process died mid-broadcast)
+const STALE_MS = 2 * LEASE_MS;
+
+const QUEUED = { status: 'pending', anchor_mode: 'batch', type: 'REGISTRATION' };
+
+function envInt(name, def) {
+  const n = parseInt(process.env[name] || '', 10);
+  return Number.isFinite(n) && n >= 0 ? n : def;
+}
+
+// v0 leaf hash: SHA-256 of the record's JSON as stored (read back from the DB, so key order matches later reads).
+function computeSha256(data) {
+  const json = typeof data === 'string' ? data : JSON.stringify(data);
+  return crypto.createHash('sha256').update(Buffer.from(json)).digest();
+}
+
+// Exact leaf preimage of record_data under a batch's leaf encoding.
+function leafPreimage(recordData, encoding = LEAF_ENCODING) {
+  return encoding === 'json' ? JSON.stringify(recordData) : envelope.canonicalJson(recordData);
+}
+
+function leafHash(recordData, encoding = LEAF_ENCODING) {
+  return computeSha256(leafPreimage(recordData, encoding));
+}
+
+function computeMerkleRoot(hashes) {
+  if (!Array.isArray(hashes) || hashes.length === 0) return Buffer.alloc(32);
+  let level = hashes.map((h) => (Buffer.isBuffer(h) ? h : Buffer.from(h, 'hex')));
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      const left = level[i];
+      const right = level[i + 1] || level[i];
+      next.push(crypto.createHash('sha256').update(Buffer.concat([left, right])).digest());
+    }
+    level = next;
+  }
+  return level[0];
+}
+
+function computeMerklePath(index, hashes) {
+  const path = [];
+  let idx = index;
+  let level = hashes.map((h) => (Buffer.isBuffer(h) ? h : Buffer.from(h, 'hex')));
+  while (level.length > 1) {
+    const isRight = idx % 2 === 1;
+    const pairIndex = isRight ? idx - 1 : idx + 1;
+    const sibling = level[pairIndex] || level[idx];
+    path.push(sibling);
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      const left = level[i];
+      const right = level[i + 1] || level[i];
+      next.push(crypto.createHash('sha256').update(Buffer.concat([left, right])).digest());
+    }
+    level = next;
+    idx = Math.floor(idx / 2);
+  }
+  return path;
+}
+
+class BatchAnchorService {
+  _maxSize() { return Math.max(1, envInt('BATCH_ANCHOR_MAX_SIZE', 1000)); }
+  _minSize() { return Math.min(Math.max(1, envInt('BATCH_ANCHOR_MIN_SIZE', 100)), this._maxSize()); }
+  _maxLatencyMs() { return envInt('BATCH_ANCHOR_MAX_LATENCY_SEC', 600) * 1000; }
+
+  /**
+   * Anchor records under one Merkle root, mark them confirmed and register their patches.
+   * @param {Array<{ _id: any, record_data: object }>} records Lean records as read from the DB, in leaf order.
+   * @param {{ log?: object, leafEncoding?: 'canonical-json'|'json' }} [opts] `json` only to re-anchor pre-v1 batches
+   * @returns {Promise<{ success: boolean, txid?: string, merkleRoot?: string, merklePaths?: string[][], updated?: number, error?: string }>}
+   */
+  async anchorRecords(records, { log, leafEncoding = LEAF_ENCODING } = {}) {
+    const l = log || logger;
+    const hashes = records.map((r) => leafHash(r.record_data, leafEncoding));
+    const merkleRoot = computeMerkleRoot(hashes);
+
+    const broadcastResult = await BlockchainService.constructAndBroadcastTx(envelope.encode('batch', merkleRoot), 'BatchAnchor', log);
+    if (!broadcastResult.success) {
+      l.error({ message: 'Batch anchor broadcast failed', records: records.length, error: broadcastResult.error });
+      return { success: false, error: broadcastResult.error || 'Broadcast failed' };
+    }
+    const anchorTxid = broadcastResult.txid;
+    const merklePaths = records.map((_, i) => computeMerklePath(i, hashes).map((buf) => buf.toString('hex')));
+
+    const bulkResult = await AuthenticationRecord.bulkWrite(records.map((record, i) => ({
+      updateOne: {
+        filter: { _id: record._id, status: { $in: ['pending', 'anchoring'] } },
+        update: {
+          $set: {
+            'record_data.auth.merkleRoot': merkleRoot.toString('hex'),
+            'record_data.auth.merklePath': merklePaths[i],
+            'record_data.auth.anchorTxid': anchorTxid,
+            status: 'confirmed',
+          },
+        },
+      },
+    })));
+    // Like markConfirmed for single registrations: the patch is registered with the anchor tx as its current txid.
+    // Never overwrites an existing state (uids are checked before registration; re-anchoring must not move a patch).
+    await PatchState.bulkWrite(records.map((record) => ({
+      updateOne: {
+        filter: { uid_tag_id: record.uid_tag_id },
+        update: {
+          $setOnInsert: {
+            uid_tag_id: record.uid_tag_id,
+            current_txid: anchorTxid,
+            current_owner_address: record.record_data.auth.owner || null,
+            current_ownership_vout: null,
+          },
+        },
+        upsert: true,
+      },
+    })));
+    l.info({ message: 'Batch anchored', txid: anchorTxid, records: records.length, updated: bulkResult.modifiedCount });
+    return { success: true, txid: anchorTxid, merkleRoot: merkleRoot.toString('hex'), merklePaths, updated: bulkResult.modifiedCount };
+  }
+
+  /**
+   * Persist `records` as a new AnchorBatch, claim them for it and anchor.
+   * On broadcast failure the batch is `failed` and its records stay `anchoring` until reanchor().
+   * @param {Array<{ _id: any, record_data: object }>} records Lean records, in leaf order.
+   * @param {{ trigger?: string, log?: object }} [opts]
+   * @returns {Promise<{ success: boolean, batchId: any, txid?: string, merkleRoot?: string, merklePaths?: string[][], updated?: number, error?: string }>}
+   */
+  async anchorBatch(records, { trigger = 'manual', log } = {}) {
+    const hashes = records.map((r) => leafHash(r.record_data));
+    const batch = await AnchorBatch.create({
+      merkle_root: computeMerkleRoot(hashes).toString('hex'),
+      leaf_encoding: LEAF_ENCODING,
+      members: records.map((r, i) => ({ record_id: r._id, leaf_hash: hashes[i].toString('hex') })),
+      size: records.length,
+      status: 'anchoring',
+      trigger,
+    });
+    await AuthenticationRecord.updateMany(
+      { _id: { $in: records.map((r) => r._id) }, status: { $in: ['pending', 'anchoring'] } },
+      { $set: { status: 'anchoring', batch_id: batch._id } }
+    ).exec();
+    return this._broadcastBatch(batch, records, log);
+  }
+
+  async _broadcastBatch(batch, records, log) {
+    const l = log || logger;
+    let result;
+    try {
+      result = await this.anchorRecords(records, { log, leafEncoding: batch.leaf_encoding || 'json' });
+    } catch (err) {
+      l.error({ message: 'Batch anchor failed', batchId: String(batch._id), error: err.message });
+      result = { success: false, error: err.message };
+    }
+    const $set = result.success
+      ? { status: 'anchored', txid: result.txid, anchored_at: new Date(), error: null }
+      : { status: 'failed', error: result.error };
+    await AnchorBatch.updateOne({ _id: batch._id }, { $set, $inc: { attempts: 1 } }).exec();
+    return { ...result, batchId: batch._id };
+  }
+
+  /**
+   * One scheduler pass over registrations queued for batch anchoring. Closes a batch (oldest first, at most
+   * BATCH_ANCHOR_MAX_SIZE records) when the size threshold or max latency is reached, or always with `force`.
+   * Callers must hold the LOCK_NAME lease so only one node anchors.
+   * @returns {Promise<{ anchored: boolean, queued: number, trigger?: string, batchId?: any, txid?: string, size?: number, updated?: number, error?: string, failedStale?: number }>}
+   */
+  async runOnce({ force = false, limit, now = Date.now(), log } = {}) {
+    const failedStale = await this._failStaleBatches(now);
+    const max = Math.min(limit || this._maxSize(), this._maxSize());
+    const records = await AuthenticationRecord.find(QUEUED).sort({ created_at: 1, _id: 1 }).limit(max).lean().exec();
+    if (records.length === 0) return { anchored: false, queued: 0, failedStale };
+
+    const oldestAgeMs = now - new Date(records[0].created_at).getTime();
+    let trigger = null;
+    if (force) trigger = 'manual';
+    else if (records.length >= this._minSize()) trigger = 'size';
+    else if (oldestAgeMs >= this._maxLatencyMs()) trigger = 'latency';
+    if (!trigger) return { anchored: false, queued: records.length, oldestAgeMs, failedStale };
+
+    const result = await this.anchorBatch(records, { trigger, log });
+    return {
+      anchored: result.success,
+      queued: records.length,
+      trigger,
+      batchId: result.batchId,
+      size: records.length,
+      txid: result.txid || null,
+      updated: result.updated || 0,
+      ...(!result.success && { error: result.error }),
+      failedStale,
+    };
+  }
+
+  // Batches left 'anchoring' by a crashed run become 'failed' so they can be re-anchored.
+  async _failStaleBatches(now) {
+    const res = await AnchorBatch.updateMany(
+      { status: 'anchoring', updated_at: { $lt: new Date(now - STALE_MS) } },
+      { $set: { status: 'failed', error: 'Interrupted before the anchor was recorded' } }
+    ).exec();
+    return (res && res.modifiedCount) || 0;
+  }
+
+  /**
+   * Broadcast a failed batch again with the same members and Merkle root.
+   * @throws {NotFoundError} unknown batch
+   * @throws {ConflictError} batch is not `failed`
+   * @throws {DataInconsistencyError} a member record is missing, already settled or no longer hashes to its leaf
+   */
+  async reanchor(batchId, { log } = {}) {
+    const batch = await AnchorBatch.findOneAndUpdate(
+      { _id: batchId, status: 'failed' },
+      { $set: { status: 'anchoring' } },
+      { new: true }
+    ).lean().exec();
+    if (!batch) {
+      if (await AnchorBatch.exists({ _id: batchId })) throw new ConflictError('Only failed batches can be re-anchored');
+      throw new NotFoundError('Anchor batch not found');
+    }
+    const byId = new Map((await AuthenticationRecord.find({ batch_id: batch._id, status: 'anchoring' }).lean().exec())
+      .map((r) => [String(r._id), r]));
+    const records = batch.members.map((m) => byId.get(String(m.record_id)));
+    const intact = records.every((r, i) => r && leafHash(r.record_data, batch.leaf_encoding || 'json').toString('hex') === batch.members[i].leaf_hash);
+    if (!intact) {
+      await AnchorBatch.updateOne({ _id: batch._id }, { $set: { status: 'failed', error: 'Batch members changed; cannot re-anchor' } }).exec();
+      throw new DataInconsistencyError('Batch members changed since the batch was built');
+    }
+    return this._broadcastBatch(batch, records, log);
+  }
+
+  async listBatches({ status, limit = 50 } = {}) {
+    const filter = status ? { status } : {};
+    return AnchorBatch.find(filter, { members: 0 }).sort({ created_at: -1 }).limit(limit).lean().exec();
+  }
+}
+
+module.exports = new BatchAnchorService();
+module.exports.computeSha256 = computeSha256;
+module.exports.leafPreimage = leafPreimage;
+module.exports.leafHash = leafHash;
+module.exports.LEAF_ENCODING = LEAF_ENCODING;
+module.exports.computeMerkleRoot = computeMerkleRoot;
+module.exports.computeMerklePath = computeMerklePath;
+module.exports.LOCK_NAME = LOCK_NAME;
+module.exports.LEASE_MS = LEASE_MS;
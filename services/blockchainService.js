@@ -2,7 +2,7 @@
 // Production-oriented BSV integration for PatchProof
 // - Deterministic issuer key derivation (HD if ISSUER_XPRV is set; otherwise deterministic fallback)
 // - ECDSA sign/verify for record hashing
-// - Construct and broadcast transactions with OP_RETURN via WhatsOnChain
+// - Construct and broadcast transactions with OP_RETURN (broadcast via services/broadcasterService with provider failover)
 
 /**
  * blockchainService.js
@@ -27,6 +27,8 @@ const crypto = require('crypto');
 const { getSecret } = require('../secrets');
 const utxoService = require('./utxoService');
 const wocClient = require('../clients/wocClient');
+const broadcaster = require('./broadcasterService');
+const chainData = require('./chainDataService');
 const logger = require('../logger');
 const kmsSigner = require('./kmsSigner');
 let configService;
@@ -48,6 +50,13 @@ function computeSha256(data) {
   return crypto.createHash('sha256').update(Buffer.from(json)).digest();
 }
 
+// Fingerprint of anchored OP_RETURN data: SHA-256 over the concatenated data pushes (hex).
+// Stored on confirmed records so on-chain verification can compare the exact bytes that were broadcast.
+function opReturnDataSha256(chunks) {
+  const bufs = (chunks || []).map((c) => (Buffer.isBuffer(c) ? c : Buffer.from(String(c))));
+  return crypto.createHash('sha256').update(Buffer.concat(bufs)).digest('hex');
+}
+
 // Safe helper: deterministic JSON -> UTF-8 -> single SHA-256 Buffer
 function toHashBuf(obj) {
   const json = stringify(obj);
@@ -186,13 +195,14 @@ function buildOpReturnScript(chunks) {
 // (Removed legacy buildAndSignTx in favor of v2 + KMS signing)
 
 async function broadcastRawTx(rawHex, network = (getSecret('WOC_NETWORK') || 'main')) {
-  if (process.env.NODE_ENV === 'test') {
+  // Unit tests fake broadcasts unless they opt into a provider (e.g. BROADCAST_PROVIDERS=regtest)
+  if (process.env.NODE_ENV === 'test' && !process.env.BROADCAST_PROVIDERS) {
     return { success: true, txid: crypto.createHash('sha256').update(rawHex).digest('hex') };
   }
   const net = (network || 'main').toLowerCase();
   try {
-    const txid = await wocClient.broadcast(rawHex, net);
-    return { success: true, txid: typeof txid === 'string' ? txid.replace(/"/g, '') : String(txid) };
+    const { txid } = await broadcaster.broadcast(rawHex, { network: net });
+    return { success: true, txid };
   } catch (err) {
     return { success: false, error: err && err.message ? err.message : String(err) };
   }
@@ -205,6 +215,12 @@ function isMissingInputsError(err) {
   return /missing inputs/i.test(s);
 }
 
+// Node/provider rejections meaning an input was already spent (e.g. a second transfer of the same ownership output)
+function isDoubleSpendError(err) {
+  const s = typeof err === 'string' ? err : JSON.stringify(err || '');
+  return isMissingInputsError(s) || /txn-mempool-conflict|double.?spend|already spent|inputs-spent/i.test(s);
+}
+
 // Version-compatible sighash helper: supports multiple bsv variants
 function computeSighashHex(tx, index, script, satoshis, sighashType) {
   if (tx && typeof tx.sighashForUTXO === 'function') {
@@ -224,26 +240,49 @@ function computeSighashHex(tx, index, script, satoshis, sighashType) {
   throw new Error('Unsupported bsv version for sighash calculation');
 }
 
-// (Removed legacy constructAndBroadcastTx in favor of v2 + KMS signing)
+// High-level anchoring entry points used by controllers, workers and scripts.
+// All delegate to the v2 pipeline (select/lock UTXO -> build -> KMS sign -> broadcast -> record change).
+// Resolve with { success, txid } or { success: false, error }; they never throw.
+async function constructAndBroadcastTx(opReturnData, purpose = 'Anchor', log) {
+  return module.exports.v2.anchorOpReturn(opReturnData, { purpose, log });
+}
 
-// (Removed legacy constructAndBroadcastTransferTx in favor of v2 + KMS signing)
+// Registration additionally creates the patch's ownership output (see v2.anchorRegistration).
+async function constructAndBroadcastRegistrationTx(opReturnData, log) {
+  return module.exports.v2.anchorRegistration(opReturnData, { log });
+}
+
+// Transfers spend the previous ownership output so a second transfer of the same state is a double spend.
+// `previousOwnershipOutput` is null for legacy records registered before ownership outputs existed.
+async function constructAndBroadcastTransferTx(currentTxid, newOwnerAddress, currentOwnerSignature, opReturnData, log, { previousOwnershipOutput = null } = {}) {
+  const l = log || logger;
+  l.info({ message: 'Anchoring ownership transfer', prevTxid: currentTxid, newOwnerAddress, ownerSigned: !!currentOwnerSignature, spendsOwnershipOutput: !!previousOwnershipOutput });
+  const prev = previousOwnershipOutput ? { txid: currentTxid, ...previousOwnershipOutput } : null;
+  return module.exports.v2.anchorTransfer(opReturnData, { previousOwnershipOutput: prev, log });
+}
 
 module.exports = {
   computeSha256,
+  opReturnDataSha256,
   toHashBuf,
   deriveIssuerChildKey,
   deriveIssuerKeyFromSecret,
   signHash,
   verifySignature,
+  computeSighashHex,
   publicKeyHexToAddress,
   broadcastRawTx,
+  constructAndBroadcastTx,
+  constructAndBroadcastRegistrationTx,
+  constructAndBroadcastTransferTx,
+  isDoubleSpendError,
 };
 
 // Add a high-level sweep API for administrative consolidation of change UTXOs
 async function sweepAddress({ addressToSweep, signingKeyIdentifier, destinationAddress, isDryRun = false }) {
-  // Fetch UTXOs via robust client
+  // Fetch UTXOs via the configured chain data provider
   const network = (getSecret('WOC_NETWORK') || process.env.WOC_NETWORK || 'main').toLowerCase();
-  const utxos = await wocClient.getUnspentOutputs(addressToSweep, 0);
+  const utxos = await chainData.getUnspentOutputs(addressToSweep);
 
   if (utxos.length === 0) {
     return { success: true, utxosSwept: [], totalSatoshis: 0, estimatedFee: 0, finalAmount: 0, dryRun: !!isDryRun };
@@ -253,11 +292,9 @@ async function sweepAddress({ addressToSweep, signingKeyIdentifier, destinationA
   const tx = new bsv.Transaction();
   let totalSatoshis = 0;
   for (const u of utxos) {
-    const vout = (u.tx_pos !== null && u.tx_pos !== undefined) ? u.tx_pos : u.vout;
-    const sat = (u.value !== null && u.value !== undefined) ? u.value : u.satoshis;
     const scriptHex = bsv.Script.buildPublicKeyHashOut(addressToSweep).toHex();
-    tx.from({ txid: u.tx_hash || u.txid, vout, scriptPubKey: scriptHex, script: scriptHex, satoshis: sat });
-    totalSatoshis += sat;
+    tx.from({ txid: u.txid, vout: u.vout, scriptPubKey: scriptHex, script: scriptHex, satoshis: u.satoshis });
+    totalSatoshis += u.satoshis;
   }
 
   // Use centralized dynamic fee policy
@@ -290,9 +327,7 @@ async function sweepAddress({ addressToSweep, signingKeyIdentifier, destinationA
   // Create signing requests for KMS (no private keys in codebase)
   const flags = bsv.crypto.Signature.SIGHASH_ALL | bsv.crypto.Signature.SIGHASH_FORKID;
   const signingRequests = tx2.inputs.map((input, index) => {
-    const sighash = tx2
-      .sighashForUTXO(index, input.output.script, input.output.satoshis, flags)
-      .toString('hex');
+    const sighash = computeSighashHex(tx2, index, input.output.script, input.output.satoshis, flags);
     return { keyIdentifier: signingKeyIdentifier, sighash };
   });
 
@@ -375,7 +410,13 @@ class BlockchainServiceV2 {
     }
   }
 
-  buildOpReturnTransaction(utxos, opReturnData, changeAddress) {
+  /**
+   * @param {Array<object>} utxos Inputs ({ txid, vout, scriptPubKey, satoshis, keyIdentifier }), signed in order.
+   * @param {Array<Buffer|string>} opReturnData
+   * @param {string} changeAddress
+   * @param {Array<{ address?: string, scriptPubKey?: string, satoshis: number }>} [outputs] Extra outputs placed right after the OP_RETURN (vout 1..n).
+   */
+  buildOpReturnTransaction(utxos, opReturnData, changeAddress, outputs = []) {
     if (!Array.isArray(utxos) || utxos.length === 0) {
       throw new InsufficientFundsError('No UTXOs provided to build the transaction.');
     }
@@ -392,6 +433,10 @@ class BlockchainServiceV2 {
     }
     const dataScript = bsv.Script.buildSafeDataOut(opReturnData);
     tx.addOutput(new bsv.Transaction.Output({ script: dataScript, satoshis: 0 }));
+    for (const o of outputs) {
+      const script = o.scriptPubKey ? bsv.Script.fromHex(o.scriptPubKey) : bsv.Script.buildPublicKeyHashOut(o.address);
+      tx.addOutput(new bsv.Transaction.Output({ script, satoshis: o.satoshis }));
+    }
     tx.change(changeAddress);
     tx.feePerKb(this.getFeePerKb());
     const fee = tx.getFee();
@@ -412,20 +457,174 @@ class BlockchainServiceV2 {
   }
 
   applySignatures(transaction, signatures) {
+    // Sighashes are computed with ALL|FORKID; the unlocking script must carry the same type byte.
+    const sigtype = bsv.crypto.Signature.SIGHASH_ALL | bsv.crypto.Signature.SIGHASH_FORKID;
     for (let i = 0; i < signatures.length; i++) {
       const { signatureHex, pubKeyHex } = signatures[i];
       const signature = bsv.crypto.Signature.fromDER(Buffer.from(signatureHex, 'hex'));
       const pubKey = new bsv.PublicKey(Buffer.from(pubKeyHex, 'hex'));
-      transaction.inputs[i].setScript(bsv.Script.buildPublicKeyHashIn(pubKey, signature));
+      transaction.inputs[i].setScript(bsv.Script.buildPublicKeyHashIn(pubKey, signature, sigtype));
     }
     return transaction;
   }
 
+  // Funding/change configuration for anchoring (same env keys as UtxoManagerService).
+  _fundingConfig() {
+    const keyIdentifier = process.env.UTXO_FUNDING_KEY_IDENTIFIER || process.env.FUNDING_KEY_IDENTIFIER || null;
+    const fundingAddress = process.env.UTXO_FUNDING_ADDRESS || process.env.FUNDING_ADDRESS || null;
+    const changeAddress = process.env.UTXO_CHANGE_ADDRESS || process.env.CHANGE_ADDRESS || fundingAddress;
+    // Change is tracked in the pool only when we know which KMS key controls the change address.
+    const changeKeyIdentifier = process.env.UTXO_CHANGE_KEY_IDENTIFIER
+      || (changeAddress && changeAddress === fundingAddress ? keyIdentifier : null);
+    return { keyIdentifier, fundingAddress, changeAddress, changeKeyIdentifier };
+  }
+
+  // Ownership outputs live on a dedicated address so pool sync never mistakes them for funding UTXOs.
+  _ownershipConfig() {
+    const keyIdentifier = process.env.OWNERSHIP_KEY_IDENTIFIER || null;
+    const address = process.env.OWNERSHIP_ADDRESS || null;
+    if (!keyIdentifier || !address) return null;
+    const { fundingAddress, changeAddress } = this._fundingConfig();
+    if (address === fundingAddress || address === changeAddress) {
+      logger.error('[BlockchainServiceV2] OWNERSHIP_ADDRESS must differ from the funding/change addresses; ownership outputs disabled.');
+      return null;
+    }
+    const satoshis = Math.max(1, parseInt(process.env.OWNERSHIP_OUTPUT_SATS || '1', 10) || 1);
+    return { keyIdentifier, address, satoshis, scriptPubKey: bsv.Script.buildPublicKeyHashOut(address).toHex() };
+  }
+
+  /**
+   * Estimate the fee of a P2PKH transaction carrying the given OP_RETURN chunks, extra outputs and change.
+   * Used to pick a large-enough pool UTXO before the real transaction is built.
+   */
+  estimateOpReturnFee(opReturnData, inputCount = 1, extraOutputCount = 0) {
+    const dataBytes = (opReturnData || []).reduce((n, c) => n + (Buffer.isBuffer(c) ? c.length : Buffer.byteLength(String(c))) + 5, 0);
+    const size = 10 + (148 * inputCount) + (34 * (1 + extraOutputCount)) + 11 + dataBytes;
+    return Math.ceil((size * this.getFeePerKb()) / 1000);
+  }
+
+  /**
+   * Full anchoring pipeline for an OP_RETURN payload funded from the UTXO pool:
+   * select+lock a UTXO, build, sign via KMS, broadcast, mark spent and record change.
+   * Any failure before a successful broadcast unlocks the UTXO again.
+   * `inputs` are extra, already-owned outpoints spent ahead of the funding UTXO (never pool-locked);
+   * `outputs` are extra outputs placed at vout 1..n, reported back as `outputVouts`.
+   * @param {Array<Buffer|string>} opReturnData
+   * @param {{ purpose?: string, log?: object, inputs?: Array<object>, outputs?: Array<object> }} [opts]
+   * @returns {Promise<{ success: boolean, txid?: string, fee?: number, dataSha256?: string, outputVouts?: number[], error?: string, doubleSpend?: boolean }>}
+   */
+  async anchorOpReturn(opReturnData, { purpose = 'Anchor', log, inputs = [], outputs = [] } = {}) {
+    const l = log || logger;
+    const { keyIdentifier, changeAddress, changeKeyIdentifier } = this._fundingConfig();
+    if (!keyIdentifier || !changeAddress) {
+      return { success: false, error: 'Funding key/address configuration is missing (UTXO_FUNDING_KEY_IDENTIFIER/UTXO_FUNDING_ADDRESS).' };
+    }
+    const buffer = Math.max(0, parseInt(process.env.UTXO_FEE_BUFFER || '0', 10) || 0);
+    const carried = outputs.reduce((n, o) => n + o.satoshis, 0) - inputs.reduce((n, i) => n + i.satoshis, 0);
+    const required = Math.max(1, this.estimateOpReturnFee(opReturnData, 1 + inputs.length, outputs.length) + buffer + carried);
+
+    let utxo;
+    try {
+      utxo = await utxoService.selectAndLockUtxo(keyIdentifier, required);
+    } catch (err) {
+      l.error({ message: 'UTXO selection failed', purpose, error: err.message });
+      return { success: false, error: `UTXO selection failed: ${err.message}` };
+    }
+    if (!utxo) {
+      l.error({ message: 'No available UTXO to fund transaction', purpose, required });
+      return { success: false, error: `No available UTXO with at least ${required} satoshis` };
+    }
+
+    let txid;
+    let transaction;
+    try {
+      const built = this.buildOpReturnTransaction([...inputs, utxo], opReturnData, changeAddress, outputs);
+      transaction = built.transaction;
+      const signatures = await kmsSigner.signBatch(built.signingHashes);
+      if (!Array.isArray(signatures) || signatures.length !== built.signingHashes.length) {
+        throw new Error('KMS returned an unexpected number of signatures');
+      }
+      this.applySignatures(transaction, signatures);
+      // Ownership outputs are intentionally below the legacy 546-sat dust limit.
+      txid = await this.broadcast(transaction.serialize({ disableDustOutputs: true }));
+    } catch (err) {
+      try { await utxoService.unlockUtxo(utxo); }
+      catch (e) { l.error({ message: 'Failed to unlock UTXO after anchoring failure', txid: utxo.txid, vout: utxo.vout, error: e.message }); }
+      l.error({ message: 'Anchoring transaction failed', purpose, error: err.message });
+      return { success: false, error: err.message, doubleSpend: inputs.length > 0 && isDoubleSpendError(err.message) };
+    }
+
+    // Broadcast succeeded: bookkeeping failures must not turn this into a failed anchor.
+    try { await utxoService.spendUtxo(utxo); }
+    catch (e) { l.error({ message: 'Failed to mark funding UTXO spent', txid: utxo.txid, vout: utxo.vout, error: e.message }); }
+    try { await this._recordChange(transaction, txid, changeKeyIdentifier); }
+    catch (e) { l.error({ message: 'Failed to record change output', txid, error: e.message }); }
+
+    const fee = transaction.getFee();
+    logger.onChain.info({ message: 'Anchored OP_RETURN transaction', purpose, txid, fee, fundingTxid: utxo.txid, fundingVout: utxo.vout });
+    return { success: true, txid, fee, dataSha256: opReturnDataSha256(opReturnData), outputVouts: outputs.map((_, i) => i + 1) };
+  }
+
+  /**
+   * Anchor a registration record together with a fresh ownership output (vout 1) locked to OWNERSHIP_ADDRESS.
+   * Without ownership configuration this is a plain OP_RETURN anchor and `ownershipOutput` is null.
+   */
+  async anchorRegistration(opReturnData, { log } = {}) {
+    const ownership = this._ownershipConfig();
+    if (!ownership) {
+      (log || logger).warn({ message: 'Ownership outputs not configured (OWNERSHIP_KEY_IDENTIFIER/OWNERSHIP_ADDRESS); anchoring registration without one' });
+      const res = await this.anchorOpReturn(opReturnData, { purpose: 'Registration', log });
+      return { ...res, ownershipOutput: null };
+    }
+    const token = { scriptPubKey: ownership.scriptPubKey, satoshis: ownership.satoshis };
+    const res = await this.anchorOpReturn(opReturnData, { purpose: 'Registration', log, outputs: [token] });
+    if (!res.success) return res;
+    return { ...res, ownershipOutput: { vout: res.outputVouts[0], ...token, keyIdentifier: ownership.keyIdentifier } };
+  }
+
+  /**
+   * Anchor a transfer record. The previous ownership output ({ txid, vout, satoshis, scriptPubKey, keyIdentifier })
+   * is spent as input 0 and a new one is created at vout 1, carrying the same satoshis.
+   * Legacy patches without an ownership output start their on-chain chain here.
+   */
+  async anchorTransfer(opReturnData, { previousOwnershipOutput = null, log } = {}) {
+    const ownership = this._ownershipConfig();
+    const inputs = previousOwnershipOutput ? [previousOwnershipOutput] : [];
+    let token = null;
+    if (ownership) {
+      token = { scriptPubKey: ownership.scriptPubKey, satoshis: previousOwnershipOutput ? previousOwnershipOutput.satoshis : ownership.satoshis, keyIdentifier: ownership.keyIdentifier };
+    } else if (previousOwnershipOutput) {
+      // Ownership config removed since registration: keep the chain on the previous key.
+      token = { scriptPubKey: previousOwnershipOutput.scriptPubKey, satoshis: previousOwnershipOutput.satoshis, keyIdentifier: previousOwnershipOutput.keyIdentifier };
+    }
+    const outputs = token ? [{ scriptPubKey: token.scriptPubKey, satoshis: token.satoshis }] : [];
+    const res = await this.anchorOpReturn(opReturnData, { purpose: 'Transfer', log, inputs, outputs });
+    if (!res.success) return res;
+    return { ...res, ownershipOutput: token ? { vout: res.outputVouts[0], ...token } : null };
+  }
+
+  async _recordChange(transaction, txid, changeKeyIdentifier) {
+    const changeOutput = transaction.getChangeOutput();
+    if (!changeOutput) return null;
+    if (!changeKeyIdentifier) {
+      logger.info({ message: 'Change address has no configured key identifier; leaving change for sweep', txid });
+      return null;
+    }
+    const minConf = Math.max(0, parseInt(process.env.UTXO_MIN_CONFIRMATIONS || '1', 10));
+    return utxoService.addUtxo({
+      txid,
+      vout: transaction.outputs.indexOf(changeOutput),
+      satoshis: changeOutput.satoshis,
+      scriptPubKey: changeOutput.script.toHex(),
+      keyIdentifier: changeKeyIdentifier,
+      status: minConf === 0 ? 'available' : 'unconfirmed',
+    });
+  }
+
   async broadcast(rawTxHex) {
     try {
-      const result = await wocClient.broadcast(rawTxHex, this.network);
-      if (!result || typeof result !== 'string') throw new Error('Invalid broadcast response');
-      return result.replace(/"/g, '');
+      const { txid } = await broadcaster.broadcast(rawTxHex, { network: this.network });
+      return txid;
     } catch (err) {
       logger.error('[BlockchainServiceV2] Broadcast failed', err);
       throw new ServiceUnavailableError(`Broadcast failed: ${err.message}`);
@@ -0,0 +1,213 @@
+// services/broadcasterService.js
+// Broadcasts raw transactions through an ordered list of providers with failover.
+//
+// A provider is `{ name, isConfigured(), broadcast(rawHex, { network }) -> Promise<txid> }`. Built-in providers
+// are WhatsOnChain (`woc`), ARC transaction processors (`arc`), a node's JSON-RPC `sendrawtransaction`
+// (`node`) and the in-process simulator (`regtest`, see clients/regtestChain.js); others can be added with
+// register(). BROADCAST_PROVIDERS sets which ones are used and their priority. Providers that keep failing
+// are cooled down and tried last until they recover.
+//
+// Responses meaning "already in mempool / already known" count as success, so re-broadcasting the same tx
+// (failover after a timeout, job retries) is idempotent. Rejections of the tx itself (double spend, bad
+// script, fee) stop failover: every provider would refuse it and the caller needs the reason.
+const crypto = require('crypto');
+const wocClient = require('../clients/wocClient');
+const arcClient = require('../clients/arcClient');
+const nodeRpcClient = require('../clients/nodeRpcClient');
+const regtestChain = require('../clients/regtestChain');
+const metrics = require('./metricsService');
+const logger = require('../logger');
+
+const ALREADY_KNOWN_RE = /txn-already-known|txn-already-in-mempool|already in (the )?mempool|already known|already in (the )?block ?chain|ALREADY_MINED/i;
+const REJECTED_RE = /missing inputs|missingorspent|txn-mempool-conflict|double.?spend|already spent|inputs-spent|mandatory-script-verify|bad-txns|dust|min relay fee|insufficient (fee|priority)|non-final|tx-size|scriptpubkey/i;
+// bitcoind RPC_VERIFY_ERROR, RPC_VERIFY_REJECTED, RPC_DESERIALIZATION_ERROR
+const REJECTED_RPC_CODES = new Set([-25, -26, -22]);
+const ALREADY_IN_CHAIN_RPC_CODE = -27;
+const SCORE_ALPHA = 0.3;
+
+function envInt(name, def) {
+  const n = parseInt(process.env[name] || '', 10);
+  return Number.isFinite(n) && n >= 0 ? n : def;
+}
+
+function txidOf(rawHex) {
+  const once = crypto.createHash('sha256').update(Buffer.from(rawHex, 'hex')).digest();
+  return Buffer.from(crypto.createHash('sha256').update(once).digest()).reverse().toString('hex');
+}
+
+// Best available description of a provider error, including the response body where the real reason lives.
+function errorDetail(err) {
+  const body = err?.response?.data;
+  if (body) {
+    if (typeof body === 'string') return body;
+    return body.detail || body.extraInfo || body.title || body.message || JSON.stringify(body);
+  }
+  return err?.message || String(err);
+}
+
+/** @returns {'already_known'|'rejected'|'error'} */
+function classifyError(err) {
+  const detail = errorDetail(err);
+  if (err?.code === ALREADY_IN_CHAIN_RPC_CODE || ALREADY_KNOWN_RE.test(detail)) return 'already_known';
+  if (err?.rejected || REJECTED_RPC_CODES.has(err?.code) || REJECTED_RE.test(detail)) return 'rejected';
+  const status = err?.response?.status;
+  // 4xx other than auth/rate-limit/timeouts means the provider looked at the tx and refused it
+  if (status >= 400 && status < 500 && ![401, 403, 404, 408, 429].includes(status)) return 'rejected';
+  return 'error';
+}
+
+const BUILT_IN = {
+  woc: {
+    name: 'woc',
+    isConfigured: () => true,
+    broadcast: (rawHex, { network }) => wocClient.broadcast(rawHex, network),
+  },
+  arc: {
+    name: 'arc',
+    isConfigured: () => arcClient.isConfigured(),
+    broadcast: (rawHex) => arcClient.broadcast(rawHex),
+  },
+  node: {
+    name: 'node',
+    isConfigured: () => nodeRpcClient.isConfigured(),
+    broadcast: (rawHex) => nodeRpcClient.sendRawTransaction(rawHex),
+  },
+  regtest: {
+    name: 'regtest',
+    isConfigured: () => true,
+    broadcast: async (rawHex) => regtestChain.broadcast(rawHex),
+  },
+};
+
+class BroadcasterService {
+  constructor() {
+    this.registry = { ...BUILT_IN };
+    this.health = new Map(); // provider name -> stats
+  }
+
+  /** Add or replace a provider implementation; enable it by listing its name in BROADCAST_PROVIDERS. */
+  register(provider) {
+    if (!provider || !provider.name || typeof provider.broadcast !== 'function') {
+      throw new Error('Broadcast provider needs a name and a broadcast(rawHex, opts) function');
+    }
+    this.registry[provider.name] = { isConfigured: () => true, ...provider };
+  }
+
+  // Configured providers in priority order (BROADCAST_PROVIDERS, default "woc").
+  _configured() {
+    const names = String(process.env.BROADCAST_PROVIDERS || 'woc').split(',').map((s) => s.trim().toLowerCase()).filter(Boolean);
+    const list = [];
+    for (const name of names) {
+      const p = this.registry[name];
+      if (!p) { logger.warn(`[Broadcaster] Unknown provider '${name}' in BROADCAST_PROVIDERS; skipping`); continue; }
+      if (!p.isConfigured()) { logger.warn(`[Broadcaster] Provider '${name}' is not configured; skipping`); continue; }
+      list.push(p);
+    }
+    return list;
+  }
+
+  _stats(name) {
+    if (!this.health.has(name)) {
+      this.health.set(name, { score: 1, successes: 0, failures: 0, consecutiveFailures: 0, cooldownUntil: 0, lastError: null, lastLatencyMs: null });
+    }
+    return this.health.get(name);
+  }
+
+  // Healthy providers first in priority order, then cooled-down ones (still tried as a last resort).
+  _ordered() {
+    const now = Date.now();
+    const list = this._configured();
+    return [
+      ...list.filter((p) => this._stats(p.name).cooldownUntil <= now),
+      ...list.filter((p) => this._stats(p.name).cooldownUntil > now),
+    ];
+  }
+
+  _record(name, ok, latencyMs, error) {
+    const s = this._stats(name);
+    s.score = (1 - SCORE_ALPHA) * s.score + SCORE_ALPHA * (ok ? 1 : 0);
+    s.lastLatencyMs = latencyMs;
+    if (ok) {
+      s.successes += 1;
+      s.consecutiveFailures = 0;
+      s.cooldownUntil = 0;
+    } else {
+      s.failures += 1;
+      s.consecutiveFailures += 1;
+      s.lastError = error;
+      if (s.consecutiveFailures >= envInt('BROADCAST_FAILURE_THRESHOLD', 3)) {
+        s.cooldownUntil = Date.now() + envInt('BROADCAST_COOLDOWN_MS', 60000);
+      }
+    }
+    metrics.set('pp_broadcast_provider_health', s.score.toFixed(3), { provider: name });
+  }
+
+  /**
+   * Broadcast through the configured providers until one accepts the tx.
+   * @param {string} rawHex
+   * @param {{ network?: string }} [opts]
+   * @returns {Promise<{ txid: string, provider: string, alreadyKnown: boolean }>}
+   * @throws {Error} with `rejected = true` when the tx itself was refused, otherwise the last provider error
+   */
+  async broadcast(rawHex, { network } = {}) {
+    const providers = this._ordered();
+    if (providers.length === 0) throw new Error('No broadcast providers configured');
+    let lastError = null;
+    for (const [i, p] of providers.entries()) {
+      if (i > 0) metrics.inc('pp_broadcast_failovers_total', { provider: p.name });
+      const started = Date.now();
+      try {
+        const result = await p.broadcast(rawHex, { network });
+        const txid = typeof result === 'string' && result ? result.replace(/"/g, '').trim() : txidOf(rawHex);
+        this._record(p.name, true, Date.now() - started);
+        metrics.inc('pp_broadcast_attempts_total', { provider: p.name, outcome: 'success' });
+        return { txid, provider: p.name, alreadyKnown: false };
+      } catch (err) {
+        const kind = classifyError(err);
+        const detail = errorDetail(err);
+        metrics.inc('pp_broadcast_attempts_total', { provider: p.name, outcome: kind });
+        if (kind === 'already_known') {
+          this._record(p.name, true, Date.now() - started);
+          logger.info({ message: '[Broadcaster] Transaction already known to the network', provider: p.name });
+          return { txid: txidOf(rawHex), provider: p.name, alreadyKnown: true };
+        }
+        if (kind === 'rejected') {
+          // The provider did its job; the transaction is at fault.
+          this._record(p.name, true, Date.now() - started);
+          const e = new Error(`${p.name}: ${detail}`);
+          e.rejected = true;
+          throw e;
+        }
+        this._record(p.name, false, Date.now() - started, detail);
+        logger.warn({ message: '[Broadcaster] Provider failed; trying next', provider: p.name, error: detail });
+        lastError = new Error(`${p.name}: ${detail}`);
+      }
+    }
+    throw lastError;
+  }
+
+  /** Per-provider health for admin/monitoring views, in current try order. */
+  getStatus() {
+    const now = Date.now();
+    return this._ordered().map((p) => {
+      const s = this._stats(p.name);
+      return {
+        provider: p.name,
+        score: Number(s.score.toFixed(3)),
+        coolingDown: s.cooldownUntil > now,
+        successes: s.successes,
+        failures: s.failures,
+        consecutiveFailures: s.consecutiveFailures,
+        lastError: s.lastError,
+        lastLatencyMs: s.lastLatencyMs,
+      };
+    });
+  }
+
+  resetHealth() {
+    this.health.clear();
+  }
+}
+
+module.exports = new BroadcasterService();
+module.exports.classifyError = classifyError;
@@ -0,0 +1,217 @@
+// services/chainDataService.js
+// Chain data (tip height, address UTXOs, outpoint spent status) behind one provider-neutral interface.
+//
+// A provider is `{ name, initialize?(), getChainInfo(), listUnspent(address), isUtxoSpent(txid, vout) }` where
+// getChainInfo resolves `{ height, bestBlockHash }` and listUnspent resolves `[{ txid, vout, satoshis, height }]`
+// (height 0 = unconfirmed). Providers may also serve transaction-level lookups in WhatsOnChain shapes
+// (getTransaction, getRawTransaction, getTxMerkleProof, getBlockHeader) used by verification and proofs. CHAIN_DATA_PROVIDER selects `woc` (default), `node` (node JSON-RPC, with
+// ElectrumX for address lookups when ELECTRUMX_URL is set) or `regtest` (in-memory, see clients/regtestChain.js);
+// others can be added with register().
+const wocClient = require('../clients/wocClient');
+const nodeRpcClient = require('../clients/nodeRpcClient');
+const electrumClient = require('../clients/electrumClient');
+const regtestChain = require('../clients/regtestChain');
+const logger = require('../logger');
+
+const SATS_PER_BSV = 1e8;
+const RPC_INVALID_ADDRESS_OR_KEY = -5;
+
+// Same failure shape as a WoC 404 so callers handle every provider alike.
+function notFoundIfNull(value, what) {
+  if (value !== null && value !== undefined) return value;
+  throw Object.assign(new Error(`${what} not found`), { response: { status: 404 } });
+}
+
+const BUILT_IN = {
+  woc: {
+    name: 'woc',
+    initialize: () => { if (!wocClient.isReady) wocClient.initialize(); },
+    async getChainInfo() {
+      const info = await wocClient.getChainInfo();
+      return { height: info?.blocks || 0, bestBlockHash: info?.bestblockhash || null };
+    },
+    async listUnspent(address) {
+      const list = await wocClient.getUnspentOutputs(address, 0);
+      return (Array.isArray(list) ? list : []).map((u) => ({
+        txid: u.tx_hash || u.txid,
+        vout: (u.tx_pos !== null && u.tx_pos !== undefined) ? u.tx_pos : u.vout,
+        satoshis: (u.value !== null && u.value !== undefined) ? u.value : u.satoshis,
+        height: u.height > 0 ? u.height : 0,
+      }));
+    },
+    isUtxoSpent: (txid, vout) => wocClient.isUtxoSpent(txid, vout),
+    getTransaction: (txid) => wocClient.getTransaction(txid),
+    getRawTransaction: (txid) => wocClient.getRawTransaction(txid),
+    getTxMerkleProof: (txid) => wocClient.getTxMerkleProof(txid),
+    getBlockHeader: (hash) => wocClient.getBlockHeader(hash),
+  },
+  node: {
+    name: 'node',
+    async getChainInfo() {
+      const info = await nodeRpcClient.call('getblockchaininfo');
+      return { height: info?.blocks || 0, bestBlockHash: info?.bestblockhash || null };
+    },
+    async listUnspent(address) {
+      if (electrumClient.isConfigured()) {
+        const list = await electrumClient.listUnspent(address);
+        return (list || []).map((u) => ({ txid: u.tx_hash, vout: u.tx_pos, satoshis: u.value, height: u.height > 0 ? u.height : 0 }));
+      }
+      // Without an address index the node only knows addresses imported into its wallet (importaddress, watch-only).
+      const [list, info] = await Promise.all([
+        nodeRpcClient.call('listunspent', [0, 9999999, [address]]),
+        nodeRpcClient.call('getblockchaininfo'),
+      ]);
+      const tip = info?.blocks || 0;
+      return (list || []).map((u) => ({
+        txid: u.txid,
+        vout: u.vout,
+        satoshis: Math.round(Number(u.amount) * SATS_PER_BSV),
+        height: u.confirmations > 0 ? tip - u.confirmations + 1 : 0,
+      }));
+    },
+    // gettxout only returns unspent outputs (mempool included)
+    async isUtxoSpent(txid, vout) {
+      const out = await nodeRpcClient.call('gettxout', [txid, vout, true]);
+      return out === null || out === undefined;
+    },
+    async getTransaction(txid) {
+      let tx;
+      try { tx = await nodeRpcClient.call('getrawtransaction', [txid, true]); }
+      catch (err) {
+        if (err.code === RPC_INVALID_ADDRESS_OR_KEY) return null; // "No such mempool or blockchain transaction"
+        throw err;
+      }
+      const header = tx.blockhash ? await nodeRpcClient.call('getblockheader', [tx.blockhash, true]) : null;
+      return {
+        txid,
+        hex: tx.hex,
+        confirmations: tx.confirmations || 0,
+        blockhash: tx.blockhash,
+        blockheight: header ? header.height : undefined,
+        blocktime: tx.blocktime,
+      };
+    },
+    getRawTransaction: (txid) => nodeRpcClient.call('getrawtransaction', [txid, false]),
+    async getTxMerkleProof(txid) {
+      const tx = await this.getTransaction(txid);
+      if (!tx || !tx.blockhash) return null;
+      return nodeRpcClient.call('getmerkleproof2', [tx.blockhash, txid]);
+    },
+    getBlockHeader: (hash) => nodeRpcClient.call('getblockheader', [hash, true]),
+  },
+  regtest: {
+    name: 'regtest',
+    getChainInfo: async () => regtestChain.getChainInfo(),
+    listUnspent: async (address) => regtestChain.listUnspent(address).map(({ txid, vout, satoshis, height }) => ({ txid, vout, satoshis, height })),
+    isUtxoSpent: async (txid, vout) => regtestChain.isSpent(txid, vout),
+    getTransaction: async (txid) => regtestChain.getTransaction(txid),
+    getRawTransaction: async (txid) => notFoundIfNull(regtestChain.getRawTransaction(txid), `tx ${txid}`),
+    getTxMerkleProof: async (txid) => regtestChain.getTxMerkleProof(txid),
+    getBlockHeader: async (hash) => notFoundIfNull(regtestChain.getBlockHeader(hash), `block ${hash}`),
+    // Local dev: seed the funding address so the UTXO pool can sync (REGTEST_FUND_SATS, split into REGTEST_FUND_OUTPUTS).
+    initialize() {
+      const sats = parseInt(process.env.REGTEST_FUND_SATS || '0', 10);
+      const address = process.env.UTXO_FUNDING_ADDRESS;
+      if (!(sats > 0) || !address || regtestChain.listUnspent(address).length > 0) return;
+      const outputs = Math.max(1, parseInt(process.env.REGTEST_FUND_OUTPUTS || '1', 10) || 1);
+      for (let i = 0; i < outputs; i++) regtestChain.fund(address, Math.floor(sats / outputs));
+      regtestChain.mine(1);
+    },
+  },
+};
+
+class ChainDataService {
+  constructor() {
+    this.registry = { ...BUILT_IN };
+  }
+
+  register(provider) {
+    for (const fn of ['getChainInfo', 'listUnspent', 'isUtxoSpent']) {
+      if (!provider || typeof provider[fn] !== 'function') throw new Error(`Chain data provider must implement ${fn}()`);
+    }
+    if (!provider.name) throw new Error('Chain data provider needs a name');
+    this.registry[provider.name] = provider;
+  }
+
+  providerName() {
+    return String(process.env.CHAIN_DATA_PROVIDER || 'woc').trim().toLowerCase();
+  }
+
+  _provider() {
+    const name = this.providerName();
+    const p = this.registry[name];
+    if (!p) throw new Error(`Unknown chain data provider '${name}' (CHAIN_DATA_PROVIDER)`);
+    return p;
+  }
+
+  initialize() {
+    const p = this._provider();
+    if (typeof p.initialize === 'function') p.initialize();
+    logger.info(`[ChainDataService] Using provider '${p.name}'`);
+  }
+
+  async getChainInfo() {
+    return this._provider().getChainInfo();
+  }
+
+  /**
+   * Unspent outputs of an address with confirmation counts.
+   * @returns {Promise<Array<{ txid: string, vout: number, satoshis: number, height: number, confirmations: number }>>}
+   */
+  async getUnspentOutputs(address, { minConfirmations = 0 } = {}) {
+    const { list } = await this._unspentAtTip(address);
+    return list.filter((u) => u.confirmations >= minConfirmations);
+  }
+
+  async _unspentAtTip(address) {
+    const p = this._provider();
+    const [unspent, info] = await Promise.all([p.listUnspent(address), p.getChainInfo()]);
+    const height = info?.height || 0;
+    return { height, list: unspent.map((u) => ({ ...u, confirmations: u.height > 0 ? height - u.height + 1 : 0 })) };
+  }
+
+  async isUtxoSpent(txid, vout) {
+    return this._provider().isUtxoSpent(txid, vout);
+  }
+
+  _txLookup(fn) {
+    const p = this._provider();
+    if (typeof p[fn] !== 'function') throw new Error(`Chain data provider '${p.name}' does not implement ${fn}()`);
+    return p;
+  }
+
+  /** `{ txid, hex?, confirmations, blockhash, blockheight, blocktime }` or null when the tx is unknown. */
+  async getTransaction(txid) {
+    return this._txLookup('getTransaction').getTransaction(txid);
+  }
+
+  async getRawTransaction(txid) {
+    return this._txLookup('getRawTransaction').getRawTransaction(txid);
+  }
+
+  /** TSC proof `{ index, txOrId, target, nodes }` for a mined tx; null while unconfirmed. */
+  async getTxMerkleProof(txid) {
+    return this._txLookup('getTxMerkleProof').getTxMerkleProof(txid);
+  }
+
+  async getBlockHeader(hash) {
+    return this._txLookup('getBlockHeader').getBlockHeader(hash);
+  }
+
+  /** Funding address summary used by the admin health endpoint. */
+  async getChainHealth(address) {
+    const minConf = parseInt(process.env.UTXO_MIN_CONFIRMATIONS || '1', 10);
+    const { height, list } = await this._unspentAtTip(address);
+    const confirmed = list.filter((u) => u.height > 0 && u.confirmations >= minConf);
+    return {
+      provider: this.providerName(),
+      totalUtxos: list.length,
+      totalSatoshis: list.reduce((s, u) => s + (u.satoshis || 0), 0),
+      confirmedUtxos: confirmed.length,
+      confirmedSatoshis: confirmed.reduce((s, u) => s + (u.satoshis || 0), 0),
+      height,
+    };
+  }
+}
+
+module.exports = new ChainDataService();
@@ -0,0 +1,184 @@
+// services/chainVerificationService.js
+// On-chain verification of anchored records: fetches the anchor tx via the chain data provider, decodes its OP_RETURN
+// (PatchProof envelope v1 or legacy v0, services/recordEnvelope.js) and compares it with what we stored, reporting
+// confirmation depth and block time.
+//
+// Results are cached in-process (bounded, TTL-based) and concurrent lookups for the same txid share one
+// request, so public verification traffic does not translate 1:1 into WhatsOnChain calls.
+const bsv = require('bsv');
+const chainData = require('./chainDataService');
+const logger = require('../logger');
+const { opReturnDataSha256 } = require('./blockchainService');
+const envelope = require('./recordEnvelope');
+const { computeSha256 } = require('./batchAnchorService');
+const { leafPreimage } = require('./inclusionProofService');
+const { batchPathMatches } = require('../public/verifier/patchproof-verifier');
+
+const MAX_ENTRIES = 5000;
+
+function envInt(name, def) {
+  const n = parseInt(process.env[name] || '', 10);
+  return Number.isFinite(n) && n >= 0 ? n : def;
+}
+
+// Data pushes of the first OP_RETURN output, or null when the tx carries none.
+function decodeOpReturn(rawHex) {
+  const tx = new bsv.Transaction(rawHex);
+  for (const out of tx.outputs) {
+    const script = out.script;
+    if (!(script.isDataOut() || script.isSafeDataOut())) continue;
+    const start = script.isSafeDataOut() ? 2 : 1;
+    return script.chunks.slice(start).map((c) => c.buf || Buffer.alloc(0));
+  }
+  return null;
+}
+
+// Fields the database adds to record_data after anchoring; everything else must match the anchored payload.
+const DB_ONLY_FIELDS = ['txid', 'merkleRoot', 'merklePath', 'anchorTxid'];
+
+// Canonical JSON of a record without its DB-only fields (top level and auth), so key order does not matter.
+function anchoredJson(r) {
+  const strip = (o) => Object.fromEntries(Object.entries(o).filter(([k]) => !DB_ONLY_FIELDS.includes(k)));
+  if (!r || typeof r !== 'object') return envelope.canonicalJson(r);
+  const out = strip(r);
+  if (r.auth && typeof r.auth === 'object') out.auth = strip(r.auth);
+  return envelope.canonicalJson(out);
+}
+
+// Batch-anchored record: the anchor carries only the Merkle root, so the stored record must hash (either leaf
+// encoding) to a leaf whose merklePath folds back to that root.
+function compareBatch(decoded, recordData) {
+  const { merkleRoot, merklePath } = recordData.auth;
+  const result = (match, reason) => ({ match, comparison: 'merkle', envelopeVersion: decoded.version, ...(reason && { reason }) });
+  if (decoded.payload.toString('hex') !== merkleRoot) return result(false, 'anchor commits to another Merkle root');
+  const root = Buffer.from(merkleRoot, 'hex');
+  const inTree = ['canonical-json', 'json'].some((encoding) => batchPathMatches(computeSha256(leafPreimage(recordData, encoding)), merklePath || [], root));
+  return inTree ? result(true) : result(false, 'stored record is not a leaf of the anchored Merkle root');
+}
+
+/**
+ * Compare stored record data with the anchored OP_RETURN pushes.
+ * - `bytes`: data_sha256 recorded at broadcast time matches the on-chain bytes, and the decoded payload
+ *   still agrees with the stored record (catches edits to record_data after anchoring).
+ * - `fields`: legacy records without data_sha256; exact JSON bytes if they line up (canonical JSON for envelope v1),
+ *   else every field in any key order (only DB-only fields such as txid and the Merkle fields are ignored).
+ * - `merkle`: batch-anchored records, see compareBatch().
+ * `envelopeVersion` is the decoded envelope version (0 = legacy), or null when the payload is not a PatchProof record.
+ */
+function comparePayload(chunks, recordData, dataSha256) {
+  if (!chunks || chunks.length === 0) return { match: false, comparison: 'none', reason: 'no OP_RETURN output', envelopeVersion: null };
+  let decoded = null;
+  try { decoded = envelope.decode(chunks); }
+  catch (_) { decoded = null; }
+  if (decoded && decoded.type === 'batch' && recordData && recordData.auth && recordData.auth.merkleRoot) return compareBatch(decoded, recordData);
+  const envelopeVersion = decoded ? decoded.version : null;
+  const payload = decoded && decoded.json !== null ? decoded.payload : null;
+  const fieldsMatch = !!payload && anchoredJson(payload) === anchoredJson(recordData);
+  const result = (match, comparison, reason) => ({ match, comparison, envelopeVersion, ...(reason && { reason }) });
+
+  if (dataSha256) {
+    const bytesMatch = opReturnDataSha256(chunks) === dataSha256;
+    if (!bytesMatch) return result(false, 'bytes', 'on-chain bytes differ from the anchored payload');
+    if (!fieldsMatch) return result(false, 'bytes', 'stored record differs from the anchored payload');
+    return result(true, 'bytes');
+  }
+  const expected = envelopeVersion > 0 ? envelope.canonicalJson(recordData) : JSON.stringify(recordData);
+  if (payload && decoded.json === expected) return result(true, 'bytes');
+  return fieldsMatch
+    ? result(true, 'fields')
+    : result(false, 'fields', 'stored record differs from the anchored payload');
+}
+
+class ChainVerificationService {
+  constructor() {
+    this.cache = new Map(); // txid -> { expires, value }
+    this.inflight = new Map(); // txid -> Promise
+  }
+
+  _minConfirmations() { return envInt('VERIFY_MIN_CONFIRMATIONS', 1); }
+
+  _cacheGet(key) {
+    const hit = this.cache.get(key);
+    if (!hit) return null;
+    if (hit.expires <= Date.now()) { this.cache.delete(key); return null; }
+    return hit.value;
+  }
+
+  _cacheSet(key, value, ttlSec) {
+    if (ttlSec <= 0) return;
+    if (this.cache.size >= MAX_ENTRIES) this.cache.delete(this.cache.keys().next().value); // oldest first
+    this.cache.set(key, { expires: Date.now() + ttlSec * 1000, value });
+  }
+
+  // Chain facts for a txid: { found, rawHex, confirmations, blockHash, blockHeight, blockTime }.
+  async _lookup(txid) {
+    const info = await chainData.getTransaction(txid);
+    if (!info) return { found: false };
+    const rawHex = info.hex || await chainData.getRawTransaction(txid);
+    return {
+      found: true,
+      rawHex,
+      confirmations: Number(info.confirmations) || 0,
+      blockHash: info.blockhash || null,
+      blockHeight: Number.isFinite(info.blockheight) ? info.blockheight : null,
+      blockTime: Number.isFinite(info.blocktime) ? info.blocktime : null,
+    };
+  }
+
+  async _lookupCached(txid) {
+    const cached = this._cacheGet(txid);
+    if (cached) return { ...cached, cached: true };
+    if (this.inflight.has(txid)) return this.inflight.get(txid);
+    const p = this._lookup(txid)
+      .then((facts) => {
+        // Deeply confirmed data is stable; pending/missing txs are re-checked sooner.
+        const ttl = facts.found && facts.confirmations >= this._minConfirmations()
+          ? envInt('VERIFY_CACHE_TTL_SEC', 300)
+          : envInt('VERIFY_CACHE_TTL_UNCONFIRMED_SEC', 30);
+        this._cacheSet(txid, facts, ttl);
+        return { ...facts, cached: false };
+      })
+      .finally(() => this.inflight.delete(txid));
+    this.inflight.set(txid, p);
+    return p;
+  }
+
+  /**
+   * Verify that `txid` exists on chain and anchors `recordData`.
+   * @param {string} txid
+   * @param {object} recordData stored record_data
+   * @param {{ dataSha256?: string|null }} [opts]
+   * @returns {Promise<{ status: 'confirmed'|'unconfirmed'|'mismatch'|'not_on_chain', confirmations: number, blockHash: string|null, blockHeight: number|null, blockTime: number|null, payloadMatch: boolean|null, comparison: string|null, envelopeVersion?: number|null, reason?: string, cached: boolean }>}
+   * @throws when the chain data provider is unreachable
+   */
+  async verifyAnchor(txid, recordData, { dataSha256 = null } = {}) {
+    const facts = await this._lookupCached(txid);
+    const base = {
+      confirmations: facts.confirmations || 0,
+      blockHash: facts.blockHash || null,
+      blockHeight: facts.blockHeight ?? null,
+      blockTime: facts.blockTime ?? null,
+      cached: !!facts.cached,
+    };
+    if (!facts.found) return { status: 'not_on_chain', ...base, payloadMatch: null, comparison: null };
+
+    let cmp;
+    try { cmp = comparePayload(decodeOpReturn(facts.rawHex), recordData, dataSha256); }
+    catch (e) {
+      logger.warn({ message: '[ChainVerification] Failed to decode anchor transaction', txid, error: e.message });
+      cmp = { match: false, comparison: 'none', reason: 'undecodable transaction' };
+    }
+    const result = { ...base, payloadMatch: cmp.match, comparison: cmp.comparison };
+    if (cmp.envelopeVersion !== undefined) result.envelopeVersion = cmp.envelopeVersion;
+    if (cmp.reason) result.reason = cmp.reason;
+    if (!cmp.match) return { status: 'mismatch', ...result };
+    return { status: base.confirmations >= this._minConfirmations() ? 'confirmed' : 'unconfirmed', ...result };
+  }
+
+  clearCache() {
+    this.cache.clear();
+  }
+}
+
+module.exports = new ChainVerificationService();
+module.exports.comparePayload = comparePayload;
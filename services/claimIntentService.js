@@ -0,0 +1,59 @@
+// services/claimIntentService.js
+// POS claim intents (POST /v1/pos/claim-intent and custodial wallets).
+//
+// A customer asks to take a patch over at a store by signing PATCHPROOF_CLAIM over the patch, their address and a
+// short-lived client challenge (ts, nonce). The intent is stored pending until the store approves it
+// (POST /v1/pos/claim-approve), which queues the transfer.
+const ClaimIntent = require('../models/ClaimIntent');
+const BlockchainService = require('./blockchainService');
+const dbService = require('./databaseService');
+const patchStatusService = require('./patchStatusService');
+
+const TTL_MS = parseInt(process.env.CLAIM_INTENT_TTL_MS || '180000', 10); // default 3 minutes
+
+class ClaimIntentService {
+  /** Customer-signed claim message (hashed with SHA-256 as a string). */
+  claimMessage(uid, addr, ts, nonce) {
+    return `PATCHPROOF_CLAIM|uid:${uid}|addr:${addr}|ts:${ts}|nonce:${nonce}`;
+  }
+
+  /** Whether a claim challenge timestamp is outside CLAIM_INTENT_TTL_MS of now. */
+  isExpired(ts) {
+    return Math.abs(Date.now() - Number(ts)) > TTL_MS;
+  }
+
+  /**
+   * Check the customer's signature and the patch, then store a pending intent.
+   * @param {{ uid: string, customer: { address: string, userId: string, pubKey: string }, challenge: { ts: number, nonce: string }, signature: string }} claim
+   * @returns {Promise<{ intent: object } | { status: number, error: string }>} the pending ClaimIntent, or why it was refused
+   */
+  async createIntent({ uid, customer, challenge, signature }) {
+    const { address, pubKey, userId } = customer;
+    const { ts, nonce } = challenge;
+    if (this.isExpired(ts)) return { status: 400, error: 'Challenge timestamp expired' };
+
+    // The public key must map to the claimed address
+    if (BlockchainService.publicKeyHexToAddress(pubKey) !== address) {
+      return { status: 400, error: 'Address does not match public key' };
+    }
+    const hashBuf = BlockchainService.computeSha256(this.claimMessage(uid, address, ts, nonce));
+    if (!BlockchainService.verifySignature(hashBuf, signature, pubKey)) return { status: 401, error: 'Invalid signature' };
+
+    const state = await dbService.getPatchState(uid);
+    if (!state) return { status: 404, error: 'Patch not found' };
+    const blocked = patchStatusService.blockedReason(state);
+    if (blocked) return { status: 409, error: blocked };
+
+    const intent = await ClaimIntent.create({
+      uid,
+      customer: { address, userId, pubKey },
+      ts,
+      nonce,
+      signature,
+      status: 'pending',
+    });
+    return { intent };
+  }
+}
+
+module.exports = new ClaimIntentService();
@@ -19,6 +19,7 @@ class ConfigService {
       'DUST_THRESHOLD_SATS',
       'DUST_SWEEP_LIMIT',
       'UTXO_MIN_CONFIRMATIONS',
+      'POS_STORE_POLICY',
     ];
   }
 
@@ -0,0 +1,114 @@
+// services/confirmationTrackerService.js
+// Follows confirmed records' transactions on chain after broadcast: fills block_height/block_hash, moves
+// chain_status broadcast -> mined -> final (CONFIRMATION_FINALITY_DEPTH), and notices txs that were
+// reorged back into the mempool, moved to another block, or dropped entirely. Dropped txs are reverted
+// to pending and re-queued through the broadcast queue.
+const chainData = require('./chainDataService');
+const dbService = require('./databaseService');
+const jobService = require('./jobService');
+const ClaimIntent = require('../models/ClaimIntent');
+const logger = require('../logger');
+
+function envInt(name, def) {
+  const n = parseInt(process.env[name] || '', 10);
+  return Number.isFinite(n) && n >= 0 ? n : def;
+}
+
+class ConfirmationTrackerService {
+  _finalityDepth() { return Math.max(1, envInt('CONFIRMATION_FINALITY_DEPTH', 6)); }
+  _dropGraceMs() { return envInt('CONFIRMATION_DROP_GRACE_MIN', 30) * 60 * 1000; }
+
+  /**
+   * Check one record's tx and persist what changed.
+   * @param {object} rec lean AuthenticationRecord (status 'confirmed', txid set)
+   * @param {{ dryRun?: boolean }} [opts]
+   * @returns {Promise<'broadcast'|'mined'|'final'|'reorged'|'missing'|'dropped'|'requeued'>}
+   * @throws when the chain data provider is unreachable
+   */
+  async checkRecord(rec, { dryRun = false } = {}) {
+    const info = await chainData.getTransaction(rec.txid);
+    const now = Date.now();
+
+    if (!info) {
+      // Indexers lag behind broadcast; only give up on a tx after it has been missing for the grace period.
+      const missingSince = rec.chain_missing_since ? new Date(rec.chain_missing_since).getTime() : now;
+      if (now - missingSince < this._dropGraceMs()) {
+        if (!dryRun) await dbService.updateChainStatus(rec._id, rec.txid, { chain_missing_since: new Date(missingSince) });
+        return 'missing';
+      }
+      logger.warn({ message: '[ConfirmationTracker] Transaction dropped from chain', recordId: String(rec._id), txid: rec.txid, wasMined: rec.chain_status === 'mined' });
+      if (dryRun) return 'dropped';
+      return this._requeueDropped(rec);
+    }
+
+    const confirmations = Number(info.confirmations) || 0;
+    const fields = { chain_missing_since: null };
+    let outcome;
+    if (confirmations === 0) {
+      fields.chain_status = 'broadcast';
+      fields.block_height = null;
+      fields.block_hash = null;
+      outcome = rec.block_hash ? 'reorged' : 'broadcast';
+    } else {
+      fields.chain_status = confirmations >= this._finalityDepth() ? 'final' : 'mined';
+      fields.block_height = Number.isFinite(info.blockheight) ? info.blockheight : null;
+      fields.block_hash = info.blockhash || null;
+      outcome = rec.block_hash && info.blockhash && rec.block_hash !== info.blockhash ? 'reorged' : fields.chain_status;
+    }
+    if (outcome === 'reorged') {
+      logger.warn({ message: '[ConfirmationTracker] Reorg detected', recordId: String(rec._id), txid: rec.txid, previousBlockHash: rec.block_hash, blockHash: fields.block_hash });
+    }
+    if (!dryRun) await dbService.updateChainStatus(rec._id, rec.txid, fields);
+    return outcome;
+  }
+
+  async _requeueDropped(rec) {
+    // Without the async queue nothing would pick a reverted record up again; leave it for an operator.
+    if (!jobService.isEnabled()) {
+      await dbService.updateChainStatus(rec._id, rec.txid, { chain_status: 'dropped' });
+      return 'dropped';
+    }
+    const pending = await dbService.revertDropped(rec._id, rec.txid);
+    if (!pending) return 'dropped';
+
+    const base = { pendingId: String(pending._id), uid_tag_id: pending.uid_tag_id, record: pending.record_data, recoverCount: (pending.dropped_txids || []).length };
+    let jobId;
+    if (pending.type === 'TRANSFER') {
+      const intent = await ClaimIntent.findOne({ transfer_pending_id: String(pending._id) }, { _id: 1 }).lean().exec();
+      jobId = await jobService.addTransferJob({
+        ...base,
+        currentTxid: pending.previous_txid,
+        newOwnerAddress: pending.record_data?.auth?.owner,
+        ...(intent && { posIntentId: String(intent._id) }),
+      });
+      await dbService.attachJobToPendingTransfer(pending._id, jobId);
+    } else {
+      jobId = await jobService.addBroadcastJob({ ...base, initialOwner: pending.record_data?.auth?.owner, purpose: 'Registration' });
+      await dbService.attachJobToPending(pending._id, jobId);
+    }
+    logger.info({ message: '[ConfirmationTracker] Re-queued dropped record', recordId: String(pending._id), droppedTxid: rec.txid, jobId });
+    return 'requeued';
+  }
+
+  /**
+   * Check up to `limit` unsettled records, least recently checked first.
+   * Provider errors are counted per record and do not abort the run.
+   */
+  async runOnce({ limit = envInt('CONFIRMATION_BATCH_SIZE', 100), dryRun = false } = {}) {
+    const records = await dbService.getUnsettledRecords(limit);
+    const summary = { checked: 0, broadcast: 0, mined: 0, final: 0, reorged: 0, missing: 0, dropped: 0, requeued: 0, errors: 0 };
+    for (const rec of records) {
+      try {
+        const outcome = await this.checkRecord(rec, { dryRun });
+        summary[outcome] += 1;
+      } catch (e) {
+        summary.errors += 1;
+        logger.error({ message: '[ConfirmationTracker] Check failed', recordId: String(rec._id), txid: rec.txid, error: e.message });
+      }
+      summary.checked += 1;
+    }
+    return summary;
+  }
+}
+
+module.exports = new ConfirmationTrackerService();
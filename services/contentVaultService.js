@@ -0,0 +1,222 @@
+// services/contentVaultService.js
+// Owner-gated encrypted content vault behind POST /v1/patches/:uid_tag_id/unlock-content.
+//
+// Each patch gets a random 32-byte data key; content is AES-256-GCM encrypted with it (AAD binds the item to its
+// patch and id). The data key is stored wrapped under a key-encryption key derived from MASTER_SECRET, the
+// uid_tag_id and the owner address it is wrapped for, and is re-wrapped for the new owner when a transfer confirms.
+// Opening content unwraps with the *caller's* (signature-verified) address, so a previous owner's request fails
+// authentication even if it got past the ownership check. A re-wrap that fails is marked `rewrap_pending` on the key and
+// retried on the next vault access; the owner's listing reports it until it goes through.
+//
+// Limitation: this is server-side custody, not end-to-end encryption. The server derives every wrapping key from
+// MASTER_SECRET, so it (or anyone holding MASTER_SECRET and the database) can decrypt any patch's content, and a
+// previous owner is locked out only by the service's checks. The data key is re-wrapped, not rotated, on transfer:
+// content a previous owner downloaded, or a data key leaked while they held the patch, stays valid.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const PatchVaultKey = require('../models/PatchVaultKey');
+const VaultContent = require('../models/VaultContent');
+const PatchState = require('../models/PatchState');
+const cryptoService = require('./cryptoService');
+const logger = require('../logger');
+const { ConflictError, ForbiddenError, NotFoundError } = require('../errors');
+
+const DEFAULT_MAX_CONTENT_BYTES = 512 * 1024;
+
+function wrappingKey(uid_tag_id, ownerAddress) {
+  return cryptoService.hkdfSha256(null, uid_tag_id, `patchproof-vault-kek:${ownerAddress}`, 32);
+}
+
+function wrapAad(uid_tag_id, ownerAddress) {
+  return `${uid_tag_id}|${ownerAddress}`;
+}
+
+function contentAad(uid_tag_id, contentId) {
+  return `${uid_tag_id}|${contentId}`;
+}
+
+function wrapDataKey(uid_tag_id, ownerAddress, dataKey) {
+  const { iv, data } = cryptoService.aesGcmEncrypt(wrappingKey(uid_tag_id, ownerAddress), dataKey, wrapAad(uid_tag_id, ownerAddress));
+  return { wrapped_key: data.toString('base64'), wrap_iv: iv.toString('base64') };
+}
+
+function unwrapDataKey(vaultKey, ownerAddress) {
+  return cryptoService.aesGcmDecrypt(
+    wrappingKey(vaultKey.uid_tag_id, ownerAddress),
+    Buffer.from(vaultKey.wrap_iv, 'base64'),
+    Buffer.from(vaultKey.wrapped_key, 'base64'),
+    wrapAad(vaultKey.uid_tag_id, ownerAddress)
+  );
+}
+
+function describe(item) {
+  return {
+    contentId: String(item._id),
+    name: item.name,
+    contentType: item.content_type,
+    size: item.size,
+    sha256: item.sha256,
+    created_at: item.created_at,
+  };
+}
+
+class ContentVaultService {
+  maxContentBytes() {
+    const n = parseInt(process.env.VAULT_MAX_CONTENT_BYTES || String(DEFAULT_MAX_CONTENT_BYTES), 10);
+    return Number.isFinite(n) && n > 0 ? n : DEFAULT_MAX_CONTENT_BYTES;
+  }
+
+  async _state(uid_tag_id) {
+    const state = await PatchState.findOne({ uid_tag_id }).lean().exec();
+    if (!state) throw new NotFoundError('Patch not found');
+    return state;
+  }
+
+  // The patch's vault key, wrapped for the current owner (created on first upload, re-wrapped when it lags behind).
+  async _dataKey(state, { create = false } = {}) {
+    const { uid_tag_id, current_owner_address: owner } = state;
+    let vaultKey = await PatchVaultKey.findOne({ uid_tag_id }).lean().exec();
+    if (!vaultKey) {
+      if (!create) return null;
+      const dataKey = crypto.randomBytes(32);
+      try {
+        await PatchVaultKey.create({ uid_tag_id, owner_address: owner, ...wrapDataKey(uid_tag_id, owner, dataKey) });
+        return dataKey;
+      } catch (e) {
+        if (e && e.code !== 11000) throw e;
+        // Created by a concurrent upload: use theirs
+        vaultKey = await PatchVaultKey.findOne({ uid_tag_id }).lean().exec();
+      }
+    }
+    if (vaultKey.owner_address !== owner) {
+      // Lagging behind a transfer (e.g. the re-wrap after confirmation failed); a concurrent re-wrap is fine too
+      try { await this.rewrapForOwner(uid_tag_id, owner); }
+      catch (e) {
+        if (!(e instanceof ConflictError)) {
+          await this._markRewrapPending(uid_tag_id, owner, e, logger);
+          throw e;
+        }
+      }
+      vaultKey = await PatchVaultKey.findOne({ uid_tag_id }).lean().exec();
+    }
+    return unwrapDataKey(vaultKey, owner);
+  }
+
+  /**
+   * Encrypt and store issuer content for a registered patch.
+   * @param {string} uid_tag_id
+   * @param {{ name: string, contentType: string, data: Buffer }} content
+   * @throws {NotFoundError} patch not registered (no confirmed state)
+   */
+  async putContent(uid_tag_id, { name, contentType, data }) {
+    const state = await this._state(uid_tag_id);
+    const dataKey = await this._dataKey(state, { create: true });
+    const _id = new mongoose.Types.ObjectId();
+    const { iv, data: ciphertext } = cryptoService.aesGcmEncrypt(dataKey, data, contentAad(uid_tag_id, String(_id)));
+    const item = await VaultContent.create({
+      _id,
+      uid_tag_id,
+      name,
+      content_type: contentType,
+      size: data.length,
+      sha256: crypto.createHash('sha256').update(data).digest('hex'),
+      iv: iv.toString('base64'),
+      ciphertext,
+    });
+    return describe(item);
+  }
+
+  /** Metadata of a patch's vault content, oldest first (no ciphertext). */
+  async listContent(uid_tag_id) {
+    const items = await VaultContent.find({ uid_tag_id }).sort({ created_at: 1, _id: 1 }).lean().exec();
+    return items.map(describe);
+  }
+
+  /**
+   * Whether the patch's vault key is still not wrapped for its current owner, after retrying the re-wrap once.
+   * @returns {Promise<boolean>} false as well when the patch has no vault key
+   * @throws {NotFoundError} patch not registered (no confirmed state)
+   */
+  async rewrapPending(uid_tag_id, log = logger) {
+    const { current_owner_address: owner } = await this._state(uid_tag_id);
+    const vaultKey = await PatchVaultKey.findOne({ uid_tag_id }).lean().exec();
+    if (!vaultKey || vaultKey.owner_address === owner) return false;
+    if (await this.onOwnershipChange(uid_tag_id, owner, log)) return false;
+    const current = await PatchVaultKey.findOne({ uid_tag_id }).lean().exec();
+    return current.owner_address !== owner;
+  }
+
+  /**
+   * Decrypt one item for the caller, who must already have proven control of `ownerAddress`.
+   * @throws {NotFoundError} unknown item
+   * @throws {ForbiddenError} the vault key is not wrapped for `ownerAddress` (not the current owner)
+   */
+  async openContent(uid_tag_id, contentId, ownerAddress) {
+    const item = await VaultContent.findOne({ _id: contentId, uid_tag_id }).select('+ciphertext').lean().exec();
+    if (!item) throw new NotFoundError('Content not found');
+    await this._dataKey(await this._state(uid_tag_id));
+    const vaultKey = await PatchVaultKey.findOne({ uid_tag_id }).lean().exec();
+    let dataKey;
+    try {
+      dataKey = unwrapDataKey(vaultKey, ownerAddress);
+    } catch (_) {
+      throw new ForbiddenError('Vault key is not held by the caller');
+    }
+    // Lean reads return a BSON Binary rather than a Buffer
+    const ciphertext = Buffer.isBuffer(item.ciphertext) ? item.ciphertext : Buffer.from(item.ciphertext.buffer);
+    const plain = cryptoService.aesGcmDecrypt(dataKey, Buffer.from(item.iv, 'base64'), ciphertext, contentAad(uid_tag_id, String(item._id)));
+    return { ...describe(item), dataB64: plain.toString('base64') };
+  }
+
+  /**
+   * Hand the vault to the patch's new owner once a transfer is confirmed. Every confirmation path calls this:
+   * synchronous transfers (patchController) and queued transfers and POS claims (workers/broadcastWorker.js).
+   * Errors are not thrown (the transfer is already confirmed): the key is marked `rewrap_pending` and the next vault
+   * access retries (_dataKey, rewrapPending).
+   * @returns {Promise<boolean>} whether the key was re-wrapped
+   */
+  async onOwnershipChange(uid_tag_id, newOwnerAddress, log = logger) {
+    try {
+      return await this.rewrapForOwner(uid_tag_id, newOwnerAddress);
+    } catch (e) {
+      if (!(e instanceof ConflictError)) await this._markRewrapPending(uid_tag_id, newOwnerAddress, e, log);
+      return false;
+    }
+  }
+
+  // Record a failed re-wrap on the key, unless it has been wrapped for the new owner meanwhile.
+  async _markRewrapPending(uid_tag_id, newOwnerAddress, err, log) {
+    log.error({ message: 'Vault key re-wrap failed', uid_tag_id, error: err.message });
+    try {
+      await PatchVaultKey.updateOne(
+        { uid_tag_id, owner_address: { $ne: newOwnerAddress } },
+        { $set: { rewrap_pending: true, rewrap_error: err.message } }
+      ).exec();
+    } catch (e) {
+      log.error({ message: 'Could not mark vault key re-wrap pending', uid_tag_id, error: e.message });
+    }
+  }
+
+  /**
+   * Re-wrap a patch's data key for its new owner. No-op without a vault key.
+   * @returns {Promise<boolean>} whether the key was re-wrapped
+   * @throws {ConflictError} the key was re-wrapped concurrently
+   */
+  async rewrapForOwner(uid_tag_id, newOwnerAddress) {
+    const vaultKey = await PatchVaultKey.findOne({ uid_tag_id }).lean().exec();
+    if (!vaultKey || vaultKey.owner_address === newOwnerAddress) return false;
+    const dataKey = unwrapDataKey(vaultKey, vaultKey.owner_address);
+    const res = await PatchVaultKey.updateOne(
+      { _id: vaultKey._id, owner_address: vaultKey.owner_address, key_epoch: vaultKey.key_epoch },
+      {
+        $set: { owner_address: newOwnerAddress, rewrapped_at: new Date(), rewrap_pending: false, rewrap_error: null, ...wrapDataKey(uid_tag_id, newOwnerAddress, dataKey) },
+        $inc: { key_epoch: 1 },
+      }
+    ).exec();
+    if (!res.modifiedCount) throw new ConflictError('Vault key changed concurrently');
+    logger.info({ message: 'Vault key re-wrapped', uid_tag_id, epoch: vaultKey.key_epoch + 1 });
+    return true;
+  }
+}
+
+module.exports = new ContentVaultService();
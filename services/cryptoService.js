@@ -27,7 +27,27 @@ function hkdfSha256(secret, salt, info, length = 32) {
   if (!inputKey) {
     throw new Error('HKDF secret is missing.');
   }
-  return crypto.hkdfSync('sha256', inputKey, Buffer.isBuffer(salt) ? salt : Buffer.from(String(salt)), Buffer.isBuffer(info) ? info : Buffer.from(String(info)), length);
+  // hkdfSync returns an ArrayBuffer
+  return Buffer.from(crypto.hkdfSync('sha256', inputKey, Buffer.isBuffer(salt) ? salt : Buffer.from(String(salt)), Buffer.isBuffer(info) ? info : Buffer.from(String(info)), length));
+}
+
+/**
+ * AES-256-GCM encryption helper (random 12-byte IV).
+ * Returns data = ciphertext || authTag (last 16 bytes), the layout aesGcmDecrypt expects.
+ * @param {Buffer} keyBuf
+ * @param {Buffer} plainBuf
+ * @param {Buffer|string} [aad] additional authenticated data
+ * @returns {{ iv: Buffer, data: Buffer }}
+ */
+function aesGcmEncrypt(keyBuf, plainBuf, aad) {
+  if (!Buffer.isBuffer(keyBuf) || keyBuf.length !== 32) {
+    throw new Error('Invalid key: AES-256-GCM requires 32-byte key');
+  }
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', keyBuf, iv);
+  if (aad !== undefined) cipher.setAAD(Buffer.from(aad));
+  const enc = Buffer.concat([cipher.update(plainBuf), cipher.final()]);
+  return { iv, data: Buffer.concat([enc, cipher.getAuthTag()]) };
 }
 
 /**
@@ -36,9 +56,10 @@ function hkdfSha256(secret, salt, info, length = 32) {
  * @param {Buffer} keyBuf
  * @param {Buffer} ivBuf
  * @param {Buffer} dataBuf
+ * @param {Buffer|string} [aad] additional authenticated data used at encryption
  * @returns {Buffer}
  */
-function aesGcmDecrypt(keyBuf, ivBuf, dataBuf) {
+function aesGcmDecrypt(keyBuf, ivBuf, dataBuf, aad) {
   if (!Buffer.isBuffer(keyBuf) || keyBuf.length !== 32) {
     throw new Error('Invalid key: AES-256-GCM requires 32-byte key');
   }
@@ -52,12 +73,58 @@ function aesGcmDecrypt(keyBuf, ivBuf, dataBuf) {
   const enc = dataBuf.subarray(0, dataBuf.length - 16);
   const decipher = crypto.createDecipheriv('aes-256-gcm', keyBuf, ivBuf);
   decipher.setAuthTag(tag);
+  if (aad !== undefined) decipher.setAAD(Buffer.from(aad));
   const p1 = decipher.update(enc);
   const p2 = decipher.final();
   return Buffer.concat([p1, p2]);
 }
 
+// Left-shift a 16-byte block by one bit, xoring in the CMAC constant Rb when the top bit falls off (RFC 4493 2.3)
+function cmacSubkey(block) {
+  const out = Buffer.alloc(16);
+  for (let i = 0; i < 16; i++) out[i] = ((block[i] << 1) | (i < 15 ? block[i + 1] >> 7 : 0)) & 0xff;
+  if (block[0] & 0x80) out[15] ^= 0x87;
+  return out;
+}
+
+/**
+ * AES-128-CMAC (RFC 4493), as used by NFC tags for SUN/SDM messages.
+ * @param {Buffer} keyBuf 16-byte key
+ * @param {Buffer} msgBuf
+ * @returns {Buffer} 16-byte MAC
+ */
+function aesCmac(keyBuf, msgBuf) {
+  if (!Buffer.isBuffer(keyBuf) || keyBuf.length !== 16) {
+    throw new Error('Invalid key: AES-128-CMAC requires 16-byte key');
+  }
+  const encryptBlock = (block) => {
+    const cipher = crypto.createCipheriv('aes-128-ecb', keyBuf, null);
+    cipher.setAutoPadding(false);
+    return Buffer.concat([cipher.update(block), cipher.final()]);
+  };
+  const k1 = cmacSubkey(encryptBlock(Buffer.alloc(16)));
+  const k2 = cmacSubkey(k1);
+  const blocks = Math.max(1, Math.ceil(msgBuf.length / 16));
+  const complete = msgBuf.length > 0 && msgBuf.length % 16 === 0;
+  const last = Buffer.alloc(16);
+  msgBuf.copy(last, 0, (blocks - 1) * 16);
+  if (!complete) last[msgBuf.length - (blocks - 1) * 16] = 0x80;
+  const subkey = complete ? k1 : k2;
+  for (let i = 0; i < 16; i++) last[i] ^= subkey[i];
+
+  let x = Buffer.alloc(16);
+  for (let b = 0; b < blocks; b++) {
+    const block = b === blocks - 1 ? last : msgBuf.subarray(b * 16, b * 16 + 16);
+    const y = Buffer.alloc(16);
+    for (let i = 0; i < 16; i++) y[i] = x[i] ^ block[i];
+    x = encryptBlock(y);
+  }
+  return x;
+}
+
 module.exports = {
   hkdfSha256,
+  aesGcmEncrypt,
   aesGcmDecrypt,
+  aesCmac,
 };
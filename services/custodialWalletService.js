@@ -0,0 +1,199 @@
+// services/custodialWalletService.js
+// Custodial owner wallets for customers without a BSV wallet (CUSTODIAL_WALLETS_ENABLED).
+//
+// A logged-in user (SVD or email) gets a per-user signing key created in the KMS (kmsSigner.createKey); only its
+// public key and address are stored here. The service signs POS claim intents and transfer_ownership messages with it
+// on the user's behalf, producing exactly what a self-custody owner would sign, so anchored records and the offline
+// verifier treat custodial owners like any other. The address is bound to the user (walletBindingService) with a
+// KMS signature as proof, so GET /v1/me/patches includes it.
+//
+// Handover: the user names a self-custody address; the wallet stops signing anything else and a 'handover' job
+// (workers/broadcastWorker.js) transfers every patch it owns there. The private key is never exported.
+const crypto = require('crypto');
+const CustodialWallet = require('../models/CustodialWallet');
+const BlockchainService = require('./blockchainService');
+const dbService = require('./databaseService');
+const kmsSigner = require('./kmsSigner');
+const walletBindingService = require('./walletBindingService');
+const claimIntentService = require('./claimIntentService');
+const ownershipTransferService = require('./ownershipTransferService');
+const ownerChallengeCache = require('./ownerChallengeCacheRedis');
+const logger = require('../logger');
+const { ConflictError, NotFoundError, ServiceUnavailableError } = require('../errors');
+
+const HANDOVER_BATCH = 100;
+
+function describe(wallet) {
+  return {
+    address: wallet.address,
+    pubkey: wallet.pubkey,
+    status: wallet.status,
+    handover_address: wallet.handover_address || null,
+    created_at: wallet.created_at,
+  };
+}
+
+class CustodialWalletService {
+  isEnabled() {
+    return ['1', 'true', 'yes'].includes(String(process.env.CUSTODIAL_WALLETS_ENABLED || 'false').toLowerCase());
+  }
+
+  // KMS keyIdentifier: hashed so user ids (emails) never reach the KMS
+  keyIdentifierFor(userId) {
+    const prefix = process.env.CUSTODIAL_KEY_PREFIX || 'custodial';
+    return `${prefix}-${crypto.createHash('sha256').update(String(userId)).digest('hex').slice(0, 32)}`;
+  }
+
+  describe(wallet) {
+    return describe(wallet);
+  }
+
+  async getWallet(userId) {
+    return CustodialWallet.findOne({ user_id: String(userId) }).lean().exec();
+  }
+
+  /**
+   * The user's wallet if it may still sign.
+   * @throws {NotFoundError} no custodial wallet
+   * @throws {ConflictError} the wallet was handed over
+   */
+  async activeWallet(userId) {
+    const wallet = await this.getWallet(userId);
+    if (!wallet) throw new NotFoundError('No custodial wallet');
+    if (wallet.status !== 'active') throw new ConflictError(`Custodial wallet was handed over to ${wallet.handover_address}`);
+    return wallet;
+  }
+
+  /**
+   * Create the user's KMS key and wallet, or return the existing one; (re)binds the address to the user.
+   * @returns {Promise<{ wallet: object, created: boolean }>}
+   * @throws {ServiceUnavailableError} KMS not configured
+   */
+  async provision(userId) {
+    const user_id = String(userId);
+    let wallet = await this.getWallet(user_id);
+    const created = !wallet;
+    if (!wallet) {
+      if (!kmsSigner.isReady) throw new ServiceUnavailableError('Custodial key service unavailable');
+      const key_identifier = this.keyIdentifierFor(user_id);
+      const { pubKeyHex } = await kmsSigner.createKey({ keyIdentifier: key_identifier });
+      const pubkey = String(pubKeyHex).toLowerCase();
+      try {
+        wallet = (await CustodialWallet.create({ user_id, key_identifier, pubkey, address: BlockchainService.publicKeyHexToAddress(pubkey) })).toObject();
+      } catch (err) {
+        if (err.code !== 11000) throw err;
+        wallet = await this.getWallet(user_id); // concurrent provisioning; the KMS call was idempotent
+      }
+    }
+    if (wallet.status === 'active') {
+      const nonce = crypto.randomBytes(16).toString('hex');
+      const signature = await this.sign(wallet, walletBindingService.bindingMessage(user_id, wallet.address, { nonce, expires_at: Date.now() }));
+      await walletBindingService.bind(user_id, { address: wallet.address, pubkey: wallet.pubkey, signature, nonce });
+    }
+    return { wallet: describe(wallet), created };
+  }
+
+  /**
+   * DER signature (hex) of the wallet key over SHA-256(JSON.stringify(message)), as owners sign.
+   * @throws {ServiceUnavailableError} KMS not configured
+   */
+  async sign(wallet, message) {
+    if (!kmsSigner.isReady) throw new ServiceUnavailableError('Custodial key service unavailable');
+    const [sig] = await kmsSigner.signBatch([{ keyIdentifier: wallet.key_identifier, sighash: BlockchainService.computeSha256(message).toString('hex') }]);
+    if (!sig || String(sig.pubKeyHex).toLowerCase() !== wallet.pubkey) {
+      throw new Error(`KMS key '${wallet.key_identifier}' does not match the custodial wallet`);
+    }
+    return sig.signatureHex;
+  }
+
+  /**
+   * POS claim intent for `uid`, signed with the wallet key; the store approves it like any other.
+   * @returns {Promise<{ intent: object } | { status: number, error: string }>} as claimIntentService.createIntent
+   */
+  async createClaimIntent(wallet, userId, uid) {
+    const ts = Date.now();
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const signature = await this.sign(wallet, claimIntentService.claimMessage(uid, wallet.address, ts, nonce));
+    return claimIntentService.createIntent({
+      uid,
+      customer: { address: wallet.address, userId: String(userId), pubKey: wallet.pubkey },
+      challenge: { ts, nonce },
+      signature,
+    });
+  }
+
+  /**
+   * Sign transfer_ownership for the patch's current state with the wallet key and submit it as its owner would.
+   * Callers check the wallet may sign (activeWallet, or a handover to handover_address).
+   * @returns {Promise<object>} as ownershipTransferService.transfer
+   */
+  async transfer(wallet, state, newOwnerAddress, log = logger) {
+    const { uid_tag_id, current_txid: currentTxid } = state;
+    const challenge = await ownerChallengeCache.issue(uid_tag_id);
+    const signature = await this.sign(wallet, ownershipTransferService.ownerMessage({ uid_tag_id, currentTxid, newOwnerAddress }, challenge));
+    return ownershipTransferService.transfer({
+      currentTxid,
+      newOwnerAddress,
+      currentOwnerSignature: signature,
+      currentOwnerPubKey: wallet.pubkey,
+      nonce: challenge.nonce,
+      uid_tag_id,
+    }, log);
+  }
+
+  /**
+   * Transfer what a handed-over wallet still holds to its handover address (one batch; run by the 'handover' job).
+   * Patches whose transfer is already pending are left out, so a repeated handover does not queue them twice.
+   * @returns {Promise<Array<{ uid_tag_id: string, queued: boolean, pendingId?: string|null, txid?: string|null, error?: string }>>}
+   * @throws {ConflictError} the wallet has not been handed over
+   * @throws {ServiceUnavailableError} challenge or KMS service unavailable (the job is retried)
+   */
+  async transferHeld(wallet, log = logger) {
+    if (wallet.status !== 'handed_over') throw new ConflictError('Custodial wallet has not been handed over');
+    if (!ownerChallengeCache.isReady) throw new ServiceUnavailableError('Challenge service unavailable');
+    const transfers = [];
+    for (const state of await this.ownedStates(wallet)) {
+      const { uid_tag_id } = state;
+      try {
+        const result = await this.transfer(wallet, state, wallet.handover_address, log);
+        transfers.push(result.error
+          ? { uid_tag_id, queued: false, error: result.error }
+          : { uid_tag_id, queued: true, pendingId: result.pendingId ? String(result.pendingId) : null, txid: result.newTxid || null });
+      } catch (err) {
+        if (err instanceof ServiceUnavailableError) throw err;
+        transfers.push({ uid_tag_id, queued: false, error: err.message });
+      }
+    }
+    log.info({ message: 'Custodial wallet handover batch', address: wallet.address, handover_address: wallet.handover_address, transfers: transfers.length });
+    return transfers;
+  }
+
+  /**
+   * Stop custodial signing and record the self-custody address; repeating with the same address resumes a handover.
+   * @throws {NotFoundError} no custodial wallet
+   * @throws {ConflictError} already handed over to another address
+   */
+  async startHandover(userId, address) {
+    const user_id = String(userId);
+    const wallet = await CustodialWallet.findOneAndUpdate(
+      { user_id, status: 'active' },
+      { $set: { status: 'handed_over', handover_address: address, handed_over_at: new Date() } },
+      { new: true }
+    ).lean().exec();
+    if (wallet) return wallet;
+    const current = await this.getWallet(user_id);
+    if (!current) throw new NotFoundError('No custodial wallet');
+    if (current.handover_address !== address) throw new ConflictError(`Custodial wallet was handed over to ${current.handover_address}`);
+    return current;
+  }
+
+  /**
+   * Patch states still owned by the wallet's address and not already being transferred (up to one handover batch),
+   * so pending transfers never take up the batch.
+   */
+  async ownedStates(wallet) {
+    return dbService.statesWithoutPendingTransfer(wallet.address, HANDOVER_BATCH);
+  }
+}
+
+module.exports = new CustodialWalletService();
@@ -0,0 +1,145 @@
+// services/custodyHistoryService.js
+// Custody history for a patch: every confirmed registration/transfer/POS claim in order, with
+// cursor pagination and integrity flags for gaps (broken previous_txid links) and forks
+// (several confirmed records continuing the same state).
+const AuthenticationRecord = require('../models/AuthenticationRecord');
+const ClaimIntent = require('../models/ClaimIntent');
+const PatchState = require('../models/PatchState');
+
+const DEFAULT_LIMIT = 50;
+
+// Cursor = base64url(JSON { t: created_at ms, id: ObjectId hex }) of the last item on the page.
+function encodeCursor(doc) {
+  return Buffer.from(JSON.stringify({ t: new Date(doc.created_at).getTime(), id: String(doc._id) })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!Number.isFinite(t) || !/^[a-f0-9]{24}$/i.test(id)) return null;
+    return { t: new Date(t), id };
+  } catch (_) {
+    return null;
+  }
+}
+
+function stateTxidOf(rec) {
+  return rec.txid || rec.record_data?.auth?.anchorTxid || null;
+}
+
+/**
+ * Walk the whole chain (projection only) and flag structural problems.
+ * Chains are short, so this runs over all confirmed records regardless of the page requested.
+ */
+function analyzeChain(links, currentTxid) {
+  const known = new Set(links.map(stateTxidOf).filter(Boolean));
+  const childrenOf = new Map();
+  const gaps = [];
+  const registrations = links.filter((l) => l.type === 'REGISTRATION');
+  for (const l of links) {
+    if (l.type !== 'TRANSFER') continue;
+    if (!l.previous_txid || !known.has(l.previous_txid)) {
+      gaps.push({ txid: stateTxidOf(l), missing_previous_txid: l.previous_txid || null });
+    }
+    if (l.previous_txid) {
+      const list = childrenOf.get(l.previous_txid) || [];
+      list.push(stateTxidOf(l));
+      childrenOf.set(l.previous_txid, list);
+    }
+  }
+  const forks = [];
+  for (const [previous_txid, txids] of childrenOf) {
+    if (txids.length > 1) forks.push({ previous_txid, txids });
+  }
+  if (registrations.length > 1) forks.push({ previous_txid: null, txids: registrations.map(stateTxidOf) });
+
+  const last = links[links.length - 1];
+  return {
+    gaps,
+    forks,
+    registration_missing: registrations.length === 0,
+    head_txid: last ? stateTxidOf(last) : null,
+    head_matches_state: !!last && currentTxid === stateTxidOf(last),
+  };
+}
+
+class CustodyHistoryService {
+  /**
+   * @param {string} uid_tag_id
+   * @param {{ cursor?: string, limit?: number }} [opts]
+   * @returns {Promise<object|null>} null when the patch has no confirmed records
+   * @throws {Error} with `code = 'BAD_CURSOR'` for malformed cursors
+   */
+  async getHistory(uid_tag_id, { cursor, limit = DEFAULT_LIMIT } = {}) {
+    // Status events (type STATUS) sit beside the custody chain and are reported by /verify instead
+    const filter = { uid_tag_id, status: 'confirmed', type: { $in: ['REGISTRATION', 'TRANSFER'] } };
+    const links = await AuthenticationRecord.find(filter, { _id: 1, type: 1, txid: 1, previous_txid: 1, 'record_data.auth.anchorTxid': 1, 'record_data.auth.owner': 1, created_at: 1 })
+      .sort({ created_at: 1, _id: 1 })
+      .lean()
+      .exec();
+    if (links.length === 0) return null;
+
+    const pageFilter = { ...filter };
+    if (cursor) {
+      const c = decodeCursor(cursor);
+      if (!c) {
+        const err = new Error('Invalid cursor');
+        err.code = 'BAD_CURSOR';
+        throw err;
+      }
+      pageFilter.$or = [{ created_at: { $gt: c.t } }, { created_at: c.t, _id: { $gt: c.id } }];
+    }
+    const docs = await AuthenticationRecord.find(pageFilter)
+      .sort({ created_at: 1, _id: 1 })
+      .limit(limit + 1)
+      .lean()
+      .exec();
+    const hasMore = docs.length > limit;
+    const page = hasMore ? docs.slice(0, limit) : docs;
+
+    const state = await PatchState.findOne({ uid_tag_id }, { current_txid: 1 }).lean().exec();
+    const integrity = analyzeChain(links, state?.current_txid || null);
+    const gapTxids = new Set(integrity.gaps.map((g) => g.txid));
+    const forkTxids = new Set(integrity.forks.flatMap((f) => f.txids));
+
+    // Older POS transfers predate pos_approved_by on the record; fall back to the claim intent.
+    const transferIds = page.filter((d) => d.type === 'TRANSFER' && !d.record_data?.auth?.pos_approved_by).map((d) => String(d._id));
+    const intents = transferIds.length
+      ? await ClaimIntent.find({ transfer_pending_id: { $in: transferIds } }, { transfer_pending_id: 1, approvedBy: 1 }).lean().exec()
+      : [];
+    const approvedBy = new Map(intents.map((i) => [i.transfer_pending_id, i.approvedBy]));
+
+    const ownerByTxid = new Map(links.map((l) => [stateTxidOf(l), l.record_data?.auth?.owner || null]));
+
+    const items = page.map((d) => {
+      const auth = d.record_data?.auth || {};
+      const posApprovedBy = auth.pos_approved_by || approvedBy.get(String(d._id)) || null;
+      const txid = stateTxidOf(d);
+      return {
+        id: String(d._id),
+        event: d.type === 'REGISTRATION' ? 'registration' : (posApprovedBy ? 'pos_claim' : 'transfer'),
+        owner_address: auth.owner || null,
+        previous_owner_address: auth.previous_owner || (d.previous_txid ? ownerByTxid.get(d.previous_txid) || null : null),
+        txid: d.txid || null,
+        anchor_txid: d.txid ? null : (auth.anchorTxid || null),
+        previous_txid: d.previous_txid || null,
+        block_height: d.block_height ?? null,
+        ts: auth.ts ?? null,
+        created_at: d.created_at,
+        pos_approved_by: posApprovedBy,
+        gap: gapTxids.has(txid),
+        fork: forkTxids.has(txid),
+      };
+    });
+
+    return {
+      uid_tag_id,
+      total: links.length,
+      items,
+      next_cursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+      integrity: { ...integrity, ok: integrity.gaps.length === 0 && integrity.forks.length === 0 && !integrity.registration_missing && integrity.head_matches_state },
+    };
+  }
+}
+
+module.exports = new CustodyHistoryService();
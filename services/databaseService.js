@@ -37,24 +37,70 @@ class DatabaseService {
     return PatchState.findOne({ uid_tag_id }).lean().exec();
   }
 
-  async getRecordByTxid(txid) {
-    const rec = await AuthenticationRecord.findOne({ txid, status: 'confirmed' }).lean().exec();
+  async getRecordByTxid(txid, uid_tag_id) {
+    const rec = await this.getConfirmedRecord(txid, uid_tag_id);
     return rec ? rec.record_data : null;
   }
 
+  // Full confirmed record (record_data plus anchoring metadata such as data_sha256) anchored by `txid`: its own tx,
+  // or for batch registrations the Merkle anchor tx it shares with the rest of its batch (pass the uid to pick it)
+  async getConfirmedRecord(txid, uid_tag_id) {
+    const filter = { status: 'confirmed', $or: [{ txid }, { txid: null, 'record_data.auth.anchorTxid': txid }] };
+    if (uid_tag_id) filter.uid_tag_id = uid_tag_id;
+    return AuthenticationRecord.findOne(filter).lean().exec();
+  }
+
+  // The patch's confirmed registration: the record its issuer signature and signing time belong to, whatever its head
+  async getRegistrationRecord(uid_tag_id) {
+    return AuthenticationRecord.findOne({ uid_tag_id, type: 'REGISTRATION', status: 'confirmed' }).lean().exec();
+  }
+
+  // Whether `txid` is a Merkle batch anchor shared by several confirmed records (which then need a uid to resolve)
+  async isSharedAnchor(txid) {
+    return (await AuthenticationRecord.countDocuments({ txid: null, status: 'confirmed', 'record_data.auth.anchorTxid': txid }).limit(2).exec()) > 1;
+  }
+
   // --- Registration state machine helpers ---
-  async createPendingRegistration(uid_tag_id, owner_address, record_data) {
+  async createPendingRegistration(uid_tag_id, owner_address, record_data, { anchorMode = 'single', fieldOpenings } = {}) {
     // Single-source-of-truth: create AuthenticationRecord in 'pending' state
-    const doc = await AuthenticationRecord.create({ uid_tag_id, record_data, status: 'pending', type: 'REGISTRATION' });
+    const doc = await AuthenticationRecord.create({
+      uid_tag_id, record_data, status: 'pending', type: 'REGISTRATION', anchor_mode: anchorMode, field_openings: fieldOpenings,
+    });
     return doc.toObject();
   }
 
+  // Bulk variant for batch registration; returns the lean records in input order, as later reads see them.
+  async createPendingRegistrations(entries) {
+    const docs = await AuthenticationRecord.insertMany(
+      entries.map(({ uid_tag_id, record_data, field_openings }) => ({ uid_tag_id, record_data, field_openings, status: 'pending', type: 'REGISTRATION' }))
+    );
+    const ids = docs.map((d) => d._id);
+    const byId = new Map((await AuthenticationRecord.find({ _id: { $in: ids } }).lean().exec()).map((d) => [String(d._id), d]));
+    return ids.map((id) => byId.get(String(id)));
+  }
+
+  // uid_tag_ids among `uids` that already have a patch state or a live (not failed) registration
+  async findRegisteredUids(uids) {
+    const [states, registrations] = await Promise.all([
+      PatchState.find({ uid_tag_id: { $in: uids } }, { uid_tag_id: 1 }).lean().exec(),
+      AuthenticationRecord.find({ uid_tag_id: { $in: uids }, type: 'REGISTRATION', status: { $in: ['pending', 'anchoring', 'confirmed'] } }, { uid_tag_id: 1 }).lean().exec(),
+    ]);
+    return new Set([...states, ...registrations].map((d) => d.uid_tag_id));
+  }
+
   async attachJobToPending(pendingId, jobId) {
     await AuthenticationRecord.updateOne({ _id: pendingId, status: 'pending' }, { $set: { job_id: jobId } }).exec();
   }
 
-  // Unified confirmation for both REGISTRATION and TRANSFER pending records
-  async markConfirmed(pendingId, txid) {
+  // Ownership output created by a confirmed record's tx, or null for legacy records
+  async getOwnershipOutput(txid) {
+    const rec = await AuthenticationRecord.findOne({ txid, status: 'confirmed' }, { ownership_output: 1 }).lean().exec();
+    if (!rec || !rec.ownership_output) return null;
+    return { txid, ...rec.ownership_output };
+  }
+
+  // Unified confirmation for REGISTRATION, TRANSFER and STATUS pending records
+  async markConfirmed(pendingId, txid, { ownershipOutput = null, dataSha256 = null } = {}) {
     return withTransaction(async (session) => {
       const pending = await AuthenticationRecord.findById(pendingId).session(session || undefined);
       if (!pending) throw new NotFoundError('Pending record not found');
@@ -63,22 +109,34 @@ class DatabaseService {
 
       const { uid_tag_id, record_data, type, previous_txid } = pending;
       const newOwner = record_data?.auth?.owner || null;
+      const ownershipVout = ownershipOutput ? ownershipOutput.vout : null;
 
       if (type === 'REGISTRATION') {
         await PatchState.updateOne(
           { uid_tag_id },
-          { uid_tag_id, current_txid: txid, current_owner_address: newOwner },
+          { uid_tag_id, current_txid: txid, current_owner_address: newOwner, current_ownership_vout: ownershipVout },
           { upsert: true, session: session || undefined }
         );
       } else if (type === 'TRANSFER') {
-        // Optimistic concurrency using version key via .save()
-        const state = await PatchState.findOne({ uid_tag_id, current_txid: previous_txid }).session(session || undefined);
+        // Optimistic concurrency using version key via .save(); like STATUS events, the filter also re-checks the
+        // patch status so a transfer queued before a stolen/revoked/recalled flag cannot move it afterwards
+        const state = await PatchState.findOne({ uid_tag_id, current_txid: previous_txid, status: { $in: ['active', null] } }).session(session || undefined);
         if (!state) {
-          throw new ConflictError('Optimistic lock failure: Patch state has changed or UTXO is already spent.');
+          throw new ConflictError('Optimistic lock failure: Patch state has changed, is flagged, or UTXO is already spent.');
         }
         state.current_txid = txid;
         state.current_owner_address = newOwner;
+        state.current_ownership_vout = ownershipVout;
         await state.save({ session: session || undefined });
+      } else if (type === 'STATUS') {
+        // Status events chain through prev_status_txid; a concurrent event moved the chain on
+        const { state: status, reason, prev_status_txid } = record_data.status;
+        const res = await PatchState.updateOne(
+          { uid_tag_id, status_txid: prev_status_txid || null },
+          { $set: { status, status_txid: txid, status_reason: reason || null, status_updated_at: new Date() } },
+          { session: session || undefined }
+        );
+        if (!res.matchedCount) throw new ConflictError('Optimistic lock failure: patch status changed concurrently.');
       } else {
         throw new ConflictError(`Unsupported pending type: ${type}`);
       }
@@ -86,6 +144,15 @@ class DatabaseService {
       pending.status = 'confirmed';
       pending.txid = txid;
       pending.failure_reason = null;
+      pending.data_sha256 = dataSha256;
+      pending.chain_status = 'broadcast';
+      pending.broadcast_at = new Date();
+      pending.block_height = null;
+      pending.block_hash = null;
+      pending.chain_missing_since = null;
+      pending.ownership_output = ownershipOutput
+        ? { vout: ownershipOutput.vout, satoshis: ownershipOutput.satoshis, scriptPubKey: ownershipOutput.scriptPubKey, keyIdentifier: ownershipOutput.keyIdentifier }
+        : null;
       await pending.save({ session: session || undefined });
 
       return { idempotent: false, txid };
@@ -109,13 +176,43 @@ class DatabaseService {
     return doc.toObject();
   }
 
+  // Patch states owned by `address` (oldest first) without a transfer of their current state waiting to be broadcast.
+  // Matched on uid and txid: batch-registered patches share their anchor txid.
+  async statesWithoutPendingTransfer(address, limit) {
+    return PatchState.aggregate([
+      { $match: { current_owner_address: address } },
+      { $sort: { _id: 1 } },
+      {
+        $lookup: {
+          from: AuthenticationRecord.collection.collectionName,
+          let: { uid: '$uid_tag_id', txid: '$current_txid' },
+          pipeline: [
+            { $match: { type: 'TRANSFER', status: 'pending', $expr: { $and: [{ $eq: ['$uid_tag_id', '$$uid'] }, { $eq: ['$previous_txid', '$$txid'] }] } } },
+            { $limit: 1 },
+            { $project: { _id: 1 } },
+          ],
+          as: 'pending_transfer',
+        },
+      },
+      { $match: { pending_transfer: { $size: 0 } } },
+      { $limit: limit },
+      { $project: { pending_transfer: 0 } },
+    ]).exec();
+  }
+
+  // --- Status events (services/patchStatusService.js) ---
+  async createPendingStatus(uid_tag_id, record_data) {
+    const doc = await AuthenticationRecord.create({ uid_tag_id, record_data, status: 'pending', type: 'STATUS' });
+    return doc.toObject();
+  }
+
   async attachJobToPendingTransfer(pendingId, jobId) {
     await AuthenticationRecord.updateOne({ _id: pendingId, status: 'pending' }, { $set: { job_id: jobId } }).exec();
   }
 
   // Deprecated specific confirm methods can delegate to unified path if still referenced
-  async markRegistrationConfirmed(pendingId, txid) { return this.markConfirmed(pendingId, txid); }
-  async markTransferConfirmed(pendingId, txid) { return this.markConfirmed(pendingId, txid); }
+  async markRegistrationConfirmed(pendingId, txid, opts) { return this.markConfirmed(pendingId, txid, opts); }
+  async markTransferConfirmed(pendingId, txid, opts) { return this.markConfirmed(pendingId, txid, opts); }
 
   async markFailed(pendingId, reason) {
     await AuthenticationRecord.updateOne(
@@ -127,6 +224,17 @@ class DatabaseService {
   async markTransferFailed(pendingId, reason) { return this.markFailed(pendingId, reason); }
   async markRegistrationFailed(pendingId, reason) { return this.markFailed(pendingId, reason); }
 
+  // Remember a pending record's broadcast tx until markConfirmed records it (see broadcastWorker retries)
+  async recordBroadcast(pendingId, txid, { ownershipOutput = null, dataSha256 = null } = {}) {
+    const ownership_output = ownershipOutput
+      ? { vout: ownershipOutput.vout, satoshis: ownershipOutput.satoshis, scriptPubKey: ownershipOutput.scriptPubKey, keyIdentifier: ownershipOutput.keyIdentifier }
+      : null;
+    await AuthenticationRecord.updateOne(
+      { _id: pendingId, status: 'pending' },
+      { $set: { broadcast_result: { txid, data_sha256: dataSha256, ownership_output } } }
+    ).exec();
+  }
+
   async getPendingTransferById(id) {
     return AuthenticationRecord.findById(id).lean().exec();
   }
@@ -139,6 +247,72 @@ class DatabaseService {
     ).exec();
   }
 
+  // --- Confirmation tracker helpers ---
+  // Confirmed records whose tx is not final yet (legacy records without chain_status included), least recently checked first
+  async getUnsettledRecords(limit = 100) {
+    return AuthenticationRecord.find(
+      { status: 'confirmed', txid: { $ne: null }, chain_status: { $in: ['broadcast', 'mined', null] } },
+      { record_data: 0 }
+    )
+      .sort({ chain_checked_at: 1, _id: 1 })
+      .limit(limit)
+      .lean()
+      .exec();
+  }
+
+  // Apply a chain observation; guarded on txid so a concurrent requeue is not overwritten
+  async updateChainStatus(recordId, txid, fields) {
+    await AuthenticationRecord.updateOne(
+      { _id: recordId, txid, status: 'confirmed' },
+      { $set: { ...fields, chain_checked_at: new Date() } }
+    ).exec();
+  }
+
+  /**
+   * Undo the confirmation of a record whose tx was dropped or reorged out, so it can be broadcast again.
+   * Only the head of the custody chain can be reverted: PatchState is rolled back to the previous state
+   * (registrations remove it). Returns the reverted pending record, or null if the record moved on or is
+   * no longer the head (it is then flagged chain_status 'dropped' for manual recovery).
+   */
+  async revertDropped(recordId, txid) {
+    return withTransaction(async (session) => {
+      const opt = session || undefined;
+      const rec = await AuthenticationRecord.findOne({ _id: recordId, txid, status: 'confirmed' }).session(opt);
+      if (!rec) return null;
+      const state = await PatchState.findOne({ uid_tag_id: rec.uid_tag_id }).session(opt);
+      if (!state || state.current_txid !== txid) {
+        rec.chain_status = 'dropped';
+        rec.chain_checked_at = new Date();
+        await rec.save({ session: opt });
+        return null;
+      }
+
+      if (rec.type === 'TRANSFER') {
+        const prev = await AuthenticationRecord.findOne({ txid: rec.previous_txid, status: 'confirmed' }).session(opt);
+        if (!prev) throw new ConflictError('Previous record not found; cannot roll back patch state');
+        state.current_txid = prev.txid;
+        state.current_owner_address = prev.record_data?.auth?.owner;
+        state.current_ownership_vout = prev.ownership_output ? prev.ownership_output.vout : null;
+        await state.save({ session: opt });
+      } else {
+        await PatchState.deleteOne({ _id: state._id }, { session: opt });
+      }
+
+      rec.status = 'pending';
+      rec.txid = undefined;
+      rec.dropped_txids = [...(rec.dropped_txids || []), txid];
+      rec.chain_status = null;
+      rec.block_height = null;
+      rec.block_hash = null;
+      rec.chain_missing_since = null;
+      rec.data_sha256 = null;
+      rec.ownership_output = null;
+      rec.failure_reason = `Transaction ${txid} dropped from chain`;
+      await rec.save({ session: opt });
+      return rec.toObject();
+    });
+  }
+
   // Removed synchronous registerPatch/updateOwnership in favor of async state machine (pending -> confirmed)
 }
 
@@ -0,0 +1,62 @@
+// services/disclosureService.js
+// Selective disclosure for privacy-mode records (services/fieldCommitments.js).
+//
+// A disclosure reveals chosen fields of a patch's registration: their cleartext and salts, the full set of anchored
+// commitments and the anchor tx that carries them (with an inclusion proof when the registration was batch-anchored).
+// Transfers copy the commitments forward unchanged, so the registration is always the record to check against.
+// verifyDisclosure() runs the offline verifier's check (public/verifier/patchproof-verifier.js) on the fetched tx.
+const AuthenticationRecord = require('../models/AuthenticationRecord');
+const chainData = require('./chainDataService');
+const inclusionProofService = require('./inclusionProofService');
+const { verifyDisclosure } = require('../public/verifier/patchproof-verifier');
+const { NotFoundError } = require('../errors');
+
+const DISCLOSURE_FORMAT = 'patchproof-disclosure';
+const DISCLOSURE_VERSION = 1;
+
+class DisclosureService {
+  /**
+   * Build a disclosure of committed registration fields.
+   * @param {string} uid_tag_id
+   * @param {string[]} paths committed field paths, e.g. ['product.serial_number']
+   * @throws {NotFoundError} no confirmed registration, a registration without commitments, or a path it did not commit
+   */
+  async createDisclosure(uid_tag_id, paths) {
+    const reg = await AuthenticationRecord.findOne({ uid_tag_id, type: 'REGISTRATION', status: 'confirmed' })
+      .select('+field_openings').lean().exec();
+    if (!reg) throw new NotFoundError('Patch not registered');
+    const { commitments, auth } = reg.record_data;
+    if (!commitments || !Array.isArray(reg.field_openings)) throw new NotFoundError('Patch was registered without field commitments');
+
+    const fields = [...new Set(paths)].map((path) => {
+      const opening = reg.field_openings.find((o) => o.path === path);
+      if (!opening) throw new NotFoundError(`Field '${path}' is not committed for this patch`);
+      return { path, value: opening.value, salt: opening.salt };
+    });
+
+    return {
+      format: DISCLOSURE_FORMAT,
+      version: DISCLOSURE_VERSION,
+      uid_tag_id,
+      record_id: String(reg._id),
+      commitments: { scheme: commitments.scheme, fields: commitments.fields.map(({ path, digest }) => ({ path, digest })) },
+      fields,
+      anchor: { txid: reg.txid || auth.anchorTxid },
+      ...(!reg.txid && { inclusion_proof: await inclusionProofService.getProof(reg._id) }),
+    };
+  }
+
+  /**
+   * Check a disclosure against its anchor tx.
+   * @param {object} disclosure as returned by createDisclosure()
+   * @param {{ rawTx?: string }} [opts] raw anchor tx; fetched from the chain data provider when omitted
+   * @returns {Promise<{ valid: boolean, uid_tag_id: string|null, fields: object[], anchored: boolean, issuerSignature: boolean, issuerPubkey: string|null, errors: string[] }>}
+   */
+  async verifyDisclosure(disclosure, { rawTx } = {}) {
+    const txid = disclosure && disclosure.anchor && disclosure.anchor.txid;
+    const raw = rawTx || (txid ? await chainData.getRawTransaction(txid) : null);
+    return verifyDisclosure(disclosure, raw);
+  }
+}
+
+module.exports = new DisclosureService();
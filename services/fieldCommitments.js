@@ -0,0 +1,58 @@
+// services/fieldCommitments.js
+// Privacy mode for anchored records (RECORD_PRIVACY_MODE=commitments).
+//
+// Instead of the cleartext product/metadata fields, the anchored record carries one salted SHA-256 commitment per
+// field; the cleartext and salts (the "openings") stay in Mongo (AuthenticationRecord.field_openings).
+//   digest = sha256(canonical JSON of [salt, path, value]), path = 'product.<field>' | 'metadata.<field>'
+// product.uid_tag_id stays in clear (it is what the tag itself reveals and what lookups use), as do the auth fields
+// custody verification relies on. The issuer signs sha256 of the canonical commitments instead of metadata_sha256,
+// so the signature is checkable from on-chain data alone. An owner can later reveal single fields with their salts
+// (services/disclosureService.js), and anyone can check them against the anchored commitments.
+const crypto = require('crypto');
+const { canonicalJson, canonicalSha256 } = require('./recordEnvelope');
+
+const SCHEME = 'sha256-salted-v1';
+const SALT_BYTES = 16;
+
+function privacyMode() {
+  return String(process.env.RECORD_PRIVACY_MODE || 'public').toLowerCase() === 'commitments' ? 'commitments' : 'public';
+}
+
+function fieldDigest(salt, path, value) {
+  return crypto.createHash('sha256').update(Buffer.from(canonicalJson([salt, path, value]), 'utf8')).digest('hex');
+}
+
+// commitments_sha256 of the issuer-signed registration message in privacy mode.
+function commitmentsSha256(commitments) {
+  return canonicalSha256(commitments).toString('hex');
+}
+
+/**
+ * Replace the cleartext product/metadata of a registration with salted field commitments.
+ * @param {{ product: object, metadata?: object }} fields validated registration fields
+ * @returns {{ product: { uid_tag_id: string }, metadata: {}, commitments: { scheme: string, fields: Array<{ path: string, digest: string }> }, openings: Array<{ path: string, value: any, salt: string }> }}
+ *   `product`/`metadata`/`commitments` go into record_data; `openings` are stored off chain.
+ */
+function commit({ product, metadata }) {
+  const openings = [];
+  const add = (prefix, obj, skip) => Object.keys(obj || {}).sort().forEach((key) => {
+    if (key === skip || obj[key] === undefined) return;
+    openings.push({ path: `${prefix}.${key}`, value: obj[key], salt: crypto.randomBytes(SALT_BYTES).toString('hex') });
+  });
+  add('product', product, 'uid_tag_id');
+  add('metadata', metadata);
+  return {
+    product: { uid_tag_id: product.uid_tag_id },
+    metadata: {},
+    commitments: { scheme: SCHEME, fields: openings.map((o) => ({ path: o.path, digest: fieldDigest(o.salt, o.path, o.value) })) },
+    openings,
+  };
+}
+
+module.exports = {
+  SCHEME,
+  privacyMode,
+  fieldDigest,
+  commitmentsSha256,
+  commit,
+};
@@ -0,0 +1,107 @@
+// services/inclusionProofService.js
+// Merkle inclusion proofs for batch-anchored records (GET /v1/records/:id/inclusion-proof).
+//
+// Records store `merklePath` as bare sibling hashes; the proof adds what a client needs to recompute the root:
+// the exact leaf preimage, the leaf position and tree size, and the side of each sibling. Leaf order comes from
+// the record's AnchorBatch; batches anchored before batches were persisted are rebuilt from the records sharing
+// the anchor tx (in insertion order, JSON.stringify leaves) and accepted only if they reproduce the stored root.
+// verifyProof() checks a proof against the batch envelope (or legacy PatchProofBatch OP_RETURN) of the anchor tx,
+// using the same code as the offline verifier (public/verifier/patchproof-verifier.js).
+const AuthenticationRecord = require('../models/AuthenticationRecord');
+const AnchorBatch = require('../models/AnchorBatch');
+const chainData = require('./chainDataService');
+const batchAnchor = require('./batchAnchorService');
+const { computeSha256, computeMerkleRoot, computeMerklePath } = batchAnchor;
+const { verifyInclusionProof } = require('../public/verifier/patchproof-verifier');
+const { NotFoundError, DataInconsistencyError } = require('../errors');
+
+const PROOF_FORMAT = 'patchproof-inclusion-proof';
+const PROOF_VERSION = 1;
+
+// The leaf was hashed before the anchor fields were written back, so they are not part of its preimage.
+// `encoding` is the batch's leaf_encoding: 'canonical-json' for envelope v1 batches, 'json' before.
+function leafPreimage(recordData, encoding = 'json') {
+  const data = JSON.parse(JSON.stringify(recordData));
+  if (data.auth) {
+    delete data.auth.merkleRoot;
+    delete data.auth.merklePath;
+    delete data.auth.anchorTxid;
+  }
+  return batchAnchor.leafPreimage(data, encoding);
+}
+
+// Sibling hashes of computeMerklePath() with their side; an odd index is a right child (sibling on the left).
+function inclusionPath(index, hashes) {
+  let idx = index;
+  return computeMerklePath(index, hashes).map((sibling) => {
+    const step = { hash: sibling.toString('hex'), position: idx % 2 === 1 ? 'left' : 'right' };
+    idx = Math.floor(idx / 2);
+    return step;
+  });
+}
+
+class InclusionProofService {
+  /**
+   * Build the inclusion proof of one batch-anchored record.
+   * @param {string} recordId AuthenticationRecord _id
+   * @throws {NotFoundError} unknown record, or a record that is not batch-anchored
+   * @throws {DataInconsistencyError} the stored batch no longer reproduces the anchored root
+   */
+  async getProof(recordId) {
+    const rec = await AuthenticationRecord.findById(recordId).lean().exec();
+    if (!rec) throw new NotFoundError('Record not found');
+    const auth = (rec.record_data && rec.record_data.auth) || {};
+    if (rec.status !== 'confirmed' || !auth.merkleRoot || !auth.anchorTxid) {
+      throw new NotFoundError('Record is not batch-anchored');
+    }
+
+    const { hashes, batchId, encoding } = await this._leaves(rec);
+    const data = leafPreimage(rec.record_data, encoding);
+    const leafHash = computeSha256(data).toString('hex');
+    const index = hashes.indexOf(leafHash);
+    if (index < 0 || computeMerkleRoot(hashes).toString('hex') !== auth.merkleRoot) {
+      throw new DataInconsistencyError('Stored batch does not reproduce the anchored Merkle root');
+    }
+
+    return {
+      format: PROOF_FORMAT,
+      version: PROOF_VERSION,
+      record_id: String(rec._id),
+      uid_tag_id: rec.uid_tag_id,
+      leaf: { alg: 'sha256', encoding, hash: leafHash, data },
+      // Parent = sha256(left || right); a node without a right sibling is paired with itself
+      tree: { alg: 'sha256', size: hashes.length, index, odd_node: 'duplicate' },
+      path: inclusionPath(index, hashes),
+      merkle_root: auth.merkleRoot,
+      anchor: { txid: auth.anchorTxid, tag: encoding === 'json' ? 'PatchProofBatch' : 'PatchProof', batch_id: batchId },
+    };
+  }
+
+  // Leaf hashes of the record's batch, in leaf order, with the batch's leaf encoding.
+  async _leaves(rec) {
+    if (rec.batch_id) {
+      const batch = await AnchorBatch.findById(rec.batch_id).lean().exec();
+      if (batch) {
+        return { hashes: batch.members.map((m) => m.leaf_hash), batchId: String(batch._id), encoding: batch.leaf_encoding || 'json' };
+      }
+    }
+    const peers = await AuthenticationRecord.find({ 'record_data.auth.anchorTxid': rec.record_data.auth.anchorTxid })
+      .sort({ _id: 1 }).lean().exec();
+    return { hashes: peers.map((p) => computeSha256(leafPreimage(p.record_data)).toString('hex')), batchId: null, encoding: 'json' };
+  }
+
+  /**
+   * Recompute the root from `proof` and check it against the batch OP_RETURN of the anchor tx.
+   * @param {object} proof as returned by getProof()
+   * @param {{ rawTx?: string }} [opts] raw anchor tx; fetched from the chain data provider when omitted
+   * @returns {Promise<{ valid: boolean, leafMatches: boolean, root: string|null, rootMatches: boolean, anchored: boolean, errors: string[] }>}
+   */
+  async verifyProof(proof, { rawTx } = {}) {
+    const raw = rawTx || (proof && proof.anchor && proof.anchor.txid ? await chainData.getRawTransaction(proof.anchor.txid) : null);
+    return verifyInclusionProof(proof, raw);
+  }
+}
+
+module.exports = new InclusionProofService();
+module.exports.leafPreimage = leafPreimage;
+module.exports.inclusionPath = inclusionPath;
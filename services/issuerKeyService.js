@@ -0,0 +1,129 @@
+// services/issuerKeyService.js
+// Issuer key registry: which KMS key signs new registrations and which issuer public keys verification trusts.
+//
+// While the registry is empty the service runs in legacy mode: registrations sign with ISSUER_KEY_IDENTIFIER and
+// verification accepts the issuer_pubkey embedded in the record. Once a key is registered, only registered keys
+// verify, and only for records signed (auth.ts) inside the key's validity window and never once revoked.
+const crypto = require('crypto');
+const bsv = require('bsv');
+const IssuerKey = require('../models/IssuerKey');
+const kmsSigner = require('./kmsSigner');
+const logger = require('../logger');
+const { ConflictError, NotFoundError, ServiceUnavailableError } = require('../errors');
+
+// Signed at registration to prove the KMS holds the key and to learn its public key.
+function probeHash(keyIdentifier) {
+  return crypto.createHash('sha256').update(`patchproof-issuer-key-probe:${keyIdentifier}`).digest();
+}
+
+function inWindow(key, at) {
+  const t = at instanceof Date ? at.getTime() : Number(at);
+  if (!Number.isFinite(t)) return false;
+  if (t < new Date(key.valid_from).getTime()) return false;
+  return !key.valid_until || t < new Date(key.valid_until).getTime();
+}
+
+class IssuerKeyService {
+  constructor() {
+    this._cache = null;
+    this._cacheAt = 0;
+  }
+
+  invalidate() {
+    this._cache = null;
+  }
+
+  /** All registered keys (cached for ISSUER_KEY_CACHE_TTL_MS), oldest first. */
+  async listKeys({ fresh = false } = {}) {
+    const ttl = parseInt(process.env.ISSUER_KEY_CACHE_TTL_MS || '30000', 10);
+    if (!fresh && this._cache && Date.now() - this._cacheAt < ttl) return this._cache;
+    const rows = await IssuerKey.find({}).sort({ valid_from: 1 }).lean().exec();
+    this._cache = rows;
+    this._cacheAt = Date.now();
+    return rows;
+  }
+
+  /**
+   * Key to sign new registrations with.
+   * @returns {Promise<{ keyIdentifier: string, pubkey: string|null, registered: boolean }>}
+   * @throws {ServiceUnavailableError} when keys are registered but none is active now
+   */
+  async getSigningKey(at = new Date()) {
+    const keys = await this.listKeys();
+    if (keys.length === 0) {
+      return { keyIdentifier: process.env.ISSUER_KEY_IDENTIFIER, pubkey: null, registered: false };
+    }
+    const active = keys.filter((k) => k.status === 'active' && inWindow(k, at)).pop();
+    if (!active) throw new ServiceUnavailableError('No active issuer key');
+    return { keyIdentifier: active.key_id, pubkey: active.pubkey, registered: true };
+  }
+
+  /**
+   * Whether a record signed by `pubkeyHex` at `signedAt` (ms) can be trusted.
+   * @returns {Promise<{ trusted: boolean, reason: string|null, keyIdentifier: string|null, status: string|null }>}
+   *   reason: 'registry_empty' | 'unknown_key' | 'revoked' | 'outside_validity' | null
+   */
+  async checkSigner(pubkeyHex, signedAt) {
+    const keys = await this.listKeys();
+    if (keys.length === 0) return { trusted: true, reason: 'registry_empty', keyIdentifier: null, status: null };
+    const key = keys.find((k) => k.pubkey === String(pubkeyHex || '').toLowerCase());
+    if (!key) return { trusted: false, reason: 'unknown_key', keyIdentifier: null, status: null };
+    const base = { keyIdentifier: key.key_id, status: key.status };
+    if (key.status === 'revoked') return { trusted: false, reason: 'revoked', ...base };
+    if (!inWindow(key, signedAt)) return { trusted: false, reason: 'outside_validity', ...base };
+    return { trusted: true, reason: null, ...base };
+  }
+
+  // Ask the KMS to sign a probe; returns its public key after checking the signature.
+  async _probe(keyIdentifier) {
+    const hash = probeHash(keyIdentifier);
+    const [sig] = await kmsSigner.signBatch([{ keyIdentifier, sighash: hash.toString('hex') }]);
+    const pub = new bsv.PublicKey(sig.pubKeyHex);
+    const ok = bsv.crypto.ECDSA.verify(hash, bsv.crypto.Signature.fromDER(Buffer.from(sig.signatureHex, 'hex')), pub, 'little');
+    if (!ok) throw new Error(`KMS probe signature for '${keyIdentifier}' did not verify`);
+    return pub.toString();
+  }
+
+  /**
+   * Register a KMS key. With `status: 'active'` (default) it becomes the signing key and the previous active key
+   * is retired as of `validFrom`. Use `status: 'retired'` with a window to import keys that signed past records.
+   * The public key is taken from a KMS probe signature; a supplied `pubkeyHex` must match it (and is required
+   * when the KMS is not reachable from this host).
+   */
+  async registerKey({ keyIdentifier, pubkeyHex, validFrom, validUntil = null, status = 'active' }) {
+    let pubkey = pubkeyHex ? String(pubkeyHex).toLowerCase() : null;
+    if (kmsSigner.isReady) {
+      const probed = await this._probe(keyIdentifier);
+      if (pubkey && pubkey !== probed) throw new ConflictError(`KMS key '${keyIdentifier}' does not match the supplied public key`);
+      pubkey = probed;
+    }
+    if (!pubkey) throw new ServiceUnavailableError('KMS unavailable; supply pubkeyHex to register the key');
+
+    const existing = await IssuerKey.findOne({ $or: [{ key_id: keyIdentifier }, { pubkey }] }).lean().exec();
+    if (existing) throw new ConflictError(`Issuer key '${existing.key_id}' is already registered`);
+
+    const from = validFrom ? new Date(validFrom) : new Date();
+    if (status === 'active') {
+      await IssuerKey.updateMany({ status: 'active' }, { $set: { status: 'retired', valid_until: from } }).exec();
+    }
+    const doc = await IssuerKey.create({ key_id: keyIdentifier, pubkey, status, valid_from: from, valid_until: validUntil ? new Date(validUntil) : null });
+    this.invalidate();
+    logger.info('[IssuerKeyService] Registered issuer key', { keyIdentifier, status, validFrom: from.toISOString() });
+    return doc.toObject ? doc.toObject() : doc;
+  }
+
+  /** Revoke a key: records it signed no longer verify. Revoking the active key blocks registrations until a new one is registered. */
+  async revokeKey(keyIdentifier, { reason = null } = {}) {
+    const doc = await IssuerKey.findOneAndUpdate(
+      { key_id: keyIdentifier },
+      { $set: { status: 'revoked', revoked_at: new Date(), revocation_reason: reason } },
+      { new: true }
+    ).lean().exec();
+    if (!doc) throw new NotFoundError(`Issuer key '${keyIdentifier}' not found`);
+    this.invalidate();
+    logger.warn('[IssuerKeyService] Revoked issuer key', { keyIdentifier, reason });
+    return doc;
+  }
+}
+
+module.exports = new IssuerKeyService();
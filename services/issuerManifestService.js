@@ -0,0 +1,153 @@
+// services/issuerManifestService.js
+// Signed issuer trust list published at GET /.well-known/patchproof-issuers.json.
+//
+// The manifest lists every registered issuer key (services/issuerKeyService.js) with its validity window and
+// revocation status, and is signed by a long-lived root key (ISSUER_ROOT_KEY_IDENTIFIER) through kmsSigner.
+// Verifiers pin the root public key once and can then decide offline which issuer_pubkey values to trust
+// (PatchProofVerifier.verifyIssuerManifest). With ISSUER_MANIFEST_ANCHOR enabled, each distinct key set is
+// also committed on chain in the record envelope (services/recordEnvelope.js) as
+// ['PatchProof', '1', 'issuers', 'raw', keys_sha256]; anchors written before that used ['PatchProofIssuers', keys_sha256].
+const BlockchainService = require('./blockchainService');
+const kmsSigner = require('./kmsSigner');
+const envelope = require('./recordEnvelope');
+const issuerKeyService = require('./issuerKeyService');
+const Settings = require('../models/Settings');
+const logger = require('../logger');
+const { NotFoundError, ServiceUnavailableError } = require('../errors');
+
+const MANIFEST_FORMAT = 'patchproof-issuers';
+const MANIFEST_VERSION = 1;
+const ANCHOR_SETTINGS_KEY = 'issuer_manifest_anchor';
+
+const iso = (d) => (d ? new Date(d).toISOString() : null);
+
+function manifestKeys(rows) {
+  return rows.map((k) => ({
+    key_id: k.key_id,
+    pubkey: k.pubkey,
+    status: k.status,
+    valid_from: iso(k.valid_from),
+    valid_until: iso(k.valid_until),
+    revoked_at: iso(k.revoked_at),
+    revocation_reason: k.revocation_reason || null,
+  }));
+}
+
+// Digest signed by the root key: single SHA-256 over the stable JSON of the manifest without `signature`.
+function manifestDigest(body) {
+  return BlockchainService.toHashBuf(body);
+}
+
+function anchoringEnabled() {
+  return ['1', 'true', 'yes'].includes(String(process.env.ISSUER_MANIFEST_ANCHOR || '').toLowerCase());
+}
+
+class IssuerManifestService {
+  constructor() {
+    this._cached = null; // { fingerprint, manifest }
+    this._anchoring = null;
+  }
+
+  invalidate() {
+    this._cached = null;
+  }
+
+  /**
+   * The current signed manifest. Re-signed only when the key set, root key or anchor changes, so `issued_at`
+   * marks the last change of the trust list.
+   * @throws {NotFoundError} when no root key is configured or no issuer keys are registered
+   * @throws {ServiceUnavailableError} when the KMS cannot sign or returns an unexpected root key
+   */
+  async getManifest() {
+    const rootKeyIdentifier = process.env.ISSUER_ROOT_KEY_IDENTIFIER;
+    if (!rootKeyIdentifier) throw new NotFoundError('Issuer manifest is not published (ISSUER_ROOT_KEY_IDENTIFIER not set)');
+
+    const keys = manifestKeys(await issuerKeyService.listKeys());
+    if (keys.length === 0) throw new NotFoundError('No issuer keys registered');
+    const keysSha256 = BlockchainService.toHashBuf(keys).toString('hex');
+    const anchor = await this._getAnchor(keysSha256);
+
+    const fingerprint = `${rootKeyIdentifier}:${keysSha256}:${anchor ? anchor.txid : ''}`;
+    if (this._cached && this._cached.fingerprint === fingerprint) return this._cached.manifest;
+
+    const body = {
+      format: MANIFEST_FORMAT,
+      version: MANIFEST_VERSION,
+      issuer: process.env.ISSUER_NAME || null,
+      issued_at: new Date().toISOString(),
+      keys,
+      keys_sha256: keysSha256,
+      anchor: anchor ? { txid: anchor.txid, keys_sha256: keysSha256 } : null,
+    };
+    const digest = manifestDigest(body);
+    let sig;
+    try {
+      [sig] = await kmsSigner.signBatch([{ keyIdentifier: rootKeyIdentifier, sighash: digest.toString('hex') }]);
+    } catch (err) {
+      throw new ServiceUnavailableError(`Issuer manifest signing failed: ${err.message}`);
+    }
+    const pinned = process.env.ISSUER_ROOT_PUBKEY;
+    if (pinned && sig.pubKeyHex.toLowerCase() !== pinned.toLowerCase()) {
+      logger.error('[IssuerManifest] KMS root key does not match ISSUER_ROOT_PUBKEY', { rootKeyIdentifier });
+      throw new ServiceUnavailableError('Issuer root key mismatch');
+    }
+
+    const manifest = {
+      ...body,
+      signature: { alg: 'ecdsa-secp256k1-sha256', pubkey: sig.pubKeyHex, sig: sig.signatureHex },
+    };
+    this._cached = { fingerprint, manifest };
+    if (!anchor && anchoringEnabled()) {
+      this.anchor().catch((err) => logger.warn('[IssuerManifest] Background anchoring failed', { error: err.message }));
+    }
+    return manifest;
+  }
+
+  /** Called after the registry changes: drops the cached manifest and, if enabled, anchors the new key set. */
+  keysChanged() {
+    this.invalidate();
+    if (anchoringEnabled()) {
+      this.anchor().catch((err) => logger.warn('[IssuerManifest] Anchoring after key change failed', { error: err.message }));
+    }
+  }
+
+  async _getAnchor(keysSha256) {
+    const doc = await Settings.findOne({ key: ANCHOR_SETTINGS_KEY }).lean().exec();
+    const value = doc && doc.value;
+    return value && value.keys_sha256 === keysSha256 ? value : null;
+  }
+
+  /**
+   * Anchor the current key set on chain (idempotent per key set; concurrent calls share one broadcast).
+   * @returns {Promise<{ txid: string, keys_sha256: string }>}
+   */
+  async anchor() {
+    if (!this._anchoring) {
+      this._anchoring = this._anchor().finally(() => { this._anchoring = null; });
+    }
+    return this._anchoring;
+  }
+
+  async _anchor() {
+    const keys = manifestKeys(await issuerKeyService.listKeys({ fresh: true }));
+    if (keys.length === 0) throw new NotFoundError('No issuer keys registered');
+    const keysHash = BlockchainService.toHashBuf(keys);
+    const keysSha256 = keysHash.toString('hex');
+    const existing = await this._getAnchor(keysSha256);
+    if (existing) return existing;
+
+    const result = await BlockchainService.constructAndBroadcastTx(envelope.encode('issuers', keysHash), 'IssuerManifest');
+    if (!result || !result.success) {
+      logger.error('[IssuerManifest] Anchoring failed', { error: result && result.error });
+      throw new ServiceUnavailableError(`Issuer manifest anchoring failed: ${result && result.error}`);
+    }
+    const value = { keys_sha256: keysSha256, txid: result.txid, anchored_at: new Date() };
+    await Settings.updateOne({ key: ANCHOR_SETTINGS_KEY }, { $set: { value } }, { upsert: true }).exec();
+    this.invalidate();
+    logger.info('[IssuerManifest] Anchored issuer key set', { txid: result.txid, keysSha256 });
+    return value;
+  }
+}
+
+module.exports = new IssuerManifestService();
+module.exports.manifestDigest = manifestDigest;
@@ -107,6 +107,20 @@ class JobService {
     return job.id;
   }
 
+  // Custodial wallet handover; the job id dedupes repeated requests while one is waiting or running
+  async addHandoverJob(payload) {
+    const q = this._getQueue('broadcast');
+    if (!q) return null;
+    const job = await q.add('handover', payload, {
+      jobId: `handover-${payload.walletId}`,
+      attempts: 3,
+      backoff: { type: 'exponential', delay: 5000 },
+      removeOnComplete: true,
+      removeOnFail: true,
+    });
+    return job.id;
+  }
+
   async addEmailJob(payload) {
     const q = this._getQueue('email');
     if (!q) return null;
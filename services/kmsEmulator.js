@@ -0,0 +1,266 @@
+// services/kmsEmulator.js
+// Local stand-in for the external KMS: holds several keys by keyIdentifier and implements the contract used by
+// services/kmsSigner.js (`POST /sign`, `POST /svd/derive-secret`), so dev and CI exercise the real signing path.
+// Served by scripts/kms-emulator.js through routes/kmsEmulator.route.js. NEVER use it with real funds.
+//
+// Config (KMS_EMULATOR_CONFIG file or inline KMS_EMULATOR_KEYS JSON):
+//   {
+//     "masterXprv": "xprv...",            // root for `path` keys (default: derived from KMS_EMULATOR_SEED)
+//     "svdKeyIdentifier": "svd-kms",      // key used by /svd/derive-secret
+//     "keys": [
+//       { "keyIdentifier": "funding", "path": "m/0'/0" },
+//       { "keyIdentifier": "ownership", "wif": "L..." },
+//       { "keyIdentifier": "issuer", "xprv": "xprv...", "hd": true },   // also signs as "issuer/<i>/<j>"
+//       { "keyIdentifier": "svd-kms", "path": "m/1'/0", "purposes": ["svd"] }
+//     ]
+//   }
+// Policies per key: `purposes` (default ["sign"], or ["svd"] for the SVD key) and `rateLimit: { max, windowSec }`.
+// Keys created at runtime (`POST /keys`, custodial owner wallets) are derived from the master at m/2'/<n>' with n taken
+// from the keyIdentifier's hash, so they survive restarts of the emulator with the same master.
+const crypto = require('crypto');
+const fs = require('fs');
+const bsv = require('bsv');
+const svdService = require('./svdService');
+const { AppError, ConflictError, ForbiddenError, NotFoundError } = require('../errors');
+const logger = require('../logger');
+
+const DEFAULT_SEED = 'patchproof-kms-emulator-dev-seed';
+const HEX32_RE = /^[0-9a-fA-F]{64}$/;
+const CHILD_PATH_RE = /^\d+(\/\d+)*$/;
+const KEY_ID_RE = /^[A-Za-z0-9._:-]{1,128}$/;
+
+class RateLimitedError extends AppError { constructor(message = 'Rate limit exceeded') { super(message, 429); } }
+class BadRequestError extends AppError { constructor(message = 'Bad request') { super(message, 400); } }
+
+function sha256Hex(buf) {
+  return crypto.createHash('sha256').update(buf).digest('hex');
+}
+
+// Keys for the identifiers the API is configured with, so a fresh emulator works with an unchanged .env.
+function defaultConfig() {
+  const id = (name, fallback) => process.env[name] || fallback;
+  return {
+    svdKeyIdentifier: id('SVD_KMS_KID', 'svd-kms'),
+    keys: [
+      { keyIdentifier: id('UTXO_FUNDING_KEY_IDENTIFIER', 'funding'), path: "m/0'/0" },
+      { keyIdentifier: id('OWNERSHIP_KEY_IDENTIFIER', 'ownership'), path: "m/0'/1" },
+      { keyIdentifier: id('SVD_KMS_KID', 'svd-kms'), path: "m/1'/0", purposes: ['svd'] },
+    ],
+  };
+}
+
+function readConfig() {
+  if (process.env.KMS_EMULATOR_CONFIG) return JSON.parse(fs.readFileSync(process.env.KMS_EMULATOR_CONFIG, 'utf8'));
+  if (process.env.KMS_EMULATOR_KEYS) return JSON.parse(process.env.KMS_EMULATOR_KEYS);
+  return defaultConfig();
+}
+
+class KmsEmulator {
+  constructor() {
+    this.keys = new Map();
+    this.audit = [];
+    this.svdKeyIdentifier = null;
+    this.master = null;
+    this.network = bsv.Networks.mainnet;
+  }
+
+  /** (Re)load keys and policies; clears rate-limit windows and the in-memory audit log. */
+  load(config = readConfig()) {
+    this.network = (process.env.WOC_NETWORK || 'main') === 'main' ? bsv.Networks.mainnet : bsv.Networks.testnet;
+    const master = config.masterXprv
+      ? bsv.HDPrivateKey.fromString(config.masterXprv)
+      : bsv.HDPrivateKey.fromSeed(crypto.createHash('sha256').update(process.env.KMS_EMULATOR_SEED || DEFAULT_SEED).digest());
+    this.master = master;
+    this.keys = new Map();
+    this.audit = [];
+    this.svdKeyIdentifier = config.svdKeyIdentifier || null;
+    for (const spec of config.keys || []) {
+      if (!spec.keyIdentifier) throw new Error('KMS emulator key needs a keyIdentifier');
+      if (spec.keyIdentifier.includes('/')) throw new Error(`keyIdentifier '${spec.keyIdentifier}' must not contain '/'`);
+      let hd = null;
+      let priv;
+      if (spec.wif) priv = bsv.PrivateKey.fromWIF(spec.wif);
+      else {
+        hd = spec.xprv ? bsv.HDPrivateKey.fromString(spec.xprv) : master.deriveChild(spec.path || 'm');
+        priv = hd.privateKey;
+      }
+      const isSvd = spec.keyIdentifier === this.svdKeyIdentifier;
+      this.keys.set(spec.keyIdentifier, {
+        keyIdentifier: spec.keyIdentifier,
+        priv,
+        hd: spec.hd ? hd : null,
+        purposes: spec.purposes || (isSvd ? ['svd'] : ['sign']),
+        rateLimit: spec.rateLimit || null,
+        hits: [],
+        children: new Map(),
+      });
+    }
+    logger.info(`[KmsEmulator] Loaded ${this.keys.size} key(s)`);
+    return this;
+  }
+
+  /**
+   * Resolve a keyIdentifier, including HD children ("<base>/<i>/<j>", non-hardened) of keys declared with `hd: true`.
+   * Children share their parent's policy and rate-limit window.
+   */
+  _resolve(keyIdentifier) {
+    const id = String(keyIdentifier || '');
+    const slash = id.indexOf('/');
+    const base = this.keys.get(slash < 0 ? id : id.slice(0, slash));
+    if (!base) throw new NotFoundError(`Unknown keyIdentifier '${id}'`);
+    if (slash < 0) return { entry: base, priv: base.priv };
+    const childPath = id.slice(slash + 1);
+    if (!base.hd) throw new ForbiddenError(`Key '${base.keyIdentifier}' does not allow HD derivation`);
+    if (!CHILD_PATH_RE.test(childPath)) throw new BadRequestError(`Invalid derivation path '${childPath}'`);
+    let priv = base.children.get(childPath);
+    if (!priv) {
+      priv = base.hd.deriveChild(`m/${childPath}`).privateKey;
+      base.children.set(childPath, priv);
+    }
+    return { entry: base, priv };
+  }
+
+  _authorize(entry, purpose, count = 1) {
+    if (!entry.purposes.includes(purpose)) {
+      throw new ForbiddenError(`Key '${entry.keyIdentifier}' is not allowed for purpose '${purpose}'`);
+    }
+    const limit = entry.rateLimit;
+    if (!limit || !limit.max) return;
+    const now = Date.now();
+    const windowMs = (limit.windowSec || 60) * 1000;
+    entry.hits = entry.hits.filter((t) => now - t < windowMs);
+    if (entry.hits.length + count > limit.max) {
+      throw new RateLimitedError(`Rate limit for key '${entry.keyIdentifier}' exceeded (${limit.max}/${limit.windowSec || 60}s)`);
+    }
+    for (let i = 0; i < count; i++) entry.hits.push(now);
+  }
+
+  _record(event) {
+    const entry = { ts: new Date().toISOString(), ...event };
+    this.audit.push(entry);
+    const max = parseInt(process.env.KMS_EMULATOR_AUDIT_MAX || '1000', 10) || 1000;
+    if (this.audit.length > max) this.audit.splice(0, this.audit.length - max);
+    if (process.env.KMS_EMULATOR_AUDIT_FILE) {
+      fs.promises.appendFile(process.env.KMS_EMULATOR_AUDIT_FILE, `${JSON.stringify(entry)}\n`)
+        .catch((e) => logger.warn('[KmsEmulator] Audit file write failed', { error: e.message }));
+    }
+  }
+
+  // Run `fn` and write one audit entry per key with its outcome; never logs key material or secrets.
+  _audited(op, items, ctx, fn) {
+    try {
+      const result = fn();
+      for (const it of items) this._record({ op, ...it, outcome: 'ok', requestId: ctx.requestId, client: ctx.client });
+      return result;
+    } catch (err) {
+      const outcome = err.statusCode === 429 ? 'rate_limited' : (err.statusCode === 403 ? 'denied' : 'error');
+      for (const it of items) this._record({ op, ...it, outcome, reason: err.message, requestId: ctx.requestId, client: ctx.client });
+      throw err;
+    }
+  }
+
+  /**
+   * Sign sighashes (hex, as produced by the v2 pipeline) with the key behind each keyIdentifier.
+   * All-or-nothing: a batch with any unknown key or policy violation signs nothing.
+   * @param {Array<{ keyIdentifier: string, sighash: string, purpose?: string }>} requests
+   * @returns {Array<{ signatureHex: string, pubKeyHex: string }>}
+   */
+  sign(requests, ctx = {}) {
+    if (!Array.isArray(requests) || requests.length === 0) throw new BadRequestError('Expected { requests: [{ keyIdentifier, sighash }] }');
+    const items = requests.map((r) => ({ keyIdentifier: r && r.keyIdentifier, purpose: (r && r.purpose) || 'sign', digest: r && r.sighash }));
+    return this._audited('sign', items, ctx, () => {
+      requests.forEach((r, i) => {
+        if (!r || typeof r.sighash !== 'string' || !HEX32_RE.test(r.sighash)) throw new BadRequestError(`requests[${i}].sighash must be 32-byte hex`);
+      });
+      const resolved = items.map((it) => ({ ...it, ...this._resolve(it.keyIdentifier) }));
+      const perKey = new Map();
+      for (const r of resolved) perKey.set(r.entry, (perKey.get(r.entry) || []).concat(r.purpose));
+      for (const [entry, purposes] of perKey) {
+        for (const p of new Set(purposes)) this._authorize(entry, p, purposes.filter((x) => x === p).length);
+      }
+      // Same convention as the KMS and BlockchainServiceV2.verifySignature: little-endian hash, low-S DER.
+      return resolved.map((r) => ({
+        signatureHex: bsv.crypto.ECDSA.sign(Buffer.from(r.digest, 'hex'), r.priv, 'little').toDER().toString('hex'),
+        pubKeyHex: r.priv.publicKey.toString(),
+      }));
+    });
+  }
+
+  /** SVD shared secret for a challenge M and client PMC, computed with the configured SVD key as PMS. */
+  deriveSvdSecret({ Mhex, pmcHex } = {}, ctx = {}) {
+    const keyIdentifier = this.svdKeyIdentifier;
+    const digest = typeof Mhex === 'string' ? sha256Hex(Buffer.from(Mhex, 'hex')) : undefined;
+    return this._audited('svd-derive', [{ keyIdentifier, purpose: 'svd', digest }], ctx, () => {
+      if (!keyIdentifier) throw new NotFoundError('No SVD key configured (svdKeyIdentifier)');
+      if (typeof Mhex !== 'string' || !/^([0-9a-fA-F]{2})+$/.test(Mhex)) throw new BadRequestError('Mhex must be hex');
+      if (typeof pmcHex !== 'string' || !/^0[23][0-9a-fA-F]{64}$/.test(pmcHex)) throw new BadRequestError('pmcHex must be a compressed public key');
+      const { entry, priv } = this._resolve(keyIdentifier);
+      this._authorize(entry, 'svd');
+      const M = Buffer.from(Mhex, 'hex');
+      const P2S = svdService.deriveP2FromPMS(priv.toWIF(), M);
+      const V2C = svdService.deriveV2FromPMC(pmcHex, M);
+      const S = svdService.deriveSharedSecret(P2S, V2C, {
+        pmsPubBuf: priv.publicKey.toBuffer(),
+        pmcPubBuf: Buffer.from(pmcHex, 'hex'),
+        Mbuf: M,
+      });
+      return { sharedSecretHex: S.toString('hex'), kid: keyIdentifier };
+    });
+  }
+
+  /**
+   * Create a signing key, or return it if this keyIdentifier was created before (idempotent).
+   * @param {{ keyIdentifier: string, purposes?: string[] }} spec
+   * @returns {{ keyIdentifier: string, pubKeyHex: string, address: string }}
+   * @throws {ConflictError} keyIdentifier names a configured key
+   */
+  createKey({ keyIdentifier, purposes = ['sign'] } = {}, ctx = {}) {
+    return this._audited('create-key', [{ keyIdentifier, purpose: 'create' }], ctx, () => {
+      if (typeof keyIdentifier !== 'string' || !KEY_ID_RE.test(keyIdentifier)) throw new BadRequestError('Invalid keyIdentifier');
+      if (!Array.isArray(purposes) || !purposes.length || purposes.some((p) => p !== 'sign')) {
+        throw new BadRequestError("Created keys only support the 'sign' purpose");
+      }
+      const existing = this.keys.get(keyIdentifier);
+      if (existing && !existing.created) throw new ConflictError(`keyIdentifier '${keyIdentifier}' is a configured key`);
+      if (!existing) {
+        const n = crypto.createHash('sha256').update(keyIdentifier).digest().readUInt32BE(0) & 0x7fffffff;
+        this.keys.set(keyIdentifier, {
+          keyIdentifier,
+          priv: this.master.deriveChild(`m/2'/${n}'`).privateKey,
+          hd: null,
+          purposes: ['sign'],
+          rateLimit: null,
+          hits: [],
+          children: new Map(),
+          created: true,
+        });
+      }
+      const { pubKeyHex, address } = this.describeKey(keyIdentifier);
+      return { keyIdentifier, pubKeyHex, address };
+    });
+  }
+
+  /** Public view of one key (or an HD child): identifier, compressed pubkey, address and policy. */
+  describeKey(keyIdentifier) {
+    const { entry, priv } = this._resolve(keyIdentifier);
+    return {
+      keyIdentifier,
+      pubKeyHex: priv.publicKey.toString(),
+      address: priv.publicKey.toAddress(this.network).toString(),
+      purposes: entry.purposes,
+      rateLimit: entry.rateLimit,
+      hd: !!entry.hd,
+    };
+  }
+
+  listKeys() {
+    return [...this.keys.keys()].map((id) => this.describeKey(id));
+  }
+
+  getAudit({ limit = 100, keyIdentifier } = {}) {
+    const rows = keyIdentifier ? this.audit.filter((e) => e.keyIdentifier === keyIdentifier) : this.audit;
+    return rows.slice(-limit).reverse();
+  }
+}
+
+module.exports = new KmsEmulator();
@@ -88,6 +88,47 @@ class KmsSigner {
     throw lastError;
   }
 
+  /**
+   * Create (or fetch, if it already exists) a signing key in the KMS; the private key never leaves it.
+   * Used for custodial owner wallets. Expects response: { keyIdentifier, pubKeyHex }
+   * @param {{ keyIdentifier: string, purposes?: string[] }} spec
+   * @returns {Promise<{ keyIdentifier: string, pubKeyHex: string }>}
+   */
+  async createKey({ keyIdentifier, purposes = ['sign'] } = {}) {
+    if (!this.isReady) {
+      throw new Error('KMS signer is not configured or ready. Cannot create key.');
+    }
+    if (!this.axiosTx) throw new Error('TX signer endpoint not configured');
+    const baseURL = this.axiosTx?.defaults?.baseURL || '';
+    if (baseURL.includes('mock')) {
+      throw new Error('KMS signer is in mock mode. Refusing to create keys.');
+    }
+    if (!keyIdentifier) throw new Error('Invalid createKey payload');
+    const maxAttempts = parseInt(process.env.KMS_SIGN_RETRY_ATTEMPTS, 10) || 3;
+    let lastError;
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      try {
+        // Idempotent: creating an existing keyIdentifier returns that key, so retries are safe
+        const res = await this.axiosTx.post('/keys', { keyIdentifier, purposes });
+        if (res.data && typeof res.data.pubKeyHex === 'string') return res.data;
+        throw new Error('Invalid response from KMS keys');
+      } catch (err) {
+        lastError = err;
+        const isAxios = !!err.isAxiosError;
+        const status = isAxios ? err.response?.status : undefined;
+        const retryable = !isAxios || !status || status >= 500;
+        if (retryable && attempt < maxAttempts) {
+          const delay = Math.pow(2, attempt - 1) * 1000;
+          logger.warn(`[KmsSigner] createKey failed (attempt ${attempt}/${maxAttempts}), retrying in ${delay}ms...`, { error: err.message });
+          await new Promise(r => setTimeout(r, delay));
+          continue;
+        }
+        throw lastError;
+      }
+    }
+    throw lastError;
+  }
+
   /**
    * Derive an SVD shared secret using the KMS without exposing PMS.
    * @param {{ Mhex: string, pmcHex: string }} payload
@@ -0,0 +1,123 @@
+// services/nfcTagService.js
+// Cryptographic NFC tags for GET /v1/patches/verify/:uid_tag_id.
+//
+// A uid_tag_id alone can be read off a tag and cloned. Patches registered with a `tag` bind a tag that proves itself
+// on every tap:
+//   sun_cmac  NTAG 424 DNA-style Secure Unique NFC message with plain UID and counter mirroring: the tap URL carries
+//             the chip UID, the 3-byte SDM read counter (hex, MSB first) and the SDMMAC, an AES-CMAC under a session
+//             key derived from the tag's SDM file read key, UID and counter, truncated to its odd bytes. The per-tag
+//             key is stored AES-GCM wrapped under a key derived from MASTER_SECRET and the uid_tag_id.
+//   ecc       the tag signs (ECDSA, SHA-256) a message whose first 4 bytes are its counter, big-endian; the public
+//             key (secp256k1 or P-256) is registered.
+// A tap only verifies with a counter above the last accepted one, so a captured URL or signature works once.
+const crypto = require('crypto');
+const NfcTag = require('../models/NfcTag');
+const cryptoService = require('./cryptoService');
+const logger = require('../logger');
+
+const SV2_PREFIX = Buffer.from('3cc300010080', 'hex');
+const CURVES = {
+  secp256k1: { name: 'secp256k1', jwk: 'secp256k1' },
+  p256: { name: 'prime256v1', jwk: 'P-256' },
+};
+
+function keyEncryptionKey(uid_tag_id) {
+  return cryptoService.hkdfSha256(null, uid_tag_id, 'patchproof-nfc-sdm-key', 32);
+}
+
+// SDMMAC for a plain UID + counter mirror without further MACed data (NXP AN12196)
+function sunMac(sdmKey, chipUid, counterBuf) {
+  const sv2 = Buffer.concat([SV2_PREFIX, chipUid, Buffer.from(counterBuf).reverse()]);
+  const mac = cryptoService.aesCmac(cryptoService.aesCmac(sdmKey, sv2), Buffer.alloc(0));
+  return Buffer.from([1, 3, 5, 7, 9, 11, 13, 15].map((i) => mac[i]));
+}
+
+function eccPublicKey(curve, pubkeyHex) {
+  const { name, jwk } = CURVES[curve];
+  const point = crypto.ECDH.convertKey(pubkeyHex, name, 'hex', 'buffer', 'uncompressed');
+  const half = (point.length - 1) / 2;
+  return crypto.createPublicKey({
+    key: { kty: 'EC', crv: jwk, x: point.subarray(1, 1 + half).toString('base64url'), y: point.subarray(1 + half).toString('base64url') },
+    format: 'jwk',
+  });
+}
+
+class NfcTagService {
+  /**
+   * The NfcTag document for a validated registration `tag` (wraps the SUN key, checks the ECC public key).
+   * @param {string} uid_tag_id
+   * @param {{ scheme: 'sun_cmac', chipUid: string, key: string } | { scheme: 'ecc', curve: 'secp256k1'|'p256', pubkey: string }} tag
+   * @throws {Error} the public key is not a point on the curve
+   */
+  prepare(uid_tag_id, tag) {
+    if (tag.scheme === 'ecc') {
+      try { eccPublicKey(tag.curve, tag.pubkey); }
+      catch (_) { throw new Error(`Invalid tag public key for curve ${tag.curve}`); }
+      return { uid_tag_id, scheme: 'ecc', curve: tag.curve, pubkey: tag.pubkey.toLowerCase() };
+    }
+    const { iv, data } = cryptoService.aesGcmEncrypt(keyEncryptionKey(uid_tag_id), Buffer.from(tag.key, 'hex'), uid_tag_id);
+    return { uid_tag_id, scheme: 'sun_cmac', chip_uid: tag.chipUid.toLowerCase(), wrapped_key: data.toString('base64'), wrap_iv: iv.toString('base64') };
+  }
+
+  /** Store prepared tags; re-registering a patch whose registration failed replaces its tag and resets the counter. */
+  async saveTags(docs) {
+    if (!docs.length) return;
+    await NfcTag.bulkWrite(docs.map((doc) => ({
+      updateOne: {
+        filter: { uid_tag_id: doc.uid_tag_id },
+        update: { $set: { chip_uid: null, wrapped_key: null, wrap_iv: null, curve: null, pubkey: null, ...doc, last_counter: -1, last_verified_at: null } },
+        upsert: true,
+      },
+    })));
+  }
+
+  /**
+   * Check a tap against the patch's registered tag and advance its counter.
+   * @param {string} uid_tag_id
+   * @param {{ tag_uid?: string, tag_ctr?: string, tag_cmac?: string, tag_msg?: string, tag_sig?: string }} tap
+   * @returns {Promise<null | { genuine: boolean|null, scheme: string|null, counter: number|null, reason: string|null }>}
+   *   null when the patch has no tag and no tap was presented. reason: 'no_tag_registered' | 'tap_missing' |
+   *   'scheme_mismatch' | 'chip_uid_mismatch' | 'invalid_mac' | 'invalid_signature' | 'counter_replayed' | null
+   */
+  async verifyTap(uid_tag_id, tap = {}) {
+    const sunTap = !!(tap.tag_uid && tap.tag_ctr && tap.tag_cmac);
+    const eccTap = !!(tap.tag_msg && tap.tag_sig);
+    const tag = await NfcTag.findOne({ uid_tag_id }).lean().exec();
+    if (!tag) return sunTap || eccTap ? { genuine: false, scheme: null, counter: null, reason: 'no_tag_registered' } : null;
+    const result = (genuine, counter, reason) => ({ genuine, scheme: tag.scheme, counter, reason });
+    if (!sunTap && !eccTap) return result(null, null, 'tap_missing');
+    if ((tag.scheme === 'sun_cmac') !== sunTap) return result(false, null, 'scheme_mismatch');
+
+    let counter;
+    if (tag.scheme === 'sun_cmac') {
+      const counterBuf = Buffer.from(tap.tag_ctr, 'hex');
+      counter = counterBuf.readUIntBE(0, 3);
+      if (tap.tag_uid.toLowerCase() !== tag.chip_uid) return result(false, counter, 'chip_uid_mismatch');
+      const sdmKey = cryptoService.aesGcmDecrypt(keyEncryptionKey(uid_tag_id), Buffer.from(tag.wrap_iv, 'base64'), Buffer.from(tag.wrapped_key, 'base64'), uid_tag_id);
+      const expected = sunMac(sdmKey, Buffer.from(tag.chip_uid, 'hex'), counterBuf);
+      if (!crypto.timingSafeEqual(expected, Buffer.from(tap.tag_cmac, 'hex'))) return result(false, counter, 'invalid_mac');
+    } else {
+      const message = Buffer.from(tap.tag_msg, 'hex');
+      counter = message.readUInt32BE(0);
+      let valid = false;
+      try {
+        valid = crypto.verify('sha256', message, { key: eccPublicKey(tag.curve, tag.pubkey), dsaEncoding: 'der' }, Buffer.from(tap.tag_sig, 'hex'));
+      } catch (_) { valid = false; }
+      if (!valid) return result(false, counter, 'invalid_signature');
+    }
+
+    // Counters only move forward: an equal or lower one is a replayed (copied) tap
+    const advanced = await NfcTag.findOneAndUpdate(
+      { _id: tag._id, last_counter: { $lt: counter } },
+      { $set: { last_counter: counter, last_verified_at: new Date() } },
+      { new: true }
+    ).lean().exec();
+    if (!advanced) {
+      logger.warn({ message: 'NFC tag counter replayed', uid_tag_id, scheme: tag.scheme, counter });
+      return result(false, counter, 'counter_replayed');
+    }
+    return result(true, counter, null);
+  }
+}
+
+module.exports = new NfcTagService();
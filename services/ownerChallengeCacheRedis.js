@@ -0,0 +1,113 @@
+// services/ownerChallengeCacheRedis.js
+// Redis-backed, single-use challenges for owner-signed messages (transfer_ownership, unlock_content, disclose_fields).
+// POST /v1/patches/:uid_tag_id/challenge issues a nonce bound to the patch with an expiry; the owner signs it into
+// the message and the nonce is consumed on first use (SET NX, as in svdReplayCacheRedis). Wallet binding challenges
+// (POST /v1/me/wallets/challenge) use the same cache under a `wallet:<userId>` scope in place of the uid_tag_id.
+const crypto = require('crypto');
+const IORedis = require('ioredis');
+const logger = require('../logger');
+
+const DEFAULT_TTL_SEC = parseInt(process.env.OWNER_CHALLENGE_TTL_SEC || '300', 10);
+
+class OwnerChallengeCache {
+  constructor() {
+    this.redisClient = null;
+    this.isReady = false;
+  }
+
+  // Initializes the Redis connection. Must be called at application startup.
+  async initialize() {
+    if (this.isReady) {
+      logger.info('[OwnerChallengeCache] Already initialized.');
+      return;
+    }
+
+    const redisUrl = process.env.REDIS_URL;
+    if (!redisUrl) {
+      logger.error('[OwnerChallengeCache] FATAL: REDIS_URL is not configured. This service cannot operate.');
+      if (process.env.NODE_ENV === 'production') {
+        process.exit(1);
+      }
+      this.isReady = false;
+      return;
+    }
+
+    // Enforce authenticated Redis in production
+    if (process.env.NODE_ENV === 'production') {
+      const hasPasswordInUrl = typeof redisUrl === 'string' && /^redis(s)?:\/\//i.test(redisUrl) && /:\\S+@/.test(redisUrl);
+      const hasExplicitPassword = !!process.env.REDIS_PASSWORD;
+      if (!hasPasswordInUrl && !hasExplicitPassword) {
+        logger.error('[OwnerChallengeCache] In production, Redis must require authentication. Provide REDIS_URL with password (redis://:pass@host:6379) or REDIS_PASSWORD.');
+        process.exit(1);
+      }
+    }
+
+    try {
+      this.redisClient = new IORedis(redisUrl, {
+        maxRetriesPerRequest: 3,
+        enableOfflineQueue: false,
+        password: process.env.REDIS_PASSWORD || undefined,
+      });
+
+      this.redisClient.on('connect', () => logger.info('[OwnerChallengeCache] Connecting to Redis...'));
+      this.redisClient.on('ready', () => {
+        this.isReady = true;
+        logger.info('[OwnerChallengeCache] Redis connection is ready.');
+      });
+      this.redisClient.on('error', (err) => logger.error('[OwnerChallengeCache] Redis connection error:', err));
+    } catch (err) {
+      logger.error('[OwnerChallengeCache] Failed to initialize Redis connection.', err);
+      this.isReady = false;
+      throw err;
+    }
+  }
+
+  // Gracefully closes the Redis connection.
+  async close() {
+    if (this.redisClient) {
+      await this.redisClient.quit();
+      this.isReady = false;
+      logger.info('[OwnerChallengeCache] Redis connection closed.');
+    }
+  }
+
+  _key(nonce) { return `owner:challenge:${nonce}`; }
+
+  _usedKey(nonce) { return `owner:nonce:${nonce}`; }
+
+  /**
+   * Issue a challenge for a patch.
+   * @returns {Promise<{ nonce: string, expires_at: number }>} expires_at in epoch ms
+   */
+  async issue(uid_tag_id, ttlSec = DEFAULT_TTL_SEC) {
+    if (!this.isReady) throw new Error('OwnerChallengeCache is not ready.');
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const expires_at = Date.now() + ttlSec * 1000;
+    await this.redisClient.set(this._key(nonce), JSON.stringify({ uid_tag_id, expires_at }), 'EX', ttlSec);
+    return { nonce, expires_at };
+  }
+
+  /** The unexpired challenge issued for `uid_tag_id` under `nonce`, or null. */
+  async get(uid_tag_id, nonce) {
+    if (!this.isReady) throw new Error('OwnerChallengeCache is not ready.');
+    const raw = await this.redisClient.get(this._key(nonce));
+    if (!raw) return null;
+    const challenge = JSON.parse(raw);
+    if (challenge.uid_tag_id !== uid_tag_id || challenge.expires_at <= Date.now()) return null;
+    return { nonce, expires_at: challenge.expires_at };
+  }
+
+  // Atomically mark the nonce used; returns true on first use, false on replay (or when Redis is down: fail closed)
+  async consume(nonce, ttlSec = DEFAULT_TTL_SEC * 2) {
+    if (!this.isReady) {
+      logger.error('[OwnerChallengeCache] Cannot consume challenge: Redis is not connected.');
+      return false;
+    }
+    const result = await this.redisClient.set(this._usedKey(nonce), '1', 'EX', ttlSec, 'NX');
+    if (result !== 'OK') return false;
+    await this.redisClient.del(this._key(nonce));
+    return true;
+  }
+}
+
+module.exports = new OwnerChallengeCache();
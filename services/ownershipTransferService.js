@@ -0,0 +1,111 @@
+// services/ownershipTransferService.js
+// Owner-signed ownership transfers (POST /v1/patches/:txid/transfer-ownership and custodial wallets).
+//
+// The current owner signs transfer_ownership over the patch's current txid, the new owner's address and a single-use
+// server challenge. The signature is checked here, the challenge consumed, and the transfer record (carrying the
+// signature so verifiers can re-check it) is queued for broadcast (JOBS_ASYNC) or broadcast synchronously.
+const BlockchainService = require('./blockchainService');
+const dbService = require('./databaseService');
+const jobService = require('./jobService');
+const contentVaultService = require('./contentVaultService');
+const patchStatusService = require('./patchStatusService');
+const ownerChallengeCache = require('./ownerChallengeCacheRedis');
+const envelope = require('./recordEnvelope');
+const logger = require('../logger');
+
+class OwnershipTransferService {
+  /**
+   * Owner-signed transfer message (hashed with JSON.stringify; key order matters).
+   * Same shape as the other owner messages: { purpose, ...fields, nonce, expires_at }.
+   */
+  ownerMessage({ uid_tag_id, currentTxid, newOwnerAddress }, challenge) {
+    return { purpose: 'transfer_ownership', uid_tag_id, currentTxid, newOwnerAddress, nonce: challenge.nonce, expires_at: challenge.expires_at };
+  }
+
+  /**
+   * Check the owner's signature, consume the challenge and queue (or broadcast) the transfer.
+   * @param {{ currentTxid: string, newOwnerAddress: string, currentOwnerSignature: string, currentOwnerPubKey: string, nonce: string, uid_tag_id?: string }} transfer
+   *   `uid_tag_id` picks the patch when currentTxid is a batch anchor shared by several
+   * @returns {Promise<{ queued: true, uid_tag_id: string, jobId: string, pendingId: string }
+   *   | { queued: false, uid_tag_id: string, newTxid: string }
+   *   | { status: number, error: string }>}
+   */
+  async transfer({ currentTxid, newOwnerAddress, currentOwnerSignature, currentOwnerPubKey, nonce, uid_tag_id: uid }, log = logger) {
+    if (!uid && await dbService.isSharedAnchor(currentTxid)) {
+      return { status: 400, error: 'TXID is a batch anchor shared by several patches; include uid_tag_id' };
+    }
+    const currentRecord = await dbService.getRecordByTxid(currentTxid, uid);
+    if (!currentRecord) return { status: 404, error: 'Record not found for the given TXID' };
+    const uid_tag_id = currentRecord.product.uid_tag_id;
+
+    const state = await dbService.getPatchState(uid_tag_id);
+    if (!state) return { status: 404, error: 'Patch state not found' };
+    const blocked = patchStatusService.blockedReason(state);
+    if (blocked) return { status: 409, error: blocked };
+
+    // The public key must map to the current owner address
+    const derivedAddress = BlockchainService.publicKeyHexToAddress(currentOwnerPubKey);
+    if (!state.current_owner_address || derivedAddress !== state.current_owner_address) {
+      return { status: 403, error: 'Caller is not the current owner' };
+    }
+
+    // Signature over the canonical message, bound to a single-use challenge to prevent replay
+    if (!ownerChallengeCache.isReady) return { status: 503, error: 'Challenge service unavailable' };
+    const challenge = await ownerChallengeCache.get(uid_tag_id, nonce);
+    if (!challenge) return { status: 400, error: 'Unknown or expired challenge' };
+    const message = this.ownerMessage({ uid_tag_id, currentTxid, newOwnerAddress }, challenge);
+    if (!BlockchainService.verifySignature(BlockchainService.computeSha256(message), currentOwnerSignature, currentOwnerPubKey)) {
+      return { status: 403, error: 'Invalid owner signature' };
+    }
+    if (!(await ownerChallengeCache.consume(challenge.nonce))) return { status: 409, error: 'Challenge already used' };
+
+    // Structured transfer record (JSON) to embed in OP_RETURN
+    const record = JSON.parse(JSON.stringify(currentRecord));
+    record.auth.owner = newOwnerAddress;
+    record.auth.prev_txid = currentTxid;
+    record.auth.current_owner_pubkey = currentOwnerPubKey;
+    record.auth.current_owner_signature = currentOwnerSignature;
+    // Anchored so verifiers can rebuild the signed message
+    record.auth.challenge_nonce = challenge.nonce;
+    record.auth.challenge_expires_at = challenge.expires_at;
+    record.auth.ts = Date.now();
+    envelope.checkRecord('transfer', record);
+
+    // Pending intent for atomicity
+    const pending = await dbService.createPendingTransfer(uid_tag_id, currentTxid, newOwnerAddress, record);
+    const pendingId = pending._id || pending.id;
+
+    if (jobService.isEnabled()) {
+      const jobId = await jobService.addTransferJob({ pendingId, uid_tag_id, currentTxid, newOwnerAddress, record });
+      try { await dbService.attachJobToPendingTransfer(pendingId, jobId); }
+      // eslint-disable-next-line no-empty
+      catch (_) {}
+      log.info({ message: 'Queued transfer broadcast job', jobId, uid_tag_id, pendingId });
+      return { queued: true, uid_tag_id, jobId, pendingId };
+    }
+
+    // Synchronous fallback
+    const previousOwnershipOutput = await dbService.getOwnershipOutput(currentTxid);
+    const broadcastResult = await BlockchainService.constructAndBroadcastTransferTx(
+      currentTxid,
+      newOwnerAddress,
+      currentOwnerSignature,
+      envelope.encode('transfer', record),
+      log,
+      { previousOwnershipOutput }
+    );
+    if (!broadcastResult.success) {
+      await dbService.markTransferFailed(pendingId, broadcastResult.error || 'broadcast failed');
+      if (broadcastResult.doubleSpend) return { status: 409, error: 'Conflict: ownership output already spent' };
+      throw new Error(`Broadcast failed: ${broadcastResult.error}`);
+    }
+    const newTxid = broadcastResult.txid;
+    await dbService.markTransferConfirmed(pendingId, newTxid, { ownershipOutput: broadcastResult.ownershipOutput, dataSha256: broadcastResult.dataSha256 });
+    await contentVaultService.onOwnershipChange(uid_tag_id, newOwnerAddress, log);
+
+    log.info({ message: 'Ownership transferred successfully', oldTxid: currentTxid, newTxid });
+    return { queued: false, uid_tag_id, newTxid };
+  }
+}
+
+module.exports = new OwnershipTransferService();
@@ -0,0 +1,132 @@
+// services/patchStatusService.js
+// Status events for a patch: reported stolen, recovered, revoked (counterfeit suspected, destroyed) or recalled.
+//
+// Each event is an issuer-signed 'status' record (type STATUS) anchored in its own transaction, beside the custody
+// chain rather than in it: it spends no ownership output and does not change the owner. Events chain through
+// status.prev_status_txid, and PatchState.status holds the latest one. Owners may report their own patch stolen and
+// recover it (their challenge-bound signature is anchored with the event); revoke and recall are issuer-only.
+// While a patch is not 'active', transfers, sale releases and POS claims are refused (blockedReason()).
+const BlockchainService = require('./blockchainService');
+const dbService = require('./databaseService');
+const issuerKeyService = require('./issuerKeyService');
+const kmsSigner = require('./kmsSigner');
+const envelope = require('./recordEnvelope');
+const logger = require('../logger');
+const { ConflictError, ForbiddenError, NotFoundError, ServiceUnavailableError } = require('../errors');
+
+// event -> resulting state and the states each reporter may move from
+const TRANSITIONS = {
+  report_stolen: { state: 'stolen', from: { owner: ['active'], issuer: ['active'] } },
+  recover: { state: 'active', from: { owner: ['stolen'], issuer: ['stolen', 'recalled'] } },
+  revoke: { state: 'revoked', from: { issuer: ['active', 'stolen', 'recalled'] } },
+  recall: { state: 'recalled', from: { issuer: ['active'] } },
+};
+
+// Issuer-signed status message (hashed with canonical JSON, like the registration message).
+function statusMessage(record) {
+  const { uid_tag_id } = record.product;
+  const { event, state, reason, ref_txid, prev_status_txid } = record.status;
+  return { purpose: 'patch_status', uid_tag_id, event, state, reason, ref_txid, prev_status_txid, reported_by: record.auth.reported_by, ts: record.auth.ts };
+}
+
+function currentStatus(state) {
+  return (state && state.status) || 'active';
+}
+
+class PatchStatusService {
+  /** Why transfers of this patch are refused, or null while it is active. */
+  blockedReason(state) {
+    const status = currentStatus(state);
+    return status === 'active' ? null : `Patch is ${status}; ownership changes are blocked`;
+  }
+
+  /** The patch's status as reported by /verify. */
+  describe(state) {
+    return {
+      status: currentStatus(state),
+      reason: (state && state.status_reason) || null,
+      txid: (state && state.status_txid) || null,
+      updated_at: (state && state.status_updated_at) || null,
+    };
+  }
+
+  /**
+   * Owner-signed message for an owner-reported event (hashed with JSON.stringify; key order matters).
+   * Same shape as the other owner messages: { purpose, ...fields, nonce, expires_at }.
+   */
+  ownerMessage({ uid_tag_id, currentTxid, event, reason }, challenge) {
+    return { purpose: 'report_status', uid_tag_id, currentTxid, event, reason: reason || null, nonce: challenge.nonce, expires_at: challenge.expires_at };
+  }
+
+  /**
+   * Sign, anchor and apply a status event.
+   * @param {string} uid_tag_id
+   * @param {{ event: string, reason?: string, reportedBy: 'owner'|'issuer', owner?: { pubkey: string, signature: string, challenge: { nonce: string, expires_at: number } } }} report
+   *   `owner` is the already-verified owner signature for owner reports.
+   * @returns {Promise<{ uid_tag_id: string, event: string, status: string, reason: string|null, txid: string }>}
+   * @throws {NotFoundError} unknown patch
+   * @throws {ForbiddenError} event not available to the reporter
+   * @throws {ConflictError} event not allowed from the current status, or the status changed concurrently
+   * @throws {ServiceUnavailableError} issuer signing or anchoring failed (nothing applied)
+   */
+  async recordEvent(uid_tag_id, { event, reason = null, reportedBy, owner = null }, { log } = {}) {
+    const state = await dbService.getPatchState(uid_tag_id);
+    if (!state) throw new NotFoundError('Patch not found');
+    const transition = TRANSITIONS[event];
+    const allowedFrom = transition && transition.from[reportedBy];
+    if (!allowedFrom) throw new ForbiddenError(`Event '${event}' cannot be reported by the ${reportedBy}`);
+    const from = currentStatus(state);
+    if (!allowedFrom.includes(from)) throw new ConflictError(`Cannot ${event} a patch that is ${from}`);
+
+    const record = {
+      type: 'PATCH_STATUS',
+      product: { uid_tag_id },
+      status: { event, state: transition.state, reason: reason || null, ref_txid: state.current_txid, prev_status_txid: state.status_txid || null },
+      auth: {
+        reported_by: reportedBy,
+        ...(owner && {
+          current_owner_pubkey: owner.pubkey,
+          current_owner_signature: owner.signature,
+          challenge_nonce: owner.challenge.nonce,
+          challenge_expires_at: owner.challenge.expires_at,
+        }),
+        ts: Date.now(),
+      },
+    };
+    Object.assign(record.auth, await this._issuerSign(statusMessage(record)));
+    const opReturnData = envelope.encode('status', record);
+
+    const pending = await dbService.createPendingStatus(uid_tag_id, record);
+    const result = await BlockchainService.constructAndBroadcastTx(opReturnData, 'PatchStatus', log);
+    if (!result.success) {
+      await dbService.markFailed(pending._id, result.error || 'broadcast failed');
+      throw new ServiceUnavailableError(`Status anchoring failed: ${result.error}`);
+    }
+    try {
+      await dbService.markConfirmed(pending._id, result.txid, { dataSha256: result.dataSha256 });
+    } catch (e) {
+      // Anchored but superseded by a concurrent event: the orphan stays out of the status chain
+      await dbService.markFailed(pending._id, e.message);
+      throw e;
+    }
+    logger.info({ message: 'Patch status event anchored', uid_tag_id, event, status: transition.state, txid: result.txid, reportedBy });
+    return { uid_tag_id, event, status: transition.state, reason: record.status.reason, txid: result.txid };
+  }
+
+  async _issuerSign(message) {
+    try {
+      const issuerKey = await issuerKeyService.getSigningKey();
+      const [sig] = await kmsSigner.signBatch([{ keyIdentifier: issuerKey.keyIdentifier, sighash: Buffer.from(BlockchainService.toHashBuf(message)).toString('hex') }]);
+      if (!sig || (issuerKey.pubkey && String(sig.pubKeyHex).toLowerCase() !== issuerKey.pubkey)) throw new Error('KMS key does not match the registered issuer key');
+      return {
+        issuer_signature: sig.signatureHex,
+        issuer_pubkey: sig.pubKeyHex,
+        ...(issuerKey.registered && { issuer_key_id: issuerKey.keyIdentifier }),
+      };
+    } catch (e) {
+      throw new ServiceUnavailableError(`Issuer signing unavailable: ${e.message}`);
+    }
+  }
+}
+
+module.exports = new PatchStatusService();
@@ -0,0 +1,145 @@
+// services/proofBundleService.js
+// Builds self-contained proof bundles for a patch: the full custody chain and its status events (stolen,
+// recovered, revoked, recalled) plus everything needed to check them offline (raw transactions, block Merkle
+// proofs and headers). Bundles are verified by the dependency-free verifier in public/verifier/patchproof-verifier.js.
+//
+// Chain data of mined transactions (raw tx, Merkle proof, block header) is cached in-process, bounded and TTL-based
+// (PROOF_CACHE_TTL_SEC), so repeated exports of the same patch do not hit WhatsOnChain again. Unconfirmed
+// transactions are always re-fetched so their proofs show up once they are mined.
+const AuthenticationRecord = require('../models/AuthenticationRecord');
+const chainData = require('./chainDataService');
+const logger = require('../logger');
+const { ServiceUnavailableError } = require('../errors');
+
+const BUNDLE_FORMAT = 'patchproof-proof-bundle';
+const BUNDLE_VERSION = 1;
+const MAX_ENTRIES = 5000;
+
+function envInt(name, def) {
+  const n = parseInt(process.env[name] || '', 10);
+  return Number.isFinite(n) && n >= 0 ? n : def;
+}
+
+function reverseHex(hex) {
+  return Buffer.from(hex, 'hex').reverse().toString('hex');
+}
+
+// Serialize a WhatsOnChain block header JSON back into the 80-byte consensus header.
+function headerHexFromJson(h) {
+  const buf = Buffer.alloc(80);
+  buf.writeInt32LE(h.version, 0);
+  Buffer.from(reverseHex(h.previousblockhash || '00'.repeat(32)), 'hex').copy(buf, 4);
+  Buffer.from(reverseHex(h.merkleroot), 'hex').copy(buf, 36);
+  buf.writeUInt32LE(h.time, 68);
+  buf.writeUInt32LE(typeof h.bits === 'string' ? parseInt(h.bits, 16) : h.bits, 72);
+  buf.writeUInt32LE(h.nonce, 76);
+  return buf.toString('hex');
+}
+
+class ProofBundleService {
+  constructor() {
+    this.cache = new Map(); // txid -> { expires, value: { rawTx, merkleProof, header } }
+  }
+
+  _cacheGet(txid) {
+    const hit = this.cache.get(txid);
+    if (!hit) return null;
+    if (hit.expires <= Date.now()) { this.cache.delete(txid); return null; }
+    return hit.value;
+  }
+
+  _cacheSet(txid, value) {
+    const ttlSec = envInt('PROOF_CACHE_TTL_SEC', 86400);
+    if (ttlSec <= 0) return;
+    if (this.cache.size >= MAX_ENTRIES) this.cache.delete(this.cache.keys().next().value); // oldest first
+    this.cache.set(txid, { expires: Date.now() + ttlSec * 1000, value });
+  }
+
+  // { rawTx, merkleProof, header } for one txid; merkleProof/header are null while the tx is unconfirmed or its
+  // block data is unavailable. `headers` holds the headers already fetched for this bundle (blockHash -> header).
+  async _chainData(txid, headers) {
+    const cached = this._cacheGet(txid);
+    if (cached) return cached;
+    let rawTx;
+    try {
+      rawTx = await chainData.getRawTransaction(txid);
+    } catch (err) {
+      logger.error({ message: '[ProofBundle] Failed to fetch raw transaction', txid, error: err.message });
+      throw new ServiceUnavailableError('Chain data provider unavailable');
+    }
+    // Unconfirmed transactions are shipped without block proofs; the verifier reports them as such.
+    let proof = null;
+    try { proof = await chainData.getTxMerkleProof(txid); }
+    catch (err) { logger.warn({ message: '[ProofBundle] Merkle proof unavailable', txid, error: err.message }); }
+    if (!proof) return { rawTx, merkleProof: null, header: null };
+
+    let header = headers[proof.target] || null;
+    if (!header) {
+      try {
+        const h = await chainData.getBlockHeader(proof.target);
+        header = { hex: headerHexFromJson(h), height: h.height ?? null };
+      } catch (err) {
+        logger.warn({ message: '[ProofBundle] Block header unavailable', blockHash: proof.target, error: err.message });
+        return { rawTx, merkleProof: null, header: null };
+      }
+    }
+    const value = { rawTx, merkleProof: { blockHash: proof.target, index: proof.index, nodes: proof.nodes }, header };
+    this._cacheSet(txid, value);
+    return value;
+  }
+
+  /**
+   * @param {string} uid_tag_id
+   * @returns {Promise<object|null>} The bundle, or null when the patch has no confirmed records.
+   * @throws {ServiceUnavailableError} when a raw transaction cannot be fetched.
+   */
+  async buildBundle(uid_tag_id) {
+    const docs = await AuthenticationRecord.find({ uid_tag_id, status: 'confirmed' })
+      .sort({ created_at: 1, _id: 1 })
+      .lean()
+      .exec();
+    if (docs.length === 0) return null;
+
+    const records = docs.filter((d) => d.type !== 'STATUS').map((d) => ({
+      type: d.type,
+      txid: d.txid || null,
+      previous_txid: d.previous_txid || null,
+      ownership_output: d.ownership_output || null,
+      created_at: d.created_at,
+      record_data: d.record_data,
+    }));
+    const statusEvents = docs.filter((d) => d.type === 'STATUS').map((d) => ({
+      txid: d.txid,
+      created_at: d.created_at,
+      record_data: d.record_data,
+    }));
+
+    const txids = [...new Set([...records, ...statusEvents].map((r) => r.txid || r.record_data?.auth?.anchorTxid).filter(Boolean))];
+    const transactions = {};
+    const merkleProofs = {};
+    const headers = {};
+    for (const txid of txids) {
+      const { rawTx, merkleProof, header } = await this._chainData(txid, headers);
+      transactions[txid] = rawTx;
+      if (!merkleProof) continue;
+      merkleProofs[txid] = merkleProof;
+      headers[merkleProof.blockHash] = header;
+    }
+
+    return {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      uid_tag_id,
+      network: (process.env.WOC_NETWORK || 'main').toLowerCase(),
+      generated_at: new Date().toISOString(),
+      records,
+      status_events: statusEvents,
+      transactions,
+      merkleProofs,
+      headers,
+    };
+  }
+}
+
+module.exports = new ProofBundleService();
+module.exports.headerHexFromJson = headerHexFromJson;
@@ -0,0 +1,208 @@
+// services/recordEnvelope.js
+// PatchProof on-chain envelope: the OP_RETURN layout of every anchored record.
+//
+// v1 (OP_FALSE OP_RETURN pushes):
+//   0 protocol tag  'PatchProof'
+//   1 version       '1' (ASCII decimal)
+//   2 record type   'registration' | 'transfer' | 'status' | 'batch' | 'issuers'
+//   3 encoding      'json' (canonical JSON: sorted keys, no whitespace) | 'json+deflate' (raw DEFLATE of it) | 'raw'
+//   4 payload       record_data for registration/transfer/status, the 32-byte Merkle root for batch, the 32-byte
+//                   keys_sha256 of the issuer key set for issuers (services/issuerManifestService.js)
+// Registration/transfer/status payloads are schema-checked when encoded and decoded. Status events exist in v1 only.
+//
+// v0 (legacy, read-only): a single push of JSON.stringify(record_data), ['PatchProofBatch', root] or
+// ['PatchProofIssuers', keys_sha256]. decode() reads both; new anchors are always written as v1.
+//
+// Canonical JSON is also what new records hash: metadata_sha256 in the issuer-signed registration message and
+// Merkle batch leaves. Verification falls back to the v0 JSON.stringify digests for older records.
+const crypto = require('crypto');
+const zlib = require('zlib');
+const Joi = require('joi');
+const stringify = require('safe-stable-stringify');
+const { RecordFormatError } = require('../errors');
+
+const PROTOCOL_TAG = 'PatchProof';
+const ENVELOPE_VERSION = 1;
+const RECORD_TYPES = ['registration', 'transfer', 'status', 'batch', 'issuers'];
+const ENCODINGS = ['json', 'json+deflate', 'raw'];
+const LEGACY_TAGS = { PatchProofBatch: 'batch', PatchProofIssuers: 'issuers' };
+// Types whose payload is a 32-byte digest, anchored with encoding 'raw'
+const DIGEST_TYPES = { batch: 'Batch payload must be a 32-byte Merkle root', issuers: 'Issuers payload must be the 32-byte keys_sha256' };
+
+const hex = () => Joi.string().hex();
+
+const recordSchema = Joi.object({
+  type: Joi.string().valid('AUTHENTICATION_RECORD').required(),
+  product: Joi.object({ uid_tag_id: Joi.string().min(1).required() }).unknown(true).required(),
+  metadata: Joi.object().unknown(true).optional(),
+  // Privacy mode: salted field commitments instead of cleartext fields (services/fieldCommitments.js)
+  commitments: Joi.object({
+    scheme: Joi.string().required(),
+    fields: Joi.array().items(Joi.object({
+      path: Joi.string().pattern(/^(product|metadata)\.[^.]+$/).required(),
+      digest: hex().length(64).required(),
+    })).required(),
+  }).optional(),
+  auth: Joi.object({
+    owner: Joi.string().allow(null).optional(),
+    issuer_signature: hex().required(),
+    issuer_pubkey: hex().length(66).required(),
+    ts: Joi.number().integer().required(),
+  }).unknown(true).required(),
+}).unknown(false);
+
+// Transfers name the new owner and carry either the previous owner's signature (prev_txid) or a POS approval.
+const transferSchema = recordSchema.keys({
+  auth: Joi.object({
+    owner: Joi.string().required(),
+    issuer_signature: hex().required(),
+    issuer_pubkey: hex().length(66).required(),
+    ts: Joi.number().integer().required(),
+    prev_txid: hex().length(64),
+    pos_approved_by: Joi.string(),
+  }).or('prev_txid', 'pos_approved_by').unknown(true).required(),
+});
+
+// Status events (services/patchStatusService.js): issuer-signed, owner-signed as well when the owner reported them.
+const statusSchema = Joi.object({
+  type: Joi.string().valid('PATCH_STATUS').required(),
+  product: Joi.object({ uid_tag_id: Joi.string().min(1).required() }).unknown(false).required(),
+  status: Joi.object({
+    event: Joi.string().valid('report_stolen', 'recover', 'revoke', 'recall').required(),
+    state: Joi.string().valid('active', 'stolen', 'revoked', 'recalled').required(),
+    reason: Joi.string().allow(null).required(),
+    ref_txid: hex().length(64).required(),
+    prev_status_txid: hex().length(64).allow(null).required(),
+  }).unknown(false).required(),
+  auth: Joi.object({
+    issuer_signature: hex().required(),
+    issuer_pubkey: hex().length(66).required(),
+    ts: Joi.number().integer().required(),
+    reported_by: Joi.string().valid('owner', 'issuer').required(),
+    current_owner_pubkey: hex().length(66).when('reported_by', { is: 'owner', then: Joi.required() }),
+    current_owner_signature: hex().when('reported_by', { is: 'owner', then: Joi.required() }),
+  }).unknown(true).required(),
+}).unknown(false);
+
+const SCHEMAS = { registration: recordSchema, transfer: transferSchema, status: statusSchema };
+
+function canonicalJson(value) {
+  return stringify(value);
+}
+
+function canonicalSha256(value) {
+  return crypto.createHash('sha256').update(Buffer.from(canonicalJson(value), 'utf8')).digest();
+}
+
+// metadata_sha256 of the issuer-signed registration message (v1: canonical JSON).
+function metadataSha256(metadata) {
+  return canonicalSha256(metadata || {}).toString('hex');
+}
+
+// v0 digest: JSON.stringify in insertion order. Only for verifying records signed before v1.
+function legacyMetadataSha256(metadata) {
+  return crypto.createHash('sha256').update(Buffer.from(JSON.stringify(metadata || {}), 'utf8')).digest('hex');
+}
+
+function checkRecord(type, recordData) {
+  const schema = SCHEMAS[type];
+  if (!schema) return;
+  const { error } = schema.validate(recordData, { abortEarly: false });
+  if (error) throw new RecordFormatError(`Invalid ${type} record: ${error.details.map((d) => d.message).join('; ')}`);
+}
+
+function compressionEnabled() {
+  return String(process.env.ENVELOPE_COMPRESSION || '').toLowerCase() === 'deflate';
+}
+
+/**
+ * Build the v1 OP_RETURN pushes for a record, batch root or issuer key set digest.
+ * @param {'registration'|'transfer'|'status'|'batch'|'issuers'} type
+ * @param {object|Buffer} payload record_data, or the Merkle root for `batch`, or keys_sha256 for `issuers`
+ * @param {{ compress?: boolean }} [opts] deflate JSON payloads (default ENVELOPE_COMPRESSION=deflate); only kept when smaller
+ * @returns {Buffer[]}
+ * @throws {RecordFormatError} unknown type or a record that fails its schema
+ */
+function encode(type, payload, { compress = compressionEnabled() } = {}) {
+  if (!RECORD_TYPES.includes(type)) throw new RecordFormatError(`Unknown record type '${type}'`);
+  let encoding;
+  let body;
+  if (DIGEST_TYPES[type]) {
+    if (!Buffer.isBuffer(payload) || payload.length !== 32) throw new RecordFormatError(DIGEST_TYPES[type]);
+    encoding = 'raw';
+    body = payload;
+  } else {
+    checkRecord(type, payload);
+    encoding = 'json';
+    body = Buffer.from(canonicalJson(payload), 'utf8');
+    if (compress) {
+      const deflated = zlib.deflateRawSync(body);
+      if (deflated.length < body.length) {
+        encoding = 'json+deflate';
+        body = deflated;
+      }
+    }
+  }
+  return [Buffer.from(PROTOCOL_TAG), Buffer.from(String(ENVELOPE_VERSION)), Buffer.from(type), Buffer.from(encoding), body];
+}
+
+function inferLegacyType(record) {
+  const auth = (record && record.auth) || {};
+  return auth.prev_txid || auth.pos_approved_by ? 'transfer' : 'registration';
+}
+
+/**
+ * Decode OP_RETURN pushes (v1 envelope or legacy v0).
+ * @param {Buffer[]} chunks data pushes after OP_FALSE OP_RETURN
+ * @returns {{ version: number, type: string, encoding: string, payload: object|Buffer, json: string|null }}
+ *   `json` is the decoded JSON text (canonical for v1) or null for binary payloads.
+ * @throws {RecordFormatError} malformed envelope, unsupported version, or a v1 record failing its schema
+ */
+function decode(chunks) {
+  if (!Array.isArray(chunks) || chunks.length === 0) throw new RecordFormatError('No OP_RETURN data');
+  const tag = chunks[0].toString('utf8');
+
+  if (tag === PROTOCOL_TAG) {
+    if (chunks.length !== 5) throw new RecordFormatError('Malformed PatchProof envelope');
+    const version = parseInt(chunks[1].toString('utf8'), 10);
+    if (version !== ENVELOPE_VERSION) throw new RecordFormatError(`Unsupported envelope version '${chunks[1].toString('utf8')}'`);
+    const type = chunks[2].toString('utf8');
+    const encoding = chunks[3].toString('utf8');
+    if (!RECORD_TYPES.includes(type)) throw new RecordFormatError(`Unknown record type '${type}'`);
+    if (!ENCODINGS.includes(encoding)) throw new RecordFormatError(`Unknown encoding '${encoding}'`);
+    if (encoding === 'raw') return { version, type, encoding, payload: chunks[4], json: null };
+
+    let json;
+    let payload;
+    try {
+      json = (encoding === 'json+deflate' ? zlib.inflateRawSync(chunks[4]) : chunks[4]).toString('utf8');
+      payload = JSON.parse(json);
+    } catch (e) {
+      throw new RecordFormatError(`Undecodable ${type} payload: ${e.message}`);
+    }
+    checkRecord(type, payload);
+    return { version, type, encoding, payload, json };
+  }
+
+  if (LEGACY_TAGS[tag]) {
+    return { version: 0, type: LEGACY_TAGS[tag], encoding: 'raw', payload: chunks[1] || Buffer.alloc(0), json: null };
+  }
+  const json = Buffer.concat(chunks).toString('utf8');
+  let payload;
+  try { payload = JSON.parse(json); }
+  catch (_) { throw new RecordFormatError('Not a PatchProof record'); }
+  return { version: 0, type: inferLegacyType(payload), encoding: 'json', payload, json };
+}
+
+module.exports = {
+  PROTOCOL_TAG,
+  ENVELOPE_VERSION,
+  RECORD_TYPES,
+  canonicalJson,
+  canonicalSha256,
+  metadataSha256,
+  legacyMetadataSha256,
+  checkRecord,
+  encode,
+  decode,
+};
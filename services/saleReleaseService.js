@@ -0,0 +1,156 @@
+// services/saleReleaseService.js
+// Owner-signed sale releases for the POS claim flow (POST /v1/pos/claim-approve).
+//
+// A cashier's store key (middleware/posStoreAuth.js) alone cannot take a patch from its owner. The current owner first signs a time-bounded
+// release naming the store (and optionally the buyer), bound to the patch's current state and a single-use owner
+// challenge; the claim approval must reference it and consumes it. The signed release is anchored with the POS
+// transfer (auth.sale_release) so the offline verifier can check the previous owner authorized the sale.
+//
+// Patches still held at a retailer's own custody address may instead be claimed under that store's policy
+// (POS_STORE_POLICY, Settings or env JSON):
+//   { "<store>": { "custodyAddresses": ["1..."], "custodyClaims": "allow" | "require_release" } }
+// Stores without a policy, and custody claims set to require_release, always need a release.
+const SaleRelease = require('../models/SaleRelease');
+const configService = require('./configService');
+const logger = require('../logger');
+
+const DEFAULT_MAX_TTL_SEC = 7 * 24 * 3600;
+
+// Owner-signed release message; key order matters (hashed with JSON.stringify, like ownerMessage in patchController).
+function releaseMessage({ uid_tag_id, currentTxid, store, buyerAddress, validUntil }, challenge) {
+  return {
+    purpose: 'release_for_sale',
+    uid_tag_id,
+    currentTxid,
+    store,
+    buyerAddress: buyerAddress || null,
+    validUntil,
+    nonce: challenge.nonce,
+    expires_at: challenge.expires_at,
+  };
+}
+
+// auth.sale_release of the anchored transfer: everything the verifier needs to rebuild and check the message.
+function anchoredRelease(release) {
+  return {
+    id: String(release._id),
+    pubkey: release.owner_pubkey,
+    signature: release.signature,
+    store: release.store,
+    buyerAddress: release.buyer_address || null,
+    validUntil: release.valid_until,
+    nonce: release.nonce,
+    expires_at: release.nonce_expires_at,
+  };
+}
+
+function describe(release) {
+  return {
+    releaseId: String(release._id),
+    uid_tag_id: release.uid_tag_id,
+    currentTxid: release.current_txid,
+    store: release.store,
+    buyerAddress: release.buyer_address || null,
+    validUntil: release.valid_until,
+    status: release.status,
+  };
+}
+
+class SaleReleaseService {
+  releaseMessage(fields, challenge) {
+    return releaseMessage(fields, challenge);
+  }
+
+  maxTtlMs() {
+    const n = parseInt(process.env.POS_RELEASE_MAX_TTL_SEC || String(DEFAULT_MAX_TTL_SEC), 10);
+    return (Number.isFinite(n) && n > 0 ? n : DEFAULT_MAX_TTL_SEC) * 1000;
+  }
+
+  /** The store's policy from Settings (POS_STORE_POLICY), falling back to the env; null when it has none. */
+  storePolicy(store) {
+    let policies = configService.get('POS_STORE_POLICY', null);
+    if (!policies && process.env.POS_STORE_POLICY) {
+      try { policies = JSON.parse(process.env.POS_STORE_POLICY); }
+      catch (e) { logger.warn({ message: 'POS_STORE_POLICY is not valid JSON', error: e.message }); }
+    }
+    if (typeof policies === 'string') {
+      try { policies = JSON.parse(policies); } catch (_) { policies = null; }
+    }
+    const policy = policies && typeof policies === 'object' ? policies[store] : null;
+    return policy && typeof policy === 'object' ? policy : null;
+  }
+
+  /**
+   * Store a release whose owner signature and challenge the caller has already checked.
+   * @param {object} state PatchState the owner signed for
+   * @param {{ store: string, buyerAddress?: string, validUntil: number, ownerPubKey: string, ownerSignature: string }} release
+   * @param {{ nonce: string, expires_at: number }} challenge
+   */
+  async createRelease(state, { store, buyerAddress, validUntil, ownerPubKey, ownerSignature }, challenge) {
+    const release = await SaleRelease.create({
+      uid_tag_id: state.uid_tag_id,
+      current_txid: state.current_txid,
+      owner_address: state.current_owner_address,
+      owner_pubkey: ownerPubKey,
+      signature: ownerSignature,
+      store,
+      buyer_address: buyerAddress || null,
+      valid_until: validUntil,
+      nonce: challenge.nonce,
+      nonce_expires_at: challenge.expires_at,
+    });
+    return describe(release);
+  }
+
+  /**
+   * Decide whether `store` may hand the patch to the intent's customer, consuming the referenced release.
+   * @param {object} intent pending ClaimIntent
+   * @param {object} state current PatchState
+   * @param {{ store: string, releaseId?: string }} claim
+   * @returns {Promise<{ authorization: 'owner_release'|'store_policy', release: object|null } | { status: number, error: string }>}
+   *   `release` is the auth.sale_release to anchor.
+   */
+  async authorizeClaim(intent, state, { store, releaseId }) {
+    if (!releaseId) {
+      const policy = this.storePolicy(store);
+      const custody = policy && Array.isArray(policy.custodyAddresses) && policy.custodyAddresses.includes(state.current_owner_address);
+      if (custody && policy.custodyClaims === 'allow') return { authorization: 'store_policy', release: null };
+      return { status: 403, error: 'Owner sale release required' };
+    }
+
+    const release = await SaleRelease.findById(releaseId).lean().exec();
+    if (!release || release.uid_tag_id !== intent.uid) return { status: 404, error: 'Sale release not found' };
+    if (release.store !== store) return { status: 403, error: 'Sale release is for another store' };
+    if (release.buyer_address && release.buyer_address !== intent.customer.address) {
+      return { status: 403, error: 'Sale release is for another buyer' };
+    }
+    if (release.status !== 'active') return { status: 409, error: `Sale release is ${release.status}` };
+    if (release.valid_until < Date.now()) return { status: 409, error: 'Sale release expired' };
+    // A release only covers the state it was signed for: any transfer since then voids it
+    if (release.current_txid !== state.current_txid || release.owner_address !== state.current_owner_address) {
+      return { status: 409, error: 'Patch changed hands since the release was signed' };
+    }
+
+    const consumed = await SaleRelease.findOneAndUpdate(
+      { _id: release._id, status: 'active' },
+      { $set: { status: 'consumed', consumed_by_intent: String(intent._id), consumed_at: new Date() } },
+      { new: true }
+    ).lean().exec();
+    if (!consumed) return { status: 409, error: 'Sale release is consumed' };
+    return { authorization: 'owner_release', release: anchoredRelease(consumed) };
+  }
+
+  /** Undo authorizeClaim's consumption when the claim it authorized could not be queued. */
+  async restoreRelease(releaseId, intentId) {
+    try {
+      await SaleRelease.updateOne(
+        { _id: releaseId, status: 'consumed', consumed_by_intent: String(intentId) },
+        { $set: { status: 'active', consumed_by_intent: null, consumed_at: null } }
+      ).exec();
+    } catch (e) {
+      logger.error({ message: 'Failed to restore sale release', releaseId: String(releaseId), intentId: String(intentId), error: e.message });
+    }
+  }
+}
+
+module.exports = new SaleReleaseService();
@@ -0,0 +1,191 @@
+// services/scanLedgerService.js
+// Scan ledger and clone/anomaly detection for GET /v1/patches/verify/:uid_tag_id.
+//
+// Every verification of a registered patch is recorded (ScanEvent): time, coarse geo, a keyed hash of the IP, the
+// user agent and the tag counter when a tag tap was presented. Each scan is compared with the patch's recent ones:
+//   impossible_travel  implied speed from the previous located scan above SCAN_MAX_TRAVEL_KMH (another country
+//                      within the hour when only countries are known)
+//   scan_burst         SCAN_BURST_MAX or more scans within SCAN_BURST_WINDOW_SEC
+//   duplicate_counter  a tag counter at or below one already accepted (a copied tap)
+//   tag_invalid        a tag tap whose MAC, signature or chip UID did not check out
+// The flags add up to a 0-100 risk score; scans scoring CLONE_SUSPECT_MIN_SCORE or more feed the admin clone feed.
+// Coarse geo comes from the edge's visitor location headers (Cloudflare: cf-ipcountry, cf-region, cf-ipcity,
+// cf-iplatitude, cf-iplongitude), read only with TRUST_CF_GEO_HEADERS: any client can send them, so they are only
+// trustworthy when the API is reachable solely through Cloudflare. Without them scans carry no geo and impossible
+// travel is not detected. Raw IPs are never stored.
+//
+// Verification waits at most SCAN_LEDGER_TIMEOUT_MS for the ledger (scoreScan); a slow or failing ledger never delays
+// or fails it.
+const crypto = require('crypto');
+const ScanEvent = require('../models/ScanEvent');
+const cryptoService = require('./cryptoService');
+const logger = require('../logger');
+
+const FLAG_WEIGHTS = { impossible_travel: 50, scan_burst: 25, duplicate_counter: 60, tag_invalid: 80 };
+const TAG_INVALID_REASONS = ['invalid_mac', 'invalid_signature', 'chip_uid_mismatch', 'scheme_mismatch', 'no_tag_registered'];
+// Coarse geo is only accurate to tens of km; closer scans never count as travel
+const MIN_TRAVEL_KM = 100;
+
+function envInt(name, fallback) {
+  const n = parseInt(process.env[name] || String(fallback), 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+function header(headers, name) {
+  const v = headers && headers[name];
+  const s = Array.isArray(v) ? v[0] : v;
+  return s ? String(s).trim().slice(0, 64) : null;
+}
+
+function coord(headers, name, max) {
+  const n = parseFloat(header(headers, name));
+  return Number.isFinite(n) && Math.abs(n) <= max ? Math.round(n * 10) / 10 : null;
+}
+
+function trustGeoHeaders() {
+  return ['1', 'true', 'yes'].includes(String(process.env.TRUST_CF_GEO_HEADERS || 'false').toLowerCase());
+}
+
+function coarseGeo(headers) {
+  if (!trustGeoHeaders()) return { country: null, region: null, city: null, lat: null, lon: null };
+  const country = header(headers, 'cf-ipcountry');
+  const lat = coord(headers, 'cf-iplatitude', 90);
+  const lon = coord(headers, 'cf-iplongitude', 180);
+  return {
+    // XX / T1: unknown country and Tor at Cloudflare
+    country: country && !['XX', 'T1'].includes(country.toUpperCase()) ? country.toUpperCase() : null,
+    region: header(headers, 'cf-region'),
+    city: header(headers, 'cf-ipcity'),
+    lat: lat !== null && lon !== null ? lat : null,
+    lon: lat !== null && lon !== null ? lon : null,
+  };
+}
+
+function haversineKm(a, b) {
+  const rad = (d) => (d * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLon = rad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+function impossibleTravel(prev, geo, now) {
+  if (!prev || !prev.geo || !prev.geo.country || !geo.country) return false;
+  const hours = Math.max((now - new Date(prev.scanned_at)) / 3600000, 1 / 60);
+  if (typeof prev.geo.lat === 'number' && typeof geo.lat === 'number') {
+    const km = haversineKm(prev.geo, geo);
+    return km > MIN_TRAVEL_KM && km / hours > envInt('SCAN_MAX_TRAVEL_KMH', 900);
+  }
+  return prev.geo.country !== geo.country && hours < 1;
+}
+
+function ipHash(ip) {
+  if (!ip) return null;
+  try {
+    const key = cryptoService.hkdfSha256(null, 'patchproof-scan-ledger', 'ip-hash', 32);
+    return crypto.createHmac('sha256', key).update(String(ip)).digest('hex');
+  } catch (_) {
+    return null; // no MASTER_SECRET (dev): keep no IP trace at all
+  }
+}
+
+function riskOf(flags) {
+  const score = Math.min(100, flags.reduce((sum, f) => sum + FLAG_WEIGHTS[f], 0));
+  return { score, level: score >= 60 ? 'high' : score >= 25 ? 'medium' : 'low', flags };
+}
+
+class ScanLedgerService {
+  isEnabled() {
+    return !['0', 'false', 'no'].includes(String(process.env.SCAN_LEDGER_ENABLED || 'true').toLowerCase());
+  }
+
+  minSuspectScore() {
+    return envInt('CLONE_SUSPECT_MIN_SCORE', 50);
+  }
+
+  /**
+   * Record a verification scan and score it against the patch's recent scans.
+   * @param {string} uid_tag_id
+   * @param {{ ip?: string, userAgent?: string, headers?: object, tag?: { genuine: boolean|null, counter: number|null, reason: string|null }|null }} scan
+   * @returns {Promise<{ score: number, level: 'low'|'medium'|'high', flags: string[] }>}
+   */
+  async recordScan(uid_tag_id, { ip, userAgent, headers, tag } = {}) {
+    const now = new Date();
+    const geo = coarseGeo(headers);
+    const [previous, recent] = await Promise.all([
+      geo.country ? ScanEvent.findOne({ uid_tag_id, 'geo.country': { $ne: null } }).sort({ scanned_at: -1 }).lean().exec() : null,
+      ScanEvent.countDocuments({ uid_tag_id, scanned_at: { $gte: new Date(now - envInt('SCAN_BURST_WINDOW_SEC', 600) * 1000) } }).exec(),
+    ]);
+
+    const flags = [];
+    if (impossibleTravel(previous, geo, now)) flags.push('impossible_travel');
+    if (recent + 1 >= envInt('SCAN_BURST_MAX', 20)) flags.push('scan_burst');
+    if (tag && tag.reason === 'counter_replayed') flags.push('duplicate_counter');
+    if (tag && TAG_INVALID_REASONS.includes(tag.reason)) flags.push('tag_invalid');
+    const risk = riskOf(flags);
+
+    await ScanEvent.create({
+      uid_tag_id,
+      scanned_at: now,
+      geo,
+      ip_hash: ipHash(ip),
+      user_agent: userAgent ? String(userAgent).slice(0, 256) : null,
+      // Counters from taps that failed their MAC/signature are attacker-chosen; only keep checked ones
+      tag_counter: tag && (tag.genuine || tag.reason === 'counter_replayed') ? tag.counter : null,
+      tag_genuine: tag ? tag.genuine : null,
+      tag_reason: tag ? tag.reason : null,
+      flags,
+      risk_score: risk.score,
+    });
+    return risk;
+  }
+
+  /**
+   * recordScan for the verify path: resolves to the risk, or null when the ledger fails or takes longer than
+   * SCAN_LEDGER_TIMEOUT_MS (the scan is still recorded in the background). Never throws.
+   */
+  async scoreScan(uid_tag_id, scan, log = logger) {
+    const recording = this.recordScan(uid_tag_id, scan).catch((e) => {
+      log.warn({ message: 'Scan ledger unavailable', uid_tag_id, error: e.message });
+      return null;
+    });
+    let timer;
+    const timeout = new Promise((resolve) => { timer = setTimeout(resolve, envInt('SCAN_LEDGER_TIMEOUT_MS', 250), null); });
+    try {
+      return await Promise.race([recording, timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Suspected clones: patches with scans scoring at least `minScore` since `since`, most recently seen first.
+   * @returns {Promise<Array<{ uid_tag_id: string, max_score: number, suspicious_scans: number, flags: string[], countries: string[], first_seen: Date, last_seen: Date }>>}
+   */
+  async listSuspects({ since, minScore = this.minSuspectScore(), limit = 50 } = {}) {
+    const rows = await ScanEvent.aggregate([
+      { $match: { scanned_at: { $gte: since }, risk_score: { $gte: minScore } } },
+      {
+        $group: {
+          _id: '$uid_tag_id',
+          max_score: { $max: '$risk_score' },
+          suspicious_scans: { $sum: 1 },
+          flags: { $push: '$flags' },
+          countries: { $addToSet: '$geo.country' },
+          first_seen: { $min: '$scanned_at' },
+          last_seen: { $max: '$scanned_at' },
+        },
+      },
+      { $sort: { last_seen: -1 } },
+      { $limit: limit },
+    ]).exec();
+    return rows.map(({ _id, flags, countries, ...row }) => ({
+      uid_tag_id: _id,
+      ...row,
+      flags: [...new Set(flags.flat())],
+      countries: countries.filter(Boolean),
+    }));
+  }
+}
+
+module.exports = new ScanLedgerService();
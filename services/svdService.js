@@ -247,3 +247,7 @@ function advanceM(M) { return sha256(toBuffer(M)); }
 function forkM(M, label) { return sha256(Buffer.concat([toBuffer(M), toBuffer(label || '')])); }
 
 module.exports = new SvdService();
+// Pure SVD math, shared with the local KMS emulator's /svd/derive-secret (services/kmsEmulator.js)
+module.exports.deriveV2FromPMC = deriveV2FromPMC;
+module.exports.deriveP2FromPMS = deriveP2FromPMS;
+module.exports.deriveSharedSecret = deriveSharedSecret;
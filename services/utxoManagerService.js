@@ -12,7 +12,7 @@ const logger = require('../logger');
 const Settings = require('../models/Settings');
 const lockManager = require('./lockManager');
 const kmsSigner = require('./kmsSigner');
-const wocClient = require('../clients/wocClient');
+const chainData = require('./chainDataService');
 
 // New production-grade orchestrator
 class UtxoManagerService {
@@ -103,17 +103,11 @@ class UtxoManagerService {
       logger.warn('[UtxoManagerService] DB unavailable; skipping syncUtxos');
       return { added: 0, spent: 0, confirmed: 0 };
     }
-    const network = (process.env.WOC_NETWORK || 'main').toLowerCase();
-    const [unspentList, info] = await Promise.all([
-      wocClient.getUnspentOutputs(this.FUNDING_ADDRESS, 0),
-      wocClient.getChainInfo(),
-    ]);
-    const height = info?.blocks || 0;
-    const onChainUtxos = (Array.isArray(unspentList) ? unspentList : []).map(u => ({
-      tx_hash: u.tx_hash || u.txid,
-      tx_pos: (u.tx_pos !== null && u.tx_pos !== undefined) ? u.tx_pos : u.vout,
-      value: (u.value !== null && u.value !== undefined) ? u.value : u.satoshis,
-      confirmations: u.height && u.height > 0 ? (height - u.height + 1) : 0,
+    const onChainUtxos = (await chainData.getUnspentOutputs(this.FUNDING_ADDRESS)).map(u => ({
+      tx_hash: u.txid,
+      tx_pos: u.vout,
+      value: u.satoshis,
+      confirmations: u.confirmations,
     }));
 
     const localUtxos = await Utxo.find({ status: { $in: ['available', 'unconfirmed'] }, keyIdentifier: this.FUNDING_KEY_ID }).lean();
@@ -223,7 +217,7 @@ class UtxoManagerService {
         }
 
         const flags = bsv.crypto.Signature.SIGHASH_ALL | bsv.crypto.Signature.SIGHASH_FORKID;
-        const sighash = tx.sighashForUTXO(0, tx.inputs[0].output.script, tx.inputs[0].output.satoshis, flags).toString('hex');
+        const sighash = blockchainService.computeSighashHex(tx, 0, tx.inputs[0].output.script, tx.inputs[0].output.satoshis, flags);
         const signatures = await kmsSigner.signBatch([{ keyIdentifier: this.FUNDING_KEY_ID, sighash }]);
         blockchainService.v2.applySignatures(tx, signatures);
         const txid = await blockchainService.v2.broadcast(tx.serialize());
@@ -0,0 +1,95 @@
+// services/walletBindingService.js
+// Links logged-in users (req.auth.userId: SVD userId or email `sub`) to the BSV addresses that own their patches.
+//
+// Ownership lives on chain and in PatchState.current_owner_address; accounts never hold it. A user binds an address by
+// signing a bind_wallet message with its key, bound to their user id and a single-use challenge issued under the
+// `wallet:<userId>` scope of the owner challenge cache, so a signature cannot be replayed for another account.
+// GET /v1/me/patches then lists the patches currently owned by any of the user's bound addresses. A binding grants no
+// rights over the patches: transfers, unlocks and releases still need the owner's signature.
+const PatchState = require('../models/PatchState');
+const WalletBinding = require('../models/WalletBinding');
+const { ConflictError } = require('../errors');
+
+const DEFAULT_MAX_BINDINGS = 20;
+
+function describe(binding) {
+  return { address: binding.address, pubkey: binding.pubkey, bound_at: binding.bound_at };
+}
+
+class WalletBindingService {
+  maxBindings() {
+    const n = parseInt(process.env.WALLET_MAX_BINDINGS || String(DEFAULT_MAX_BINDINGS), 10);
+    return Number.isFinite(n) && n > 0 ? n : DEFAULT_MAX_BINDINGS;
+  }
+
+  /** Owner challenge cache scope for a user's binding challenges. */
+  challengeScope(userId) {
+    return `wallet:${userId}`;
+  }
+
+  // Signed binding message; key order matters (hashed with JSON.stringify, like ownerMessage in patchController).
+  bindingMessage(userId, address, challenge) {
+    return { purpose: 'bind_wallet', user_id: String(userId), address, nonce: challenge.nonce, expires_at: challenge.expires_at };
+  }
+
+  /**
+   * Store a verified binding; binding an address the user already has refreshes its proof.
+   * @param {string} userId
+   * @param {{ address: string, pubkey: string, signature: string, nonce: string }} proof
+   * @returns {Promise<{ address: string, pubkey: string, bound_at: Date }>}
+   * @throws {ConflictError} the user already has WALLET_MAX_BINDINGS addresses
+   */
+  async bind(userId, { address, pubkey, signature, nonce }) {
+    const user_id = String(userId);
+    const existing = await WalletBinding.exists({ user_id, address });
+    if (!existing && (await WalletBinding.countDocuments({ user_id }).exec()) >= this.maxBindings()) {
+      throw new ConflictError(`At most ${this.maxBindings()} addresses can be bound`);
+    }
+    const binding = await WalletBinding.findOneAndUpdate(
+      { user_id, address },
+      { $set: { pubkey: pubkey.toLowerCase(), signature: signature.toLowerCase(), nonce } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean().exec();
+    return describe(binding);
+  }
+
+  /** The user's bound addresses, oldest first. */
+  async listWallets(userId) {
+    const bindings = await WalletBinding.find({ user_id: String(userId) }).sort({ bound_at: 1 }).lean().exec();
+    return bindings.map(describe);
+  }
+
+  /** Remove a binding; false when the user had not bound the address. */
+  async unbind(userId, address) {
+    const { deletedCount } = await WalletBinding.deleteOne({ user_id: String(userId), address }).exec();
+    return deletedCount > 0;
+  }
+
+  /**
+   * Patches currently owned by any of the user's bound addresses, in PatchState _id order.
+   * @param {string} userId
+   * @param {{ cursor?: string, limit?: number }} [opts] cursor: next_cursor of the previous page
+   * @returns {Promise<{ addresses: string[], patches: object[], next_cursor: string|null }>}
+   */
+  async listOwnedPatches(userId, { cursor, limit = 50 } = {}) {
+    const addresses = (await this.listWallets(userId)).map((w) => w.address);
+    if (!addresses.length) return { addresses, patches: [], next_cursor: null };
+    const filter = { current_owner_address: { $in: addresses } };
+    if (cursor) filter._id = { $gt: cursor };
+    const states = await PatchState.find(filter).sort({ _id: 1 }).limit(limit + 1).lean().exec();
+    const page = states.slice(0, limit);
+    return {
+      addresses,
+      patches: page.map((s) => ({
+        uid_tag_id: s.uid_tag_id,
+        owner_address: s.current_owner_address,
+        current_txid: s.current_txid,
+        status: s.status || 'active',
+        updated_at: s.updated_at,
+      })),
+      next_cursor: states.length > limit ? String(page[page.length - 1]._id) : null,
+    };
+  }
+}
+
+module.exports = new WalletBindingService();
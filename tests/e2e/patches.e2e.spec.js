@@ -111,7 +111,10 @@ maybe('Patches E2E (registration, verification, transfer, unlock)', () => {
     const newOwnerAddress = newOwnerPub.toAddress().toString();
 
     // Build canonical transfer message per controller
-    const transferMessage = { purpose: 'transfer_ownership', uid_tag_id, currentTxid, newOwnerAddress };
+    const challenge = await fetchJson(`${BASE_URL}/v1/patches/${encodeURIComponent(uid_tag_id)}/challenge`, { method: 'POST' });
+    expect(challenge.status).toBe(201);
+    const { nonce, expires_at } = challenge.body;
+    const transferMessage = { purpose: 'transfer_ownership', uid_tag_id, currentTxid, newOwnerAddress, nonce, expires_at };
     const hashBuf = computeSha256Json(transferMessage);
     const sig = bsv.crypto.ECDSA.sign(hashBuf, ownerPriv);
     const currentOwnerSignature = sig.toDER().toString('hex');
@@ -119,7 +122,7 @@ maybe('Patches E2E (registration, verification, transfer, unlock)', () => {
 
     const xferRes = await fetchJson(`${BASE_URL}/v1/patches/${currentTxid}/transfer-ownership`, {
       method: 'POST',
-      body: JSON.stringify({ newOwnerAddress, currentOwnerSignature, currentOwnerPubKey }),
+      body: JSON.stringify({ newOwnerAddress, currentOwnerSignature, currentOwnerPubKey, nonce }),
     });
 
     let newTxid;
@@ -142,12 +145,13 @@ maybe('Patches E2E (registration, verification, transfer, unlock)', () => {
     expect(verify2.body.verificationDetails.issuerSignatureValid).toBe(true);
 
     // Unlock-content authorization using new owner
-    const unlockMessage = { purpose: 'unlock_content', uid_tag_id, currentTxid: newTxid };
+    const unlockChallenge = await fetchJson(`${BASE_URL}/v1/patches/${encodeURIComponent(uid_tag_id)}/challenge`, { method: 'POST' });
+    const unlockMessage = { purpose: 'unlock_content', uid_tag_id, currentTxid: newTxid, nonce: unlockChallenge.body.nonce, expires_at: unlockChallenge.body.expires_at };
     const unlockHash = computeSha256Json(unlockMessage);
     const unlockSig = bsv.crypto.ECDSA.sign(unlockHash, newOwnerPriv).toDER().toString('hex');
     const unlockRes = await fetchJson(`${BASE_URL}/v1/patches/${encodeURIComponent(uid_tag_id)}/unlock-content`, {
       method: 'POST',
-      body: JSON.stringify({ ownerPubKey: newOwnerPub.toBuffer().toString('hex'), ownerSignature: unlockSig }),
+      body: JSON.stringify({ ownerPubKey: newOwnerPub.toBuffer().toString('hex'), ownerSignature: unlockSig, nonce: unlockChallenge.body.nonce }),
     });
     expect(unlockRes.ok).toBe(true);
     expect(unlockRes.body.authorized).toBe(true);
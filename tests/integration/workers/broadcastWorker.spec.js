@@ -6,6 +6,7 @@ const { Queue, QueueEvents } = require('bullmq');
 // Mock BlockchainService to avoid real network calls
 jest.mock('../../../services/blockchainService', () => ({
   constructAndBroadcastTx: jest.fn(async () => ({ success: true, txid: 'mock_txid_123' })),
+  constructAndBroadcastRegistrationTx: jest.fn(async () => ({ success: true, txid: 'mock_txid_123', ownershipOutput: null })),
   constructAndBroadcastTransferTx: jest.fn(async () => ({ success: true, txid: 'mock_txid_transfer_456' })),
 }));
 
@@ -56,13 +57,13 @@ afterAll(async () => {
 });
 
 describe('broadcastWorker integration', () => {
-  it('processes a registration job and calls BlockchainService.constructAndBroadcastTx', async () => {
+  it('processes a registration job and calls BlockchainService.constructAndBroadcastRegistrationTx', async () => {
     if (SKIP) {
       console.warn('[integration] Redis unavailable; skipping test.');
       return;
     }
 
-    const record = { type: 'AUTHENTICATION_RECORD', product: { uid_tag_id: 'uid-123' }, metadata: {}, auth: { owner: null, ts: Date.now() } };
+    const record = { type: 'AUTHENTICATION_RECORD', product: { uid_tag_id: 'uid-123' }, metadata: {}, auth: { owner: null, issuer_signature: '3044' + 'ab'.repeat(8), issuer_pubkey: '02' + 'cd'.repeat(32), ts: Date.now() } };
     const job = await queue.add('registration', { record, uid_tag_id: 'uid-123', initialOwner: null, purpose: 'Registration' }, { removeOnComplete: true, removeOnFail: true });
 
     const result = await new Promise((resolve, reject) => {
@@ -84,7 +85,7 @@ describe('broadcastWorker integration', () => {
       queueEvents.on('failed', onFailed);
     });
 
-    expect(BlockchainService.constructAndBroadcastTx).toHaveBeenCalledTimes(1);
+    expect(BlockchainService.constructAndBroadcastRegistrationTx).toHaveBeenCalledTimes(1);
     expect(result).toBeDefined();
     expect(result.txid).toBe('mock_txid_123');
   });
@@ -0,0 +1,230 @@
+/*
+Unit tests for the batch anchor scheduler (services/batchAnchorService.js runOnce/reanchor, POST /v1/admin/batch-anchor)
+Covers: size and latency triggers over queued batch-mode registrations, persisted AnchorBatch documents,
+re-anchoring a failed batch with the same root, stale batch recovery, the shared distributed lock, and the PatchState
+rows that register each anchored patch.
+*/
+
+let mockRecords = [];
+let mockBatches = [];
+let mockStates = [];
+// Minimal in-memory query semantics: equality on dotted paths (ids compared as strings), null, $or, $in and $lt
+const mockGet = (row, path) => path.split('.').reduce((o, k) => (o === null || o === undefined ? undefined : o[k]), row);
+const mockMatches = (row, filter) => Object.entries(filter).every(([k, v]) => {
+  if (k === '$or') return v.some((f) => mockMatches(row, f));
+  const value = mockGet(row, k);
+  if (v === null) return value === null || value === undefined;
+  if (typeof v === 'object' && '$in' in v) return v.$in.map(String).includes(String(value));
+  if (typeof v === 'object' && '$lt' in v) return value < v.$lt;
+  return String(value) === String(v);
+});
+const mockChain = (get) => ({ sort: () => mockChain(get), limit: (n) => mockChain(() => get().slice(0, n)), lean: () => mockChain(get), exec: async () => get() });
+jest.mock('../../models/AuthenticationRecord', () => {
+  const matches = mockMatches;
+  const chain = mockChain;
+  return {
+    find: jest.fn((filter) => chain(() => mockRecords.filter((r) => matches(r, filter)).map((r) => JSON.parse(JSON.stringify(r))))),
+    findOne: jest.fn((filter) => chain(() => {
+      const row = mockRecords.find((r) => matches(r, filter));
+      return row ? JSON.parse(JSON.stringify(row)) : null;
+    })),
+    updateMany: jest.fn((filter, { $set }) => ({ exec: async () => { mockRecords.filter((r) => matches(r, filter)).forEach((r) => Object.assign(r, $set)); } })),
+    bulkWrite: jest.fn(async (ops) => {
+      let modifiedCount = 0;
+      ops.forEach(({ updateOne: { filter, update } }) => {
+        const row = mockRecords.find((r) => matches(r, filter));
+        if (!row) return;
+        modifiedCount += 1;
+        Object.entries(update.$set).forEach(([k, v]) => {
+          if (k.startsWith('record_data.auth.')) row.record_data.auth[k.slice('record_data.auth.'.length)] = v;
+          else row[k] = v;
+        });
+      });
+      return { modifiedCount };
+    }),
+  };
+});
+jest.mock('../../models/PatchState', () => {
+  const matches = mockMatches;
+  const chain = mockChain;
+  return {
+    bulkWrite: jest.fn(async (ops) => {
+      ops.forEach(({ updateOne: { filter, update, upsert } }) => {
+        if (upsert && !mockStates.some((s) => matches(s, filter))) mockStates.push({ ...update.$setOnInsert, status: 'active' });
+      });
+      return {};
+    }),
+    findOne: jest.fn((filter) => chain(() => {
+      const row = mockStates.find((s) => matches(s, filter));
+      return row ? { ...row } : null;
+    })),
+  };
+});
+jest.mock('../../models/AnchorBatch', () => {
+  const matches = mockMatches;
+  const chain = mockChain;
+  const apply = (row, { $set = {}, $inc = {} }) => {
+    Object.assign(row, $set, { updated_at: new Date() });
+    Object.entries($inc).forEach(([k, v]) => { row[k] = (row[k] || 0) + v; });
+    return row;
+  };
+  return {
+    create: jest.fn(async (doc) => {
+      const row = { _id: `batch${mockBatches.length + 1}`, attempts: 0, created_at: new Date(), updated_at: new Date(), ...doc };
+      mockBatches.push(row);
+      return { ...row };
+    }),
+    updateOne: jest.fn((filter, update) => ({ exec: async () => { const row = mockBatches.find((b) => matches(b, filter)); if (row) apply(row, update); } })),
+    updateMany: jest.fn((filter, update) => ({
+      exec: async () => {
+        const rows = mockBatches.filter((b) => matches(b, filter));
+        rows.forEach((b) => apply(b, update));
+        return { modifiedCount: rows.length };
+      },
+    })),
+    findOneAndUpdate: jest.fn((filter, update) => chain(() => {
+      const row = mockBatches.find((b) => matches(b, filter));
+      return row ? JSON.parse(JSON.stringify(apply(row, update))) : null;
+    })),
+    exists: jest.fn(async (filter) => mockBatches.some((b) => matches(b, filter))),
+  };
+});
+
+const BlockchainService = require('../../services/blockchainService');
+const lockManager = require('../../services/lockManager');
+const batchAnchor = require('../../services/batchAnchorService');
+const dbService = require('../../services/databaseService');
+const adminController = require('../../controllers/adminController');
+
+const MIN = 60 * 1000;
+const T0 = Date.parse('2025-05-01T12:00:00Z');
+
+function queue(uid, ageMs, extra = {}) {
+  const rec = {
+    _id: `rec-${uid}`,
+    uid_tag_id: uid,
+    type: 'REGISTRATION',
+    status: 'pending',
+    anchor_mode: 'batch',
+    batch_id: null,
+    created_at: new Date(T0 - ageMs),
+    record_data: { type: 'AUTHENTICATION_RECORD', product: { uid_tag_id: uid }, metadata: {}, auth: { owner: null, issuer_signature: 'sig', issuer_pubkey: 'pub', ts: T0 - ageMs } },
+    ...extra,
+  };
+  mockRecords.push(rec);
+  return rec;
+}
+
+describe('batch anchor scheduler', () => {
+  const ORIGINAL_ENV = { ...process.env };
+  let broadcast;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockRecords = [];
+    mockBatches = [];
+    mockStates = [];
+    process.env = { ...ORIGINAL_ENV, BATCH_ANCHOR_MIN_SIZE: '3', BATCH_ANCHOR_MAX_SIZE: '3', BATCH_ANCHOR_MAX_LATENCY_SEC: '600' };
+    broadcast = jest.spyOn(BlockchainService, 'constructAndBroadcastTx').mockResolvedValue({ success: true, txid: 'b'.repeat(64) });
+  });
+
+  afterEach(() => broadcast.mockRestore());
+
+  afterAll(() => {
+    process.env = ORIGINAL_ENV;
+  });
+
+  test('waits for the size threshold or max latency, then anchors the oldest queued records as one batch', async () => {
+    queue('uid-1', 2 * MIN);
+    queue('uid-2', 1 * MIN);
+    queue('uid-single', 30 * MIN, { anchor_mode: 'single' });
+
+    await expect(batchAnchor.runOnce({ now: T0 })).resolves.toMatchObject({ anchored: false, queued: 2 });
+    expect(broadcast).not.toHaveBeenCalled();
+
+    const run = await batchAnchor.runOnce({ now: T0 + 9 * MIN });
+    expect(run).toMatchObject({ anchored: true, trigger: 'latency', size: 2, txid: 'b'.repeat(64), batchId: 'batch1', updated: 2 });
+    expect(mockBatches[0]).toMatchObject({ status: 'anchored', trigger: 'latency', size: 2, txid: 'b'.repeat(64), attempts: 1 });
+    expect(mockBatches[0].members.map((m) => m.record_id)).toEqual(['rec-uid-1', 'rec-uid-2']);
+    expect(broadcast.mock.calls[0][0][4].toString('hex')).toBe(mockBatches[0].merkle_root);
+    expect(mockRecords[0]).toMatchObject({ status: 'confirmed', batch_id: 'batch1' });
+    expect(mockRecords[0].record_data.auth).toMatchObject({ anchorTxid: 'b'.repeat(64), merkleRoot: mockBatches[0].merkle_root });
+    expect(mockRecords[2].status).toBe('pending');
+
+    ['uid-3', 'uid-4', 'uid-5', 'uid-6'].forEach((uid, i) => queue(uid, (4 - i) * 1000));
+    await expect(batchAnchor.runOnce({ now: T0 })).resolves.toMatchObject({ anchored: true, trigger: 'size', size: 3 });
+    expect(mockRecords.filter((r) => r.status === 'pending').map((r) => r.uid_tag_id)).toEqual(['uid-single', 'uid-6']);
+  });
+
+  test('registers every anchored patch so its state resolves to its own record', async () => {
+    queue('uid-1', MIN, { txid: null });
+    queue('uid-2', MIN, { txid: null });
+    mockStates.push({ uid_tag_id: 'uid-2', current_txid: 'c'.repeat(64), current_owner_address: 'other', status: 'active' });
+
+    await expect(batchAnchor.runOnce({ now: T0, force: true })).resolves.toMatchObject({ anchored: true, size: 2 });
+
+    const state = await dbService.getPatchState('uid-1');
+    expect(state).toMatchObject({ current_txid: 'b'.repeat(64), current_ownership_vout: null });
+    const record = await dbService.getConfirmedRecord(state.current_txid, 'uid-1');
+    expect(record).toMatchObject({ _id: 'rec-uid-1', uid_tag_id: 'uid-1' });
+    expect(record.record_data.auth.merkleRoot).toBe(mockBatches[0].merkle_root);
+    // Upserts never overwrite a patch that already has a state
+    expect(mockStates.find((s) => s.uid_tag_id === 'uid-2').current_txid).toBe('c'.repeat(64));
+  });
+
+  test('re-anchors a failed batch with the same root and refuses anything else', async () => {
+    ['uid-1', 'uid-2', 'uid-3'].forEach((uid) => queue(uid, MIN));
+    broadcast.mockResolvedValueOnce({ success: false, error: 'no utxo' });
+
+    const run = await batchAnchor.runOnce({ now: T0 });
+    expect(run).toMatchObject({ anchored: false, trigger: 'size', error: 'no utxo' });
+    expect(mockBatches[0]).toMatchObject({ status: 'failed', error: 'no utxo', attempts: 1 });
+    expect(mockRecords.every((r) => r.status === 'anchoring' && r.batch_id === 'batch1')).toBe(true);
+    // Claimed records are not picked up again by the scheduler
+    await expect(batchAnchor.runOnce({ now: T0, force: true })).resolves.toMatchObject({ anchored: false, queued: 0 });
+
+    const again = await batchAnchor.reanchor('batch1');
+    expect(again).toMatchObject({ success: true, txid: 'b'.repeat(64), merkleRoot: mockBatches[0].merkle_root });
+    expect(mockBatches[0]).toMatchObject({ status: 'anchored', attempts: 2, error: null });
+    expect(mockRecords.every((r) => r.status === 'confirmed')).toBe(true);
+
+    await expect(batchAnchor.reanchor('batch1')).rejects.toMatchObject({ statusCode: 409 });
+    await expect(batchAnchor.reanchor('nope')).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('refuses to re-anchor a batch whose members changed, and fails batches interrupted mid-broadcast', async () => {
+    ['uid-1', 'uid-2', 'uid-3'].forEach((uid) => queue(uid, MIN));
+    broadcast.mockResolvedValueOnce({ success: false, error: 'no utxo' });
+    await batchAnchor.runOnce({ now: T0 });
+
+    mockRecords[1].record_data.auth.owner = '1BoatSLRHtKNngkdXEeobR76b53LETtpyT';
+    await expect(batchAnchor.reanchor('batch1')).rejects.toThrow(/members changed/);
+    expect(mockBatches[0].status).toBe('failed');
+    expect(broadcast).toHaveBeenCalledTimes(1);
+
+    mockBatches.push({ _id: 'batch2', status: 'anchoring', updated_at: new Date(T0 - 60 * MIN) });
+    await expect(batchAnchor.runOnce({ now: T0 })).resolves.toMatchObject({ failedStale: 1 });
+    expect(mockBatches[1]).toMatchObject({ status: 'failed', error: expect.stringMatching(/Interrupted/) });
+  });
+
+  test('manual runs share the scheduler lock and ignore the thresholds', async () => {
+    queue('uid-1', 1000);
+    const res = { status: jest.fn(() => res), json: jest.fn() };
+    const next = jest.fn();
+    const lock = jest.spyOn(lockManager, 'withLockHeartbeat');
+    try {
+      lock.mockResolvedValueOnce({ ok: false, error: 'LOCK_NOT_ACQUIRED' });
+      await adminController.batchAnchor({ body: {}, query: {} }, res, next);
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(lock.mock.calls[0][0]).toBe('batch-anchor');
+
+      lock.mockImplementationOnce(async (name, ttl, fn) => ({ ok: true, result: await fn() }));
+      await adminController.batchAnchor({ body: {}, query: {} }, res, next);
+      expect(res.json).toHaveBeenLastCalledWith(expect.objectContaining({ success: true, processed: 1, batchId: 'batch1', txid: 'b'.repeat(64) }));
+      expect(mockBatches[0].trigger).toBe('manual');
+      expect(next).not.toHaveBeenCalled();
+    } finally {
+      lock.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,215 @@
+/*
+Unit tests for POST /v1/patches/batch (controllers/patchController.registerPatchBatch, services/batchAnchorService.js)
+Covers: per-item validation and partial-failure report, one KMS call for all issuer signatures, bulk pending records,
+one Merkle-root anchor whose paths fold back to the root, registered patches that verify, and a re-anchorable failed
+batch when the broadcast fails.
+*/
+
+const mockStore = { records: [], states: {} };
+const mockGet = (doc, path) => path.split('.').reduce((o, k) => (o === null || o === undefined ? undefined : o[k]), doc);
+const mockMatches = (doc, filter) => Object.entries(filter).every(([k, v]) => (k === '$or'
+  ? v.some((f) => mockMatches(doc, f))
+  : v === null ? [null, undefined].includes(mockGet(doc, k)) : mockGet(doc, k) === v));
+const mockQuery = (fn) => ({ lean: () => ({ exec: async () => fn() }) });
+
+jest.mock('../../services/databaseService', () => {
+  const actual = jest.requireActual('../../services/databaseService');
+  actual.findRegisteredUids = jest.fn();
+  actual.createPendingRegistrations = jest.fn();
+  return actual;
+});
+jest.mock('../../services/kmsSigner', () => ({ isReady: true, signBatch: jest.fn() }));
+jest.mock('../../services/issuerKeyService', () => ({ getSigningKey: jest.fn(), checkSigner: jest.fn() }));
+jest.mock('../../models/AuthenticationRecord', () => ({
+  bulkWrite: jest.fn(),
+  updateMany: jest.fn(() => ({ exec: async () => ({}) })),
+  findOne: jest.fn((filter) => mockQuery(() => mockStore.records.find((r) => mockMatches(r, filter)) || null)),
+}));
+jest.mock('../../models/PatchState', () => ({
+  bulkWrite: jest.fn(async (ops) => {
+    ops.forEach(({ updateOne: { filter, update } }) => {
+      if (!mockStore.states[filter.uid_tag_id]) mockStore.states[filter.uid_tag_id] = { ...update.$setOnInsert, status: 'active' };
+    });
+    return {};
+  }),
+  findOne: jest.fn(({ uid_tag_id }) => mockQuery(() => mockStore.states[uid_tag_id] || null)),
+}));
+jest.mock('../../models/NfcTag', () => ({ findOne: jest.fn(() => ({ lean: () => ({ exec: async () => null }) })) }));
+jest.mock('../../models/AnchorBatch', () => ({
+  create: jest.fn(async (doc) => ({ _id: 'batch1', ...doc })),
+  updateOne: jest.fn(() => ({ exec: async () => ({}) })),
+}));
+
+const crypto = require('crypto');
+const bsv = require('bsv');
+const stringify = require('safe-stable-stringify');
+const dbService = require('../../services/databaseService');
+const kmsSigner = require('../../services/kmsSigner');
+const issuerKeyService = require('../../services/issuerKeyService');
+const AuthenticationRecord = require('../../models/AuthenticationRecord');
+const AnchorBatch = require('../../models/AnchorBatch');
+const BlockchainService = require('../../services/blockchainService');
+const patchController = require('../../controllers/patchController');
+
+const sha256 = (b) => crypto.createHash('sha256').update(b).digest();
+const issuerKey = new bsv.PrivateKey();
+const owner = new bsv.PrivateKey().toAddress().toString();
+
+function mockRes() {
+  const res = { statusCode: 200 };
+  res.status = jest.fn((c) => { res.statusCode = c; return res; });
+  res.json = jest.fn((b) => { res.body = b; return res; });
+  return res;
+}
+
+async function post(items) {
+  const res = mockRes();
+  const next = jest.fn();
+  await patchController.registerPatchBatch({ body: { items } }, res, next);
+  if (next.mock.calls.length) throw next.mock.calls[0][0];
+  return res;
+}
+
+// Fold a path the way batch trees are built: odd index = right child.
+function foldPath(leaf, path, index) {
+  let cur = leaf;
+  let idx = index;
+  for (const hex of path) {
+    const sib = Buffer.from(hex, 'hex');
+    cur = idx % 2 === 1 ? sha256(Buffer.concat([sib, cur])) : sha256(Buffer.concat([cur, sib]));
+    idx = Math.floor(idx / 2);
+  }
+  return cur.toString('hex');
+}
+
+describe('batch registration', () => {
+  let broadcast;
+  let created;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    created = [];
+    Object.assign(mockStore, { records: [], states: {} });
+    process.env.SCAN_LEDGER_ENABLED = 'false';
+    issuerKeyService.getSigningKey.mockResolvedValue({ keyIdentifier: 'issuer-1', pubkey: issuerKey.publicKey.toString(), registered: true });
+    dbService.findRegisteredUids.mockResolvedValue(new Set(['uid-existing']));
+    dbService.createPendingRegistrations.mockImplementation(async (entries) => {
+      created = entries.map((e, i) => ({ _id: `rec${i}`, uid_tag_id: e.uid_tag_id, type: 'REGISTRATION', status: 'pending', record_data: JSON.parse(JSON.stringify(e.record_data)) }));
+      mockStore.records = created.map((r) => JSON.parse(JSON.stringify(r)));
+      return created;
+    });
+    kmsSigner.signBatch.mockImplementation(async (requests) => requests.map((r) => ({
+      signatureHex: bsv.crypto.ECDSA.sign(Buffer.from(r.sighash, 'hex'), issuerKey, 'little').toDER().toString('hex'),
+      pubKeyHex: issuerKey.publicKey.toString(),
+    })));
+    AuthenticationRecord.bulkWrite.mockImplementation(async (ops) => {
+      ops.forEach(({ updateOne: { filter, update } }) => {
+        const rec = mockStore.records.find((r) => r._id === filter._id);
+        Object.entries(update.$set).forEach(([path, value]) => {
+          const keys = path.split('.');
+          keys.slice(0, -1).reduce((o, k) => o[k], rec)[keys[keys.length - 1]] = value;
+        });
+      });
+      return { modifiedCount: ops.length };
+    });
+    broadcast = jest.spyOn(BlockchainService, 'constructAndBroadcastTx').mockResolvedValue({ success: true, txid: 'a'.repeat(64) });
+  });
+
+  afterEach(() => {
+    broadcast.mockRestore();
+    delete process.env.SCAN_LEDGER_ENABLED;
+  });
+
+  test('anchors valid items under one Merkle root and reports the rest', async () => {
+    const items = [
+      { product: { uid_tag_id: 'uid-1' }, metadata: { notes: 'run 42' }, auth: { owner } },
+      { product: { uid_tag_id: 'uid-2' } },
+      { product: {} },
+      { product: { uid_tag_id: 'uid-1' } },
+      { product: { uid_tag_id: 'uid-existing' } },
+      { product: { uid_tag_id: 'uid-3' }, auth: { owner: 'not-an-address' } },
+      { product: { uid_tag_id: 'uid-4', name: 'Jacket' } },
+    ];
+    const res = await post(items);
+
+    expect(res.statusCode).toBe(207);
+    expect(res.body).toMatchObject({ batchId: 'batch1', txid: 'a'.repeat(64), total: 7, anchored: 3, rejected: 4 });
+    expect(res.body.results.map((r) => r.status)).toEqual(['anchored', 'anchored', 'invalid', 'duplicate', 'already_registered', 'invalid', 'anchored']);
+    expect(res.body.results[2].error).toMatch(/uid_tag_id/);
+
+    // One KMS round-trip and one anchor tx for the whole run
+    expect(kmsSigner.signBatch).toHaveBeenCalledTimes(1);
+    expect(kmsSigner.signBatch.mock.calls[0][0]).toHaveLength(3);
+    expect(broadcast).toHaveBeenCalledTimes(1);
+    const [chunks, purpose] = broadcast.mock.calls[0];
+    expect(purpose).toBe('BatchAnchor');
+    expect(chunks.slice(0, 4).map(String)).toEqual(['PatchProof', '1', 'batch', 'raw']);
+    expect(chunks[4].toString('hex')).toBe(res.body.merkleRoot);
+
+    created.forEach((rec, i) => {
+      const result = res.body.results.find((r) => r.recordId === rec._id);
+      expect(foldPath(sha256(Buffer.from(stringify(rec.record_data))), result.merklePath, i)).toBe(res.body.merkleRoot);
+      const auth = rec.record_data.auth;
+      expect(auth.issuer_key_id).toBe('issuer-1');
+      const msg = {
+        purpose: 'register_patch',
+        uid_tag_id: rec.uid_tag_id,
+        metadata_sha256: sha256(Buffer.from(stringify(rec.record_data.metadata || {}))).toString('hex'),
+        ts: auth.ts,
+      };
+      expect(BlockchainService.verifySignature(sha256(Buffer.from(stringify(msg))), auth.issuer_signature, auth.issuer_pubkey)).toBe(true);
+    });
+    expect(created[0].record_data.auth.owner).toBe(owner);
+    expect(AuthenticationRecord.bulkWrite.mock.calls[0][0][0].updateOne.update.$set).toMatchObject({ status: 'confirmed', 'record_data.auth.anchorTxid': 'a'.repeat(64) });
+
+    // The batch is persisted with its members in leaf order
+    const batch = AnchorBatch.create.mock.calls[0][0];
+    expect(batch).toMatchObject({ merkle_root: res.body.merkleRoot, leaf_encoding: 'canonical-json', size: 3, trigger: 'registration' });
+    expect(batch.members.map((m) => m.record_id)).toEqual(['rec0', 'rec1', 'rec2']);
+    expect(AnchorBatch.updateOne.mock.calls[0][1].$set).toMatchObject({ status: 'anchored', txid: 'a'.repeat(64) });
+  });
+
+  test('registers every anchored patch so it verifies and resolves to its own record', async () => {
+    issuerKeyService.checkSigner.mockResolvedValue({ trusted: true });
+    const res = await post([{ product: { uid_tag_id: 'uid-1' }, auth: { owner } }, { product: { uid_tag_id: 'uid-2' }, metadata: { notes: 'b' } }]);
+    expect(res.statusCode).toBe(201);
+    expect(mockStore.states['uid-1']).toMatchObject({ current_txid: 'a'.repeat(64), current_owner_address: owner, current_ownership_vout: null });
+
+    for (const uid of ['uid-1', 'uid-2']) {
+      const verify = mockRes();
+      const next = jest.fn();
+      await patchController.verifyPatch({ params: { uid_tag_id: uid }, query: {}, headers: {}, get: () => undefined }, verify, next);
+      expect(next).not.toHaveBeenCalled();
+      expect(verify.statusCode).toBe(200);
+      expect(verify.body).toMatchObject({ status: 'authentic', record: { product: { uid_tag_id: uid } }, verificationDetails: { issuerSignatureValid: true, onChainTxid: 'a'.repeat(64) } });
+      expect(verify.body.record.auth.anchorTxid).toBe('a'.repeat(64));
+    }
+  });
+
+  test('returns 201 when every item is anchored and 400 when none can be', async () => {
+    expect((await post([{ product: { uid_tag_id: 'uid-a' } }, { product: { uid_tag_id: 'uid-b' } }])).statusCode).toBe(201);
+
+    const res = await post([{ product: {} }, { product: { uid_tag_id: 'uid-existing' } }]);
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toMatchObject({ total: 2, anchored: 0, rejected: 2 });
+    expect(kmsSigner.signBatch).toHaveBeenCalledTimes(1);
+  });
+
+  test('leaves a failed, re-anchorable batch when the anchor broadcast fails', async () => {
+    broadcast.mockResolvedValue({ success: false, error: 'no utxo' });
+    const res = await post([{ product: { uid_tag_id: 'uid-a' } }, { product: {} }]);
+    expect(res.statusCode).toBe(502);
+    expect(res.body).toMatchObject({ batchId: 'batch1' });
+    expect(res.body.results.map((r) => r.status)).toEqual(['failed', 'invalid']);
+    expect(AuthenticationRecord.updateMany.mock.calls[0][1]).toEqual({ $set: { status: 'anchoring', batch_id: 'batch1' } });
+    expect(AnchorBatch.updateOne.mock.calls[0][1].$set).toEqual({ status: 'failed', error: 'no utxo' });
+    expect(AuthenticationRecord.bulkWrite).not.toHaveBeenCalled();
+  });
+
+  test('fails the whole batch with 503 when issuer signing is unavailable', async () => {
+    kmsSigner.signBatch.mockRejectedValue(new Error('KMS down'));
+    const res = await post([{ product: { uid_tag_id: 'uid-a' } }]);
+    expect(res.statusCode).toBe(503);
+    expect(dbService.createPendingRegistrations).not.toHaveBeenCalled();
+  });
+});
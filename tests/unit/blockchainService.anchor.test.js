@@ -0,0 +1,229 @@
+/*
+Unit tests for the v2 anchoring pipeline in services/blockchainService.js
+Covers: UTXO select/lock, KMS signing + script validity, change recording, unlock on failure,
+and ownership outputs (created on registration, spent by transfers).
+*/
+
+jest.mock('../../clients/wocClient', () => ({
+  getRecommendedFeePerKb: jest.fn(() => NaN),
+  broadcast: jest.fn(),
+  initialize: jest.fn(),
+}));
+
+jest.mock('../../services/configService', () => ({
+  getNumber: jest.fn(() => NaN),
+  initialize: jest.fn(),
+}));
+
+jest.mock('../../services/utxoService', () => ({
+  selectAndLockUtxo: jest.fn(),
+  spendUtxo: jest.fn(async () => {}),
+  unlockUtxo: jest.fn(async () => {}),
+  addUtxo: jest.fn(async (u) => u),
+}));
+
+jest.mock('../../services/kmsSigner', () => ({
+  signBatch: jest.fn(),
+}));
+
+const bsv = require('bsv');
+const wocClient = require('../../clients/wocClient');
+const utxoService = require('../../services/utxoService');
+const kmsSigner = require('../../services/kmsSigner');
+const blockchainService = require('../../services/blockchainService');
+
+const fundingKey = new bsv.PrivateKey();
+const fundingAddress = fundingKey.toAddress().toString();
+
+function poolUtxo(sats = 20000) {
+  return {
+    _id: 'u1',
+    txid: 'a'.repeat(64),
+    vout: 1,
+    satoshis: sats,
+    scriptPubKey: bsv.Script.buildPublicKeyHashOut(fundingAddress).toHex(),
+    keyIdentifier: 'funding-kid',
+  };
+}
+
+const ownershipKey = new bsv.PrivateKey();
+const ownershipAddress = ownershipKey.toAddress().toString();
+const ownershipScript = bsv.Script.buildPublicKeyHashOut(ownershipAddress).toHex();
+
+// Emulates the KMS contract: sign each sighash with the key behind keyIdentifier.
+function kmsSignWith(keys) {
+  return async (requests) => requests.map((r) => {
+    const priv = keys[r.keyIdentifier];
+    if (!priv) throw new Error(`unknown key ${r.keyIdentifier}`);
+    return {
+      signatureHex: bsv.crypto.ECDSA.sign(Buffer.from(r.sighash, 'hex'), priv, 'little').toDER().toString('hex'),
+      pubKeyHex: priv.publicKey.toString(),
+    };
+  });
+}
+
+function verifyInput(tx, index, scriptPubKey, satoshis) {
+  const flags = bsv.Script.Interpreter.SCRIPT_VERIFY_P2SH | bsv.Script.Interpreter.SCRIPT_ENABLE_SIGHASH_FORKID
+    | bsv.Script.Interpreter.SCRIPT_VERIFY_STRICTENC;
+  return bsv.Script.Interpreter().verify(
+    tx.inputs[index].script,
+    bsv.Script.fromHex(scriptPubKey),
+    tx,
+    index,
+    flags,
+    new bsv.crypto.BN(satoshis),
+  );
+}
+
+describe('blockchainService anchoring pipeline', () => {
+  const ORIGINAL_ENV = { ...process.env };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = {
+      ...ORIGINAL_ENV,
+      FEE_PER_KB: '500',
+      UTXO_FUNDING_KEY_IDENTIFIER: 'funding-kid',
+      UTXO_FUNDING_ADDRESS: fundingAddress,
+      UTXO_CHANGE_ADDRESS: fundingAddress,
+      UTXO_MIN_CONFIRMATIONS: '0',
+    };
+    kmsSigner.signBatch.mockImplementation(kmsSignWith({ 'funding-kid': fundingKey, 'ownership-kid': ownershipKey }));
+  });
+
+  afterAll(() => {
+    process.env = ORIGINAL_ENV;
+  });
+
+  test('signs, broadcasts a valid transaction and records change', async () => {
+    const utxo = poolUtxo();
+    utxoService.selectAndLockUtxo.mockResolvedValue(utxo);
+    let broadcastHex;
+    wocClient.broadcast.mockImplementation(async (hex) => { broadcastHex = hex; return new bsv.Transaction(hex).hash; });
+
+    const res = await blockchainService.constructAndBroadcastTx([Buffer.from('hello')], 'Registration');
+
+    expect(res.success).toBe(true);
+    expect(utxoService.selectAndLockUtxo).toHaveBeenCalledWith('funding-kid', expect.any(Number));
+    expect(utxoService.spendUtxo).toHaveBeenCalledWith(utxo);
+    expect(utxoService.unlockUtxo).not.toHaveBeenCalled();
+
+    const tx = new bsv.Transaction(broadcastHex);
+    expect(tx.hash).toBe(res.txid);
+    expect(verifyInput(tx, 0, utxo.scriptPubKey, utxo.satoshis)).toBe(true);
+
+    const [change] = utxoService.addUtxo.mock.calls[0];
+    expect(change).toMatchObject({ txid: res.txid, keyIdentifier: 'funding-kid', status: 'available' });
+    expect(tx.outputs[change.vout].satoshis).toBe(change.satoshis);
+  });
+
+  test('unlocks the UTXO when broadcast fails', async () => {
+    const utxo = poolUtxo();
+    utxoService.selectAndLockUtxo.mockResolvedValue(utxo);
+    wocClient.broadcast.mockRejectedValue(new Error('mempool conflict'));
+
+    const res = await blockchainService.constructAndBroadcastTx([Buffer.from('x')], 'Registration');
+
+    expect(res.success).toBe(false);
+    expect(res.error).toMatch(/mempool conflict/);
+    expect(utxoService.unlockUtxo).toHaveBeenCalledWith(utxo);
+    expect(utxoService.spendUtxo).not.toHaveBeenCalled();
+    expect(utxoService.addUtxo).not.toHaveBeenCalled();
+  });
+
+  test('unlocks the UTXO when KMS signing fails', async () => {
+    const utxo = poolUtxo();
+    utxoService.selectAndLockUtxo.mockResolvedValue(utxo);
+    kmsSigner.signBatch.mockRejectedValue(new Error('kms down'));
+
+    const res = await blockchainService.constructAndBroadcastTransferTx('b'.repeat(64), fundingAddress, 'sig', [Buffer.from('x')]);
+
+    expect(res).toMatchObject({ success: false, error: 'kms down' });
+    expect(utxoService.unlockUtxo).toHaveBeenCalledWith(utxo);
+    expect(wocClient.broadcast).not.toHaveBeenCalled();
+  });
+
+  test('fails cleanly when no pool UTXO is available', async () => {
+    utxoService.selectAndLockUtxo.mockResolvedValue(null);
+    const res = await blockchainService.constructAndBroadcastTx([Buffer.from('x')], 'BatchAnchor');
+    expect(res.success).toBe(false);
+    expect(res.error).toMatch(/No available UTXO/);
+    expect(kmsSigner.signBatch).not.toHaveBeenCalled();
+  });
+
+  test('leaves change untracked when the change key is unknown', async () => {
+    process.env.UTXO_CHANGE_ADDRESS = new bsv.PrivateKey().toAddress().toString();
+    utxoService.selectAndLockUtxo.mockResolvedValue(poolUtxo());
+    wocClient.broadcast.mockImplementation(async (hex) => new bsv.Transaction(hex).hash);
+
+    const res = await blockchainService.constructAndBroadcastTx([Buffer.from('x')], 'Registration');
+
+    expect(res.success).toBe(true);
+    expect(utxoService.addUtxo).not.toHaveBeenCalled();
+  });
+
+  describe('ownership outputs', () => {
+    beforeEach(() => {
+      process.env.OWNERSHIP_KEY_IDENTIFIER = 'ownership-kid';
+      process.env.OWNERSHIP_ADDRESS = ownershipAddress;
+    });
+
+    test('registration creates a 1-sat ownership output at vout 1', async () => {
+      utxoService.selectAndLockUtxo.mockResolvedValue(poolUtxo());
+      let broadcastHex;
+      wocClient.broadcast.mockImplementation(async (hex) => { broadcastHex = hex; return new bsv.Transaction(hex).hash; });
+
+      const res = await blockchainService.constructAndBroadcastRegistrationTx([Buffer.from('reg')]);
+
+      expect(res.success).toBe(true);
+      expect(res.ownershipOutput).toEqual({ vout: 1, satoshis: 1, scriptPubKey: ownershipScript, keyIdentifier: 'ownership-kid' });
+      const tx = new bsv.Transaction(broadcastHex);
+      expect(tx.outputs[1].script.toHex()).toBe(ownershipScript);
+      expect(tx.outputs[1].satoshis).toBe(1);
+    });
+
+    test('transfer spends the previous ownership output as input 0 and creates a new one', async () => {
+      const utxo = poolUtxo();
+      utxoService.selectAndLockUtxo.mockResolvedValue(utxo);
+      let broadcastHex;
+      wocClient.broadcast.mockImplementation(async (hex) => { broadcastHex = hex; return new bsv.Transaction(hex).hash; });
+      const prevTxid = 'c'.repeat(64);
+      const previousOwnershipOutput = { vout: 1, satoshis: 1, scriptPubKey: ownershipScript, keyIdentifier: 'ownership-kid' };
+
+      const res = await blockchainService.constructAndBroadcastTransferTx(prevTxid, fundingAddress, 'sig', [Buffer.from('xfer')], undefined, { previousOwnershipOutput });
+
+      expect(res.success).toBe(true);
+      expect(res.ownershipOutput).toMatchObject({ vout: 1, satoshis: 1, scriptPubKey: ownershipScript });
+      const tx = new bsv.Transaction(broadcastHex);
+      expect(tx.inputs[0].prevTxId.toString('hex')).toBe(prevTxid);
+      expect(tx.inputs[0].outputIndex).toBe(1);
+      expect(verifyInput(tx, 0, ownershipScript, 1)).toBe(true);
+      expect(verifyInput(tx, 1, utxo.scriptPubKey, utxo.satoshis)).toBe(true);
+      // Only the pool UTXO goes through lock/spend bookkeeping
+      expect(utxoService.spendUtxo).toHaveBeenCalledTimes(1);
+      expect(utxoService.spendUtxo).toHaveBeenCalledWith(utxo);
+    });
+
+    test('flags a double spend when the ownership output is already spent', async () => {
+      utxoService.selectAndLockUtxo.mockResolvedValue(poolUtxo());
+      wocClient.broadcast.mockRejectedValue(new Error('258: txn-mempool-conflict'));
+      const previousOwnershipOutput = { vout: 1, satoshis: 1, scriptPubKey: ownershipScript, keyIdentifier: 'ownership-kid' };
+
+      const res = await blockchainService.constructAndBroadcastTransferTx('c'.repeat(64), fundingAddress, 'sig', [Buffer.from('xfer')], undefined, { previousOwnershipOutput });
+
+      expect(res).toMatchObject({ success: false, doubleSpend: true });
+      expect(utxoService.unlockUtxo).toHaveBeenCalledTimes(1);
+    });
+
+    test('ignores an ownership address that collides with the funding address', async () => {
+      process.env.OWNERSHIP_ADDRESS = fundingAddress;
+      utxoService.selectAndLockUtxo.mockResolvedValue(poolUtxo());
+      wocClient.broadcast.mockImplementation(async (hex) => new bsv.Transaction(hex).hash);
+
+      const res = await blockchainService.constructAndBroadcastRegistrationTx([Buffer.from('reg')]);
+
+      expect(res.success).toBe(true);
+      expect(res.ownershipOutput).toBeNull();
+    });
+  });
+});
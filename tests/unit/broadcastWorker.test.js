@@ -0,0 +1,125 @@
+/*
+Unit tests for workers/broadcastWorker.js job processing (BullMQ and Redis mocked; see
+tests/integration/workers/broadcastWorker.spec.js for the queue round trip)
+Covers: the broadcast tx stored before confirming, retries that confirm the stored tx instead of broadcasting (and
+spending the ownership output) again, the job-data fallback when the database is unreachable, and registrations.
+*/
+
+let mockProcessor;
+jest.mock('bullmq', () => ({
+  Worker: jest.fn((name, processor) => { mockProcessor = processor; return { on: jest.fn() }; }),
+  QueueEvents: jest.fn(() => ({ on: jest.fn() })),
+  Queue: jest.fn(() => ({})),
+  UnrecoverableError: class UnrecoverableError extends Error {},
+}));
+jest.mock('ioredis', () => jest.fn(() => ({})));
+
+const mockPending = {};
+jest.mock('../../services/databaseService', () => {
+  const confirm = jest.fn(async (id, txid) => {
+    const pending = mockPending[id];
+    if (pending.status === 'confirmed') return { idempotent: true, txid: pending.txid };
+    Object.assign(pending, { status: 'confirmed', txid });
+    return { idempotent: false, txid };
+  });
+  return {
+    getPendingTransferById: jest.fn(async (id) => (mockPending[id] ? JSON.parse(JSON.stringify(mockPending[id])) : null)),
+    recordBroadcast: jest.fn(async (id, txid, { ownershipOutput, dataSha256 }) => {
+      if (mockPending[id].status === 'pending') mockPending[id].broadcast_result = { txid, data_sha256: dataSha256, ownership_output: ownershipOutput };
+    }),
+    getPatchState: jest.fn(async () => ({ uid_tag_id: 'uid-w1', current_txid: 'a'.repeat(64), status: 'active' })),
+    getOwnershipOutput: jest.fn(async () => null),
+    markTransferConfirmed: confirm,
+    markRegistrationConfirmed: confirm,
+    markTransferFailed: jest.fn(async (id, reason) => Object.assign(mockPending[id], { status: 'failed', failure_reason: reason })),
+    markRegistrationFailed: jest.fn(),
+  };
+});
+jest.mock('../../services/contentVaultService', () => ({ onOwnershipChange: jest.fn() }));
+jest.mock('../../models/ClaimIntent', () => ({ findByIdAndUpdate: jest.fn(() => ({ exec: async () => ({}) })) }));
+
+const BlockchainService = require('../../services/blockchainService');
+const dbService = require('../../services/databaseService');
+const ClaimIntent = require('../../models/ClaimIntent');
+require('../../workers/broadcastWorker');
+
+const OWNERSHIP = { vout: 1, satoshis: 1, scriptPubKey: '76a9', keyIdentifier: 'own-1' };
+const issuerAuth = { issuer_signature: '3044' + 'ab'.repeat(8), issuer_pubkey: '02' + 'cd'.repeat(32), ts: 1700000000000 };
+
+function transferJob() {
+  mockPending.p1 = { _id: 'p1', type: 'TRANSFER', status: 'pending', broadcast_result: null };
+  const record = {
+    type: 'AUTHENTICATION_RECORD',
+    product: { uid_tag_id: 'uid-w1' },
+    metadata: {},
+    auth: { ...issuerAuth, owner: '1BoatSLRHtKNngkdXEeobR76b53LETtpyT', prev_txid: 'a'.repeat(64), pos_approved_by: 'cashier-1' },
+  };
+  const job = {
+    name: 'transfer',
+    data: { pendingId: 'p1', uid_tag_id: 'uid-w1', currentTxid: 'a'.repeat(64), newOwnerAddress: record.auth.owner, record, posIntentId: 'intent-1' },
+    updateData: jest.fn(async (data) => { job.data = data; }),
+  };
+  return job;
+}
+
+describe('broadcast worker', () => {
+  let broadcast;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    broadcast = jest.spyOn(BlockchainService, 'constructAndBroadcastTransferTx')
+      .mockResolvedValue({ success: true, txid: 'b'.repeat(64), ownershipOutput: OWNERSHIP, dataSha256: 'f'.repeat(64) });
+  });
+
+  afterEach(() => broadcast.mockRestore());
+
+  test('a transfer retried after a failed confirmation confirms the stored tx without broadcasting again', async () => {
+    const job = transferJob();
+    dbService.markTransferConfirmed.mockRejectedValueOnce(new Error('db down'));
+
+    await expect(mockProcessor(job)).rejects.toThrow('db down');
+    expect(broadcast).toHaveBeenCalledTimes(1);
+    expect(mockPending.p1).toMatchObject({ status: 'pending', broadcast_result: { txid: 'b'.repeat(64), ownership_output: OWNERSHIP } });
+
+    await expect(mockProcessor(job)).resolves.toEqual({ txid: 'b'.repeat(64) });
+    expect(broadcast).toHaveBeenCalledTimes(1);
+    expect(dbService.markTransferConfirmed).toHaveBeenLastCalledWith('p1', 'b'.repeat(64), { ownershipOutput: OWNERSHIP, dataSha256: 'f'.repeat(64) });
+    expect(mockPending.p1).toMatchObject({ status: 'confirmed', txid: 'b'.repeat(64) });
+    expect(dbService.markTransferFailed).not.toHaveBeenCalled();
+    expect(ClaimIntent.findByIdAndUpdate).toHaveBeenCalledWith('intent-1', { $set: { status: 'confirmed', txid: 'b'.repeat(64) } });
+    expect(ClaimIntent.findByIdAndUpdate).not.toHaveBeenCalledWith('intent-1', { $set: expect.objectContaining({ status: 'failed' }) });
+
+    // A retry after the confirmation went through (e.g. the claim update failed) does not broadcast either
+    await expect(mockProcessor(job)).resolves.toEqual({ txid: 'b'.repeat(64) });
+    expect(broadcast).toHaveBeenCalledTimes(1);
+  });
+
+  test('keeps the broadcast tx in the job when the database cannot store it', async () => {
+    const job = transferJob();
+    dbService.recordBroadcast.mockRejectedValueOnce(new Error('db down'));
+    dbService.markTransferConfirmed.mockRejectedValueOnce(new Error('db down'));
+
+    await expect(mockProcessor(job)).rejects.toThrow('db down');
+    expect(job.data.broadcast).toEqual({ txid: 'b'.repeat(64), dataSha256: 'f'.repeat(64), ownershipOutput: OWNERSHIP });
+
+    await expect(mockProcessor(job)).resolves.toEqual({ txid: 'b'.repeat(64) });
+    expect(broadcast).toHaveBeenCalledTimes(1);
+    expect(mockPending.p1.status).toBe('confirmed');
+  });
+
+  test('registrations are not anchored twice either', async () => {
+    mockPending.r1 = { _id: 'r1', type: 'REGISTRATION', status: 'pending', broadcast_result: null };
+    const record = { type: 'AUTHENTICATION_RECORD', product: { uid_tag_id: 'uid-w2' }, metadata: {}, auth: { ...issuerAuth, owner: null } };
+    const job = { name: 'registration', data: { pendingId: 'r1', uid_tag_id: 'uid-w2', record }, updateData: jest.fn() };
+    const register = jest.spyOn(BlockchainService, 'constructAndBroadcastRegistrationTx').mockResolvedValue({ success: true, txid: 'c'.repeat(64), ownershipOutput: null });
+    try {
+      dbService.markRegistrationConfirmed.mockRejectedValueOnce(new Error('db down'));
+      await expect(mockProcessor(job)).rejects.toThrow('db down');
+      await expect(mockProcessor(job)).resolves.toEqual({ txid: 'c'.repeat(64) });
+      expect(register).toHaveBeenCalledTimes(1);
+      expect(mockPending.r1).toMatchObject({ status: 'confirmed', txid: 'c'.repeat(64) });
+    } finally {
+      register.mockRestore();
+    }
+  });
+});
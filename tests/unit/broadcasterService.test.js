@@ -0,0 +1,119 @@
+/*
+Unit tests for services/broadcasterService.js
+Covers: provider priority and failover, idempotent "already known" handling, rejection short-circuit,
+health scoring/cooldown, and error classification for WoC/ARC/node responses.
+*/
+
+jest.mock('../../clients/wocClient', () => ({ broadcast: jest.fn() }));
+jest.mock('../../clients/arcClient', () => ({ isConfigured: jest.fn(() => true), broadcast: jest.fn() }));
+jest.mock('../../clients/nodeRpcClient', () => ({ isConfigured: jest.fn(() => true), sendRawTransaction: jest.fn() }));
+
+const bsv = require('bsv');
+const wocClient = require('../../clients/wocClient');
+const arcClient = require('../../clients/arcClient');
+const nodeRpcClient = require('../../clients/nodeRpcClient');
+const metrics = require('../../services/metricsService');
+const broadcaster = require('../../services/broadcasterService');
+const { classifyError } = require('../../services/broadcasterService');
+
+const key = new bsv.PrivateKey();
+const rawTx = new bsv.Transaction()
+  .from({ txid: 'a'.repeat(64), vout: 0, satoshis: 5000, script: bsv.Script.buildPublicKeyHashOut(key.toAddress()).toHex() })
+  .change(key.toAddress())
+  .sign(key);
+const RAW = rawTx.serialize();
+const TXID = rawTx.hash;
+
+const httpError = (status, data) => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, data } });
+const rpcError = (code, message) => Object.assign(new Error(`${message} (code ${code})`), { code });
+
+describe('broadcasterService', () => {
+  const ORIGINAL_ENV = { ...process.env };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    broadcaster.resetHealth();
+    process.env = { ...ORIGINAL_ENV, BROADCAST_PROVIDERS: 'arc,woc,node', BROADCAST_FAILURE_THRESHOLD: '2', BROADCAST_COOLDOWN_MS: '60000' };
+  });
+
+  afterAll(() => {
+    process.env = ORIGINAL_ENV;
+  });
+
+  test('uses the highest-priority provider', async () => {
+    arcClient.broadcast.mockResolvedValue(TXID);
+    await expect(broadcaster.broadcast(RAW)).resolves.toEqual({ txid: TXID, provider: 'arc', alreadyKnown: false });
+    expect(wocClient.broadcast).not.toHaveBeenCalled();
+  });
+
+  test('fails over on outages and passes the network to WoC', async () => {
+    arcClient.broadcast.mockRejectedValue(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+    wocClient.broadcast.mockRejectedValue(httpError(503, 'Service Unavailable'));
+    nodeRpcClient.sendRawTransaction.mockResolvedValue(TXID);
+
+    await expect(broadcaster.broadcast(RAW, { network: 'test' })).resolves.toMatchObject({ txid: TXID, provider: 'node' });
+    expect(wocClient.broadcast).toHaveBeenCalledWith(RAW, 'test');
+    expect(metrics.counters['pp_broadcast_failovers_total{provider="node"}']).toBeGreaterThan(0);
+  });
+
+  test('treats "already in mempool" as success with the locally computed txid', async () => {
+    arcClient.broadcast.mockRejectedValue(httpError(503, {}));
+    wocClient.broadcast.mockRejectedValue(httpError(400, '257: txn-already-known'));
+    await expect(broadcaster.broadcast(RAW)).resolves.toEqual({ txid: TXID, provider: 'woc', alreadyKnown: true });
+
+    nodeRpcClient.sendRawTransaction.mockRejectedValue(rpcError(-27, 'Transaction already in block chain'));
+    process.env.BROADCAST_PROVIDERS = 'node';
+    await expect(broadcaster.broadcast(RAW)).resolves.toMatchObject({ txid: TXID, alreadyKnown: true });
+  });
+
+  test('stops at rejections of the transaction itself and keeps the reason', async () => {
+    arcClient.broadcast.mockRejectedValue(httpError(400, '258: txn-mempool-conflict'));
+    await expect(broadcaster.broadcast(RAW)).rejects.toMatchObject({ rejected: true, message: 'arc: 258: txn-mempool-conflict' });
+    expect(wocClient.broadcast).not.toHaveBeenCalled();
+    // A rejection is not a provider failure
+    expect(broadcaster.getStatus()[0]).toMatchObject({ provider: 'arc', failures: 0 });
+  });
+
+  test('cools down failing providers and moves them to the end', async () => {
+    arcClient.broadcast.mockRejectedValue(httpError(502, 'Bad Gateway'));
+    wocClient.broadcast.mockResolvedValue(TXID);
+    await broadcaster.broadcast(RAW);
+    await broadcaster.broadcast(RAW);
+
+    const status = broadcaster.getStatus();
+    expect(status.map((s) => s.provider)).toEqual(['woc', 'node', 'arc']);
+    expect(status[2]).toMatchObject({ coolingDown: true, consecutiveFailures: 2, lastError: 'Bad Gateway' });
+    expect(status[2].score).toBeLessThan(status[0].score);
+
+    arcClient.broadcast.mockClear();
+    await broadcaster.broadcast(RAW);
+    expect(arcClient.broadcast).not.toHaveBeenCalled();
+  });
+
+  test('throws the last error when every provider is down', async () => {
+    arcClient.broadcast.mockRejectedValue(httpError(500, 'a'));
+    wocClient.broadcast.mockRejectedValue(httpError(500, 'b'));
+    nodeRpcClient.sendRawTransaction.mockRejectedValue(new Error('socket hang up'));
+    await expect(broadcaster.broadcast(RAW)).rejects.toThrow('node: socket hang up');
+  });
+
+  test('skips unconfigured and unknown providers; supports registered ones', async () => {
+    arcClient.isConfigured.mockReturnValueOnce(false);
+    const custom = { name: 'custom', broadcast: jest.fn(async () => TXID) };
+    broadcaster.register(custom);
+    process.env.BROADCAST_PROVIDERS = 'arc,bogus,custom';
+    await expect(broadcaster.broadcast(RAW)).resolves.toMatchObject({ provider: 'custom' });
+    expect(arcClient.broadcast).not.toHaveBeenCalled();
+  });
+
+  test('classifies provider errors', () => {
+    expect(classifyError(rpcError(-26, '16: mandatory-script-verify-flag-failed'))).toBe('rejected');
+    expect(classifyError(rpcError(-25, 'Missing inputs'))).toBe('rejected');
+    expect(classifyError(Object.assign(new Error('DOUBLE_SPEND_ATTEMPTED: x'), { rejected: true }))).toBe('rejected');
+    expect(classifyError(httpError(465, { title: 'Fee too low', detail: 'fee too low' }))).toBe('rejected');
+    expect(classifyError(httpError(429, 'Too Many Requests'))).toBe('error');
+    expect(classifyError(httpError(401, 'Unauthorized'))).toBe('error');
+    expect(classifyError(new Error('timeout of 15000ms exceeded'))).toBe('error');
+    expect(classifyError(httpError(400, 'Transaction already in the mempool'))).toBe('already_known');
+  });
+});
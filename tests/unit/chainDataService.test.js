@@ -0,0 +1,109 @@
+/*
+Unit tests for services/chainDataService.js
+Covers: provider selection, normalization of WoC / node RPC / ElectrumX shapes, confirmation counting,
+chain health summary, and the in-memory regtest provider.
+*/
+
+jest.mock('../../clients/wocClient', () => ({
+  isReady: true,
+  getChainInfo: jest.fn(),
+  getUnspentOutputs: jest.fn(),
+  isUtxoSpent: jest.fn(),
+}));
+jest.mock('../../clients/nodeRpcClient', () => ({ call: jest.fn() }));
+
+const bsv = require('bsv');
+const wocClient = require('../../clients/wocClient');
+const nodeRpcClient = require('../../clients/nodeRpcClient');
+const electrumClient = require('../../clients/electrumClient');
+const regtestChain = require('../../clients/regtestChain');
+const chainData = require('../../services/chainDataService');
+
+const address = new bsv.PrivateKey().toAddress().toString();
+const T = (c) => c.repeat(64);
+
+describe('chainDataService', () => {
+  const ORIGINAL_ENV = { ...process.env };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    regtestChain.reset();
+    process.env = { ...ORIGINAL_ENV, UTXO_MIN_CONFIRMATIONS: '1' };
+    delete process.env.ELECTRUMX_URL;
+  });
+
+  afterAll(() => {
+    process.env = ORIGINAL_ENV;
+  });
+
+  test('normalizes WhatsOnChain responses (default provider)', async () => {
+    delete process.env.CHAIN_DATA_PROVIDER;
+    wocClient.getChainInfo.mockResolvedValue({ blocks: 100, bestblockhash: T('f') });
+    wocClient.getUnspentOutputs.mockResolvedValue([
+      { tx_hash: T('a'), tx_pos: 0, value: 5000, height: 95 },
+      { tx_hash: T('b'), tx_pos: 1, value: 700, height: 0 },
+    ]);
+
+    await expect(chainData.getUnspentOutputs(address)).resolves.toEqual([
+      { txid: T('a'), vout: 0, satoshis: 5000, height: 95, confirmations: 6 },
+      { txid: T('b'), vout: 1, satoshis: 700, height: 0, confirmations: 0 },
+    ]);
+    await expect(chainData.getUnspentOutputs(address, { minConfirmations: 1 })).resolves.toHaveLength(1);
+    await expect(chainData.getChainHealth(address)).resolves.toEqual({
+      provider: 'woc', totalUtxos: 2, totalSatoshis: 5700, confirmedUtxos: 1, confirmedSatoshis: 5000, height: 100,
+    });
+  });
+
+  test('node provider uses the wallet listunspent and gettxout', async () => {
+    process.env.CHAIN_DATA_PROVIDER = 'node';
+    nodeRpcClient.call.mockImplementation(async (method, params) => {
+      if (method === 'getblockchaininfo') return { blocks: 200, bestblockhash: T('e') };
+      if (method === 'listunspent') return [{ txid: T('c'), vout: 2, amount: 0.00012345, confirmations: 3 }];
+      if (method === 'gettxout') return params[0] === T('c') ? { value: 0.00012345 } : null;
+      throw new Error(`unexpected ${method}`);
+    });
+
+    await expect(chainData.getChainInfo()).resolves.toEqual({ height: 200, bestBlockHash: T('e') });
+    await expect(chainData.getUnspentOutputs(address)).resolves.toEqual([{ txid: T('c'), vout: 2, satoshis: 12345, height: 198, confirmations: 3 }]);
+    expect(nodeRpcClient.call).toHaveBeenCalledWith('listunspent', [0, 9999999, [address]]);
+    await expect(chainData.isUtxoSpent(T('c'), 2)).resolves.toBe(false);
+    await expect(chainData.isUtxoSpent(T('d'), 0)).resolves.toBe(true);
+  });
+
+  test('node provider prefers ElectrumX for address lookups when configured', async () => {
+    process.env.CHAIN_DATA_PROVIDER = 'node';
+    process.env.ELECTRUMX_URL = 'tcp://127.0.0.1:50001';
+    nodeRpcClient.call.mockResolvedValue({ blocks: 10 });
+    const request = jest.spyOn(electrumClient, 'request').mockResolvedValue([{ tx_hash: T('a'), tx_pos: 1, height: 10, value: 900 }]);
+
+    await expect(chainData.getUnspentOutputs(address)).resolves.toEqual([{ txid: T('a'), vout: 1, satoshis: 900, height: 10, confirmations: 1 }]);
+    const script = bsv.Script.buildPublicKeyHashOut(bsv.Address.fromString(address)).toBuffer();
+    const expectedScripthash = Buffer.from(bsv.crypto.Hash.sha256(script)).reverse().toString('hex');
+    expect(request).toHaveBeenCalledWith('blockchain.scripthash.listunspent', [expectedScripthash]);
+  });
+
+  test('regtest provider serves the in-memory chain', async () => {
+    process.env.CHAIN_DATA_PROVIDER = 'regtest';
+    const { txid } = regtestChain.fund(address, 10000);
+    await expect(chainData.getUnspentOutputs(address, { minConfirmations: 1 })).resolves.toEqual([]);
+
+    regtestChain.mine(3);
+    await expect(chainData.getUnspentOutputs(address)).resolves.toEqual([{ txid, vout: 0, satoshis: 10000, height: 1, confirmations: 3 }]);
+    await expect(chainData.getChainHealth(address)).resolves.toMatchObject({ provider: 'regtest', confirmedSatoshis: 10000, height: 3 });
+
+    regtestChain.spend(txid, 0);
+    await expect(chainData.isUtxoSpent(txid, 0)).resolves.toBe(true);
+    await expect(chainData.getUnspentOutputs(address)).resolves.toEqual([]);
+  });
+
+  test('rejects unknown providers and supports registered ones', async () => {
+    process.env.CHAIN_DATA_PROVIDER = 'bogus';
+    await expect(chainData.getChainInfo()).rejects.toThrow(/Unknown chain data provider 'bogus'/);
+
+    expect(() => chainData.register({ name: 'partial', getChainInfo() {} })).toThrow(/listUnspent/);
+    chainData.register({ name: 'custom', getChainInfo: async () => ({ height: 7 }), listUnspent: async () => [], isUtxoSpent: async () => false });
+    process.env.CHAIN_DATA_PROVIDER = 'custom';
+    await expect(chainData.getChainHealth(address)).resolves.toMatchObject({ provider: 'custom', totalUtxos: 0, height: 7 });
+  });
+});
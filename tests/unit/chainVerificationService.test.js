@@ -0,0 +1,156 @@
+/*
+Unit tests for services/chainVerificationService.js
+Covers: status mapping (confirmed/unconfirmed/mismatch/not_on_chain), byte vs field comparison of every anchored
+field (DB-only fields excepted), batch-anchored records against the Merkle root, and result caching / request
+coalescing.
+*/
+
+jest.mock('../../clients/wocClient', () => ({
+  getTransaction: jest.fn(),
+  getRawTransaction: jest.fn(),
+}));
+
+const bsv = require('bsv');
+const wocClient = require('../../clients/wocClient');
+const chainVerificationService = require('../../services/chainVerificationService');
+const { opReturnDataSha256 } = require('../../services/blockchainService');
+const envelope = require('../../services/recordEnvelope');
+const { leafHash, computeMerkleRoot, computeMerklePath } = require('../../services/batchAnchorService');
+
+const key = new bsv.PrivateKey();
+const record = {
+  type: 'AUTHENTICATION_RECORD',
+  product: { uid_tag_id: 'uid-chain-1' },
+  metadata: { notes: 'n' },
+  auth: { owner: key.toAddress().toString(), issuer_signature: '3044aa', issuer_pubkey: '02bb', ts: 1700000000000 },
+};
+
+function anchorHex(payload) {
+  const chunks = Array.isArray(payload) ? payload : [Buffer.from(JSON.stringify(payload))];
+  return new bsv.Transaction()
+    .from({ txid: 'a'.repeat(64), vout: 0, satoshis: 5000, script: bsv.Script.buildPublicKeyHashOut(key.toAddress()).toHex() })
+    .addOutput(new bsv.Transaction.Output({ script: bsv.Script.buildSafeDataOut(chunks), satoshis: 0 }))
+    .change(key.toAddress())
+    .sign(key)
+    .serialize();
+}
+
+function onChain(payload, info = {}) {
+  wocClient.getTransaction.mockResolvedValue({ confirmations: 6, blockhash: 'cd'.repeat(32), blockheight: 800000, blocktime: 1700000600, ...info });
+  wocClient.getRawTransaction.mockResolvedValue(anchorHex(payload));
+}
+
+describe('chainVerificationService', () => {
+  const ORIGINAL_ENV = { ...process.env };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    chainVerificationService.clearCache();
+    process.env = { ...ORIGINAL_ENV, VERIFY_MIN_CONFIRMATIONS: '1' };
+  });
+
+  afterAll(() => {
+    process.env = ORIGINAL_ENV;
+  });
+
+  test('checks batch-anchored records against the Merkle root of the anchor', async () => {
+    const leaves = [record, { ...record, product: { uid_tag_id: 'uid-chain-2' } }];
+    const hashes = leaves.map((r) => leafHash(r));
+    const root = computeMerkleRoot(hashes);
+    const anchored = JSON.parse(JSON.stringify(leaves[1]));
+    Object.assign(anchored.auth, { merkleRoot: root.toString('hex'), merklePath: computeMerklePath(1, hashes).map((h) => h.toString('hex')), anchorTxid: 'b'.repeat(64) });
+    onChain(envelope.encode('batch', root));
+
+    const res = await chainVerificationService.verifyAnchor('b'.repeat(64), anchored);
+    expect(res).toMatchObject({ status: 'confirmed', payloadMatch: true, comparison: 'merkle', envelopeVersion: 1 });
+
+    const edited = JSON.parse(JSON.stringify(anchored));
+    edited.metadata.notes = 'edited in the DB';
+    expect(await chainVerificationService.verifyAnchor('b'.repeat(64), edited)).toMatchObject({ status: 'mismatch', payloadMatch: false, comparison: 'merkle' });
+  });
+
+  test('confirms a matching anchor and reports depth and block time', async () => {
+    onChain(record);
+    const dataSha256 = opReturnDataSha256([Buffer.from(JSON.stringify(record))]);
+    const res = await chainVerificationService.verifyAnchor('b'.repeat(64), record, { dataSha256 });
+    expect(res).toMatchObject({
+      status: 'confirmed', payloadMatch: true, comparison: 'bytes', confirmations: 6, blockHeight: 800000, blockTime: 1700000600, cached: false,
+    });
+  });
+
+  test('reports unconfirmed transactions below the confirmation threshold', async () => {
+    onChain(record, { confirmations: 0, blockhash: undefined, blockheight: undefined, blocktime: undefined });
+    const res = await chainVerificationService.verifyAnchor('b'.repeat(64), record);
+    expect(res).toMatchObject({ status: 'unconfirmed', payloadMatch: true, confirmations: 0, blockTime: null });
+  });
+
+  test('reports transactions unknown to the network as not_on_chain', async () => {
+    wocClient.getTransaction.mockResolvedValue(null);
+    const res = await chainVerificationService.verifyAnchor('b'.repeat(64), record);
+    expect(res).toMatchObject({ status: 'not_on_chain', payloadMatch: null });
+    expect(wocClient.getRawTransaction).not.toHaveBeenCalled();
+  });
+
+  test('flags a stored record edited after anchoring', async () => {
+    onChain(record);
+    const dataSha256 = opReturnDataSha256([Buffer.from(JSON.stringify(record))]);
+    const edited = JSON.parse(JSON.stringify(record));
+    edited.auth.owner = new bsv.PrivateKey().toAddress().toString();
+    const res = await chainVerificationService.verifyAnchor('b'.repeat(64), edited, { dataSha256 });
+    expect(res).toMatchObject({ status: 'mismatch', payloadMatch: false, reason: 'stored record differs from the anchored payload' });
+  });
+
+  test('compares every anchored field, ignoring only the fields the database adds', async () => {
+    const anchored = { ...record, product: { uid_tag_id: 'uid-chain-1', serial_number: 'SN-1' }, auth: { ...record.auth, prev_txid: 'c'.repeat(64) } };
+    onChain(anchored);
+    const dataSha256 = opReturnDataSha256([Buffer.from(JSON.stringify(anchored))]);
+
+    const stored = JSON.parse(JSON.stringify(anchored));
+    stored.txid = 'b'.repeat(64);
+    stored.auth.anchorTxid = 'b'.repeat(64);
+    await expect(chainVerificationService.verifyAnchor('b'.repeat(64), stored, { dataSha256 })).resolves.toMatchObject({ status: 'confirmed', payloadMatch: true });
+
+    for (const edit of [(r) => { r.product.serial_number = 'SN-2'; }, (r) => { r.auth.prev_txid = 'd'.repeat(64); }, (r) => { r.auth.sale_release = { id: 'x' }; }]) {
+      chainVerificationService.clearCache();
+      const edited = JSON.parse(JSON.stringify(anchored));
+      edit(edited);
+      const res = await chainVerificationService.verifyAnchor('b'.repeat(64), edited, { dataSha256 });
+      expect(res).toMatchObject({ status: 'mismatch', payloadMatch: false, reason: 'stored record differs from the anchored payload' });
+    }
+  });
+
+  test('flags on-chain bytes that differ from the recorded fingerprint', async () => {
+    onChain({ ...record, extra: 'x' });
+    const dataSha256 = opReturnDataSha256([Buffer.from(JSON.stringify(record))]);
+    const res = await chainVerificationService.verifyAnchor('b'.repeat(64), record, { dataSha256 });
+    expect(res).toMatchObject({ status: 'mismatch', comparison: 'bytes', reason: 'on-chain bytes differ from the anchored payload' });
+  });
+
+  test('falls back to field comparison for legacy records without a fingerprint', async () => {
+    // Same committed fields, different key order: bytes differ, fields match
+    onChain({ auth: record.auth, metadata: record.metadata, product: record.product, type: record.type });
+    const res = await chainVerificationService.verifyAnchor('b'.repeat(64), record);
+    expect(res).toMatchObject({ status: 'confirmed', comparison: 'fields', payloadMatch: true });
+  });
+
+  test('caches lookups and coalesces concurrent requests', async () => {
+    onChain(record);
+    const txid = 'e'.repeat(64);
+    const [a, b] = await Promise.all([
+      chainVerificationService.verifyAnchor(txid, record),
+      chainVerificationService.verifyAnchor(txid, record),
+    ]);
+    const c = await chainVerificationService.verifyAnchor(txid, record);
+    expect(wocClient.getTransaction).toHaveBeenCalledTimes(1);
+    expect(a.status).toBe('confirmed');
+    expect(b.status).toBe('confirmed');
+    expect(c.cached).toBe(true);
+  });
+
+  test('propagates provider failures without caching them', async () => {
+    wocClient.getTransaction.mockRejectedValueOnce(new Error('ECONNRESET'));
+    await expect(chainVerificationService.verifyAnchor('f'.repeat(64), record)).rejects.toThrow('ECONNRESET');
+    onChain(record);
+    await expect(chainVerificationService.verifyAnchor('f'.repeat(64), record)).resolves.toMatchObject({ status: 'confirmed' });
+  });
+});
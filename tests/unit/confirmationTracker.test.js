@@ -0,0 +1,132 @@
+/*
+Unit tests for services/confirmationTrackerService.js
+Covers: broadcast -> mined -> final promotion, block_height capture, reorg detection,
+the missing-tx grace period, and revert + re-queue of dropped transactions.
+*/
+
+jest.mock('../../clients/wocClient', () => ({ getTransaction: jest.fn() }));
+jest.mock('../../services/databaseService', () => ({
+  getUnsettledRecords: jest.fn(),
+  updateChainStatus: jest.fn(),
+  revertDropped: jest.fn(),
+  attachJobToPending: jest.fn(),
+  attachJobToPendingTransfer: jest.fn(),
+}));
+jest.mock('../../services/jobService', () => ({
+  isEnabled: jest.fn(() => true),
+  addBroadcastJob: jest.fn(async () => 'job-1'),
+  addTransferJob: jest.fn(async () => 'job-2'),
+}));
+jest.mock('../../models/ClaimIntent', () => ({
+  findOne: jest.fn(() => ({ lean: () => ({ exec: async () => ({ _id: 'intent-1' }) }) })),
+}));
+
+const wocClient = require('../../clients/wocClient');
+const dbService = require('../../services/databaseService');
+const jobService = require('../../services/jobService');
+const tracker = require('../../services/confirmationTrackerService');
+
+const TXID = 'a'.repeat(64);
+const rec = (extra = {}) => ({ _id: 'rec-1', uid_tag_id: 'uid-1', type: 'REGISTRATION', status: 'confirmed', txid: TXID, chain_status: 'broadcast', ...extra });
+const mined = (confirmations, blockhash = 'b'.repeat(64), blockheight = 800000) => ({ confirmations, blockhash, blockheight });
+
+describe('confirmationTrackerService', () => {
+  const ORIGINAL_ENV = { ...process.env };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jobService.isEnabled.mockReturnValue(true);
+    process.env = { ...ORIGINAL_ENV, CONFIRMATION_FINALITY_DEPTH: '6', CONFIRMATION_DROP_GRACE_MIN: '30' };
+  });
+
+  afterAll(() => {
+    process.env = ORIGINAL_ENV;
+  });
+
+  test('keeps unmined transactions in broadcast', async () => {
+    wocClient.getTransaction.mockResolvedValue({ confirmations: 0 });
+    await expect(tracker.checkRecord(rec())).resolves.toBe('broadcast');
+    expect(dbService.updateChainStatus).toHaveBeenCalledWith('rec-1', TXID, expect.objectContaining({ chain_status: 'broadcast', block_height: null }));
+  });
+
+  test('records block height when mined and promotes to final at the configured depth', async () => {
+    wocClient.getTransaction.mockResolvedValue(mined(2));
+    await expect(tracker.checkRecord(rec())).resolves.toBe('mined');
+    expect(dbService.updateChainStatus).toHaveBeenLastCalledWith('rec-1', TXID, expect.objectContaining({ chain_status: 'mined', block_height: 800000, block_hash: 'b'.repeat(64) }));
+
+    wocClient.getTransaction.mockResolvedValue(mined(6));
+    await expect(tracker.checkRecord(rec({ chain_status: 'mined', block_hash: 'b'.repeat(64) }))).resolves.toBe('final');
+    expect(dbService.updateChainStatus).toHaveBeenLastCalledWith('rec-1', TXID, expect.objectContaining({ chain_status: 'final' }));
+
+    process.env.CONFIRMATION_FINALITY_DEPTH = '1';
+    wocClient.getTransaction.mockResolvedValue(mined(1));
+    await expect(tracker.checkRecord(rec())).resolves.toBe('final');
+  });
+
+  test('detects reorgs into another block or back into the mempool', async () => {
+    const minedRec = rec({ chain_status: 'mined', block_hash: 'b'.repeat(64), block_height: 800000 });
+    wocClient.getTransaction.mockResolvedValue(mined(1, 'c'.repeat(64), 800001));
+    await expect(tracker.checkRecord(minedRec)).resolves.toBe('reorged');
+    expect(dbService.updateChainStatus).toHaveBeenLastCalledWith('rec-1', TXID, expect.objectContaining({ chain_status: 'mined', block_height: 800001, block_hash: 'c'.repeat(64) }));
+
+    wocClient.getTransaction.mockResolvedValue({ confirmations: 0 });
+    await expect(tracker.checkRecord(minedRec)).resolves.toBe('reorged');
+    expect(dbService.updateChainStatus).toHaveBeenLastCalledWith('rec-1', TXID, expect.objectContaining({ chain_status: 'broadcast', block_height: null, block_hash: null }));
+  });
+
+  test('waits out the grace period before treating a missing tx as dropped', async () => {
+    wocClient.getTransaction.mockResolvedValue(null);
+    await expect(tracker.checkRecord(rec())).resolves.toBe('missing');
+    expect(dbService.updateChainStatus).toHaveBeenCalledWith('rec-1', TXID, { chain_missing_since: expect.any(Date) });
+    expect(dbService.revertDropped).not.toHaveBeenCalled();
+  });
+
+  test('reverts and re-queues dropped registrations and transfers', async () => {
+    wocClient.getTransaction.mockResolvedValue(null);
+    const since = new Date(Date.now() - 31 * 60 * 1000);
+
+    dbService.revertDropped.mockResolvedValueOnce({ _id: 'rec-1', uid_tag_id: 'uid-1', type: 'REGISTRATION', record_data: { auth: { owner: 'addr-1' } }, dropped_txids: [TXID] });
+    await expect(tracker.checkRecord(rec({ chain_missing_since: since }))).resolves.toBe('requeued');
+    expect(dbService.revertDropped).toHaveBeenCalledWith('rec-1', TXID);
+    expect(jobService.addBroadcastJob).toHaveBeenCalledWith(expect.objectContaining({ pendingId: 'rec-1', initialOwner: 'addr-1', recoverCount: 1 }));
+    expect(dbService.attachJobToPending).toHaveBeenCalledWith('rec-1', 'job-1');
+
+    dbService.revertDropped.mockResolvedValueOnce({ _id: 'rec-2', uid_tag_id: 'uid-1', type: 'TRANSFER', previous_txid: 'f'.repeat(64), record_data: { auth: { owner: 'addr-2' } }, dropped_txids: [TXID] });
+    await expect(tracker.checkRecord(rec({ _id: 'rec-2', type: 'TRANSFER', chain_missing_since: since }))).resolves.toBe('requeued');
+    expect(jobService.addTransferJob).toHaveBeenCalledWith(expect.objectContaining({ pendingId: 'rec-2', currentTxid: 'f'.repeat(64), newOwnerAddress: 'addr-2', posIntentId: 'intent-1' }));
+    expect(dbService.attachJobToPendingTransfer).toHaveBeenCalledWith('rec-2', 'job-2');
+  });
+
+  test('flags dropped records it cannot re-queue', async () => {
+    wocClient.getTransaction.mockResolvedValue(null);
+    const since = new Date(Date.now() - 31 * 60 * 1000);
+
+    dbService.revertDropped.mockResolvedValueOnce(null); // not the head of the custody chain
+    await expect(tracker.checkRecord(rec({ chain_missing_since: since }))).resolves.toBe('dropped');
+    expect(jobService.addBroadcastJob).not.toHaveBeenCalled();
+
+    jobService.isEnabled.mockReturnValue(false);
+    await expect(tracker.checkRecord(rec({ chain_missing_since: since }))).resolves.toBe('dropped');
+    expect(dbService.updateChainStatus).toHaveBeenLastCalledWith('rec-1', TXID, { chain_status: 'dropped' });
+  });
+
+  test('runOnce summarizes outcomes and survives provider errors', async () => {
+    dbService.getUnsettledRecords.mockResolvedValue([rec({ _id: 'r1' }), rec({ _id: 'r2' }), rec({ _id: 'r3' })]);
+    wocClient.getTransaction
+      .mockResolvedValueOnce(mined(1))
+      .mockRejectedValueOnce(new Error('timeout'))
+      .mockResolvedValueOnce(mined(10));
+    const summary = await tracker.runOnce({ limit: 3 });
+    expect(dbService.getUnsettledRecords).toHaveBeenCalledWith(3);
+    expect(summary).toMatchObject({ checked: 3, mined: 1, final: 1, errors: 1 });
+  });
+
+  test('dry run reports without writing', async () => {
+    dbService.getUnsettledRecords.mockResolvedValue([rec({ chain_missing_since: new Date(0) })]);
+    wocClient.getTransaction.mockResolvedValue(null);
+    const summary = await tracker.runOnce({ dryRun: true });
+    expect(summary.dropped).toBe(1);
+    expect(dbService.updateChainStatus).not.toHaveBeenCalled();
+    expect(dbService.revertDropped).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,237 @@
+/*
+Unit tests for services/contentVaultService.js (POST /v1/patches/:uid_tag_id/content and vault retrieval through
+POST /v1/patches/:uid_tag_id/unlock-content)
+Covers: per-patch data keys stored wrapped, owner-signed listing and decryption, re-wrap on transfer so previous
+owners lose access (including a synchronous transfer), catching up a missed re-wrap, failed re-wraps marked
+rewrap_pending and reported in the listing until a retry succeeds, and refused uploads.
+*/
+
+process.env.MASTER_SECRET = process.env.MASTER_SECRET || 'vault-test-master-secret';
+
+const mockStore = { states: {}, keys: [], items: [], nextOwner: null };
+const mockLean = (get) => ({ lean: () => ({ exec: async () => get() }) });
+jest.mock('../../models/PatchState', () => ({
+  findOne: jest.fn(({ uid_tag_id }) => mockLean(() => mockStore.states[uid_tag_id] || null)),
+}));
+jest.mock('../../models/PatchVaultKey', () => ({
+  findOne: jest.fn(({ uid_tag_id }) => mockLean(() => {
+    const k = mockStore.keys.find((x) => x.uid_tag_id === uid_tag_id);
+    return k ? { ...k } : null;
+  })),
+  create: jest.fn(async (doc) => {
+    if (mockStore.keys.some((x) => x.uid_tag_id === doc.uid_tag_id)) throw Object.assign(new Error('dup'), { code: 11000 });
+    const k = { _id: `key-${doc.uid_tag_id}`, key_epoch: 0, ...doc };
+    mockStore.keys.push(k);
+    return k;
+  }),
+  updateOne: jest.fn((filter, update) => ({
+    exec: async () => {
+      const k = filter._id
+        ? mockStore.keys.find((x) => x._id === filter._id && x.owner_address === filter.owner_address && x.key_epoch === filter.key_epoch)
+        : mockStore.keys.find((x) => x.uid_tag_id === filter.uid_tag_id && x.owner_address !== filter.owner_address.$ne);
+      if (!k) return { modifiedCount: 0 };
+      Object.assign(k, update.$set);
+      if (update.$inc) k.key_epoch += update.$inc.key_epoch;
+      return { modifiedCount: 1 };
+    },
+  })),
+}));
+jest.mock('../../models/VaultContent', () => ({
+  create: jest.fn(async (doc) => {
+    const item = { ...doc, created_at: new Date() };
+    mockStore.items.push(item);
+    return item;
+  }),
+  find: jest.fn(({ uid_tag_id }) => ({ sort: () => mockLean(() => mockStore.items.filter((i) => i.uid_tag_id === uid_tag_id)) })),
+  findOne: jest.fn(({ _id, uid_tag_id }) => ({
+    select: () => mockLean(() => mockStore.items.find((i) => String(i._id) === String(_id) && i.uid_tag_id === uid_tag_id) || null),
+  })),
+}));
+jest.mock('../../services/ownerChallengeCacheRedis', () => ({
+  isReady: true,
+  get: jest.fn(async (uid, nonce) => ({ nonce, expires_at: 1900000000000 })),
+  consume: jest.fn(async () => true),
+}));
+jest.mock('../../services/databaseService', () => ({
+  getPatchState: jest.fn(async (uid) => mockStore.states[uid] || null),
+  isSharedAnchor: jest.fn(async () => false),
+  getRecordByTxid: jest.fn(async (txid) => {
+    const state = Object.values(mockStore.states).find((s) => s.current_txid === txid);
+    return state && { type: 'AUTHENTICATION_RECORD', product: { uid_tag_id: state.uid_tag_id }, metadata: {}, auth: { owner: state.current_owner_address, issuer_signature: 'aa', issuer_pubkey: '02'.padEnd(66, '1'), ts: 1700000000000 } };
+  }),
+  createPendingTransfer: jest.fn(async (uid_tag_id, currentTxid, newOwner) => ({ _id: 'pending-1', uid_tag_id, newOwner })),
+  getOwnershipOutput: jest.fn(async () => null),
+  markTransferConfirmed: jest.fn(async (id, txid) => {
+    Object.assign(mockStore.states['uid-v1'], { current_txid: txid, current_owner_address: mockStore.nextOwner });
+  }),
+}));
+
+const crypto = require('crypto');
+const bsv = require('bsv');
+const BlockchainService = require('../../services/blockchainService');
+const vault = require('../../services/contentVaultService');
+const patchController = require('../../controllers/patchController');
+
+const alice = new bsv.PrivateKey();
+const bob = new bsv.PrivateKey();
+const carol = new bsv.PrivateKey();
+const addr = (k) => k.toAddress().toString();
+const manual = Buffer.from('Care instructions: cold wash only. Warranty #W-1234.');
+
+function mockRes() {
+  const res = { statusCode: 200 };
+  res.status = jest.fn((c) => { res.statusCode = c; return res; });
+  res.json = jest.fn((b) => { res.body = b; return res; });
+  return res;
+}
+
+async function call(method, req) {
+  const res = mockRes();
+  const next = jest.fn();
+  await patchController[method](req, res, next);
+  if (next.mock.calls.length) return { statusCode: next.mock.calls[0][0].statusCode || 500, error: next.mock.calls[0][0] };
+  return res;
+}
+
+function unlock(uid, key, extra = {}) {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const message = { purpose: 'unlock_content', uid_tag_id: uid, currentTxid: mockStore.states[uid].current_txid, nonce, expires_at: 1900000000000 };
+  const ownerSignature = bsv.crypto.ECDSA.sign(BlockchainService.computeSha256(message), key, 'little').toDER().toString('hex');
+  return call('unlockContent', { params: { uid_tag_id: uid }, body: { ownerPubKey: key.publicKey.toString(), ownerSignature, nonce, ...extra } });
+}
+
+function transfer(uid, key) {
+  mockStore.states[uid] = { ...mockStore.states[uid], current_txid: crypto.randomBytes(32).toString('hex'), current_owner_address: addr(key) };
+}
+
+describe('content vault', () => {
+  const ORIGINAL_ENV = { ...process.env };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...ORIGINAL_ENV };
+    mockStore.states = { 'uid-v1': { uid_tag_id: 'uid-v1', current_txid: 'a'.repeat(64), current_owner_address: addr(alice) } };
+    mockStore.keys = [];
+    mockStore.items = [];
+  });
+
+  afterAll(() => {
+    process.env = ORIGINAL_ENV;
+  });
+
+  test('stores issuer content encrypted under a wrapped per-patch key and decrypts it for the owner', async () => {
+    const up = await call('uploadContent', { params: { uid_tag_id: 'uid-v1' }, body: { name: 'manual.txt', contentType: 'text/plain', dataB64: manual.toString('base64') } });
+    expect(up.statusCode).toBe(201);
+    expect(up.body).toMatchObject({ uid_tag_id: 'uid-v1', name: 'manual.txt', contentType: 'text/plain', size: manual.length, sha256: crypto.createHash('sha256').update(manual).digest('hex') });
+    await call('uploadContent', { params: { uid_tag_id: 'uid-v1' }, body: { name: 'twin.glb', contentType: 'model/gltf-binary', dataB64: 'AAEC' } });
+
+    expect(mockStore.keys).toHaveLength(1);
+    expect(mockStore.keys[0]).toMatchObject({ owner_address: addr(alice), key_epoch: 0 });
+    expect(Buffer.from(mockStore.keys[0].wrapped_key, 'base64')).toHaveLength(48); // 32-byte key + GCM tag
+    expect(mockStore.items[0].ciphertext.includes(Buffer.from('Warranty'))).toBe(false);
+
+    const listed = await unlock('uid-v1', alice);
+    expect(listed.body).toMatchObject({ authorized: true, uid_tag_id: 'uid-v1' });
+    expect(listed.body.vault.map((i) => i.name)).toEqual(['manual.txt', 'twin.glb']);
+    expect(listed.body.vault[0]).not.toHaveProperty('dataB64');
+
+    const opened = await unlock('uid-v1', alice, { contentId: up.body.contentId });
+    expect(Buffer.from(opened.body.item.dataB64, 'base64').equals(manual)).toBe(true);
+
+    // Items are bound to their patch: moving the ciphertext to another item id fails authentication
+    mockStore.items[1].ciphertext = mockStore.items[0].ciphertext;
+    mockStore.items[1].iv = mockStore.items[0].iv;
+    expect((await unlock('uid-v1', alice, { contentId: String(mockStore.items[1]._id) })).statusCode).toBe(500);
+  });
+
+  test('re-wraps the key on transfer so the previous owner loses access', async () => {
+    const { contentId } = await vault.putContent('uid-v1', { name: 'warranty.pdf', contentType: 'application/pdf', data: manual });
+    const wrappedForAlice = mockStore.keys[0].wrapped_key;
+
+    transfer('uid-v1', bob);
+    await expect(vault.rewrapForOwner('uid-v1', addr(bob))).resolves.toBe(true);
+    await expect(vault.rewrapForOwner('uid-v1', addr(bob))).resolves.toBe(false);
+    expect(mockStore.keys[0]).toMatchObject({ owner_address: addr(bob), key_epoch: 1 });
+    expect(mockStore.keys[0].wrapped_key).not.toBe(wrappedForAlice);
+
+    expect((await unlock('uid-v1', alice, { contentId })).statusCode).toBe(403);
+    // Even past the ownership check, the key no longer unwraps for the previous owner
+    await expect(vault.openContent('uid-v1', contentId, addr(alice))).rejects.toMatchObject({ statusCode: 403 });
+    const opened = await unlock('uid-v1', bob, { contentId });
+    expect(Buffer.from(opened.body.item.dataB64, 'base64').equals(manual)).toBe(true);
+  });
+
+  test('a synchronous transfer re-wraps the key for the new owner', async () => {
+    const { contentId } = await vault.putContent('uid-v1', { name: 'manual.txt', contentType: 'text/plain', data: manual });
+    const currentTxid = mockStore.states['uid-v1'].current_txid;
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const message = { purpose: 'transfer_ownership', uid_tag_id: 'uid-v1', currentTxid, newOwnerAddress: addr(bob), nonce, expires_at: 1900000000000 };
+    const broadcast = jest.spyOn(BlockchainService, 'constructAndBroadcastTransferTx').mockResolvedValue({ success: true, txid: 'b'.repeat(64) });
+    mockStore.nextOwner = addr(bob);
+    try {
+      const res = await call('transferOwnership', {
+        params: { txid: currentTxid },
+        body: {
+          newOwnerAddress: addr(bob),
+          currentOwnerPubKey: alice.publicKey.toString(),
+          currentOwnerSignature: bsv.crypto.ECDSA.sign(BlockchainService.computeSha256(message), alice, 'little').toDER().toString('hex'),
+          nonce,
+        },
+      });
+      expect(res.body).toMatchObject({ newTxid: 'b'.repeat(64) });
+    } finally {
+      broadcast.mockRestore();
+    }
+    // Re-wrapped when the transfer confirmed, not on the next vault access
+    expect(mockStore.keys[0]).toMatchObject({ owner_address: addr(bob), key_epoch: 1 });
+    await expect(vault.openContent('uid-v1', contentId, addr(alice))).rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  test('catches up a re-wrap that was missed when the transfer confirmed', async () => {
+    const { contentId } = await vault.putContent('uid-v1', { name: 'manual.txt', contentType: 'text/plain', data: manual });
+    transfer('uid-v1', bob);
+    transfer('uid-v1', carol);
+
+    const opened = await unlock('uid-v1', carol, { contentId });
+    expect(opened.statusCode).toBe(200);
+    expect(mockStore.keys[0]).toMatchObject({ owner_address: addr(carol), key_epoch: 1 });
+    await expect(vault.openContent('uid-v1', contentId, addr(bob))).rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  test('marks a failed re-wrap pending and retries it when the new owner lists the vault', async () => {
+    const { contentId } = await vault.putContent('uid-v1', { name: 'manual.txt', contentType: 'text/plain', data: manual });
+    const PatchVaultKey = require('../../models/PatchVaultKey');
+    const failOnce = () => PatchVaultKey.updateOne.mockImplementationOnce(() => ({ exec: async () => { throw new Error('db down'); } }));
+    transfer('uid-v1', bob);
+
+    failOnce();
+    await expect(vault.onOwnershipChange('uid-v1', addr(bob))).resolves.toBe(false);
+    expect(mockStore.keys[0]).toMatchObject({ owner_address: addr(alice), key_epoch: 0, rewrap_pending: true, rewrap_error: 'db down' });
+
+    // The listing retries; while that fails too the owner is told the key is not theirs yet
+    failOnce();
+    const stillPending = await unlock('uid-v1', bob);
+    expect(stillPending.body).toMatchObject({ authorized: true, rewrap_pending: true });
+    expect(stillPending.body.vault.map((i) => i.name)).toEqual(['manual.txt']);
+
+    const listed = await unlock('uid-v1', bob);
+    expect(listed.body).toMatchObject({ authorized: true, rewrap_pending: false });
+    expect(mockStore.keys[0]).toMatchObject({ owner_address: addr(bob), key_epoch: 1, rewrap_pending: false, rewrap_error: null });
+    const opened = await unlock('uid-v1', bob, { contentId });
+    expect(Buffer.from(opened.body.item.dataB64, 'base64').equals(manual)).toBe(true);
+    expect((await unlock('uid-v1', alice)).body).toEqual({ error: { message: 'Caller is not the current owner' } });
+  });
+
+  test('refuses oversized uploads, unknown patches and unknown items', async () => {
+    process.env.VAULT_MAX_CONTENT_BYTES = '8';
+    const big = await call('uploadContent', { params: { uid_tag_id: 'uid-v1' }, body: { name: 'big.bin', contentType: 'application/octet-stream', dataB64: manual.toString('base64') } });
+    expect(big).toMatchObject({ statusCode: 413, body: { error: { message: 'Content exceeds 8 bytes' } } });
+    expect(mockStore.items).toHaveLength(0);
+
+    const unknownPatch = await call('uploadContent', { params: { uid_tag_id: 'uid-none' }, body: { name: 'a', contentType: 'text/plain', dataB64: 'AAEC' } });
+    expect(unknownPatch).toMatchObject({ statusCode: 404 });
+
+    expect((await unlock('uid-v1', alice, { contentId: 'f'.repeat(24) })).statusCode).toBe(404);
+    expect((await unlock('uid-v1', alice)).body).toMatchObject({ vault: [], rewrap_pending: false });
+  });
+});
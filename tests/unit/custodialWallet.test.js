@@ -0,0 +1,262 @@
+/*
+Unit tests for custodial owner wallets (services/custodialWalletService.js, controllers/custodialWalletController.js,
+kmsSigner.createKey against the KMS emulator)
+Covers: idempotent KMS key creation, wallet provisioning and its binding, claim intents and transfers signed for the
+user and checkable like self-custody signatures, the queued handover to a self-custody address (leaving out patches
+whose transfer is pending), and the CUSTODIAL_WALLETS_ENABLED gate.
+*/
+
+const mockStore = { wallets: [], bindings: [], states: {}, records: {}, intents: {}, pending: [] };
+const mockExec = (fn) => ({ exec: async () => fn() });
+let mockSeq = 0;
+const mockId = () => (++mockSeq).toString(16).padStart(24, '0');
+
+jest.mock('../../models/CustodialWallet', () => ({
+  findOne: jest.fn(({ user_id }) => ({ lean: () => mockExec(() => mockStore.wallets.find((w) => w.user_id === user_id) || null) })),
+  create: jest.fn(async (doc) => {
+    const wallet = { _id: mockId(), status: 'active', handover_address: null, created_at: new Date(), ...doc };
+    mockStore.wallets.push(wallet);
+    return { toObject: () => wallet };
+  }),
+  findOneAndUpdate: jest.fn(({ user_id, status }, { $set }) => ({
+    lean: () => mockExec(() => {
+      const wallet = mockStore.wallets.find((w) => w.user_id === user_id && w.status === status);
+      return wallet ? Object.assign(wallet, $set) : null;
+    }),
+  })),
+}));
+jest.mock('../../models/WalletBinding', () => ({
+  exists: jest.fn(async ({ user_id, address }) => mockStore.bindings.some((b) => b.user_id === user_id && b.address === address)),
+  countDocuments: jest.fn(({ user_id }) => mockExec(() => mockStore.bindings.filter((b) => b.user_id === user_id).length)),
+  findOneAndUpdate: jest.fn(({ user_id, address }, { $set }) => ({
+    lean: () => mockExec(() => {
+      let b = mockStore.bindings.find((x) => x.user_id === user_id && x.address === address);
+      if (!b) mockStore.bindings.push((b = { user_id, address, bound_at: new Date() }));
+      return Object.assign(b, $set);
+    }),
+  })),
+  find: jest.fn(({ user_id }) => ({ sort: () => ({ lean: () => mockExec(() => mockStore.bindings.filter((b) => b.user_id === user_id)) }) })),
+}));
+jest.mock('../../models/ClaimIntent', () => ({
+  create: jest.fn(async (doc) => {
+    const intent = { _id: mockId(), ...doc };
+    mockStore.intents[intent._id] = intent;
+    return intent;
+  }),
+}));
+jest.mock('../../services/databaseService', () => ({
+  getPatchState: jest.fn(async (uid) => mockStore.states[uid] || null),
+  getRecordByTxid: jest.fn(async (txid) => mockStore.records[txid] || null),
+  createPendingTransfer: jest.fn(async (uid, currentTxid, newOwner, record) => {
+    const pending = { _id: mockId(), uid, currentTxid, newOwner, record };
+    mockStore.pending.push(pending);
+    return pending;
+  }),
+  attachJobToPendingTransfer: jest.fn(),
+  statesWithoutPendingTransfer: jest.fn(async (address, limit) => Object.values(mockStore.states)
+    .filter((s) => s.current_owner_address === address && !mockStore.pending.some((p) => p.uid === s.uid_tag_id && p.currentTxid === s.current_txid))
+    .slice(0, limit)),
+}));
+jest.mock('../../services/jobService', () => ({
+  isEnabled: jest.fn(() => true),
+  addTransferJob: jest.fn(async () => 'job-1'),
+  addHandoverJob: jest.fn(async ({ walletId }) => `handover-${walletId}`),
+}));
+
+const crypto = require('crypto');
+const express = require('express');
+const bsv = require('bsv');
+const kms = require('../../services/kmsEmulator');
+const kmsSigner = require('../../services/kmsSigner');
+const challenges = require('../../services/ownerChallengeCacheRedis');
+const BlockchainService = require('../../services/blockchainService');
+const walletBindingService = require('../../services/walletBindingService');
+const custodialWalletService = require('../../services/custodialWalletService');
+const claimIntentService = require('../../services/claimIntentService');
+const jobService = require('../../services/jobService');
+const dbService = require('../../services/databaseService');
+const custodialWalletController = require('../../controllers/custodialWalletController');
+
+const USER = 'shopper@example.com';
+const selfCustody = new bsv.PrivateKey().toAddress().toString();
+
+function fakeRedis() {
+  const data = new Map();
+  return {
+    set: jest.fn(async (key, value, ex, ttl, nx) => {
+      if (nx === 'NX' && data.has(key)) return null;
+      data.set(key, value);
+      return 'OK';
+    }),
+    get: jest.fn(async (key) => (data.has(key) ? data.get(key) : null)),
+    del: jest.fn(async (key) => (data.delete(key) ? 1 : 0)),
+  };
+}
+
+function mockRes() {
+  const res = { statusCode: 200 };
+  res.status = jest.fn((c) => { res.statusCode = c; return res; });
+  res.json = jest.fn((b) => { res.body = b; return res; });
+  return res;
+}
+
+async function call(method, body = {}, userId = USER) {
+  const res = mockRes();
+  const next = jest.fn();
+  await custodialWalletController[method]({ auth: { userId, svd: false }, params: {}, query: {}, body }, res, next);
+  if (next.mock.calls.length) throw next.mock.calls[0][0];
+  return res;
+}
+
+const verifies = (message, signature, pubkey) => BlockchainService.verifySignature(BlockchainService.computeSha256(message), signature, pubkey);
+
+function holdBy(uid, address) {
+  const txid = crypto.randomBytes(32).toString('hex');
+  mockStore.states[uid] = { uid_tag_id: uid, current_txid: txid, current_owner_address: address, status: 'active' };
+  mockStore.records[txid] = {
+    type: 'AUTHENTICATION_RECORD',
+    product: { uid_tag_id: uid },
+    metadata: {},
+    auth: { owner: address, issuer_signature: 'aa', issuer_pubkey: '02'.padEnd(66, '1'), ts: 1700000000000 },
+  };
+}
+
+describe('custodial wallets', () => {
+  const ORIGINAL_ENV = { ...process.env };
+  let server;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/', require('../../routes/kmsEmulator.route'));
+    server = app.listen(0, '127.0.0.1');
+    await new Promise((r) => server.once('listening', r));
+  });
+
+  afterAll(async () => {
+    process.env = ORIGINAL_ENV;
+    await new Promise((r) => server.close(r));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Object.assign(mockStore, { wallets: [], bindings: [], states: {}, records: {}, intents: {}, pending: [] });
+    process.env = { ...ORIGINAL_ENV, KMS_SIGN_URL: `http://127.0.0.1:${server.address().port}`, KMS_SIGN_RETRY_ATTEMPTS: '1', CUSTODIAL_WALLETS_ENABLED: 'true' };
+    delete process.env.KMS_API_KEY;
+    kms.load({ keys: [{ keyIdentifier: 'funding', path: "m/0'/0" }] });
+    kmsSigner.initialize();
+    challenges.redisClient = fakeRedis();
+    challenges.isReady = true;
+  });
+
+  test('the KMS creates keys idempotently and never over configured ones', async () => {
+    const first = await kmsSigner.createKey({ keyIdentifier: 'custodial-abc' });
+    expect(await kmsSigner.createKey({ keyIdentifier: 'custodial-abc' })).toEqual(first);
+    kms.load({ keys: [{ keyIdentifier: 'funding', path: "m/0'/0" }] }); // restart: same master, same key
+    expect((await kmsSigner.createKey({ keyIdentifier: 'custodial-abc' })).pubKeyHex).toBe(first.pubKeyHex);
+    await expect(kmsSigner.createKey({ keyIdentifier: 'funding' })).rejects.toThrow();
+    expect(kms.getAudit({ keyIdentifier: 'custodial-abc' })[0]).toMatchObject({ op: 'create-key', outcome: 'ok' });
+  });
+
+  test('provisions one wallet per user and binds its address', async () => {
+    process.env.CUSTODIAL_WALLETS_ENABLED = 'false';
+    expect((await call('createWallet')).statusCode).toBe(403);
+    process.env.CUSTODIAL_WALLETS_ENABLED = 'true';
+
+    const res = await call('createWallet');
+    expect(res.statusCode).toBe(201);
+    const keyIdentifier = custodialWalletService.keyIdentifierFor(USER);
+    expect(keyIdentifier).not.toContain('example.com');
+    expect(res.body).toEqual(expect.objectContaining({ address: kms.describeKey(keyIdentifier).address, status: 'active', handover_address: null }));
+
+    const [binding] = mockStore.bindings;
+    expect(binding).toMatchObject({ user_id: USER, address: res.body.address, pubkey: res.body.pubkey, signature: expect.stringMatching(/^30/) });
+    expect(await walletBindingService.listWallets(USER)).toHaveLength(1);
+
+    expect((await call('createWallet')).statusCode).toBe(200);
+    expect(mockStore.wallets).toHaveLength(1);
+    expect((await call('getWallet')).body.address).toBe(res.body.address);
+    expect((await call('getWallet', {}, 'someone-else')).statusCode).toBe(404);
+  });
+
+  test('signs POS claim intents and transfers for the user', async () => {
+    const { body: wallet } = await call('createWallet');
+    holdBy('uid-shelf', new bsv.PrivateKey().toAddress().toString());
+
+    const intent = await call('createClaimIntent', { uid: 'uid-shelf' });
+    expect(intent.statusCode).toBe(201);
+    const stored = mockStore.intents[intent.body.id];
+    expect(stored.customer).toEqual({ address: wallet.address, userId: USER, pubKey: wallet.pubkey });
+    expect(verifies(claimIntentService.claimMessage('uid-shelf', wallet.address, stored.ts, stored.nonce), stored.signature, wallet.pubkey)).toBe(true);
+
+    // Once the claim lands, the user can move the patch without a key of their own
+    expect((await call('transfer', { uid_tag_id: 'uid-shelf', newOwnerAddress: selfCustody })).statusCode).toBe(403);
+    holdBy('uid-shelf', wallet.address);
+    const res = await call('transfer', { uid_tag_id: 'uid-shelf', newOwnerAddress: selfCustody });
+    expect(res.statusCode).toBe(202);
+    const { auth } = mockStore.pending[0].record;
+    expect(auth).toMatchObject({ owner: selfCustody, current_owner_pubkey: wallet.pubkey });
+    const signed = { purpose: 'transfer_ownership', uid_tag_id: 'uid-shelf', currentTxid: mockStore.states['uid-shelf'].current_txid, newOwnerAddress: selfCustody, nonce: auth.challenge_nonce, expires_at: auth.challenge_expires_at };
+    expect(verifies(signed, auth.current_owner_signature, wallet.pubkey)).toBe(true);
+  });
+
+  test('queues a handover that transfers every held patch to a self-custody address and stops signing', async () => {
+    const { body: wallet } = await call('createWallet');
+    holdBy('uid-a', wallet.address);
+    holdBy('uid-b', wallet.address);
+    holdBy('uid-c', wallet.address);
+    mockStore.states['uid-c'].status = 'stolen';
+
+    expect((await call('handover', { address: wallet.address })).statusCode).toBe(400);
+    jobService.isEnabled.mockReturnValueOnce(false);
+    expect((await call('handover', { address: selfCustody })).statusCode).toBe(503);
+    expect(mockStore.wallets[0].status).toBe('active');
+
+    const res = await call('handover', { address: selfCustody });
+    expect(res.statusCode).toBe(202);
+    expect(res.body).toMatchObject({ status: 'handed_over', handover_address: selfCustody, jobId: `handover-${mockStore.wallets[0]._id}` });
+    expect(jobService.addHandoverJob).toHaveBeenCalledWith({ userId: USER, walletId: mockStore.wallets[0]._id });
+    expect(mockStore.pending).toHaveLength(0); // nothing is transferred in the request
+
+    // The worker's 'handover' job
+    const handedOver = await custodialWalletService.getWallet(USER);
+    expect(await custodialWalletService.transferHeld(handedOver)).toEqual([
+      expect.objectContaining({ uid_tag_id: 'uid-a', queued: true }),
+      expect.objectContaining({ uid_tag_id: 'uid-b', queued: true }),
+      expect.objectContaining({ uid_tag_id: 'uid-c', queued: false, error: expect.stringContaining('stolen') }),
+    ]);
+    expect(mockStore.pending.map((p) => p.newOwner)).toEqual([selfCustody, selfCustody]);
+    const { auth } = mockStore.pending[0].record;
+    const signed = { purpose: 'transfer_ownership', uid_tag_id: 'uid-a', currentTxid: mockStore.states['uid-a'].current_txid, newOwnerAddress: selfCustody, nonce: auth.challenge_nonce, expires_at: auth.challenge_expires_at };
+    expect(verifies(signed, auth.current_owner_signature, wallet.pubkey)).toBe(true);
+
+    await expect(call('createClaimIntent', { uid: 'uid-a' })).rejects.toThrow(`handed over to ${selfCustody}`);
+    await expect(call('handover', { address: new bsv.PrivateKey().toAddress().toString() })).rejects.toThrow('handed over');
+    // Resuming retries what is still held; patches whose transfer is pending are left out of the batch query
+    mockStore.states['uid-c'].status = 'active';
+    expect((await call('handover', { address: selfCustody })).statusCode).toBe(202);
+    expect(await custodialWalletService.transferHeld(handedOver)).toEqual([expect.objectContaining({ uid_tag_id: 'uid-c', queued: true })]);
+    expect(dbService.statesWithoutPendingTransfer).toHaveBeenLastCalledWith(wallet.address, 100);
+    expect(mockStore.pending.map((p) => p.uid)).toEqual(['uid-a', 'uid-b', 'uid-c']);
+  });
+
+  test('claims, transfers and handovers are refused while custodial wallets are disabled', async () => {
+    const { body: wallet } = await call('createWallet');
+    holdBy('uid-off', wallet.address);
+    process.env.CUSTODIAL_WALLETS_ENABLED = 'false';
+
+    for (const [method, body] of [['createClaimIntent', { uid: 'uid-off' }], ['transfer', { uid_tag_id: 'uid-off', newOwnerAddress: selfCustody }], ['handover', { address: selfCustody }]]) {
+      expect(await call(method, body)).toMatchObject({ statusCode: 403, body: { error: { message: 'Custodial wallets are not enabled' } } });
+    }
+    expect(mockStore.intents).toEqual({});
+    expect(mockStore.pending).toHaveLength(0);
+    expect(mockStore.wallets[0].status).toBe('active');
+    expect(jobService.addHandoverJob).not.toHaveBeenCalled();
+    expect((await call('getWallet')).body.address).toBe(wallet.address);
+  });
+
+  test('a wallet that was not handed over transfers nothing on its own', async () => {
+    await call('createWallet');
+    await expect(custodialWalletService.transferHeld(await custodialWalletService.getWallet(USER))).rejects.toThrow('not been handed over');
+  });
+});
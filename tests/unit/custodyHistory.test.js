@@ -0,0 +1,121 @@
+/*
+Unit tests for services/custodyHistoryService.js
+Covers: ordering and event mapping (registration/transfer/POS claim), cursor pagination,
+POS approver fallback to ClaimIntent, and gap/fork/head integrity flags.
+*/
+
+// Minimal in-memory stand-in for the mongoose query chain used by the service.
+function mockFakeModel(getRows) {
+  const matches = (row, filter) => Object.entries(filter).every(([k, v]) => {
+    if (k === '$or') return v.some((f) => matches(row, f));
+    const val = row[k];
+    if (v && typeof v === 'object' && !(v instanceof Date)) {
+      if ('$gt' in v) return val instanceof Date ? val > v.$gt : String(val) > String(v.$gt);
+      if ('$in' in v) return v.$in.includes(val);
+    }
+    if (v instanceof Date) return val.getTime() === v.getTime();
+    return val === v;
+  });
+  const query = (rows) => {
+    let out = rows;
+    const q = {
+      sort: () => { out = [...out].sort((a, b) => (a.created_at - b.created_at) || String(a._id).localeCompare(String(b._id))); return q; },
+      limit: (n) => { out = out.slice(0, n); return q; },
+      lean: () => q,
+      exec: async () => out,
+    };
+    return q;
+  };
+  return {
+    find: jest.fn((filter) => query(getRows().filter((r) => matches(r, filter)))),
+    findOne: jest.fn((filter) => ({ lean: () => ({ exec: async () => getRows().find((r) => matches(r, filter)) || null }) })),
+  };
+}
+
+let mockRecords = [];
+let mockIntents = [];
+let mockStates = [];
+jest.mock('../../models/AuthenticationRecord', () => mockFakeModel(() => mockRecords));
+jest.mock('../../models/ClaimIntent', () => mockFakeModel(() => mockIntents));
+jest.mock('../../models/PatchState', () => mockFakeModel(() => mockStates));
+
+const custodyHistoryService = require('../../services/custodyHistoryService');
+
+const UID = 'uid-history-1';
+const oid = (n) => n.toString(16).padStart(24, '0');
+const tx = (c) => c.repeat(64);
+
+function rec(n, type, txid, previous_txid, auth = {}) {
+  return {
+    _id: oid(n),
+    uid_tag_id: UID,
+    status: 'confirmed',
+    type,
+    txid,
+    previous_txid,
+    block_height: n * 10,
+    created_at: new Date(1700000000000 + n * 1000),
+    record_data: { product: { uid_tag_id: UID }, auth: { owner: `owner-${n}`, ts: 1700000000000 + n, ...auth } },
+  };
+}
+
+describe('custodyHistoryService', () => {
+  beforeEach(() => {
+    mockRecords = [
+      rec(1, 'REGISTRATION', tx('a'), undefined),
+      rec(2, 'TRANSFER', tx('b'), tx('a')),
+      rec(3, 'TRANSFER', tx('c'), tx('b'), { previous_owner: 'owner-2', pos_approved_by: 'store-7' }),
+      rec(4, 'TRANSFER', tx('d'), tx('c')),
+      { ...rec(5, 'TRANSFER', tx('e'), tx('d')), status: 'failed' },
+    ];
+    mockIntents = [{ transfer_pending_id: oid(4), approvedBy: 'clerk-legacy' }];
+    mockStates = [{ uid_tag_id: UID, current_txid: tx('d') }];
+  });
+
+  test('returns the custody chain in order with owners, approvals and a clean integrity report', async () => {
+    const h = await custodyHistoryService.getHistory(UID);
+
+    expect(h.total).toBe(4);
+    expect(h.next_cursor).toBeNull();
+    expect(h.items.map((i) => i.event)).toEqual(['registration', 'transfer', 'pos_claim', 'pos_claim']);
+    expect(h.items[1]).toMatchObject({ owner_address: 'owner-2', previous_owner_address: 'owner-1', txid: tx('b'), previous_txid: tx('a'), block_height: 20 });
+    expect(h.items[2].pos_approved_by).toBe('store-7');
+    // Legacy POS transfer without pos_approved_by on the record falls back to the claim intent
+    expect(h.items[3].pos_approved_by).toBe('clerk-legacy');
+    expect(h.integrity).toMatchObject({ ok: true, gaps: [], forks: [], head_txid: tx('d'), head_matches_state: true });
+  });
+
+  test('paginates with an opaque cursor', async () => {
+    const first = await custodyHistoryService.getHistory(UID, { limit: 3 });
+    expect(first.items.map((i) => i.txid)).toEqual([tx('a'), tx('b'), tx('c')]);
+    expect(first.next_cursor).toEqual(expect.any(String));
+
+    const second = await custodyHistoryService.getHistory(UID, { limit: 3, cursor: first.next_cursor });
+    expect(second.items.map((i) => i.txid)).toEqual([tx('d')]);
+    expect(second.next_cursor).toBeNull();
+  });
+
+  test('rejects malformed cursors', async () => {
+    await expect(custodyHistoryService.getHistory(UID, { cursor: 'not-a-cursor' })).rejects.toMatchObject({ code: 'BAD_CURSOR' });
+  });
+
+  test('flags forks, gaps and a stale head', async () => {
+    mockRecords.push(rec(6, 'TRANSFER', tx('f'), tx('c'))); // second child of c
+    mockRecords.push(rec(7, 'TRANSFER', tx('9'), tx('8'))); // links to an unknown state
+    const h = await custodyHistoryService.getHistory(UID);
+
+    expect(h.integrity.ok).toBe(false);
+    expect(h.integrity.forks).toEqual([{ previous_txid: tx('c'), txids: [tx('d'), tx('f')] }]);
+    expect(h.integrity.gaps).toEqual([{ txid: tx('9'), missing_previous_txid: tx('8') }]);
+    expect(h.integrity.head_matches_state).toBe(false);
+    const byTxid = Object.fromEntries(h.items.map((i) => [i.txid, i]));
+    expect(byTxid[tx('d')].fork).toBe(true);
+    expect(byTxid[tx('f')].fork).toBe(true);
+    expect(byTxid[tx('9')].gap).toBe(true);
+    expect(byTxid[tx('b')]).toMatchObject({ fork: false, gap: false });
+  });
+
+  test('returns null for unknown patches', async () => {
+    await expect(custodyHistoryService.getHistory('unknown-uid')).resolves.toBeNull();
+  });
+});
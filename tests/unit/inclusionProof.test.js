@@ -0,0 +1,155 @@
+/*
+Unit tests for services/inclusionProofService.js and PatchProofVerifier.verifyInclusionProof
+Covers: positioned Merkle proofs for every leaf of an odd-sized batch, leaf preimage without the anchor fields,
+envelope v1 (canonical JSON) batches, legacy batches without an AnchorBatch document, and detection of tampered
+leaves, paths and anchor transactions.
+*/
+
+let mockRecords = [];
+let mockBatch = null;
+jest.mock('../../models/AuthenticationRecord', () => {
+  const chain = (get) => ({ sort: () => chain(get), lean: () => chain(get), exec: async () => get() });
+  return {
+    findById: jest.fn((id) => chain(() => mockRecords.find((r) => r._id === id) || null)),
+    find: jest.fn((filter) => chain(() => mockRecords.filter((r) => r.record_data.auth.anchorTxid === filter['record_data.auth.anchorTxid']))),
+  };
+});
+jest.mock('../../models/AnchorBatch', () => ({
+  findById: jest.fn(() => ({ lean: () => ({ exec: async () => mockBatch }) })),
+}));
+jest.mock('../../services/chainDataService', () => ({ getRawTransaction: jest.fn() }));
+
+const bsv = require('bsv');
+const chainData = require('../../services/chainDataService');
+const inclusionProofs = require('../../services/inclusionProofService');
+const { computeSha256, computeMerkleRoot, computeMerklePath, leafHash } = require('../../services/batchAnchorService');
+const envelope = require('../../services/recordEnvelope');
+const { verifyInclusionProof } = require('../../public/verifier/patchproof-verifier');
+
+const key = new bsv.PrivateKey();
+
+function anchorHex(chunks) {
+  return new bsv.Transaction()
+    .from({ txid: 'a'.repeat(64), vout: 0, satoshis: 5000, script: bsv.Script.buildPublicKeyHashOut(key.toAddress()).toHex() })
+    .addOutput(new bsv.Transaction.Output({ script: bsv.Script.buildSafeDataOut(chunks), satoshis: 0 }))
+    .change(key.toAddress())
+    .sign(key)
+    .serialize();
+}
+
+// Anchor `n` records the way batchAnchorService does: leaves over the stored JSON, anchor fields written back after.
+// `canonical` mirrors envelope v1 batches; the default is a batch anchored before it.
+function anchorBatch(n, { persisted = true, canonical = false } = {}) {
+  const records = Array.from({ length: n }, (_, i) => ({
+    _id: `rec${i}`,
+    uid_tag_id: `uid-${i}`,
+    status: 'confirmed',
+    batch_id: persisted ? 'batch1' : null,
+    record_data: {
+      type: 'AUTHENTICATION_RECORD',
+      product: { uid_tag_id: `uid-${i}` },
+      metadata: {},
+      auth: { owner: null, issuer_signature: `sig${i}`, issuer_pubkey: 'pub', ts: 1700000000000 + i },
+    },
+  }));
+  const leaves = records.map((r) => (canonical ? leafHash(r.record_data) : computeSha256(r.record_data)));
+  const root = computeMerkleRoot(leaves);
+  const rawTx = anchorHex(canonical ? envelope.encode('batch', root) : [Buffer.from('PatchProofBatch'), root]);
+  const txid = new bsv.Transaction(rawTx).id;
+  records.forEach((r, i) => Object.assign(r.record_data.auth, {
+    merkleRoot: root.toString('hex'),
+    merklePath: computeMerklePath(i, leaves).map((b) => b.toString('hex')),
+    anchorTxid: txid,
+  }));
+  mockRecords = records;
+  mockBatch = persisted
+    ? { _id: 'batch1', merkle_root: root.toString('hex'), ...(canonical && { leaf_encoding: 'canonical-json' }), members: records.map((r, i) => ({ record_id: r._id, leaf_hash: leaves[i].toString('hex') })) }
+    : null;
+  return { records, root: root.toString('hex'), rawTx, txid };
+}
+
+describe('inclusion proofs', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('every leaf of an odd-sized batch gets a positioned proof that folds to the anchored root', async () => {
+    const { root, rawTx, txid } = anchorBatch(5);
+    for (let i = 0; i < 5; i++) {
+      const proof = await inclusionProofs.getProof(`rec${i}`);
+      expect(proof).toMatchObject({
+        format: 'patchproof-inclusion-proof',
+        version: 1,
+        uid_tag_id: `uid-${i}`,
+        tree: { alg: 'sha256', size: 5, index: i, odd_node: 'duplicate' },
+        merkle_root: root,
+        anchor: { txid, tag: 'PatchProofBatch', batch_id: 'batch1' },
+      });
+      expect(JSON.parse(proof.leaf.data).auth).not.toHaveProperty('merklePath');
+      expect(proof.path.map((s) => s.hash)).toEqual(mockRecords[i].record_data.auth.merklePath);
+      expect(verifyInclusionProof(JSON.parse(JSON.stringify(proof)), rawTx)).toEqual({
+        valid: true, leafMatches: true, root, rootMatches: true, anchored: true, errors: [],
+      });
+    }
+    const last = await inclusionProofs.getProof('rec4');
+    expect(last.path.map((s) => s.position)).toEqual(['right', 'right', 'left']);
+    expect(last.path[0].hash).toBe(last.leaf.hash); // odd node paired with itself
+
+    chainData.getRawTransaction.mockResolvedValue(rawTx);
+    await expect(inclusionProofs.verifyProof(last)).resolves.toMatchObject({ valid: true });
+    expect(chainData.getRawTransaction).toHaveBeenCalledWith(txid);
+  });
+
+  test('envelope v1 batches prove canonical JSON leaves against the batch envelope', async () => {
+    const { rawTx } = anchorBatch(3, { canonical: true });
+    const proof = await inclusionProofs.getProof('rec2');
+    expect(proof.leaf).toMatchObject({ encoding: 'canonical-json', data: envelope.canonicalJson(JSON.parse(proof.leaf.data)) });
+    expect(proof.anchor.tag).toBe('PatchProof');
+    expect(verifyInclusionProof(proof, rawTx)).toMatchObject({ valid: true, anchored: true });
+  });
+
+  test('rebuilds legacy batches from the records sharing the anchor tx', async () => {
+    const { rawTx } = anchorBatch(3, { persisted: false });
+    const proof = await inclusionProofs.getProof('rec1');
+    expect(proof.tree).toMatchObject({ size: 3, index: 1 });
+    expect(proof.anchor.batch_id).toBeNull();
+    expect(verifyInclusionProof(proof, rawTx).valid).toBe(true);
+
+    mockRecords.pop(); // a batch member went missing: the root can no longer be reproduced
+    await expect(inclusionProofs.getProof('rec1')).rejects.toThrow(/does not reproduce/);
+  });
+
+  test('refuses records that are unknown, not batch-anchored or altered since anchoring', async () => {
+    anchorBatch(2);
+    await expect(inclusionProofs.getProof('nope')).rejects.toMatchObject({ statusCode: 404 });
+
+    mockRecords.push({ _id: 'single', status: 'confirmed', txid: 'c'.repeat(64), record_data: { auth: { issuer_signature: 's' } } });
+    await expect(inclusionProofs.getProof('single')).rejects.toMatchObject({ statusCode: 404, message: 'Record is not batch-anchored' });
+
+    mockRecords[0].record_data.auth.owner = key.toAddress().toString();
+    await expect(inclusionProofs.getProof('rec0')).rejects.toMatchObject({ name: 'DataInconsistencyError' });
+  });
+
+  test('the verifier rejects tampered leaves, paths and anchor transactions', async () => {
+    const { rawTx } = anchorBatch(4);
+    const proof = await inclusionProofs.getProof('rec2');
+    const copy = () => JSON.parse(JSON.stringify(proof));
+
+    const leaf = copy();
+    leaf.leaf.data = leaf.leaf.data.replace('uid-2', 'uid-9');
+    expect(verifyInclusionProof(leaf, rawTx)).toMatchObject({ valid: false, leafMatches: false, rootMatches: true });
+
+    const flipped = copy();
+    flipped.path[0].position = 'left';
+    expect(verifyInclusionProof(flipped, rawTx).errors).toEqual(expect.arrayContaining([
+      'path does not match the leaf index and tree size', 'path does not fold to the Merkle root',
+    ]));
+
+    const otherTx = anchorHex([Buffer.from('PatchProofBatch'), Buffer.alloc(32, 1)]);
+    const wrongAnchor = copy();
+    wrongAnchor.anchor.txid = new bsv.Transaction(otherTx).id;
+    expect(verifyInclusionProof(wrongAnchor, otherTx)).toMatchObject({ valid: false, anchored: false, errors: ['anchor transaction does not commit to the Merkle root'] });
+    expect(verifyInclusionProof(proof, otherTx).errors).toContain('raw transaction does not hash to the anchor txid');
+    expect(verifyInclusionProof(proof).errors).toEqual(['anchor transaction not provided']);
+  });
+});
@@ -0,0 +1,91 @@
+/*
+Unit tests for services/issuerKeyService.js
+Covers: legacy mode with an empty registry, KMS-probed registration and rotation, signing key selection,
+and trust decisions for unknown, revoked and out-of-window keys.
+*/
+
+let mockKeys = [];
+jest.mock('../../models/IssuerKey', () => {
+  const matches = (row, filter) => Object.entries(filter).every(([k, v]) => (k === '$or' ? v.some((f) => matches(row, f)) : row[k] === v));
+  const chain = (get) => ({ sort: () => chain(get), lean: () => chain(get), exec: async () => get() });
+  return {
+    find: jest.fn(() => chain(() => [...mockKeys].sort((a, b) => a.valid_from - b.valid_from))),
+    findOne: jest.fn((filter) => chain(() => mockKeys.find((r) => matches(r, filter)) || null)),
+    updateMany: jest.fn((filter, { $set }) => chain(() => { mockKeys.filter((r) => matches(r, filter)).forEach((r) => Object.assign(r, $set)); })),
+    findOneAndUpdate: jest.fn((filter, { $set }) => chain(() => {
+      const row = mockKeys.find((r) => matches(r, filter));
+      return row ? Object.assign(row, $set) : null;
+    })),
+    create: jest.fn(async (doc) => { mockKeys.push({ ...doc }); return { ...doc }; }),
+  };
+});
+jest.mock('../../services/kmsSigner', () => ({ isReady: true, signBatch: jest.fn() }));
+
+const bsv = require('bsv');
+const kmsSigner = require('../../services/kmsSigner');
+const issuerKeys = require('../../services/issuerKeyService');
+
+const kmsKeys = { 'issuer-2024': new bsv.PrivateKey(), 'issuer-2025': new bsv.PrivateKey() };
+const pub = (id) => kmsKeys[id].publicKey.toString();
+
+describe('issuerKeyService', () => {
+  const ORIGINAL_ENV = { ...process.env };
+
+  beforeEach(() => {
+    mockKeys = [];
+    issuerKeys.invalidate();
+    kmsSigner.isReady = true;
+    process.env = { ...ORIGINAL_ENV, ISSUER_KEY_IDENTIFIER: 'legacy-issuer' };
+    kmsSigner.signBatch.mockImplementation(async (requests) => requests.map((r) => {
+      const priv = kmsKeys[r.keyIdentifier];
+      if (!priv) throw new Error(`unknown key ${r.keyIdentifier}`);
+      return { signatureHex: bsv.crypto.ECDSA.sign(Buffer.from(r.sighash, 'hex'), priv, 'little').toDER().toString('hex'), pubKeyHex: priv.publicKey.toString() };
+    }));
+  });
+
+  afterAll(() => {
+    process.env = ORIGINAL_ENV;
+  });
+
+  test('falls back to ISSUER_KEY_IDENTIFIER and embedded pubkeys while the registry is empty', async () => {
+    await expect(issuerKeys.getSigningKey()).resolves.toEqual({ keyIdentifier: 'legacy-issuer', pubkey: null, registered: false });
+    await expect(issuerKeys.checkSigner(pub('issuer-2024'), Date.now())).resolves.toMatchObject({ trusted: true, reason: 'registry_empty' });
+  });
+
+  test('registers keys with the public key proven by a KMS probe', async () => {
+    const key = await issuerKeys.registerKey({ keyIdentifier: 'issuer-2024', validFrom: '2024-01-01T00:00:00Z' });
+    expect(key).toMatchObject({ key_id: 'issuer-2024', pubkey: pub('issuer-2024'), status: 'active', valid_until: null });
+
+    await expect(issuerKeys.registerKey({ keyIdentifier: 'issuer-2025', pubkeyHex: pub('issuer-2024') })).rejects.toMatchObject({ statusCode: 409 });
+    await expect(issuerKeys.registerKey({ keyIdentifier: 'issuer-2024' })).rejects.toThrow(/already registered/);
+
+    kmsSigner.isReady = false;
+    await expect(issuerKeys.registerKey({ keyIdentifier: 'issuer-2025' })).rejects.toMatchObject({ statusCode: 503 });
+  });
+
+  test('rotation retires the previous key at the new key\'s start; both keep verifying inside their windows', async () => {
+    await issuerKeys.registerKey({ keyIdentifier: 'issuer-2024', validFrom: '2024-01-01T00:00:00Z' });
+    await issuerKeys.registerKey({ keyIdentifier: 'issuer-2025', validFrom: '2025-01-01T00:00:00Z' });
+
+    expect(mockKeys[0]).toMatchObject({ status: 'retired', valid_until: new Date('2025-01-01T00:00:00Z') });
+    await expect(issuerKeys.getSigningKey(new Date('2025-06-01'))).resolves.toEqual({ keyIdentifier: 'issuer-2025', pubkey: pub('issuer-2025'), registered: true });
+
+    const t2024 = Date.parse('2024-06-01');
+    const t2025 = Date.parse('2025-06-01');
+    await expect(issuerKeys.checkSigner(pub('issuer-2024'), t2024)).resolves.toEqual({ trusted: true, reason: null, keyIdentifier: 'issuer-2024', status: 'retired' });
+    await expect(issuerKeys.checkSigner(pub('issuer-2024'), t2025)).resolves.toMatchObject({ trusted: false, reason: 'outside_validity' });
+    await expect(issuerKeys.checkSigner(pub('issuer-2025'), t2024)).resolves.toMatchObject({ trusted: false, reason: 'outside_validity' });
+    await expect(issuerKeys.checkSigner(pub('issuer-2025'), t2025)).resolves.toMatchObject({ trusted: true, status: 'active' });
+    await expect(issuerKeys.checkSigner(new bsv.PrivateKey().publicKey.toString(), t2025)).resolves.toMatchObject({ trusted: false, reason: 'unknown_key' });
+  });
+
+  test('revocation distrusts every record of the key and blocks signing until a new key is active', async () => {
+    await issuerKeys.registerKey({ keyIdentifier: 'issuer-2024', validFrom: '2024-01-01T00:00:00Z' });
+    await issuerKeys.revokeKey('issuer-2024', { reason: 'compromised' });
+
+    await expect(issuerKeys.checkSigner(pub('issuer-2024'), Date.parse('2024-06-01'))).resolves.toMatchObject({ trusted: false, reason: 'revoked' });
+    await expect(issuerKeys.getSigningKey()).rejects.toMatchObject({ statusCode: 503 });
+    await expect(issuerKeys.revokeKey('nope')).rejects.toMatchObject({ statusCode: 404 });
+    expect(mockKeys[0]).toMatchObject({ revocation_reason: 'compromised', revoked_at: expect.any(Date) });
+  });
+});
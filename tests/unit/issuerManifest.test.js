@@ -0,0 +1,141 @@
+/*
+Unit tests for services/issuerManifestService.js and PatchProofVerifier.verifyIssuerManifest
+Covers: root-signed manifest from the issuer key registry, pinning and tamper detection in the offline verifier,
+re-signing only on registry changes, root key pinning on the server, and on-chain anchoring of the key set in the
+record envelope, checked by the offline verifier against the anchor transaction.
+*/
+
+let mockSetting = null;
+jest.mock('../../models/Settings', () => ({
+  findOne: jest.fn(() => ({ lean: () => ({ exec: async () => mockSetting }) })),
+  updateOne: jest.fn((filter, { $set }) => ({ exec: async () => { mockSetting = { key: filter.key, value: $set.value }; } })),
+}));
+jest.mock('../../services/kmsSigner', () => ({ isReady: true, signBatch: jest.fn() }));
+jest.mock('../../services/issuerKeyService', () => ({ listKeys: jest.fn() }));
+
+const crypto = require('crypto');
+const bsv = require('bsv');
+const kmsSigner = require('../../services/kmsSigner');
+const issuerKeyService = require('../../services/issuerKeyService');
+const BlockchainService = require('../../services/blockchainService');
+const issuerManifest = require('../../services/issuerManifestService');
+const { verifyIssuerManifest } = require('../../public/verifier/patchproof-verifier');
+
+const rootKey = new bsv.PrivateKey();
+const ROOT = rootKey.publicKey.toString();
+const issuerA = new bsv.PrivateKey().publicKey.toString();
+const issuerB = new bsv.PrivateKey().publicKey.toString();
+
+const registry = () => [
+  { _id: 'x1', key_id: 'issuer-2024', pubkey: issuerA, status: 'retired', valid_from: new Date('2024-01-01'), valid_until: new Date('2025-01-01'), revoked_at: null, revocation_reason: null },
+  { _id: 'x2', key_id: 'issuer-2025', pubkey: issuerB, status: 'active', valid_from: new Date('2025-01-01'), valid_until: null, revoked_at: null, revocation_reason: null },
+];
+
+describe('issuer manifest', () => {
+  const ORIGINAL_ENV = { ...process.env };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockSetting = null;
+    issuerManifest.invalidate();
+    process.env = { ...ORIGINAL_ENV, ISSUER_ROOT_KEY_IDENTIFIER: 'issuer-root', ISSUER_NAME: 'PatchProof Test' };
+    delete process.env.ISSUER_ROOT_PUBKEY;
+    delete process.env.ISSUER_MANIFEST_ANCHOR;
+    issuerKeyService.listKeys.mockResolvedValue(registry());
+    kmsSigner.signBatch.mockImplementation(async ([r]) => [{
+      signatureHex: bsv.crypto.ECDSA.sign(Buffer.from(r.sighash, 'hex'), rootKey, 'little').toDER().toString('hex'),
+      pubKeyHex: ROOT,
+    }]);
+  });
+
+  afterAll(() => {
+    process.env = ORIGINAL_ENV;
+  });
+
+  test('publishes a root-signed key list that verifies offline against the pinned root key', async () => {
+    const manifest = await issuerManifest.getManifest();
+    expect(manifest).toMatchObject({ format: 'patchproof-issuers', version: 1, issuer: 'PatchProof Test', anchor: null });
+    expect(manifest.keys[0]).toEqual({
+      key_id: 'issuer-2024', pubkey: issuerA, status: 'retired', valid_from: '2024-01-01T00:00:00.000Z',
+      valid_until: '2025-01-01T00:00:00.000Z', revoked_at: null, revocation_reason: null,
+    });
+    expect(kmsSigner.signBatch).toHaveBeenCalledWith([expect.objectContaining({ keyIdentifier: 'issuer-root' })]);
+
+    // Round-trip through JSON as a verifier would receive it
+    const published = JSON.parse(JSON.stringify(manifest));
+    expect(verifyIssuerManifest(published, { rootPubkey: ROOT })).toMatchObject({ valid: true, errors: [] });
+    expect(verifyIssuerManifest(published, {}).errors).toContain('no root public key pinned');
+    expect(verifyIssuerManifest(published, { rootPubkey: issuerA }).errors).toContain('manifest is not signed by the pinned root key');
+
+    const tampered = JSON.parse(JSON.stringify(manifest));
+    tampered.keys[0].valid_until = null;
+    expect(verifyIssuerManifest(tampered, { rootPubkey: ROOT }).errors).toEqual(
+      expect.arrayContaining(['manifest signature invalid', 'keys_sha256 does not match the key list'])
+    );
+  });
+
+  test('re-signs only when the registry changes', async () => {
+    const first = await issuerManifest.getManifest();
+    expect(await issuerManifest.getManifest()).toBe(first);
+    expect(kmsSigner.signBatch).toHaveBeenCalledTimes(1);
+
+    const revoked = registry();
+    Object.assign(revoked[0], { status: 'revoked', revoked_at: new Date('2025-03-01'), revocation_reason: 'compromised' });
+    issuerKeyService.listKeys.mockResolvedValue(revoked);
+    const second = await issuerManifest.getManifest();
+    expect(kmsSigner.signBatch).toHaveBeenCalledTimes(2);
+    expect(second.keys[0]).toMatchObject({ status: 'revoked', revocation_reason: 'compromised' });
+    expect(second.keys_sha256).not.toBe(first.keys_sha256);
+  });
+
+  test('is not published without a root key or registered keys, and refuses an unexpected root key', async () => {
+    delete process.env.ISSUER_ROOT_KEY_IDENTIFIER;
+    await expect(issuerManifest.getManifest()).rejects.toMatchObject({ statusCode: 404 });
+
+    process.env.ISSUER_ROOT_KEY_IDENTIFIER = 'issuer-root';
+    issuerKeyService.listKeys.mockResolvedValue([]);
+    await expect(issuerManifest.getManifest()).rejects.toMatchObject({ statusCode: 404 });
+
+    issuerKeyService.listKeys.mockResolvedValue(registry());
+    process.env.ISSUER_ROOT_PUBKEY = issuerA;
+    await expect(issuerManifest.getManifest()).rejects.toMatchObject({ statusCode: 503, message: 'Issuer root key mismatch' });
+  });
+
+  test('anchors each key set once and references the anchor in the signed manifest', async () => {
+    const anchored = {};
+    const fundingKey = new bsv.PrivateKey();
+    const broadcast = jest.spyOn(BlockchainService, 'constructAndBroadcastTx').mockImplementation(async (chunks) => {
+      const tx = new bsv.Transaction()
+        .from({ txid: crypto.randomBytes(32).toString('hex'), vout: 0, satoshis: 10000, script: bsv.Script.buildPublicKeyHashOut(fundingKey.toAddress()).toHex() })
+        .addOutput(new bsv.Transaction.Output({ script: bsv.Script.buildSafeDataOut(chunks), satoshis: 0 }));
+      anchored[tx.hash] = tx.toString();
+      return { success: true, txid: tx.hash };
+    });
+    try {
+      process.env.ISSUER_MANIFEST_ANCHOR = 'true';
+      const [anchor] = await Promise.all([issuerManifest.anchor(), issuerManifest.anchor()]);
+      expect(broadcast).toHaveBeenCalledTimes(1);
+      const [chunks, purpose] = broadcast.mock.calls[0];
+      expect(purpose).toBe('IssuerManifest');
+      expect(chunks.slice(0, 4).map(String)).toEqual(['PatchProof', '1', 'issuers', 'raw']);
+      expect(chunks[4].toString('hex')).toBe(anchor.keys_sha256);
+
+      const manifest = JSON.parse(JSON.stringify(await issuerManifest.getManifest()));
+      expect(manifest.anchor).toEqual({ txid: anchor.txid, keys_sha256: manifest.keys_sha256 });
+      expect(verifyIssuerManifest(manifest, { rootPubkey: ROOT })).toMatchObject({ valid: true, anchorTxid: anchor.txid, anchored: null });
+      const anchorTx = anchored[anchor.txid];
+      expect(verifyIssuerManifest(manifest, { rootPubkey: ROOT, anchorTx })).toMatchObject({ valid: true, anchored: true, errors: [] });
+
+      // An anchor for another key set, or another transaction, does not vouch for this manifest
+      const otherKeys = { ...manifest, keys: manifest.keys.slice(1) };
+      otherKeys.keys_sha256 = BlockchainService.toHashBuf(otherKeys.keys).toString('hex');
+      expect(verifyIssuerManifest(otherKeys, { rootPubkey: ROOT, anchorTx }).errors).toContain('anchor transaction does not commit to keys_sha256');
+      const { txid: otherTxid } = await BlockchainService.constructAndBroadcastTx([Buffer.from('other')], 'Test');
+      expect(verifyIssuerManifest(manifest, { rootPubkey: ROOT, anchorTx: anchored[otherTxid] })).toMatchObject({ valid: false, anchored: false, errors: ['anchor transaction does not hash to anchor.txid'] });
+      await issuerManifest.anchor();
+      expect(broadcast).toHaveBeenCalledTimes(2);
+    } finally {
+      broadcast.mockRestore();
+    }
+  });
+});
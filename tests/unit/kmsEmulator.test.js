@@ -0,0 +1,173 @@
+/*
+Unit tests for the local KMS emulator (services/kmsEmulator.js, routes/kmsEmulator.route.js)
+Covers: the real kmsSigner client signing through it (multiple keys, HD children, script-valid signatures),
+SVD shared-secret agreement with the client side, purpose and rate-limit policies, auth, and the audit log.
+*/
+
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const bsv = require('bsv');
+const kms = require('../../services/kmsEmulator');
+const kmsSigner = require('../../services/kmsSigner');
+
+const ownershipKey = new bsv.PrivateKey();
+const issuerXprv = bsv.HDPrivateKey.fromSeed(crypto.randomBytes(32));
+
+const CONFIG = {
+  svdKeyIdentifier: 'svd-kms',
+  keys: [
+    { keyIdentifier: 'funding', path: "m/0'/0", rateLimit: { max: 5, windowSec: 60 } },
+    { keyIdentifier: 'ownership', wif: ownershipKey.toWIF() },
+    { keyIdentifier: 'issuer', xprv: issuerXprv.toString(), hd: true },
+    { keyIdentifier: 'svd-kms', path: "m/1'/0" },
+  ],
+};
+
+function buildApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/', require('../../routes/kmsEmulator.route'));
+  return app;
+}
+
+const sha256 = (buf) => crypto.createHash('sha256').update(buf).digest();
+
+describe('kmsEmulator', () => {
+  const ORIGINAL_ENV = { ...process.env };
+  let app;
+
+  beforeEach(() => {
+    process.env = { ...ORIGINAL_ENV, KMS_API_KEY: 'test-kms-key', KMS_SIGN_RETRY_ATTEMPTS: '1' };
+    delete process.env.KMS_EMULATOR_AUDIT_FILE;
+    kms.load(CONFIG);
+    app = buildApp();
+  });
+
+  afterAll(() => {
+    process.env = ORIGINAL_ENV;
+  });
+
+  test('kmsSigner signs a multi-key transaction through the emulator', async () => {
+    const server = app.listen(0, '127.0.0.1');
+    await new Promise((r) => server.once('listening', r));
+    try {
+      process.env.KMS_SIGN_URL = `http://127.0.0.1:${server.address().port}`;
+      kmsSigner.initialize();
+
+      const keys = (await request(app).get('/keys').set('Authorization', 'Bearer test-kms-key')).body.keys;
+      const addressOf = (id) => keys.find((k) => k.keyIdentifier === id).address;
+      expect(addressOf('ownership')).toBe(ownershipKey.toAddress().toString());
+
+      const prevouts = [
+        { txid: 'a'.repeat(64), vout: 0, satoshis: 5000, script: bsv.Script.buildPublicKeyHashOut(addressOf('funding')).toHex(), kid: 'funding' },
+        { txid: 'b'.repeat(64), vout: 1, satoshis: 1, script: bsv.Script.buildPublicKeyHashOut(addressOf('ownership')).toHex(), kid: 'ownership' },
+      ];
+      const tx = new bsv.Transaction().from(prevouts).to(addressOf('funding'), 4000);
+      const flags = bsv.crypto.Signature.SIGHASH_ALL | bsv.crypto.Signature.SIGHASH_FORKID;
+      const requests = prevouts.map((p, i) => ({
+        keyIdentifier: p.kid,
+        sighash: bsv.Transaction.Sighash.sighash(tx, flags, i, bsv.Script.fromHex(p.script), new bsv.crypto.BN(p.satoshis)).toString('hex'),
+      }));
+
+      const signatures = await kmsSigner.signBatch(requests);
+      signatures.forEach(({ signatureHex, pubKeyHex }, i) => {
+        const sig = bsv.crypto.Signature.fromDER(Buffer.from(signatureHex, 'hex'));
+        tx.inputs[i].setScript(bsv.Script.buildPublicKeyHashIn(new bsv.PublicKey(pubKeyHex), sig, flags));
+      });
+      const verifyFlags = bsv.Script.Interpreter.SCRIPT_VERIFY_P2SH | bsv.Script.Interpreter.SCRIPT_ENABLE_SIGHASH_FORKID
+        | bsv.Script.Interpreter.SCRIPT_VERIFY_STRICTENC;
+      prevouts.forEach((p, i) => {
+        const ok = bsv.Script.Interpreter().verify(tx.inputs[i].script, bsv.Script.fromHex(p.script), tx, i, verifyFlags, new bsv.crypto.BN(p.satoshis));
+        expect(ok).toBe(true);
+      });
+    } finally {
+      await new Promise((r) => server.close(r));
+    }
+  });
+
+  test('serves unauthenticated requests only without a key and from loopback', async () => {
+    delete process.env.KMS_API_KEY;
+    expect((await request(app).get('/keys')).status).toBe(200); // supertest connects over loopback
+    process.env.KMS_API_KEY = 'test-kms-key';
+    expect((await request(app).get('/keys')).status).toBe(401);
+  });
+
+  test('internal signer signatures verify with BlockchainServiceV2.verifySignature', async () => {
+    const signerKey = new bsv.PrivateKey();
+    let router;
+    jest.isolateModules(() => {
+      process.env.SIGNER_PRIV_WIF = signerKey.toWIF();
+      router = require('../../routes/internalSigner.route');
+    });
+    const signer = express();
+    signer.use(express.json());
+    signer.use('/', router);
+
+    const hash = sha256(Buffer.from('internal signer'));
+    const res = await request(signer).post('/sign').set('x-api-key', 'test-kms-key').send({ requests: [{ sighash: hash.toString('hex') }] });
+    expect(res.status).toBe(200);
+    const [{ signatureHex, pubKeyHex }] = res.body.signatures;
+    expect(pubKeyHex).toBe(signerKey.publicKey.toString());
+    const { v2 } = require('../../services/blockchainService');
+    expect(v2.verifySignature(hash, signatureHex, pubKeyHex)).toBe(true);
+  });
+
+  test('derives HD children of hd-enabled keys only', () => {
+    const hash = sha256(Buffer.from('m'));
+    const [sig] = kms.sign([{ keyIdentifier: 'issuer/0/7', sighash: hash.toString('hex') }]);
+    const child = issuerXprv.deriveChild('m/0/7').privateKey;
+    expect(sig.pubKeyHex).toBe(child.publicKey.toString());
+    expect(bsv.crypto.ECDSA.verify(hash, bsv.crypto.Signature.fromDER(Buffer.from(sig.signatureHex, 'hex')), child.publicKey, 'little')).toBe(true);
+
+    expect(() => kms.sign([{ keyIdentifier: 'funding/1', sighash: hash.toString('hex') }])).toThrow(/does not allow HD derivation/);
+    expect(() => kms.sign([{ keyIdentifier: "issuer/0'", sighash: hash.toString('hex') }])).toThrow(/Invalid derivation path/);
+  });
+
+  test('derives the same SVD secret as the client', async () => {
+    const client = new bsv.PrivateKey();
+    const M = crypto.randomBytes(24);
+    const res = await request(app).post('/svd/derive-secret').set('Authorization', 'Bearer test-kms-key')
+      .send({ Mhex: M.toString('hex'), pmcHex: client.publicKey.toString() });
+    expect(res.status).toBe(200);
+    expect(res.body.kid).toBe('svd-kms');
+
+    // Client side: v2 = pmc + H(M), P2S = PMS + H(M)*G, S = HKDF(x(v2 * P2S))
+    const h = new bsv.crypto.BN(sha256(M));
+    const n = bsv.crypto.Point.getN();
+    const G = bsv.crypto.Point.getG();
+    const pms = new bsv.PublicKey(kms.describeKey('svd-kms').pubKeyHex);
+    const v2 = client.bn.add(h).umod(n);
+    const x = pms.point.add(G.mul(h)).mul(v2).getX().toBuffer({ size: 32 });
+    const salt = sha256(Buffer.concat([pms.toBuffer(), client.publicKey.toBuffer(), M]));
+    const prk = crypto.createHmac('sha256', salt).update(x).digest();
+    const S = crypto.createHmac('sha256', prk).update(Buffer.from('SVD-Session')).digest();
+    expect(res.body.sharedSecretHex).toBe(S.toString('hex'));
+  });
+
+  test('enforces purposes and rate limits and audits every decision', async () => {
+    const auth = (r) => r.set('Authorization', 'Bearer test-kms-key');
+    const hex = sha256(Buffer.from('x')).toString('hex');
+
+    // The SVD key cannot sign transactions; a funding key cannot derive SVD secrets
+    const denied = await auth(request(app).post('/sign')).send({ requests: [{ keyIdentifier: 'svd-kms', sighash: hex }] });
+    expect(denied.status).toBe(403);
+    expect(denied.body.error.message).toMatch(/not allowed for purpose 'sign'/);
+
+    const batch = Array.from({ length: 5 }, () => ({ keyIdentifier: 'funding', sighash: hex }));
+    expect((await auth(request(app).post('/sign')).send({ requests: batch })).status).toBe(200);
+    const limited = await auth(request(app).post('/sign')).send({ requests: [{ keyIdentifier: 'funding', sighash: hex }] });
+    expect(limited.status).toBe(429);
+
+    expect((await auth(request(app).post('/sign')).send({ requests: [{ keyIdentifier: 'nope', sighash: hex }] })).status).toBe(404);
+    expect((await auth(request(app).post('/sign')).send({ requests: [{ keyIdentifier: 'funding', sighash: 'zz' }] })).status).toBe(400);
+    expect((await request(app).post('/sign').send({ requests: batch })).status).toBe(401);
+
+    const audit = (await auth(request(app).get('/audit')).query({ keyIdentifier: 'funding' })).body.entries;
+    expect(audit[0]).toMatchObject({ op: 'sign', keyIdentifier: 'funding', outcome: 'error', reason: expect.stringMatching(/sighash/) });
+    expect(audit[1]).toMatchObject({ outcome: 'rate_limited' });
+    expect(audit.filter((e) => e.outcome === 'ok')).toHaveLength(5);
+    expect(kms.getAudit({ keyIdentifier: 'svd-kms' })[0]).toMatchObject({ outcome: 'denied', purpose: 'sign', digest: hex });
+    expect(JSON.stringify(kms.getAudit())).not.toContain(ownershipKey.toWIF());
+  });
+});
@@ -0,0 +1,178 @@
+/*
+Unit tests for cryptographic NFC tags (services/nfcTagService.js, tag registration in POST /v1/patches,
+tag taps in GET /v1/patches/verify/:uid_tag_id)
+Covers: AES-CMAC (RFC 4493 vectors), SUN/SDM MACs (NXP reference tap), ECC tags on secp256k1 and P-256, counter
+rollback and replay rejection, wrapped storage of SUN keys stored only after the pending registration, repeat
+registrations (pending or confirmed) refused, and tag_genuine in the verify response.
+*/
+
+process.env.MASTER_SECRET = process.env.MASTER_SECRET || 'nfc-test-master-secret';
+process.env.SCAN_LEDGER_ENABLED = 'false'; // scans are covered by scanLedger.test.js
+
+const mockTags = {};
+const mockLean = (get) => ({ lean: () => ({ exec: async () => get() }) });
+
+jest.mock('../../models/NfcTag', () => ({
+  findOne: jest.fn(({ uid_tag_id }) => mockLean(() => (mockTags[uid_tag_id] ? { ...mockTags[uid_tag_id] } : null))),
+  findOneAndUpdate: jest.fn((filter, update) => mockLean(() => {
+    const tag = Object.values(mockTags).find((t) => t._id === filter._id);
+    if (!tag || !(tag.last_counter < filter.last_counter.$lt)) return null;
+    Object.assign(tag, update.$set);
+    return { ...tag };
+  })),
+  bulkWrite: jest.fn(async (ops) => {
+    for (const { updateOne: { filter, update } } of ops) {
+      mockTags[filter.uid_tag_id] = { _id: `tag-${filter.uid_tag_id}`, ...mockTags[filter.uid_tag_id], ...update.$set };
+    }
+  }),
+}));
+jest.mock('../../services/databaseService', () => ({
+  getPatchState: jest.fn(async () => null),
+  getConfirmedRecord: jest.fn(),
+  findRegisteredUids: jest.fn(async () => new Set()),
+  createPendingRegistration: jest.fn(async () => ({ _id: 'pending-1' })),
+  markRegistrationFailed: jest.fn(),
+  attachJobToPending: jest.fn(),
+}));
+jest.mock('../../services/jobService', () => ({ isEnabled: () => true, addBroadcastJob: jest.fn(async () => 'job-1') }));
+jest.mock('../../services/kmsSigner', () => ({ isReady: true, signBatch: jest.fn() }));
+jest.mock('../../services/issuerKeyService', () => ({
+  getSigningKey: jest.fn(async () => ({ keyIdentifier: 'issuer-1', pubkey: null, registered: false })),
+  checkSigner: jest.fn(async () => ({ trusted: true, reason: 'registry_empty', keyIdentifier: null, status: null })),
+}));
+
+const crypto = require('crypto');
+const bsv = require('bsv');
+const cryptoService = require('../../services/cryptoService');
+const nfcTagService = require('../../services/nfcTagService');
+const dbService = require('../../services/databaseService');
+const NfcTag = require('../../models/NfcTag');
+const kmsSigner = require('../../services/kmsSigner');
+const patchController = require('../../controllers/patchController');
+
+const issuerKey = new bsv.PrivateKey();
+const ZERO_KEY = '00'.repeat(16);
+const REF_TAP = { tag_uid: '041E3C8A2D6B80', tag_ctr: '000006', tag_cmac: '4B00064004B0B3D3' };
+
+function mockRes() {
+  const res = { statusCode: 200 };
+  res.status = jest.fn((c) => { res.statusCode = c; return res; });
+  res.json = jest.fn((b) => { res.body = b; return res; });
+  return res;
+}
+
+async function call(method, req) {
+  const res = mockRes();
+  const next = jest.fn();
+  await patchController[method]({ query: {}, ...req }, res, next);
+  if (next.mock.calls.length) throw next.mock.calls[0][0];
+  return res;
+}
+
+function eccTag(namedCurve) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve });
+  const { x, y } = publicKey.export({ format: 'jwk' });
+  const uncompressed = `04${Buffer.from(x, 'base64url').toString('hex')}${Buffer.from(y, 'base64url').toString('hex')}`;
+  const tap = (counter) => {
+    const msg = Buffer.concat([Buffer.alloc(4), crypto.randomBytes(28)]);
+    msg.writeUInt32BE(counter, 0);
+    return { tag_msg: msg.toString('hex'), tag_sig: crypto.sign('sha256', msg, { key: privateKey, dsaEncoding: 'der' }).toString('hex') };
+  };
+  return { uncompressed, compressed: crypto.ECDH.convertKey(uncompressed, namedCurve, 'hex', 'hex', 'compressed'), tap };
+}
+
+const register = (uid, tag) => nfcTagService.saveTags([nfcTagService.prepare(uid, tag)]);
+
+describe('cryptographic NFC tags', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Object.keys(mockTags).forEach((k) => delete mockTags[k]);
+  });
+
+  test('AES-CMAC matches the RFC 4493 vectors', () => {
+    const key = Buffer.from('2b7e151628aed2a6abf7158809cf4f3c', 'hex');
+    const mac = (hex) => cryptoService.aesCmac(key, Buffer.from(hex, 'hex')).toString('hex');
+    expect(mac('')).toBe('bb1d6929e95937287fa37d129b756746');
+    expect(mac('6bc1bee22e409f96e93d7e117393172a')).toBe('070a16b46b4d4144f79bdd9dd04a287c');
+    expect(mac('6bc1bee22e409f96e93d7e117393172aae2d8a571e03ac9c9eb76fac45af8e5130c81c46a35ce411')).toBe('dfa66747de9ae63030ca32611497c827');
+  });
+
+  test('SUN taps verify once per counter and the key is stored wrapped', async () => {
+    await register('uid-sun', { scheme: 'sun_cmac', chipUid: REF_TAP.tag_uid, key: ZERO_KEY });
+    expect(mockTags['uid-sun'].wrapped_key).not.toContain(ZERO_KEY);
+    expect(mockTags['uid-sun']).not.toHaveProperty('key');
+
+    expect(await nfcTagService.verifyTap('uid-sun', REF_TAP)).toEqual({ genuine: true, scheme: 'sun_cmac', counter: 6, reason: null });
+    expect(mockTags['uid-sun'].last_counter).toBe(6);
+    // The same URL again (a copied tag) and a tampered MAC
+    expect((await nfcTagService.verifyTap('uid-sun', REF_TAP)).reason).toBe('counter_replayed');
+    expect((await nfcTagService.verifyTap('uid-sun', { ...REF_TAP, tag_ctr: '000007' })).reason).toBe('invalid_mac');
+    expect((await nfcTagService.verifyTap('uid-sun', { ...REF_TAP, tag_uid: '04000000000000' })).reason).toBe('chip_uid_mismatch');
+    expect(await nfcTagService.verifyTap('uid-sun', {})).toEqual({ genuine: null, scheme: 'sun_cmac', counter: null, reason: 'tap_missing' });
+    expect((await nfcTagService.verifyTap('uid-sun', { tag_msg: '00000001', tag_sig: '30' })).reason).toBe('scheme_mismatch');
+  });
+
+  test.each(['secp256k1', 'prime256v1'])('ECC taps on %s reject counter rollback', async (namedCurve) => {
+    const tag = eccTag(namedCurve);
+    await register('uid-ecc', { scheme: 'ecc', curve: namedCurve === 'secp256k1' ? 'secp256k1' : 'p256', pubkey: tag.compressed });
+
+    expect(await nfcTagService.verifyTap('uid-ecc', tag.tap(10))).toMatchObject({ genuine: true, counter: 10 });
+    expect((await nfcTagService.verifyTap('uid-ecc', tag.tap(9))).reason).toBe('counter_replayed');
+    expect((await nfcTagService.verifyTap('uid-ecc', tag.tap(10))).reason).toBe('counter_replayed');
+    const forged = { ...tag.tap(11), tag_sig: eccTag(namedCurve).tap(11).tag_sig };
+    expect((await nfcTagService.verifyTap('uid-ecc', forged)).reason).toBe('invalid_signature');
+    expect((await nfcTagService.verifyTap('uid-ecc', tag.tap(11))).genuine).toBe(true);
+  });
+
+  test('tags are registered with the patch and reported by verify', async () => {
+    kmsSigner.signBatch.mockImplementation(async (requests) => requests.map((r) => ({
+      signatureHex: bsv.crypto.ECDSA.sign(Buffer.from(r.sighash, 'hex'), issuerKey, 'little').toDER().toString('hex'),
+      pubKeyHex: issuerKey.publicKey.toString(),
+    })));
+    const body = (tag) => ({
+      product: { uid_tag_id: 'uid-reg' },
+      metadata: { notes: 'Run 7' },
+      auth: { owner: new bsv.PrivateKey().toAddress().toString() },
+      tag,
+    });
+
+    expect((await call('registerPatch', { body: body({ scheme: 'ecc', pubkey: `02${'00'.repeat(32)}` }) })).statusCode).toBe(400);
+    expect((await call('registerPatch', { body: body({ scheme: 'sun_cmac', chipUid: REF_TAP.tag_uid }) })).statusCode).toBe(400);
+    expect(kmsSigner.signBatch).not.toHaveBeenCalled();
+
+    const res = await call('registerPatch', { body: body({ scheme: 'sun_cmac', chipUid: REF_TAP.tag_uid, key: ZERO_KEY }) });
+    expect(res.statusCode).toBe(202);
+    expect(mockTags['uid-reg']).toMatchObject({ scheme: 'sun_cmac', chip_uid: REF_TAP.tag_uid.toLowerCase(), last_counter: -1 });
+    // Keys are stored only after the pending registration exists
+    expect(dbService.createPendingRegistration.mock.invocationCallOrder[0]).toBeLessThan(NfcTag.bulkWrite.mock.invocationCallOrder[0]);
+
+    // Keys cannot be replaced while the registration is still pending, nor once the patch is registered
+    const stored = { ...mockTags['uid-reg'] };
+    dbService.findRegisteredUids.mockResolvedValue(new Set(['uid-reg']));
+    const pendingDuplicate = await call('registerPatch', { body: body({ scheme: 'sun_cmac', chipUid: REF_TAP.tag_uid, key: 'ff'.repeat(16) }) });
+    expect(pendingDuplicate).toMatchObject({ statusCode: 409, body: { error: { message: 'Patch is already registered' } } });
+    expect(dbService.findRegisteredUids).toHaveBeenLastCalledWith(['uid-reg']);
+    expect(dbService.createPendingRegistration).toHaveBeenCalledTimes(1);
+    expect(NfcTag.bulkWrite).toHaveBeenCalledTimes(1);
+    expect(mockTags['uid-reg'].wrapped_key).toBe(stored.wrapped_key);
+
+    const record = { product: { uid_tag_id: 'uid-reg' }, metadata: {}, auth: { owner: null, issuer_signature: '30', issuer_pubkey: issuerKey.publicKey.toString(), ts: 1 } };
+    dbService.getPatchState.mockResolvedValue({ uid_tag_id: 'uid-reg', current_txid: 'a'.repeat(64), status: 'active' });
+    dbService.getConfirmedRecord.mockResolvedValue({ type: 'REGISTRATION', txid: 'a'.repeat(64), record_data: record });
+    expect((await call('registerPatch', { body: body({ scheme: 'sun_cmac', chipUid: REF_TAP.tag_uid, key: 'ff'.repeat(16) }) })).statusCode).toBe(409);
+
+    const verify = (query) => call('verifyPatch', { params: { uid_tag_id: 'uid-reg' }, query });
+    const genuine = await verify(REF_TAP);
+    expect(genuine.body.tag_genuine).toBe(true);
+    expect(genuine.body.verificationDetails.tag).toEqual({ genuine: true, scheme: 'sun_cmac', counter: 6, reason: null });
+    expect((await verify(REF_TAP)).body.tag_genuine).toBe(false);
+    expect((await verify({})).body.tag_genuine).toBeNull();
+
+    // Patches without a tag: no tag details unless a tap is presented
+    delete mockTags['uid-reg'];
+    expect((await verify({})).body).not.toHaveProperty('verificationDetails.tag');
+    expect((await verify(REF_TAP)).body.verificationDetails.tag.reason).toBe('no_tag_registered');
+    dbService.getPatchState.mockResolvedValue(null);
+    dbService.findRegisteredUids.mockResolvedValue(new Set());
+  });
+});
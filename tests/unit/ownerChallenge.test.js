@@ -0,0 +1,232 @@
+/*
+Unit tests for services/ownerChallengeCacheRedis.js and the challenge-bound owner signatures
+(POST /v1/patches/:uid_tag_id/challenge, transfer-ownership, unlock-content)
+Covers: nonces bound to a patch with an expiry, single-use consumption, rejection of unsigned, expired, replayed and
+concurrently reused challenges, offline verification of challenge-bound transfer signatures, and /verify after a transfer.
+*/
+
+process.env.SCAN_LEDGER_ENABLED = 'false'; // scans are covered by scanLedger.test.js
+
+jest.mock('../../services/databaseService', () => ({
+  getRecordByTxid: jest.fn(),
+  getConfirmedRecord: jest.fn(),
+  getRegistrationRecord: jest.fn(),
+  isSharedAnchor: jest.fn(async () => false),
+  getPatchState: jest.fn(),
+  createPendingTransfer: jest.fn(async (uid, prev, owner, record) => ({ _id: 'pending1', record })),
+  attachJobToPendingTransfer: jest.fn(),
+}));
+jest.mock('../../services/jobService', () => ({ isEnabled: () => true, addTransferJob: jest.fn(async () => 'job1') }));
+
+const bsv = require('bsv');
+const crypto = require('crypto');
+const stringify = require('safe-stable-stringify');
+const dbService = require('../../services/databaseService');
+const jobService = require('../../services/jobService');
+const BlockchainService = require('../../services/blockchainService');
+const envelope = require('../../services/recordEnvelope');
+const challenges = require('../../services/ownerChallengeCacheRedis');
+const issuerKeyService = require('../../services/issuerKeyService');
+const nfcTagService = require('../../services/nfcTagService');
+const patchController = require('../../controllers/patchController');
+const { verifyBundle } = require('../../public/verifier/patchproof-verifier');
+
+// Minimal stand-in for the ioredis commands the cache uses (SET EX [NX], GET, DEL)
+function fakeRedis() {
+  const data = new Map();
+  return {
+    data,
+    set: jest.fn(async (key, value, ex, ttl, nx) => {
+      if (nx === 'NX' && data.has(key)) return null;
+      data.set(key, value);
+      return 'OK';
+    }),
+    get: jest.fn(async (key) => (data.has(key) ? data.get(key) : null)),
+    del: jest.fn(async (key) => (data.delete(key) ? 1 : 0)),
+  };
+}
+
+const sha256 = (b) => crypto.createHash('sha256').update(b).digest();
+const sign = (hash, key) => bsv.crypto.ECDSA.sign(hash, key, 'little').toDER().toString('hex');
+const issuerKey = new bsv.PrivateKey();
+const fundingKey = new bsv.PrivateKey();
+const ownerKey = new bsv.PrivateKey();
+const owner = ownerKey.toAddress().toString();
+const buyer = new bsv.PrivateKey().toAddress().toString();
+const UID = 'uid-ch1';
+
+function anchorTx(chunks) {
+  return new bsv.Transaction()
+    .from({ txid: sha256(Buffer.concat(chunks)).toString('hex'), vout: 0, satoshis: 10000, script: bsv.Script.buildPublicKeyHashOut(fundingKey.toAddress()).toHex() })
+    .addOutput(new bsv.Transaction.Output({ script: bsv.Script.buildSafeDataOut(chunks), satoshis: 0 }))
+    .change(fundingKey.toAddress())
+    .sign(fundingKey);
+}
+
+function registration() {
+  const ts = 1700000000000;
+  const msg = { purpose: 'register_patch', uid_tag_id: UID, metadata_sha256: envelope.metadataSha256({}), ts };
+  const record = {
+    type: 'AUTHENTICATION_RECORD',
+    product: { uid_tag_id: UID },
+    metadata: {},
+    auth: { owner, issuer_signature: sign(sha256(Buffer.from(stringify(msg))), issuerKey), issuer_pubkey: issuerKey.publicKey.toString(), ts },
+  };
+  return { record, tx: anchorTx(envelope.encode('registration', record)) };
+}
+
+function mockRes() {
+  const res = { statusCode: 200 };
+  res.status = jest.fn((c) => { res.statusCode = c; return res; });
+  res.json = jest.fn((b) => { res.body = b; return res; });
+  return res;
+}
+
+async function call(method, req) {
+  const res = mockRes();
+  const next = jest.fn();
+  await patchController[method](req, res, next);
+  if (next.mock.calls.length) throw next.mock.calls[0][0];
+  return res;
+}
+
+async function issue(uid = UID) {
+  return (await call('issueChallenge', { params: { uid_tag_id: uid } })).body;
+}
+
+function transferRequest(txid, { nonce, expires_at }, { key = ownerKey, signedNonce = nonce } = {}) {
+  const message = { purpose: 'transfer_ownership', uid_tag_id: UID, currentTxid: txid, newOwnerAddress: buyer, nonce: signedNonce, expires_at };
+  return {
+    params: { txid },
+    body: { newOwnerAddress: buyer, currentOwnerPubKey: key.publicKey.toString(), currentOwnerSignature: sign(BlockchainService.computeSha256(message), key), nonce },
+  };
+}
+
+describe('owner signature challenges', () => {
+  let reg;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useRealTimers();
+    challenges.redisClient = fakeRedis();
+    challenges.isReady = true;
+    reg = registration();
+    dbService.getRecordByTxid.mockResolvedValue(JSON.parse(JSON.stringify(reg.record)));
+    dbService.getPatchState.mockResolvedValue({ uid_tag_id: UID, current_txid: reg.tx.hash, current_owner_address: owner });
+  });
+
+  afterAll(() => {
+    challenges.redisClient = null;
+    challenges.isReady = false;
+  });
+
+  test('issues expiring nonces bound to one patch and consumes them once', async () => {
+    const issued = await issue();
+    expect(issued).toMatchObject({ uid_tag_id: UID, currentTxid: reg.tx.hash, nonce: expect.stringMatching(/^[0-9a-f]{32}$/) });
+    expect(issued.expires_at - Date.now()).toBeGreaterThan(290 * 1000);
+    expect(challenges.redisClient.set).toHaveBeenCalledWith(`owner:challenge:${issued.nonce}`, expect.any(String), 'EX', 300);
+
+    await expect(challenges.get(UID, issued.nonce)).resolves.toEqual({ nonce: issued.nonce, expires_at: issued.expires_at });
+    await expect(challenges.get('uid-other', issued.nonce)).resolves.toBeNull();
+    await expect(challenges.consume(issued.nonce)).resolves.toBe(true);
+    await expect(challenges.consume(issued.nonce)).resolves.toBe(false);
+    await expect(challenges.get(UID, issued.nonce)).resolves.toBeNull();
+
+    dbService.getPatchState.mockResolvedValueOnce(null);
+    expect((await call('issueChallenge', { params: { uid_tag_id: 'uid-none' } })).statusCode).toBe(404);
+    challenges.isReady = false;
+    expect((await call('issueChallenge', { params: { uid_tag_id: UID } })).statusCode).toBe(503);
+    await expect(challenges.consume('ab'.repeat(16))).resolves.toBe(false); // fails closed without Redis
+  });
+
+  test('transfers must sign a live challenge, which is anchored and checkable offline', async () => {
+    const challenge = await issue();
+    const res = await call('transferOwnership', transferRequest(reg.tx.hash, challenge));
+    expect(res.statusCode).toBe(202);
+    const record = jobService.addTransferJob.mock.calls[0][0].record;
+    expect(record.auth).toMatchObject({ challenge_nonce: challenge.nonce, challenge_expires_at: challenge.expires_at, prev_txid: reg.tx.hash });
+
+    const xferTx = anchorTx(envelope.encode('transfer', record));
+    const bundle = {
+      format: 'patchproof-proof-bundle',
+      uid_tag_id: UID,
+      records: [
+        { type: 'REGISTRATION', txid: reg.tx.hash, record_data: reg.record },
+        { type: 'TRANSFER', txid: xferTx.hash, previous_txid: reg.tx.hash, record_data: record },
+      ],
+      transactions: { [reg.tx.hash]: reg.tx.serialize(), [xferTx.hash]: xferTx.serialize() },
+    };
+    expect(verifyBundle(bundle).errors).toEqual([]);
+    const forged = JSON.parse(JSON.stringify(record));
+    forged.auth.challenge_nonce = 'cd'.repeat(16);
+    const forgedTx = anchorTx(envelope.encode('transfer', forged));
+    const tampered = { ...bundle, records: [bundle.records[0], { ...bundle.records[1], txid: forgedTx.hash, record_data: forged }], transactions: { ...bundle.transactions, [forgedTx.hash]: forgedTx.serialize() } };
+    expect(verifyBundle(tampered).errors).toContain('record 1: owner signature invalid');
+
+    // Replaying the same request: the challenge is gone
+    const replay = await call('transferOwnership', transferRequest(reg.tx.hash, challenge));
+    expect(replay).toMatchObject({ statusCode: 400, body: { error: { message: 'Unknown or expired challenge' } } });
+    expect(dbService.createPendingTransfer).toHaveBeenCalledTimes(1);
+  });
+
+  test('a transferred patch still verifies against its registration signature', async () => {
+    const res = await call('transferOwnership', transferRequest(reg.tx.hash, await issue()));
+    expect(res.statusCode).toBe(202);
+    const record = jobService.addTransferJob.mock.calls[0][0].record;
+    expect(record.auth.ts).not.toBe(reg.record.auth.ts);
+    const xferTx = anchorTx(envelope.encode('transfer', record));
+
+    // Transfer confirmed: the head is the transfer record
+    dbService.getPatchState.mockResolvedValue({ uid_tag_id: UID, current_txid: xferTx.hash, current_owner_address: buyer, status: 'active' });
+    dbService.getConfirmedRecord.mockResolvedValue({ type: 'TRANSFER', txid: xferTx.hash, record_data: record });
+    dbService.getRegistrationRecord.mockResolvedValue({ type: 'REGISTRATION', txid: reg.tx.hash, record_data: reg.record });
+    const checkSigner = jest.spyOn(issuerKeyService, 'checkSigner').mockResolvedValue({ trusted: true, reason: 'registry_empty' });
+    const verifyTap = jest.spyOn(nfcTagService, 'verifyTap').mockResolvedValue(null);
+    try {
+      const verified = await call('verifyPatch', { params: { uid_tag_id: UID }, query: {} });
+      expect(verified.body).toMatchObject({ status: 'authentic', record: { auth: { owner: buyer } }, verificationDetails: { issuerSignatureValid: true, onChainTxid: xferTx.hash } });
+      expect(dbService.getRegistrationRecord).toHaveBeenCalledWith(UID);
+      expect(checkSigner).toHaveBeenCalledWith(issuerKey.publicKey.toString(), reg.record.auth.ts);
+    } finally {
+      checkSigner.mockRestore();
+      verifyTap.mockRestore();
+    }
+  });
+
+  test('rejects signatures without the challenge, over another nonce, after expiry or reused concurrently', async () => {
+    const legacyMessage = { purpose: 'transfer_ownership', uid_tag_id: UID, currentTxid: reg.tx.hash, newOwnerAddress: buyer };
+    const first = await issue();
+    const legacy = transferRequest(reg.tx.hash, first);
+    legacy.body.currentOwnerSignature = sign(BlockchainService.computeSha256(legacyMessage), ownerKey);
+    expect((await call('transferOwnership', legacy)).statusCode).toBe(403);
+
+    const second = await issue();
+    expect((await call('transferOwnership', transferRequest(reg.tx.hash, second, { signedNonce: first.nonce }))).statusCode).toBe(403);
+
+    const nonce = (await issue()).nonce;
+    const stored = JSON.parse(challenges.redisClient.data.get(`owner:challenge:${nonce}`));
+    jest.useFakeTimers({ now: stored.expires_at + 1 });
+    expect((await call('transferOwnership', transferRequest(reg.tx.hash, { nonce, expires_at: stored.expires_at }))).statusCode).toBe(400);
+    jest.useRealTimers();
+
+    const shared = await issue();
+    const statuses = (await Promise.all([0, 1].map(() => call('transferOwnership', transferRequest(reg.tx.hash, shared))))).map((r) => r.statusCode);
+    expect(statuses.sort()).toEqual([202, 409]);
+    expect(dbService.createPendingTransfer).toHaveBeenCalledTimes(1);
+  });
+
+  test('unlock-content signatures are single-use as well', async () => {
+    const challenge = await issue();
+    const message = { purpose: 'unlock_content', uid_tag_id: UID, currentTxid: reg.tx.hash, nonce: challenge.nonce, expires_at: challenge.expires_at };
+    const req = () => ({ params: { uid_tag_id: UID }, body: { ownerPubKey: ownerKey.publicKey.toString(), ownerSignature: sign(BlockchainService.computeSha256(message), ownerKey), nonce: challenge.nonce } });
+    const contentVaultService = require('../../services/contentVaultService');
+    jest.spyOn(contentVaultService, 'listContent').mockResolvedValue([]);
+    jest.spyOn(contentVaultService, 'rewrapPending').mockResolvedValue(false);
+    expect((await call('unlockContent', req())).body).toMatchObject({ authorized: true, vault: [], rewrap_pending: false });
+    expect((await call('unlockContent', req())).statusCode).toBe(400);
+
+    const noNonce = req();
+    delete noNonce.body.nonce;
+    expect((await call('unlockContent', noNonce)).statusCode).toBe(400);
+  });
+});
@@ -0,0 +1,278 @@
+/*
+Unit tests for patch status events (POST /v1/patches/:uid_tag_id/status, POST /v1/admin/patches/:uid_tag_id/status,
+services/patchStatusService.js)
+Covers: owner stolen/recovered reports (challenge-bound signature), issuer revoke/recall, revoke reason codes and the
+allowed transitions, transfers, sale releases and POS claims refused while a patch is flagged (also when a queued
+transfer confirms), /verify reporting the status, and the offline verifier's check of the anchored status chain.
+*/
+
+process.env.SCAN_LEDGER_ENABLED = 'false'; // scans are covered by scanLedger.test.js
+
+const mockStore = { states: {}, records: {}, statuses: [] };
+let mockSeq = 0;
+const mockId = () => (++mockSeq).toString(16).padStart(24, '0');
+
+jest.mock('../../services/ownerChallengeCacheRedis', () => ({
+  isReady: true,
+  get: jest.fn(async (uid, nonce) => ({ nonce, expires_at: 1900000000000 })),
+  consume: jest.fn(async () => true),
+}));
+jest.mock('../../services/databaseService', () => ({
+  getPatchState: jest.fn(async (uid) => mockStore.states[uid] || null),
+  isSharedAnchor: jest.fn(async () => false),
+  getRecordByTxid: jest.fn(async (txid) => mockStore.records[txid] || null),
+  getConfirmedRecord: jest.fn(async (txid) => (mockStore.records[txid] ? { type: 'REGISTRATION', txid, record_data: mockStore.records[txid] } : null)),
+  createPendingStatus: jest.fn(async (uid_tag_id, record_data) => {
+    const doc = { _id: mockId(), uid_tag_id, record_data, status: 'pending', type: 'STATUS' };
+    mockStore.statuses.push(doc);
+    return doc;
+  }),
+  // Mirrors the compare-and-set on PatchState.status_txid
+  markConfirmed: jest.fn(async (id, txid) => {
+    const doc = mockStore.statuses.find((d) => d._id === id);
+    const state = mockStore.states[doc.uid_tag_id];
+    if ((state.status_txid || null) !== doc.record_data.status.prev_status_txid) throw new Error('Status changed concurrently');
+    Object.assign(doc, { status: 'confirmed', txid });
+    Object.assign(state, { status: doc.record_data.status.state, status_txid: txid, status_reason: doc.record_data.status.reason });
+  }),
+  markFailed: jest.fn(async (id, reason) => {
+    Object.assign(mockStore.statuses.find((d) => d._id === id), { status: 'failed', failure_reason: reason });
+  }),
+}));
+jest.mock('../../services/kmsSigner', () => ({ isReady: true, signBatch: jest.fn() }));
+jest.mock('../../services/issuerKeyService', () => ({
+  getSigningKey: jest.fn(async () => ({ keyIdentifier: 'issuer-1', pubkey: null, registered: false })),
+  checkSigner: jest.fn(async () => ({ trusted: true, reason: 'registry_empty', keyIdentifier: null, status: null })),
+}));
+jest.mock('../../models/ClaimIntent', () => ({ create: jest.fn() }));
+jest.mock('../../models/NfcTag', () => ({ findOne: jest.fn(() => ({ lean: () => ({ exec: async () => null }) })) }));
+
+const crypto = require('crypto');
+const bsv = require('bsv');
+const BlockchainService = require('../../services/blockchainService');
+const kmsSigner = require('../../services/kmsSigner');
+const envelope = require('../../services/recordEnvelope');
+const patchController = require('../../controllers/patchController');
+const adminController = require('../../controllers/adminController');
+const posController = require('../../controllers/posController');
+const { verifyBundle } = require('../../public/verifier/patchproof-verifier');
+
+const UID = 'uid-status-1';
+const issuerKey = new bsv.PrivateKey();
+const fundingKey = new bsv.PrivateKey();
+const owner = new bsv.PrivateKey();
+const stranger = new bsv.PrivateKey();
+const addr = (k) => k.toAddress().toString();
+const sign = (msg, key) => bsv.crypto.ECDSA.sign(BlockchainService.computeSha256(msg), key, 'little').toDER().toString('hex');
+
+function mockRes() {
+  const res = { statusCode: 200 };
+  res.status = jest.fn((c) => { res.statusCode = c; return res; });
+  res.json = jest.fn((b) => { res.body = b; return res; });
+  return res;
+}
+
+async function call(controller, method, req) {
+  const res = mockRes();
+  const next = jest.fn();
+  await controller[method]({ query: {}, ...req }, res, next);
+  if (next.mock.calls.length) throw next.mock.calls[0][0];
+  return res;
+}
+
+function holdBy(key) {
+  const txid = crypto.randomBytes(32).toString('hex');
+  mockStore.states[UID] = { uid_tag_id: UID, current_txid: txid, current_owner_address: addr(key), status: 'active' };
+  mockStore.records[txid] = {
+    type: 'AUTHENTICATION_RECORD',
+    product: { uid_tag_id: UID },
+    metadata: {},
+    auth: { owner: addr(key), issuer_signature: 'aa', issuer_pubkey: issuerKey.publicKey.toString(), ts: 1700000000000 },
+  };
+  return txid;
+}
+
+function report(key, event, { reason, signer = key } = {}) {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const message = {
+    purpose: 'report_status',
+    uid_tag_id: UID,
+    currentTxid: mockStore.states[UID].current_txid,
+    event,
+    reason: reason || null,
+    nonce,
+    expires_at: 1900000000000,
+  };
+  return call(patchController, 'reportStatus', {
+    params: { uid_tag_id: UID },
+    body: { event, ...(reason && { reason }), ownerPubKey: key.publicKey.toString(), ownerSignature: sign(message, signer), nonce },
+  });
+}
+
+const issue = (event, reason) => call(adminController, 'recordPatchStatus', { params: { uid_tag_id: UID }, body: { event, reason } });
+
+describe('patch status events', () => {
+  let broadcast;
+  let anchored;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Object.assign(mockStore, { states: {}, records: {}, statuses: [] });
+    anchored = {};
+    kmsSigner.signBatch.mockImplementation(async (requests) => requests.map((r) => ({
+      signatureHex: bsv.crypto.ECDSA.sign(Buffer.from(r.sighash, 'hex'), issuerKey, 'little').toDER().toString('hex'),
+      pubKeyHex: issuerKey.publicKey.toString(),
+    })));
+    // Anchor into a real transaction so the verifier can decode the OP_RETURN
+    broadcast = jest.spyOn(BlockchainService, 'constructAndBroadcastTx').mockImplementation(async (chunks) => {
+      const tx = new bsv.Transaction()
+        .from({ txid: crypto.randomBytes(32).toString('hex'), vout: 0, satoshis: 10000, script: bsv.Script.buildPublicKeyHashOut(fundingKey.toAddress()).toHex() })
+        .addOutput(new bsv.Transaction.Output({ script: bsv.Script.buildSafeDataOut(chunks), satoshis: 0 }));
+      anchored[tx.hash] = tx.toString();
+      return { success: true, txid: tx.hash };
+    });
+  });
+
+  afterEach(() => broadcast.mockRestore());
+
+  test('an owner reports their patch stolen and recovers it', async () => {
+    const txid = holdBy(owner);
+    expect((await report(stranger, 'report_stolen')).statusCode).toBe(403);
+    expect((await report(owner, 'report_stolen', { signer: stranger })).statusCode).toBe(403);
+
+    const res = await report(owner, 'report_stolen', { reason: 'Taken from car' });
+    expect(res.statusCode).toBe(201);
+    expect(res.body).toMatchObject({ uid_tag_id: UID, event: 'report_stolen', status: 'stolen', reason: 'Taken from car' });
+    expect(mockStore.states[UID]).toMatchObject({ status: 'stolen', status_txid: res.body.txid });
+    const { record_data: record } = mockStore.statuses[0];
+    expect(record.status).toMatchObject({ ref_txid: txid, prev_status_txid: null });
+    expect(record.auth).toMatchObject({ reported_by: 'owner', current_owner_pubkey: owner.publicKey.toString() });
+    expect(() => envelope.checkRecord('status', record)).not.toThrow();
+
+    await expect(report(owner, 'report_stolen')).rejects.toThrow('Cannot report_stolen a patch that is stolen');
+    const recovered = await report(owner, 'recover');
+    expect(recovered.statusCode).toBe(201);
+    expect(mockStore.states[UID]).toMatchObject({ status: 'active', status_txid: recovered.body.txid });
+    expect(mockStore.statuses[1].record_data.status.prev_status_txid).toBe(res.body.txid);
+  });
+
+  test('owners cannot revoke or undo an issuer recall; the issuer can', async () => {
+    holdBy(owner);
+    await expect(issue('revoke', 'destroyed')).resolves.toMatchObject({ statusCode: 201 });
+    await expect(issue('recover')).rejects.toThrow('Cannot recover a patch that is revoked');
+
+    holdBy(owner);
+    await expect(issue('recall', 'Batch 42 defect')).resolves.toMatchObject({ statusCode: 201 });
+    await expect(report(owner, 'recover')).rejects.toThrow('Cannot recover a patch that is recalled');
+    await expect(issue('recover')).resolves.toMatchObject({ statusCode: 201 });
+    expect(mockStore.states[UID].status).toBe('active');
+
+    kmsSigner.signBatch.mockRejectedValueOnce(new Error('KMS down'));
+    expect((await issue('revoke', 'destroyed')).statusCode).toBe(503);
+    expect(broadcast).toHaveBeenCalledTimes(3);
+  });
+
+  test('revokes carry a reason code', () => {
+    const { issuerStatusEventSchema } = require('../../middleware/validators');
+    for (const reason of ['counterfeit_suspected', 'destroyed']) {
+      expect(issuerStatusEventSchema.validate({ event: 'revoke', reason }).error).toBeUndefined();
+    }
+    expect(issuerStatusEventSchema.validate({ event: 'revoke', reason: 'Looks fake' }).error).toBeDefined();
+    expect(issuerStatusEventSchema.validate({ event: 'revoke' }).error).toBeDefined();
+    expect(issuerStatusEventSchema.validate({ event: 'recall', reason: 'Batch 42 defect' }).error).toBeUndefined();
+  });
+
+  test('confirming a queued transfer re-checks the patch status', async () => {
+    const mongoose = require('mongoose');
+    const PatchState = require('../../models/PatchState');
+    const AuthenticationRecord = require('../../models/AuthenticationRecord');
+    const dbService = jest.requireActual('../../services/databaseService');
+    const session = { startTransaction: jest.fn(), commitTransaction: jest.fn(), abortTransaction: jest.fn(), endSession: jest.fn() };
+    const pending = { status: 'pending', type: 'TRANSFER', uid_tag_id: UID, previous_txid: 'prev', record_data: { auth: { owner: addr(stranger) } } };
+    const spies = [
+      jest.spyOn(mongoose, 'startSession').mockResolvedValue(session),
+      jest.spyOn(AuthenticationRecord, 'findById').mockReturnValue({ session: async () => pending }),
+      jest.spyOn(PatchState, 'findOne').mockReturnValue({ session: async () => null }),
+    ];
+    try {
+      await expect(dbService.markConfirmed('p1', 'next')).rejects.toThrow('is flagged');
+      expect(PatchState.findOne).toHaveBeenCalledWith({ uid_tag_id: UID, current_txid: 'prev', status: { $in: ['active', null] } });
+      expect(session.abortTransaction).toHaveBeenCalled();
+    } finally {
+      spies.forEach((spy) => spy.mockRestore());
+    }
+  });
+
+  test('an event superseded while anchoring is marked failed', async () => {
+    holdBy(owner);
+    const { markConfirmed } = require('../../services/databaseService');
+    markConfirmed.mockImplementationOnce(async () => { throw new Error('Status changed concurrently'); });
+    await expect(issue('recall')).rejects.toThrow('Status changed concurrently');
+    expect(mockStore.statuses[0]).toMatchObject({ status: 'failed', failure_reason: 'Status changed concurrently' });
+    expect(mockStore.states[UID].status).toBe('active');
+  });
+
+  test('flagged patches cannot change hands and verify as flagged', async () => {
+    const txid = holdBy(owner);
+    await report(owner, 'report_stolen');
+
+    const transfer = await call(patchController, 'transferOwnership', {
+      params: { txid },
+      body: { newOwnerAddress: addr(stranger), currentOwnerPubKey: owner.publicKey.toString(), currentOwnerSignature: '30', nonce: 'a'.repeat(32) },
+    });
+    expect(transfer.statusCode).toBe(409);
+    expect(transfer.body.error.message).toBe('Patch is stolen; ownership changes are blocked');
+
+    const release = await call(patchController, 'createSaleRelease', {
+      params: { uid_tag_id: UID },
+      body: { store: 'store-1', validUntil: Date.now() + 60_000, ownerPubKey: owner.publicKey.toString(), ownerSignature: '30', nonce: 'a'.repeat(32) },
+    });
+    expect(release.statusCode).toBe(409);
+
+    const ts = Date.now();
+    const nonce = crypto.randomBytes(8).toString('hex');
+    const claim = await call(posController, 'createClaimIntent', {
+      body: {
+        uid: UID,
+        customer: { address: addr(stranger), userId: 'user-1', pubKey: stranger.publicKey.toString() },
+        challenge: { ts, nonce },
+        signature: sign(`PATCHPROOF_CLAIM|uid:${UID}|addr:${addr(stranger)}|ts:${ts}|nonce:${nonce}`, stranger),
+      },
+    });
+    expect(claim.statusCode).toBe(409);
+
+    const verifySignature = jest.spyOn(BlockchainService, 'verifySignature').mockReturnValueOnce(true);
+    const verified = await call(patchController, 'verifyPatch', { params: { uid_tag_id: UID } });
+    verifySignature.mockRestore();
+    expect(verified.body.status).toBe('stolen');
+    expect(verified.body.patchStatus).toMatchObject({ status: 'stolen', txid: mockStore.states[UID].status_txid });
+  });
+
+  test('the offline verifier checks the anchored status chain', async () => {
+    const txid = holdBy(owner);
+    await report(owner, 'report_stolen', { reason: 'Lost at airport' });
+    await issue('revoke', 'counterfeit_suspected');
+    const bundle = {
+      format: 'patchproof-proof-bundle',
+      uid_tag_id: UID,
+      records: [{ type: 'REGISTRATION', txid, record_data: mockStore.records[txid] }],
+      status_events: mockStore.statuses.map((d) => ({ txid: d.txid, record_data: d.record_data })),
+      transactions: { ...anchored },
+    };
+    const result = verifyBundle(JSON.parse(JSON.stringify(bundle)));
+    expect(result).toMatchObject({ status: 'revoked', statusReason: 'counterfeit_suspected' });
+    expect(result.statusEvents.map((e) => e.errors)).toEqual([[], []]);
+    expect(result.statusEvents[0].checks).toMatchObject({ payload: true, issuerSignature: true, ownerSignature: true });
+
+    // A report signed by someone other than the owner at the time
+    const forged = JSON.parse(JSON.stringify(bundle));
+    const other = new bsv.PrivateKey();
+    forged.records[0].record_data.auth.owner = addr(other);
+    expect(verifyBundle(forged).statusEvents[0].errors).toContain('status event was not signed by the owner at the time');
+
+    // Dropping the first event breaks the chain
+    const gap = JSON.parse(JSON.stringify(bundle));
+    gap.status_events.shift();
+    expect(verifyBundle(gap).errors).toContain('status event 0: status event does not follow the previous status event');
+  });
+});
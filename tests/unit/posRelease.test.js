@@ -0,0 +1,313 @@
+/*
+Unit tests for owner-authorized POS claims (POST /v1/patches/:uid_tag_id/releases, POST /v1/pos/claim-approve,
+services/saleReleaseService.js)
+Covers: owner-signed, time-bounded sale releases, claims that must reference one (store, buyer, state and expiry
+bound, single use), store-custody claims under POS_STORE_POLICY, per-store keys naming the approving store, releases
+restored and pending transfers failed when the transfer cannot be queued, 503 without a transfer queue, privacy-mode
+commitments carried by the transfer, and the offline verifier's check of the anchored release.
+*/
+
+const crypto = require('crypto');
+
+const STORE_KEYS = { 'store-1': 'store-1-secret', 'store-2': 'store-2-secret' };
+process.env.POS_STORE_KEYS = JSON.stringify(Object.fromEntries(Object.entries(STORE_KEYS).map(([store, key]) => [store, crypto.createHash('sha256').update(key).digest('hex')])));
+
+const mockStore = { states: {}, records: {}, intents: {}, releases: {}, pending: [] };
+const mockLean = (get) => ({ lean: () => ({ exec: async () => get() }) });
+let mockSeq = 0;
+const mockId = () => (++mockSeq).toString(16).padStart(24, '0');
+
+jest.mock('../../models/SaleRelease', () => ({
+  create: jest.fn(async (doc) => {
+    const release = { _id: mockId(), status: 'active', ...doc };
+    mockStore.releases[release._id] = release;
+    return { ...release };
+  }),
+  findById: jest.fn((id) => mockLean(() => (mockStore.releases[id] ? { ...mockStore.releases[id] } : null))),
+  findOneAndUpdate: jest.fn((filter, update) => mockLean(() => {
+    const release = mockStore.releases[filter._id];
+    if (!release || release.status !== filter.status) return null;
+    Object.assign(release, update.$set);
+    return { ...release };
+  })),
+  updateOne: jest.fn((filter, update) => ({
+    exec: async () => {
+      const release = mockStore.releases[filter._id];
+      const matches = release && release.status === filter.status && release.consumed_by_intent === filter.consumed_by_intent;
+      if (matches) Object.assign(release, update.$set);
+      return { matchedCount: matches ? 1 : 0 };
+    },
+  })),
+}));
+jest.mock('../../models/ClaimIntent', () => ({
+  create: jest.fn(async (doc) => {
+    const intent = { _id: mockId(), ...doc, save: async () => intent };
+    mockStore.intents[intent._id] = intent;
+    return intent;
+  }),
+  findById: jest.fn(async (id) => mockStore.intents[id] || null),
+}));
+jest.mock('../../services/ownerChallengeCacheRedis', () => ({
+  isReady: true,
+  get: jest.fn(async (uid, nonce) => ({ nonce, expires_at: 1900000000000 })),
+  consume: jest.fn(async () => true),
+}));
+jest.mock('../../services/databaseService', () => ({
+  getPatchState: jest.fn(async (uid) => mockStore.states[uid] || null),
+  getRecordByTxid: jest.fn(async (txid) => mockStore.records[txid] || null),
+  createPendingTransfer: jest.fn(async (uid, currentTxid, newOwner, record) => {
+    const pending = { _id: mockId(), uid, currentTxid, newOwner, record, status: 'pending' };
+    mockStore.pending.push(pending);
+    return pending;
+  }),
+  markTransferFailed: jest.fn(async (id, reason) => {
+    Object.assign(mockStore.pending.find((p) => p._id === id), { status: 'failed', failure_reason: reason });
+  }),
+  attachJobToPendingTransfer: jest.fn(),
+}));
+jest.mock('../../services/jobService', () => ({ isEnabled: jest.fn(() => true), addTransferJob: jest.fn(async () => 'job1') }));
+
+const bsv = require('bsv');
+const BlockchainService = require('../../services/blockchainService');
+const fieldCommitments = require('../../services/fieldCommitments');
+const patchController = require('../../controllers/patchController');
+const posController = require('../../controllers/posController');
+const posStoreAuth = require('../../middleware/posStoreAuth');
+const jobService = require('../../services/jobService');
+const { verifyBundle } = require('../../public/verifier/patchproof-verifier');
+
+const UID = 'uid-pos-release';
+const owner = new bsv.PrivateKey();
+const retailer = new bsv.PrivateKey();
+const buyer = new bsv.PrivateKey();
+const stranger = new bsv.PrivateKey();
+const addr = (k) => k.toAddress().toString();
+const sign = (msg, key) => bsv.crypto.ECDSA.sign(BlockchainService.computeSha256(msg), key, 'little').toDER().toString('hex');
+
+function mockRes() {
+  const res = { statusCode: 200 };
+  res.status = jest.fn((c) => { res.statusCode = c; return res; });
+  res.json = jest.fn((b) => { res.body = b; return res; });
+  return res;
+}
+
+async function call(controller, method, req) {
+  const res = mockRes();
+  const next = jest.fn();
+  await controller[method](req, res, next);
+  if (next.mock.calls.length) throw next.mock.calls[0][0];
+  return res;
+}
+
+function holdBy(key, fields = {}) {
+  const txid = crypto.randomBytes(32).toString('hex');
+  mockStore.states[UID] = { uid_tag_id: UID, current_txid: txid, current_owner_address: addr(key) };
+  mockStore.records[txid] = {
+    type: 'AUTHENTICATION_RECORD',
+    product: { uid_tag_id: UID },
+    metadata: {},
+    ...fields,
+    auth: { owner: addr(key), issuer_signature: 'aa', issuer_pubkey: '02'.padEnd(66, '1'), ts: 1700000000000 },
+  };
+  return txid;
+}
+
+function release(key, { store = 'store-1', buyerAddress, validUntil = Date.now() + 3600_000, signer = key } = {}) {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const message = {
+    purpose: 'release_for_sale',
+    uid_tag_id: UID,
+    currentTxid: mockStore.states[UID].current_txid,
+    store,
+    buyerAddress: buyerAddress || null,
+    validUntil,
+    nonce,
+    expires_at: 1900000000000,
+  };
+  return call(patchController, 'createSaleRelease', {
+    params: { uid_tag_id: UID },
+    body: { store, ...(buyerAddress && { buyerAddress }), validUntil, ownerPubKey: key.publicKey.toString(), ownerSignature: sign(message, signer), nonce },
+  });
+}
+
+// Approve from a terminal holding `store`'s key; `approve` is merged into the request body
+async function claim(customer, approve, store = 'store-1') {
+  const ts = Date.now();
+  const nonce = crypto.randomBytes(8).toString('hex');
+  const canonical = `PATCHPROOF_CLAIM|uid:${UID}|addr:${addr(customer)}|ts:${ts}|nonce:${nonce}`;
+  const intent = await call(posController, 'createClaimIntent', {
+    body: {
+      uid: UID,
+      customer: { address: addr(customer), userId: 'user-1', pubKey: customer.publicKey.toString() },
+      challenge: { ts, nonce },
+      signature: sign(canonical, customer),
+    },
+  });
+  expect(intent.statusCode).toBe(201);
+  const res = await call(posController, 'approveClaimIntent', { posStore: store, body: { intentId: intent.body.id, approvedBy: 'cashier-7', ...approve } });
+  return { res, intent: mockStore.intents[intent.body.id] };
+}
+
+describe('POS sale releases', () => {
+  const ORIGINAL_ENV = { ...process.env };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Object.assign(mockStore, { states: {}, records: {}, intents: {}, releases: {}, pending: [] });
+    process.env = { ...ORIGINAL_ENV };
+    delete process.env.POS_STORE_POLICY;
+  });
+
+  afterAll(() => { process.env = ORIGINAL_ENV; });
+
+  test('the current owner signs a time-bounded release for a store', async () => {
+    const txid = holdBy(owner);
+    const res = await release(owner, { buyerAddress: addr(buyer) });
+    expect(res.statusCode).toBe(201);
+    expect(res.body).toMatchObject({ uid_tag_id: UID, currentTxid: txid, store: 'store-1', buyerAddress: addr(buyer), status: 'active' });
+
+    expect((await release(stranger)).statusCode).toBe(403); // not the owner
+    expect((await release(owner, { signer: stranger })).statusCode).toBe(403); // signature by someone else
+    expect((await release(owner, { validUntil: Date.now() - 1 })).statusCode).toBe(400);
+    process.env.POS_RELEASE_MAX_TTL_SEC = '60';
+    expect((await release(owner, { validUntil: Date.now() + 120_000 })).statusCode).toBe(400);
+  });
+
+  test('a claim consumes a matching release and anchors it with the transfer', async () => {
+    const txid = holdBy(owner);
+    const { body: rel } = await release(owner, { buyerAddress: addr(buyer) });
+
+    const { res, intent } = await claim(buyer, { releaseId: rel.releaseId });
+    expect(res.statusCode).toBe(200);
+    expect(intent).toMatchObject({ status: 'approved', store: 'store-1', authorization: 'owner_release', release_id: rel.releaseId });
+    expect(mockStore.releases[rel.releaseId]).toMatchObject({ status: 'consumed', consumed_by_intent: String(intent._id) });
+    const { record } = mockStore.pending[0];
+    expect(record.auth).toMatchObject({ owner: addr(buyer), previous_owner: addr(owner), pos_store: 'store-1', sale_release: { id: rel.releaseId, pubkey: owner.publicKey.toString(), store: 'store-1' } });
+
+    const bundle = {
+      format: 'patchproof-proof-bundle',
+      uid_tag_id: UID,
+      records: [
+        { type: 'REGISTRATION', txid, record_data: mockStore.records[txid] },
+        { type: 'TRANSFER', txid: 'b'.repeat(64), previous_txid: txid, record_data: record },
+      ],
+      transactions: {},
+    };
+    const verified = verifyBundle(JSON.parse(JSON.stringify(bundle))).records[1];
+    expect(verified.checks).toMatchObject({ authorization: 'owner_release', ownerRelease: true });
+    expect(verified.errors).toEqual(['anchor transaction missing from bundle']);
+
+    const forged = JSON.parse(JSON.stringify(bundle));
+    forged.records[1].record_data.auth.sale_release.store = 'store-2';
+    forged.records[1].record_data.auth.pos_store = 'store-2';
+    expect(verifyBundle(forged).records[1].errors).toContain('sale release signature invalid');
+
+    // Single use
+    const again = await claim(buyer, { releaseId: rel.releaseId });
+    expect(again.res.statusCode).toBe(409);
+  });
+
+  test('claims of privacy-mode patches carry the field commitments forward', async () => {
+    const { product, metadata, commitments } = fieldCommitments.commit({ product: { uid_tag_id: UID, serial_number: 'SN-1' }, metadata: { edition: 3 } });
+    const txid = holdBy(owner, { product, metadata, commitments });
+    const { body: rel } = await release(owner);
+
+    const { res } = await claim(buyer, { releaseId: rel.releaseId });
+    expect(res.statusCode).toBe(200);
+    const { record } = mockStore.pending[0];
+    expect(record).toMatchObject({ product: { uid_tag_id: UID }, metadata: {}, auth: { owner: addr(buyer) } });
+    expect(record.commitments).toEqual(mockStore.records[txid].commitments);
+    expect(record.product).not.toHaveProperty('serial_number');
+  });
+
+  test('claims are refused without a release, or with one for another store, buyer or state', async () => {
+    holdBy(owner);
+    expect((await claim(buyer, {})).res.body.error.message).toBe('Owner sale release required');
+
+    const { body: forBuyer } = await release(owner, { buyerAddress: addr(buyer) });
+    expect((await claim(stranger, { releaseId: forBuyer.releaseId })).res.statusCode).toBe(403);
+    expect((await claim(buyer, { releaseId: forBuyer.releaseId }, 'store-2')).res.statusCode).toBe(403);
+
+    const { body: expiring } = await release(owner);
+    mockStore.releases[expiring.releaseId].valid_until = Date.now() - 1;
+    expect((await claim(buyer, { releaseId: expiring.releaseId })).res.body.error.message).toBe('Sale release expired');
+
+    const { body: stale } = await release(owner);
+    holdBy(owner); // a transfer since signing voids the release
+    expect((await claim(buyer, { releaseId: stale.releaseId })).res.statusCode).toBe(409);
+    expect(mockStore.pending).toHaveLength(0);
+  });
+
+  test('patches in store custody can be claimed under the store policy', async () => {
+    holdBy(retailer);
+    process.env.POS_STORE_POLICY = JSON.stringify({ 'store-1': { custodyAddresses: [addr(retailer)], custodyClaims: 'allow' } });
+    const { res, intent } = await claim(buyer, {});
+    expect(res.statusCode).toBe(200);
+    expect(intent.authorization).toBe('store_policy');
+    expect(mockStore.pending[0].record.auth).toMatchObject({ pos_store: 'store-1', previous_owner: addr(retailer) });
+    expect(mockStore.pending[0].record.auth).not.toHaveProperty('sale_release');
+
+    // Another store's custody policy does not cover it, and require_release turns custody claims off
+    expect((await claim(buyer, {}, 'store-2')).res.statusCode).toBe(403);
+    process.env.POS_STORE_POLICY = JSON.stringify({ 'store-1': { custodyAddresses: [addr(retailer)], custodyClaims: 'require_release' } });
+    expect((await claim(buyer, {})).res.statusCode).toBe(403);
+    holdBy(owner); // consumer-owned patches always need the owner's release
+    process.env.POS_STORE_POLICY = JSON.stringify({ 'store-1': { custodyAddresses: [addr(retailer)], custodyClaims: 'allow' } });
+    expect((await claim(buyer, {})).res.statusCode).toBe(403);
+  });
+
+  test('the approving store is the one the store key belongs to', async () => {
+    const authed = (key) => {
+      const req = { header: (name) => (name === 'x-store-key' ? key : undefined) };
+      const res = mockRes();
+      const next = jest.fn();
+      posStoreAuth(req, res, next);
+      return { req, res, next };
+    };
+    expect(authed(STORE_KEYS['store-2']).req.posStore).toBe('store-2');
+    for (const key of [undefined, 'guess', process.env.API_KEY]) {
+      const { res, next } = authed(key);
+      expect(res.statusCode).toBe(401);
+      expect(next).not.toHaveBeenCalled();
+    }
+
+    holdBy(owner);
+    const { body: rel } = await release(owner);
+    // A store-2 terminal can neither use store-1's release nor claim to be store-1
+    expect((await claim(buyer, { releaseId: rel.releaseId }, 'store-2')).res.body.error.message).toBe('Sale release is for another store');
+    const spoofed = await claim(buyer, { releaseId: rel.releaseId, store: 'store-1' }, 'store-2');
+    expect(spoofed.res.body.error.message).toBe('Store does not match the store key');
+    expect(mockStore.releases[rel.releaseId].status).toBe('active');
+    expect((await claim(buyer, { releaseId: rel.releaseId, store: 'store-1' })).res.statusCode).toBe(200);
+  });
+
+  test('a release consumed by a claim that fails to queue is restored', async () => {
+    holdBy(owner);
+    const { body: rel } = await release(owner);
+    const { createPendingTransfer } = require('../../services/databaseService');
+    createPendingTransfer.mockRejectedValueOnce(new Error('db down'));
+    await expect(claim(buyer, { releaseId: rel.releaseId })).rejects.toThrow('db down');
+    expect(mockStore.releases[rel.releaseId]).toMatchObject({ status: 'active', consumed_by_intent: null });
+
+    // The queue refusing the job fails the pending transfer as well
+    jobService.addTransferJob.mockRejectedValueOnce(new Error('redis down'));
+    await expect(claim(buyer, { releaseId: rel.releaseId })).rejects.toThrow('redis down');
+    expect(mockStore.releases[rel.releaseId]).toMatchObject({ status: 'active', consumed_by_intent: null });
+    expect(mockStore.pending).toEqual([expect.objectContaining({ status: 'failed', failure_reason: 'Queueing failed: redis down' })]);
+
+    const { res } = await claim(buyer, { releaseId: rel.releaseId });
+    expect(res).toMatchObject({ statusCode: 200, body: { jobId: 'job1' } });
+    expect(mockStore.releases[rel.releaseId].status).toBe('consumed');
+  });
+
+  test('claims are not approved while the transfer queue is disabled', async () => {
+    holdBy(owner);
+    const { body: rel } = await release(owner);
+    jobService.isEnabled.mockReturnValueOnce(false);
+    const { res, intent } = await claim(buyer, { releaseId: rel.releaseId });
+    expect(res).toMatchObject({ statusCode: 503, body: { error: { message: 'Transfer queue unavailable' } } });
+    expect(intent.status).toBe('pending');
+    expect(mockStore.releases[rel.releaseId].status).toBe('active');
+    expect(mockStore.pending).toHaveLength(0);
+  });
+});
@@ -0,0 +1,251 @@
+/*
+Unit tests for proof bundles: services/proofBundleService.js builds the bundle from stored records and
+chain data; public/verifier/patchproof-verifier.js checks it offline (signatures, payloads, custody
+linkage, batch Merkle paths, SPV block proofs and issuer keys against a signed trust list).
+*/
+
+jest.mock('../../models/AuthenticationRecord', () => ({ find: jest.fn() }));
+
+jest.mock('../../clients/wocClient', () => ({
+  getRawTransaction: jest.fn(),
+  getTxMerkleProof: jest.fn(),
+  getBlockHeader: jest.fn(),
+}));
+
+const crypto = require('crypto');
+const bsv = require('bsv');
+const stringify = require('safe-stable-stringify');
+const AuthenticationRecord = require('../../models/AuthenticationRecord');
+const wocClient = require('../../clients/wocClient');
+const proofBundleService = require('../../services/proofBundleService');
+const { headerHexFromJson } = require('../../services/proofBundleService');
+const { verifyBundle } = require('../../public/verifier/patchproof-verifier');
+
+const sha256 = (b) => crypto.createHash('sha256').update(b).digest();
+const sha256d = (b) => sha256(sha256(b));
+const rev = (hex) => Buffer.from(hex, 'hex').reverse().toString('hex');
+const sign = (hash, priv) => bsv.crypto.ECDSA.sign(hash, priv, 'little').toDER().toString('hex');
+
+const UID = 'uid-proof-1';
+const issuerKey = new bsv.PrivateKey();
+const fundingKey = new bsv.PrivateKey();
+const ownershipKey = new bsv.PrivateKey();
+const ownerA = new bsv.PrivateKey();
+const ownerB = new bsv.PrivateKey();
+
+function fundingUtxo(seed) {
+  return {
+    txid: sha256(Buffer.from(seed)).toString('hex'),
+    vout: 0,
+    satoshis: 10000,
+    script: bsv.Script.buildPublicKeyHashOut(fundingKey.toAddress()).toHex(),
+  };
+}
+
+function anchorTx(payload, { spend, ownership = true } = {}) {
+  const tx = new bsv.Transaction();
+  if (spend) tx.from(spend);
+  tx.from(fundingUtxo(JSON.stringify(payload)));
+  tx.addOutput(new bsv.Transaction.Output({ script: bsv.Script.buildSafeDataOut([Buffer.from(JSON.stringify(payload))]), satoshis: 0 }));
+  if (ownership) tx.addOutput(new bsv.Transaction.Output({ script: bsv.Script.buildPublicKeyHashOut(ownershipKey.toAddress()), satoshis: 1 }));
+  tx.change(fundingKey.toAddress());
+  tx.sign([fundingKey, ownershipKey]);
+  return tx;
+}
+
+// Mine a regtest-difficulty block over the given txids and return WoC-style header JSON + TSC proofs.
+function mineBlock(txids, height) {
+  const leaves = txids.map((t) => Buffer.from(rev(t), 'hex'));
+  const root = leaves.length === 1 ? leaves[0] : sha256d(Buffer.concat([leaves[0], leaves[1]]));
+  const json = { version: 536870912, previousblockhash: 'ab'.repeat(32), merkleroot: rev(root.toString('hex')), time: 1700000000, bits: '207fffff', nonce: 0, height };
+  for (;;) {
+    const hash = rev(sha256d(Buffer.from(headerHexFromJson(json), 'hex')).toString('hex'));
+    if (BigInt('0x' + hash) <= (0x7fffffn << 232n)) { json.hash = hash; break; }
+    json.nonce += 1;
+  }
+  const proofs = {};
+  txids.forEach((t, i) => { proofs[t] = { index: i, txOrId: t, target: json.hash, nodes: txids.length === 1 ? [] : [txids[1 - i]] }; });
+  return { header: json, proofs };
+}
+
+function buildChain() {
+  const metadata = { notes: 'limited run', image: 'https://example.com/p.png' };
+  const ts = 1700000000000;
+  const msg = {
+    purpose: 'register_patch',
+    uid_tag_id: UID,
+    metadata_sha256: sha256(Buffer.from(JSON.stringify(metadata), 'utf8')).toString('hex'),
+    ts,
+  };
+  const regRecord = {
+    type: 'AUTHENTICATION_RECORD',
+    product: { uid_tag_id: UID },
+    metadata,
+    auth: { owner: ownerA.toAddress().toString(), issuer_signature: sign(sha256(Buffer.from(stringify(msg), 'utf8')), issuerKey), issuer_pubkey: issuerKey.publicKey.toString(), ts },
+  };
+  const regTx = anchorTx(regRecord);
+
+  const newOwner = ownerB.toAddress().toString();
+  const transferMsg = { purpose: 'transfer_ownership', uid_tag_id: UID, currentTxid: regTx.hash, newOwnerAddress: newOwner };
+  const xferRecord = JSON.parse(JSON.stringify(regRecord));
+  xferRecord.auth.owner = newOwner;
+  xferRecord.auth.prev_txid = regTx.hash;
+  xferRecord.auth.current_owner_pubkey = ownerA.publicKey.toString();
+  xferRecord.auth.current_owner_signature = sign(sha256(Buffer.from(JSON.stringify(transferMsg))), ownerA);
+  xferRecord.auth.ts = ts + 1000;
+  const ownershipScript = bsv.Script.buildPublicKeyHashOut(ownershipKey.toAddress()).toHex();
+  const xferTx = anchorTx(xferRecord, { spend: { txid: regTx.hash, vout: 1, satoshis: 1, script: ownershipScript } });
+
+  // Stored copies drop the fields the strict record_data schema does not know.
+  const storedXfer = JSON.parse(JSON.stringify(xferRecord));
+  delete storedXfer.auth.prev_txid; delete storedXfer.auth.current_owner_pubkey; delete storedXfer.auth.current_owner_signature;
+  const docs = [
+    { type: 'REGISTRATION', txid: regTx.hash, ownership_output: { vout: 1, satoshis: 1, scriptPubKey: ownershipScript, keyIdentifier: 'own' }, created_at: new Date(1), record_data: regRecord },
+    { type: 'TRANSFER', txid: xferTx.hash, previous_txid: regTx.hash, ownership_output: { vout: 1, satoshis: 1, scriptPubKey: ownershipScript, keyIdentifier: 'own' }, created_at: new Date(2), record_data: storedXfer },
+  ];
+  return { docs, txs: { [regTx.hash]: regTx.serialize({ disableDustOutputs: true }), [xferTx.hash]: xferTx.serialize({ disableDustOutputs: true }) }, block: mineBlock([regTx.hash, xferTx.hash], 800000) };
+}
+
+function mockChain({ docs, txs, block }, { confirmed = true } = {}) {
+  AuthenticationRecord.find.mockReturnValue({ sort: () => ({ lean: () => ({ exec: async () => docs }) }) });
+  wocClient.getRawTransaction.mockImplementation(async (txid) => txs[txid]);
+  wocClient.getTxMerkleProof.mockImplementation(async (txid) => (confirmed ? block.proofs[txid] : null));
+  wocClient.getBlockHeader.mockImplementation(async () => block.header);
+}
+
+describe('proof bundles', () => {
+  let chain;
+  beforeAll(() => { chain = buildChain(); });
+  beforeEach(() => {
+    jest.clearAllMocks();
+    proofBundleService.cache.clear();
+  });
+
+  test('builds a bundle that verifies offline with SPV proofs', async () => {
+    mockChain(chain);
+    const bundle = await proofBundleService.buildBundle(UID);
+
+    expect(bundle).toMatchObject({ format: 'patchproof-proof-bundle', version: 1, uid_tag_id: UID });
+    expect(Object.keys(bundle.transactions)).toHaveLength(2);
+    expect(wocClient.getBlockHeader).toHaveBeenCalledTimes(1);
+
+    const result = verifyBundle(JSON.parse(JSON.stringify(bundle)), { trustedBlockHashes: [chain.block.header.hash] });
+    expect(result.errors).toEqual([]);
+    expect(result).toMatchObject({ valid: true, confirmed: true, currentOwner: ownerB.toAddress().toString(), currentTxid: chain.docs[1].txid });
+    expect(result.records[0].checks).toMatchObject({ txid: true, payload: true, issuerSignature: true, blockInclusion: 'verified' });
+    expect(result.records[1].checks).toMatchObject({ authorization: 'owner_signature', ownerSignature: true, spendsOwnershipOutput: true });
+    expect(result.records[1].block).toMatchObject({ hash: chain.block.header.hash, height: 800000 });
+  });
+
+  test('checks issuer keys against a signed trust list when one is supplied', async () => {
+    mockChain(chain);
+    const bundle = JSON.parse(JSON.stringify(await proofBundleService.buildBundle(UID)));
+    const rootKey = new bsv.PrivateKey();
+    const manifestFor = (keys) => {
+      const body = { format: 'patchproof-issuers', version: 1, issued_at: new Date().toISOString(), keys, keys_sha256: sha256(Buffer.from(stringify(keys))).toString('hex') };
+      return { ...body, signature: { alg: 'ecdsa-secp256k1-sha256', pubkey: rootKey.publicKey.toString(), sig: sign(sha256(Buffer.from(stringify(body))), rootKey) } };
+    };
+    const key = { key_id: 'issuer-1', pubkey: issuerKey.publicKey.toString(), status: 'active', valid_from: '2023-01-01T00:00:00.000Z', valid_until: null, revoked_at: null, revocation_reason: null };
+    const rootPubkey = rootKey.publicKey.toString();
+
+    const trusted = verifyBundle(bundle, { issuerManifest: manifestFor([key]), rootPubkey });
+    expect(trusted.errors).toEqual([]);
+    expect(trusted.records[0].checks.issuerTrusted).toBe(true);
+    expect(trusted.records[0].issuerKeyId).toBe('issuer-1');
+
+    const late = verifyBundle(bundle, { issuerManifest: manifestFor([{ ...key, valid_from: '2024-01-01T00:00:00.000Z' }]), rootPubkey });
+    expect(late.errors).toContain('record 0: issuer key not trusted by the manifest (outside_validity)');
+    const revoked = verifyBundle(bundle, { issuerManifest: manifestFor([{ ...key, status: 'revoked' }]), rootPubkey });
+    expect(revoked.errors).toContain('record 0: issuer key not trusted by the manifest (revoked)');
+    const unpinned = verifyBundle(bundle, { issuerManifest: manifestFor([key]), rootPubkey: issuerKey.publicKey.toString() });
+    expect(unpinned).toMatchObject({ valid: false, issuers: { valid: false } });
+  });
+
+  test('caches chain data of mined transactions but not of unconfirmed ones', async () => {
+    mockChain(chain, { confirmed: false });
+    await proofBundleService.buildBundle(UID);
+    await proofBundleService.buildBundle(UID);
+    expect(wocClient.getRawTransaction).toHaveBeenCalledTimes(4);
+
+    jest.clearAllMocks();
+    mockChain(chain);
+    const first = await proofBundleService.buildBundle(UID);
+    const second = await proofBundleService.buildBundle(UID);
+    expect(wocClient.getRawTransaction).toHaveBeenCalledTimes(2);
+    expect(wocClient.getTxMerkleProof).toHaveBeenCalledTimes(2);
+    expect(wocClient.getBlockHeader).toHaveBeenCalledTimes(1);
+    expect({ ...second, generated_at: null }).toEqual({ ...first, generated_at: null });
+  });
+
+  test('returns null for unknown patches', async () => {
+    mockChain({ ...chain, docs: [] });
+    await expect(proofBundleService.buildBundle('nope')).resolves.toBeNull();
+  });
+
+  test('reports unconfirmed records without failing the bundle', async () => {
+    mockChain(chain, { confirmed: false });
+    const result = verifyBundle(await proofBundleService.buildBundle(UID));
+    expect(result.valid).toBe(true);
+    expect(result.confirmed).toBe(false);
+    expect(result.records[0].checks.blockInclusion).toBe('unconfirmed');
+  });
+
+  test('detects a record that does not match its on-chain payload', async () => {
+    mockChain(chain);
+    const bundle = JSON.parse(JSON.stringify(await proofBundleService.buildBundle(UID)));
+    bundle.records[1].record_data.auth.owner = new bsv.PrivateKey().toAddress().toString();
+    const result = verifyBundle(bundle);
+    expect(result.valid).toBe(false);
+    expect(result.errors).toContain('record 1: OP_RETURN payload does not match the record');
+  });
+
+  test('detects a raw transaction swapped for another one', async () => {
+    mockChain(chain);
+    const bundle = JSON.parse(JSON.stringify(await proofBundleService.buildBundle(UID)));
+    const [regTxid, xferTxid] = bundle.records.map((r) => r.txid);
+    bundle.transactions[regTxid] = bundle.transactions[xferTxid];
+    const result = verifyBundle(bundle);
+    expect(result.valid).toBe(false);
+    expect(result.errors).toContain('record 0: raw transaction does not hash to the anchor txid');
+  });
+
+  test('rejects headers outside the trusted set and tampered Merkle proofs', async () => {
+    mockChain(chain);
+    const bundle = JSON.parse(JSON.stringify(await proofBundleService.buildBundle(UID)));
+    expect(verifyBundle(bundle, { trustedBlockHashes: ['00'.repeat(32)] }).errors)
+      .toContain('record 0: block is not in the trusted block set');
+    bundle.merkleProofs[bundle.records[0].txid].index = 1;
+    expect(verifyBundle(bundle).errors).toContain('record 0: Merkle proof does not match block header');
+  });
+
+  test('verifies batch-anchored records through their Merkle path', async () => {
+    const metadata = { notes: 'batched' };
+    const ts = 1700000005000;
+    const msg = { purpose: 'register_patch', uid_tag_id: UID, metadata_sha256: sha256(Buffer.from(JSON.stringify(metadata))).toString('hex'), ts };
+    const recordData = {
+      type: 'AUTHENTICATION_RECORD',
+      product: { uid_tag_id: UID },
+      metadata,
+      auth: { owner: ownerA.toAddress().toString(), issuer_signature: sign(sha256(Buffer.from(stringify(msg))), issuerKey), issuer_pubkey: issuerKey.publicKey.toString(), ts },
+    };
+    // Leaf sits at index 1 of a 3-leaf batch (odd leaf paired with itself)
+    const leaves = [sha256(Buffer.from('other-0')), sha256(Buffer.from(JSON.stringify(recordData))), sha256(Buffer.from('other-2'))];
+    const l01 = sha256(Buffer.concat([leaves[0], leaves[1]]));
+    const l22 = sha256(Buffer.concat([leaves[2], leaves[2]]));
+    const root = sha256(Buffer.concat([l01, l22]));
+    const batchTx = new bsv.Transaction().from(fundingUtxo('batch'))
+      .addOutput(new bsv.Transaction.Output({ script: bsv.Script.buildSafeDataOut([Buffer.from('PatchProofBatch'), root]), satoshis: 0 }))
+      .change(fundingKey.toAddress()).sign(fundingKey);
+    const stored = JSON.parse(JSON.stringify(recordData));
+    Object.assign(stored.auth, { merkleRoot: root.toString('hex'), merklePath: [leaves[0].toString('hex'), l22.toString('hex')], anchorTxid: batchTx.hash });
+    mockChain({ docs: [{ type: 'REGISTRATION', created_at: new Date(1), record_data: stored }], txs: { [batchTx.hash]: batchTx.serialize() }, block: mineBlock([batchTx.hash], 1) });
+
+    const bundle = await proofBundleService.buildBundle(UID);
+    const result = verifyBundle(bundle);
+    expect(result.errors).toEqual([]);
+    expect(result).toMatchObject({ valid: true, confirmed: true, currentTxid: batchTx.hash });
+
+    bundle.records[0].record_data.auth.merklePath[0] = 'ff'.repeat(32);
+    expect(verifyBundle(bundle).errors).toContain('record 0: record is not included in the batch Merkle root');
+  });
+});
@@ -0,0 +1,151 @@
+/*
+Unit tests for services/recordEnvelope.js and the envelope support in the offline verifier
+Covers: canonical v1 encoding and round trips, optional DEFLATE compression, schema/version rejection,
+legacy v0 decoding (records, batch and issuer manifest anchors), on-chain payload comparison, and issuer signatures over canonical or legacy metadata digests.
+*/
+
+const crypto = require('crypto');
+const bsv = require('bsv');
+const stringify = require('safe-stable-stringify');
+const envelope = require('../../services/recordEnvelope');
+const { comparePayload } = require('../../services/chainVerificationService');
+const { verifyBundle, decodeEnvelope } = require('../../public/verifier/patchproof-verifier');
+
+const sha256 = (b) => crypto.createHash('sha256').update(b).digest();
+const sign = (hash, priv) => bsv.crypto.ECDSA.sign(hash, priv, 'little').toDER().toString('hex');
+
+const UID = 'uid-envelope-1';
+const issuerKey = new bsv.PrivateKey();
+const fundingKey = new bsv.PrivateKey();
+const metadata = { sku: 'JKT-01', batch: { size: 'M', colour: 'navy' } }; // insertion order != sorted order
+
+function registration({ legacyDigest = false, meta = metadata } = {}) {
+  const ts = 1700000000000;
+  const metadata_sha256 = legacyDigest ? envelope.legacyMetadataSha256(meta) : envelope.metadataSha256(meta);
+  const msg = { purpose: 'register_patch', uid_tag_id: UID, metadata_sha256, ts };
+  return {
+    type: 'AUTHENTICATION_RECORD',
+    product: { uid_tag_id: UID },
+    metadata: meta,
+    auth: { owner: fundingKey.toAddress().toString(), issuer_signature: sign(sha256(Buffer.from(stringify(msg))), issuerKey), issuer_pubkey: issuerKey.publicKey.toString(), ts },
+  };
+}
+
+function anchorTx(chunks) {
+  return new bsv.Transaction()
+    .from({ txid: sha256(Buffer.concat(chunks)).toString('hex'), vout: 0, satoshis: 10000, script: bsv.Script.buildPublicKeyHashOut(fundingKey.toAddress()).toHex() })
+    .addOutput(new bsv.Transaction.Output({ script: bsv.Script.buildSafeDataOut(chunks), satoshis: 0 }))
+    .change(fundingKey.toAddress())
+    .sign(fundingKey);
+}
+
+function bundle(recordData, chunks) {
+  const tx = anchorTx(chunks);
+  return {
+    format: 'patchproof-proof-bundle',
+    uid_tag_id: UID,
+    records: [{ type: 'REGISTRATION', txid: tx.hash, record_data: recordData }],
+    transactions: { [tx.hash]: tx.serialize() },
+  };
+}
+
+describe('record envelope', () => {
+  const ORIGINAL_ENV = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...ORIGINAL_ENV };
+  });
+
+  test('encodes records as canonical JSON under a v1 envelope and decodes them back', () => {
+    const record = registration();
+    const chunks = envelope.encode('registration', record);
+    expect(chunks.slice(0, 4).map(String)).toEqual(['PatchProof', '1', 'registration', 'json']);
+    expect(chunks[4].toString()).toBe(stringify(record));
+    expect(chunks[4].toString()).not.toBe(JSON.stringify(record));
+
+    expect(envelope.decode(chunks)).toEqual({ version: 1, type: 'registration', encoding: 'json', payload: record, json: stringify(record) });
+    expect(decodeEnvelope(chunks.map((c) => Uint8Array.from(c)))).toMatchObject({ version: 1, type: 'registration', payload: record });
+
+    const root = sha256(Buffer.from('root'));
+    expect(envelope.decode(envelope.encode('batch', root))).toMatchObject({ version: 1, type: 'batch', encoding: 'raw', payload: root, json: null });
+  });
+
+  test('deflates JSON payloads when enabled, and the offline verifier inflates them', () => {
+    const record = registration({ meta: { notes: 'hand-stitched '.repeat(40), lines: Array.from({ length: 30 }, (_, i) => ({ line: i, qc: 'pass' })) } });
+    process.env.ENVELOPE_COMPRESSION = 'deflate';
+    const chunks = envelope.encode('registration', record);
+    expect(chunks[3].toString()).toBe('json+deflate');
+    expect(chunks[4].length).toBeLessThan(stringify(record).length / 2);
+    expect(envelope.decode(chunks).payload).toEqual(record);
+    expect(decodeEnvelope(chunks.map((c) => Uint8Array.from(c))).payload).toEqual(record);
+
+    const result = verifyBundle(bundle(record, chunks));
+    expect(result.errors).toEqual([]);
+    expect(result.records[0]).toMatchObject({ envelopeVersion: 1, checks: { payload: true, issuerSignature: true } });
+
+    // Batch roots are binary and never compressed; compression can be turned off per call
+    expect(envelope.encode('batch', sha256(Buffer.from('r')))[3].toString()).toBe('raw');
+    expect(envelope.encode('registration', record, { compress: false })[3].toString()).toBe('json');
+  });
+
+  test('rejects records that fail the schema, unsupported versions and malformed envelopes', () => {
+    const record = registration();
+    const unsigned = { ...record.auth };
+    delete unsigned.issuer_signature;
+    expect(() => envelope.encode('registration', { ...record, auth: unsigned })).toThrow(expect.objectContaining({ name: 'RecordFormatError', statusCode: 422 }));
+    expect(() => envelope.encode('registration', { ...record, extra: true })).toThrow(/"extra" is not allowed/);
+    expect(() => envelope.encode('transfer', record)).toThrow(/Invalid transfer record/);
+    expect(envelope.encode('transfer', { ...record, auth: { ...record.auth, prev_txid: 'ab'.repeat(32) } })[2].toString()).toBe('transfer');
+    expect(() => envelope.encode('batch', Buffer.alloc(31))).toThrow(/32-byte/);
+    expect(() => envelope.encode('issuers', {})).toThrow(/32-byte keys_sha256/);
+    expect(() => envelope.encode('manifest', {})).toThrow(/Unknown record type/);
+
+    const chunks = envelope.encode('registration', record);
+    expect(() => envelope.decode([chunks[0], Buffer.from('2'), ...chunks.slice(2)])).toThrow(/Unsupported envelope version '2'/);
+    expect(() => decodeEnvelope([chunks[0], Buffer.from('2'), ...chunks.slice(2)])).toThrow(/unsupported envelope version/);
+    expect(() => envelope.decode(chunks.slice(0, 4))).toThrow(/Malformed/);
+    expect(() => envelope.decode([...chunks.slice(0, 4), Buffer.from(stringify({ ...record, product: {} }))])).toThrow(/uid_tag_id/);
+    expect(() => envelope.decode([...chunks.slice(0, 3), Buffer.from('json+deflate'), Buffer.from('not deflate')])).toThrow(/Undecodable/);
+    expect(() => envelope.decode([Buffer.from('hello')])).toThrow(/Not a PatchProof record/);
+  });
+
+  test('still reads legacy v0 records and batch anchors, and compares both against stored records', () => {
+    const record = registration({ legacyDigest: true });
+    const legacy = [Buffer.from(JSON.stringify(record))];
+    expect(envelope.decode(legacy)).toMatchObject({ version: 0, type: 'registration', encoding: 'json', payload: record });
+    const transfer = { ...record, auth: { ...record.auth, pos_approved_by: 'retailer-1' } };
+    expect(envelope.decode([Buffer.from(JSON.stringify(transfer))]).type).toBe('transfer');
+    const root = sha256(Buffer.from('root'));
+    expect(envelope.decode([Buffer.from('PatchProofBatch'), root])).toMatchObject({ version: 0, type: 'batch', payload: root });
+
+    // Issuer manifest anchors: the v1 envelope with a raw keys_sha256, and the legacy tag
+    const issuers = envelope.encode('issuers', root);
+    expect(issuers.slice(0, 4).map(String)).toEqual(['PatchProof', '1', 'issuers', 'raw']);
+    expect(envelope.decode(issuers)).toMatchObject({ version: 1, type: 'issuers', encoding: 'raw', payload: root, json: null });
+    expect(decodeEnvelope(issuers)).toMatchObject({ version: 1, type: 'issuers', encoding: 'raw' });
+    expect(envelope.decode([Buffer.from('PatchProofIssuers'), root])).toMatchObject({ version: 0, type: 'issuers', payload: root });
+    expect(decodeEnvelope([Buffer.from('PatchProofIssuers'), root])).toMatchObject({ version: 0, type: 'issuers', payload: root });
+
+    expect(comparePayload(legacy, record)).toEqual({ match: true, comparison: 'bytes', envelopeVersion: 0 });
+    expect(comparePayload(envelope.encode('registration', record), record)).toEqual({ match: true, comparison: 'bytes', envelopeVersion: 1 });
+    const moved = { ...record, auth: { ...record.auth, owner: new bsv.PrivateKey().toAddress().toString() } };
+    expect(comparePayload(envelope.encode('registration', record), moved)).toMatchObject({ match: false, comparison: 'fields', envelopeVersion: 1 });
+    expect(comparePayload([Buffer.from('PatchProof'), Buffer.from('9')], record)).toMatchObject({ match: false, envelopeVersion: null });
+  });
+
+  test('issuer signatures verify over the canonical metadata digest and, for older records, the legacy one', () => {
+    const current = registration();
+    expect(verifyBundle(bundle(current, envelope.encode('registration', current))).valid).toBe(true);
+
+    const legacy = registration({ legacyDigest: true });
+    const result = verifyBundle(bundle(legacy, [Buffer.from(JSON.stringify(legacy))]));
+    expect(result.errors).toEqual([]);
+    expect(result.records[0]).toMatchObject({ envelopeVersion: 0, checks: { issuerSignature: true } });
+
+    const forged = { ...current, metadata: { ...metadata, sku: 'JKT-02' } };
+    expect(verifyBundle(bundle(forged, envelope.encode('registration', forged))).errors).toContain('record 0: issuer signature invalid');
+
+    const mislabelled = envelope.encode('transfer', { ...current, auth: { ...current.auth, prev_txid: 'ab'.repeat(32) } });
+    expect(verifyBundle(bundle(current, mislabelled)).errors).toContain('record 0: envelope record type transfer does not match REGISTRATION');
+  });
+});
@@ -0,0 +1,284 @@
+/*
+Unit tests for clients/regtestChain.js (in-process regtest simulator)
+Covers: script/value/double-spend validation of real transactions, mining with valid headers and TSC proofs,
+reorgs and mempool drops, chain data lookups, and the split -> register -> transfer -> sweep flows driven
+end to end through the v2 pipeline with BROADCAST_PROVIDERS=regtest.
+*/
+
+jest.mock('../../clients/wocClient', () => ({
+  getRecommendedFeePerKb: jest.fn(() => NaN),
+  broadcast: jest.fn(),
+  initialize: jest.fn(),
+}));
+
+jest.mock('../../services/configService', () => ({
+  getNumber: jest.fn(() => NaN),
+  initialize: jest.fn(),
+}));
+
+jest.mock('../../services/utxoService', () => ({
+  selectAndLockUtxo: jest.fn(),
+  spendUtxo: jest.fn(async () => {}),
+  unlockUtxo: jest.fn(async () => {}),
+  addUtxo: jest.fn(async (u) => u),
+}));
+
+jest.mock('../../services/kmsSigner', () => ({
+  signBatch: jest.fn(),
+}));
+
+jest.mock('../../services/lockManager', () => ({
+  withLockHeartbeat: jest.fn(async (_key, _ttl, fn) => ({ ok: true, result: await fn() })),
+}));
+
+jest.mock('../../models/Utxo', () => ({
+  countDocuments: jest.fn(async () => 0),
+  findOneAndUpdate: jest.fn(),
+}));
+
+const bsv = require('bsv');
+
+const fundingKey = new bsv.PrivateKey();
+const fundingAddress = fundingKey.toAddress().toString();
+const ownershipKey = new bsv.PrivateKey();
+const ownershipAddress = ownershipKey.toAddress().toString();
+
+const ORIGINAL_ENV = { ...process.env };
+Object.assign(process.env, {
+  FEE_PER_KB: '500',
+  UTXO_FUNDING_KEY_IDENTIFIER: 'funding-kid',
+  UTXO_FUNDING_ADDRESS: fundingAddress,
+  UTXO_CHANGE_ADDRESS: fundingAddress,
+  MIN_UTXO_COUNT: '3',
+  UTXO_SPLIT_SIZE_SATS: '5000',
+});
+
+const wocClient = require('../../clients/wocClient');
+const regtestChain = require('../../clients/regtestChain');
+const utxoService = require('../../services/utxoService');
+const kmsSigner = require('../../services/kmsSigner');
+const Utxo = require('../../models/Utxo');
+const chainData = require('../../services/chainDataService');
+const broadcaster = require('../../services/broadcasterService');
+const { classifyError } = require('../../services/broadcasterService');
+const blockchainService = require('../../services/blockchainService');
+const utxoManagerService = require('../../services/utxoManagerService');
+
+const sha256d = (buf) => bsv.crypto.Hash.sha256sha256(buf);
+const rev = (buf) => Buffer.from(buf).reverse();
+
+// Emulates the KMS contract: sign each sighash with the key behind keyIdentifier.
+function kmsSignWith(keys) {
+  return async (requests) => requests.map((r) => {
+    const priv = keys[r.keyIdentifier];
+    if (!priv) throw new Error(`unknown key ${r.keyIdentifier}`);
+    return {
+      signatureHex: bsv.crypto.ECDSA.sign(Buffer.from(r.sighash, 'hex'), priv, 'little').toDER().toString('hex'),
+      pubKeyHex: priv.publicKey.toString(),
+    };
+  });
+}
+
+// Locally signed P2PKH spend of a simulator output
+function spendTx(utxo, key, to, satoshis) {
+  const tx = new bsv.Transaction()
+    .from({ txid: utxo.txid, vout: utxo.vout, satoshis: utxo.satoshis, script: bsv.Script.buildPublicKeyHashOut(key.toAddress()).toHex() })
+    .to(to, satoshis)
+    .sign(key);
+  return tx;
+}
+
+// Same fold as public/verifier/patchproof-verifier.js
+function foldProof(txid, { index, nodes }) {
+  let cur = rev(Buffer.from(txid, 'hex'));
+  let i = index;
+  for (const node of nodes) {
+    const sib = node === '*' ? cur : rev(Buffer.from(node, 'hex'));
+    cur = (i & 1) ? sha256d(Buffer.concat([sib, cur])) : sha256d(Buffer.concat([cur, sib]));
+    i >>= 1;
+  }
+  return rev(cur).toString('hex');
+}
+
+describe('regtestChain', () => {
+  const key = new bsv.PrivateKey();
+  const address = key.toAddress().toString();
+  const other = new bsv.PrivateKey().toAddress().toString();
+
+  beforeEach(() => {
+    regtestChain.reset();
+  });
+
+  test('accepts a valid spend and rejects duplicates, double spends, bad scripts and overspends', () => {
+    const coin = { ...regtestChain.fund(address, 10000), satoshis: 10000 };
+    const tx = spendTx(coin, key, other, 9000);
+
+    expect(regtestChain.broadcast(tx.serialize())).toBe(tx.hash);
+    expect(regtestChain.listUnspent(address)).toEqual([]);
+    expect(regtestChain.isSpent(coin.txid, 0)).toBe(true);
+    expect(() => regtestChain.broadcast(tx.serialize())).toThrow('txn-already-known');
+
+    const conflict = spendTx(coin, key, other, 8000);
+    expect(() => regtestChain.broadcast(conflict.serialize())).toThrow('258: txn-mempool-conflict');
+    regtestChain.mine();
+    expect(() => regtestChain.broadcast(conflict.serialize())).toThrow('Missing inputs');
+
+    const coin2 = { ...regtestChain.fund(address, 5000), satoshis: 5000 };
+    const wrongKey = spendTx(coin2, key, other, 4000);
+    wrongKey.inputs[0].setScript(bsv.Script.buildPublicKeyHashIn(new bsv.PrivateKey().publicKey, wrongKey.inputs[0].script.chunks[0].buf));
+    expect(() => regtestChain.broadcast(wrongKey.toString())).toThrow(/mandatory-script-verify-flag-failed/);
+
+    const overspend = new bsv.Transaction()
+      .from({ txid: coin2.txid, vout: 0, satoshis: 5000, script: bsv.Script.buildPublicKeyHashOut(key.toAddress()).toHex() })
+      .to(other, 5000);
+    overspend.outputs[0].satoshis = 6000;
+    overspend.sign(key);
+    let err;
+    try { regtestChain.broadcast(overspend.uncheckedSerialize()); } catch (e) { err = e; }
+    expect(err.message).toBe('16: bad-txns-in-belowout');
+    expect(classifyError(err)).toBe('rejected');
+  });
+
+  test('mines blocks with valid headers and TSC proofs', () => {
+    const txids = [1, 2, 3].map((n) => regtestChain.fund(address, n * 1000).txid);
+    regtestChain.mine(2);
+
+    expect(regtestChain.getChainInfo()).toMatchObject({ height: 2 });
+    const info = regtestChain.getTransaction(txids[2]);
+    expect(info).toMatchObject({ confirmations: 2, blockheight: 1 });
+
+    const proof = regtestChain.getTxMerkleProof(txids[2]);
+    expect(proof).toMatchObject({ index: 2, target: info.blockhash });
+    expect(proof.nodes[0]).toBe('*');
+    const header = regtestChain.getBlockHeader(info.blockhash);
+    expect(foldProof(txids[2], proof)).toBe(header.merkleroot);
+    expect(foldProof(txids[0], regtestChain.getTxMerkleProof(txids[0]))).toBe(header.merkleroot);
+
+    // Header hash commits to the returned fields and meets the regtest target
+    const raw = Buffer.alloc(80);
+    raw.writeInt32LE(header.version, 0);
+    rev(Buffer.from(header.previousblockhash, 'hex')).copy(raw, 4);
+    rev(Buffer.from(header.merkleroot, 'hex')).copy(raw, 36);
+    raw.writeUInt32LE(header.time, 68);
+    raw.writeUInt32LE(parseInt(header.bits, 16), 72);
+    raw.writeUInt32LE(header.nonce, 76);
+    expect(rev(sha256d(raw)).toString('hex')).toBe(info.blockhash);
+    expect(header.hash[0] <= '7').toBe(true);
+  });
+
+  test('reorgs return transactions to the mempool and drop double-spent ones with their descendants', () => {
+    const coin = { ...regtestChain.fund(address, 10000), satoshis: 10000 };
+    regtestChain.mine();
+    const parent = spendTx(coin, key, address, 9000);
+    regtestChain.broadcast(parent.serialize());
+    const child = spendTx({ txid: parent.hash, vout: 0, satoshis: 9000 }, key, other, 8000);
+    regtestChain.broadcast(child.serialize());
+    regtestChain.mine();
+    const orphanedBlock = regtestChain.getTransaction(parent.hash).blockhash;
+
+    const { height, disconnected } = regtestChain.reorg(1);
+    expect(height).toBe(3);
+    expect(disconnected).toEqual([orphanedBlock]);
+    expect(regtestChain.getTransaction(child.hash)).toMatchObject({ confirmations: 2, blockheight: 2 });
+    expect(regtestChain.getBlockHeader(orphanedBlock)).toBeNull();
+
+    regtestChain.reorg(2, { drop: [parent.hash] });
+    expect(regtestChain.getTransaction(parent.hash)).toBeNull();
+    expect(regtestChain.getTransaction(child.hash)).toBeNull();
+    expect(regtestChain.isSpent(coin.txid, 0)).toBe(false);
+    expect(regtestChain.listUnspent(address)).toEqual([expect.objectContaining({ txid: coin.txid, height: 1 })]);
+    expect(() => regtestChain.drop(coin.txid)).toThrow(/confirmed/);
+  });
+
+  test('serves tx lookups through the chain data provider', async () => {
+    process.env.CHAIN_DATA_PROVIDER = 'regtest';
+    try {
+      const { txid } = regtestChain.fund(address, 1000);
+      await expect(chainData.getTransaction(txid)).resolves.toMatchObject({ txid, confirmations: 0 });
+      await expect(chainData.getTxMerkleProof(txid)).resolves.toBeNull();
+      regtestChain.mine();
+      await expect(chainData.getRawTransaction(txid)).resolves.toBe(regtestChain.getRawTransaction(txid));
+      await expect(chainData.getTransaction('0'.repeat(64))).resolves.toBeNull();
+      await expect(chainData.getRawTransaction('0'.repeat(64))).rejects.toMatchObject({ response: { status: 404 } });
+    } finally {
+      delete process.env.CHAIN_DATA_PROVIDER;
+    }
+  });
+});
+
+describe('v2 pipeline against the regtest chain', () => {
+  const pool = [];
+  const destination = new bsv.PrivateKey().toAddress().toString();
+  const ownershipScript = bsv.Script.buildPublicKeyHashOut(ownershipAddress).toHex();
+
+  const poolEntry = (u) => ({ _id: `${u.txid}:${u.vout}`, ...u, scriptPubKey: bsv.Script.buildPublicKeyHashOut(fundingAddress).toHex(), keyIdentifier: 'funding-kid' });
+
+  beforeAll(() => {
+    regtestChain.reset();
+    broadcaster.resetHealth();
+    Object.assign(process.env, {
+      BROADCAST_PROVIDERS: 'regtest',
+      CHAIN_DATA_PROVIDER: 'regtest',
+      UTXO_MIN_CONFIRMATIONS: '0',
+      OWNERSHIP_KEY_IDENTIFIER: 'ownership-kid',
+      OWNERSHIP_ADDRESS: ownershipAddress,
+    });
+    kmsSigner.signBatch.mockImplementation(kmsSignWith({ 'funding-kid': fundingKey, 'ownership-kid': ownershipKey }));
+    utxoService.selectAndLockUtxo.mockImplementation(async () => pool.shift() || null);
+    utxoService.addUtxo.mockImplementation(async (u) => { pool.push(u); return u; });
+  });
+
+  afterAll(() => {
+    process.env = ORIGINAL_ENV;
+  });
+
+  let registration;
+  let transfer;
+
+  test('split creates pool outputs from a funded coin', async () => {
+    regtestChain.fund(fundingAddress, 100000);
+    regtestChain.mine();
+    const [coin] = await chainData.getUnspentOutputs(fundingAddress, { minConfirmations: 1 });
+    Utxo.findOneAndUpdate.mockReturnValue({ exec: async () => poolEntry(coin) });
+
+    const res = await utxoManagerService.splitIfNeeded();
+
+    expect(res).toMatchObject({ success: true, outputs: 3 });
+    expect(regtestChain.getTransaction(res.txid)).toMatchObject({ confirmations: 0 });
+    regtestChain.mine();
+    const outputs = await chainData.getUnspentOutputs(fundingAddress, { minConfirmations: 1 });
+    expect(outputs.filter((u) => u.satoshis === 5000)).toHaveLength(3);
+    pool.push(...outputs.filter((u) => u.satoshis === 5000).map(poolEntry));
+    expect(wocClient.broadcast).not.toHaveBeenCalled();
+  });
+
+  test('registration anchors with an ownership output', async () => {
+    registration = await blockchainService.constructAndBroadcastRegistrationTx([Buffer.from('reg')]);
+
+    expect(registration).toMatchObject({ success: true, ownershipOutput: { vout: 1, satoshis: 1, scriptPubKey: ownershipScript } });
+    expect(regtestChain.isSpent(registration.txid, 1)).toBe(false);
+  });
+
+  test('transfer spends the ownership output; a competing transfer is a double spend', async () => {
+    const prev = registration.ownershipOutput;
+    transfer = await blockchainService.constructAndBroadcastTransferTx(registration.txid, fundingAddress, 'sig', [Buffer.from('xfer')], undefined, { previousOwnershipOutput: prev });
+    expect(transfer.success).toBe(true);
+    expect(regtestChain.isSpent(registration.txid, 1)).toBe(true);
+
+    const competing = await blockchainService.constructAndBroadcastTransferTx(registration.txid, fundingAddress, 'sig', [Buffer.from('xfer2')], undefined, { previousOwnershipOutput: prev });
+    expect(competing).toMatchObject({ success: false, doubleSpend: true });
+
+    regtestChain.mine(6);
+    expect(regtestChain.getTransaction(transfer.txid)).toMatchObject({ confirmations: 6 });
+  });
+
+  test('sweep consolidates the funding address', async () => {
+    const before = await chainData.getUnspentOutputs(fundingAddress);
+    const res = await blockchainService.sweepAddress({ addressToSweep: fundingAddress, signingKeyIdentifier: 'funding-kid', destinationAddress: destination });
+
+    expect(res).toMatchObject({ success: true, totalSatoshis: before.reduce((s, u) => s + u.satoshis, 0) });
+    expect(res.utxosSwept).toHaveLength(before.length);
+    expect(regtestChain.listUnspent(fundingAddress)).toEqual([]);
+    expect(regtestChain.listUnspent(destination)).toEqual([expect.objectContaining({ txid: res.txid, satoshis: res.finalAmount })]);
+  });
+});
@@ -0,0 +1,201 @@
+/*
+Unit tests for the verification scan ledger and clone detection (services/scanLedgerService.js, risk in
+GET /v1/patches/verify/:uid_tag_id, GET /v1/admin/clone-suspects)
+Covers: impossible travel (coordinates and country-only), geo headers ignored unless TRUST_CF_GEO_HEADERS, scan
+bursts, duplicate and invalid tag taps, risk scores and levels, keyed IP hashing, verification surviving a ledger
+outage or a slow ledger, and the suspected-clone feed.
+*/
+
+process.env.MASTER_SECRET = process.env.MASTER_SECRET || 'scan-test-master-secret';
+
+const mockScans = [];
+const mockMatches = (scan, filter) => Object.entries(filter).every(([key, cond]) => {
+  const value = key.split('.').reduce((o, k) => (o === null || o === undefined ? o : o[k]), scan);
+  if (cond && typeof cond === 'object' && !(cond instanceof Date)) {
+    if ('$ne' in cond) return value !== cond.$ne;
+    if ('$gte' in cond) return value >= cond.$gte;
+  }
+  return value === cond;
+});
+
+jest.mock('../../models/ScanEvent', () => ({
+  findOne: jest.fn((filter) => ({
+    sort: () => ({
+      lean: () => ({
+        exec: async () => mockScans.filter((s) => mockMatches(s, filter)).sort((a, b) => b.scanned_at - a.scanned_at)[0] || null,
+      }),
+    }),
+  })),
+  countDocuments: jest.fn((filter) => ({ exec: async () => mockScans.filter((s) => mockMatches(s, filter)).length })),
+  create: jest.fn(async (doc) => { mockScans.push(doc); return doc; }),
+  // The clone feed pipeline: $match, $group by uid_tag_id, $sort by last_seen, $limit
+  aggregate: jest.fn(([{ $match }, , , { $limit }]) => ({
+    exec: async () => {
+      const groups = new Map();
+      for (const s of mockScans.filter((scan) => mockMatches(scan, $match))) {
+        const g = groups.get(s.uid_tag_id) || { _id: s.uid_tag_id, max_score: 0, suspicious_scans: 0, flags: [], countries: [], first_seen: s.scanned_at, last_seen: s.scanned_at };
+        Object.assign(g, {
+          max_score: Math.max(g.max_score, s.risk_score),
+          suspicious_scans: g.suspicious_scans + 1,
+          flags: [...g.flags, s.flags],
+          countries: [...new Set([...g.countries, s.geo.country])],
+          first_seen: s.scanned_at < g.first_seen ? s.scanned_at : g.first_seen,
+          last_seen: s.scanned_at > g.last_seen ? s.scanned_at : g.last_seen,
+        });
+        groups.set(s.uid_tag_id, g);
+      }
+      return [...groups.values()].sort((a, b) => b.last_seen - a.last_seen).slice(0, $limit);
+    },
+  })),
+}));
+jest.mock('../../models/NfcTag', () => ({ findOne: jest.fn(() => ({ lean: () => ({ exec: async () => null }) })) }));
+jest.mock('../../services/databaseService', () => ({ getPatchState: jest.fn(), getConfirmedRecord: jest.fn() }));
+jest.mock('../../services/issuerKeyService', () => ({
+  checkSigner: jest.fn(async () => ({ trusted: true, reason: 'registry_empty', keyIdentifier: null, status: null })),
+}));
+
+const ScanEvent = require('../../models/ScanEvent');
+const dbService = require('../../services/databaseService');
+const scanLedgerService = require('../../services/scanLedgerService');
+const patchController = require('../../controllers/patchController');
+const adminController = require('../../controllers/adminController');
+
+const UID = 'uid-scan-1';
+const PARIS = { 'cf-ipcountry': 'FR', 'cf-iplatitude': '48.8566', 'cf-iplongitude': '2.3522', 'cf-ipcity': 'Paris' };
+const LONDON = { 'cf-ipcountry': 'GB', 'cf-iplatitude': '51.5072', 'cf-iplongitude': '-0.1276' };
+const TOKYO = { 'cf-ipcountry': 'JP', 'cf-iplatitude': '35.6762', 'cf-iplongitude': '139.6503' };
+const minutesAgo = (m) => new Date(Date.now() - m * 60000);
+
+function mockRes() {
+  const res = { statusCode: 200 };
+  res.status = jest.fn((c) => { res.statusCode = c; return res; });
+  res.json = jest.fn((b) => { res.body = b; return res; });
+  return res;
+}
+
+async function call(controller, method, req) {
+  const res = mockRes();
+  const next = jest.fn();
+  await controller[method](req, res, next);
+  if (next.mock.calls.length) throw next.mock.calls[0][0];
+  return res;
+}
+
+// A scan recorded `minutes` ago from `headers`
+async function scannedAgo(minutes, headers, uid = UID) {
+  await scanLedgerService.recordScan(uid, { headers });
+  mockScans[mockScans.length - 1].scanned_at = minutesAgo(minutes);
+}
+
+describe('scan ledger', () => {
+  const ORIGINAL_ENV = { ...process.env };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockScans.length = 0;
+    process.env = { ...ORIGINAL_ENV, TRUST_CF_GEO_HEADERS: 'true' };
+  });
+
+  afterAll(() => { process.env = ORIGINAL_ENV; });
+
+  test('flags travel faster than SCAN_MAX_TRAVEL_KMH', async () => {
+    await scannedAgo(30, PARIS);
+    expect(await scanLedgerService.recordScan(UID, { headers: TOKYO })).toEqual({ score: 50, level: 'medium', flags: ['impossible_travel'] });
+    expect(mockScans[1].geo).toEqual({ country: 'JP', region: null, city: null, lat: 35.7, lon: 139.7 });
+
+    mockScans.length = 0;
+    await scannedAgo(300, PARIS);
+    expect((await scanLedgerService.recordScan(UID, { headers: LONDON })).flags).toEqual([]); // ~340 km in 5 h
+
+    // Only countries known: another country within the hour
+    mockScans.length = 0;
+    await scannedAgo(10, { 'cf-ipcountry': 'FR' });
+    expect((await scanLedgerService.recordScan(UID, { headers: { 'cf-ipcountry': 'US' } })).flags).toEqual(['impossible_travel']);
+    expect((await scanLedgerService.recordScan(UID, { headers: { 'cf-ipcountry': 'XX' } })).flags).toEqual([]);
+  });
+
+  test('ignores client-supplied geo headers unless they are trusted', async () => {
+    process.env.TRUST_CF_GEO_HEADERS = 'false';
+    await scannedAgo(10, PARIS);
+    expect((await scanLedgerService.recordScan(UID, { headers: TOKYO })).flags).toEqual([]);
+    expect(mockScans.map((s) => s.geo)).toEqual([
+      { country: null, region: null, city: null, lat: null, lon: null },
+      { country: null, region: null, city: null, lat: null, lon: null },
+    ]);
+  });
+
+  test('flags scan bursts', async () => {
+    process.env.SCAN_BURST_MAX = '3';
+    expect((await scanLedgerService.recordScan(UID, {})).flags).toEqual([]);
+    expect((await scanLedgerService.recordScan(UID, {})).flags).toEqual([]);
+    expect((await scanLedgerService.recordScan(UID, {})).flags).toEqual(['scan_burst']);
+    mockScans.forEach((s) => { s.scanned_at = minutesAgo(11); }); // outside the default 10 minute window
+    expect((await scanLedgerService.recordScan(UID, {})).flags).toEqual([]);
+  });
+
+  test('flags replayed and invalid tag taps and keeps only checked counters', async () => {
+    const replayed = await scanLedgerService.recordScan(UID, { tag: { genuine: false, counter: 6, reason: 'counter_replayed' } });
+    expect(replayed).toEqual({ score: 60, level: 'high', flags: ['duplicate_counter'] });
+    expect(mockScans[0]).toMatchObject({ tag_counter: 6, tag_genuine: false, tag_reason: 'counter_replayed' });
+
+    const forged = await scanLedgerService.recordScan(UID, { tag: { genuine: false, counter: 999, reason: 'invalid_mac' } });
+    expect(forged.flags).toEqual(['tag_invalid']);
+    expect(mockScans[1].tag_counter).toBeNull();
+
+    expect((await scanLedgerService.recordScan(UID, { tag: { genuine: null, counter: null, reason: 'tap_missing' } })).score).toBe(0);
+  });
+
+  test('verify reports the risk, stores no raw IP and survives a ledger outage', async () => {
+    dbService.getPatchState.mockResolvedValue({ uid_tag_id: UID, current_txid: 'a'.repeat(64), status: 'active' });
+    dbService.getConfirmedRecord.mockResolvedValue({ type: 'REGISTRATION', record_data: { product: { uid_tag_id: UID }, metadata: {}, auth: { issuer_signature: '30', issuer_pubkey: '02'.padEnd(66, '1'), ts: 1 } } });
+    const verify = (headers) => call(patchController, 'verifyPatch', {
+      params: { uid_tag_id: UID },
+      query: {},
+      ip: '203.0.113.9',
+      headers: { 'user-agent': 'Scanner/1.0', ...headers },
+      get: (name) => ({ 'user-agent': 'Scanner/1.0', ...headers })[name.toLowerCase()],
+    });
+
+    await verify(PARIS);
+    const res = await verify(TOKYO);
+    expect(res.body.risk).toEqual({ score: 50, level: 'medium', flags: ['impossible_travel'] });
+    expect(mockScans[1]).toMatchObject({ uid_tag_id: UID, user_agent: 'Scanner/1.0', ip_hash: expect.stringMatching(/^[0-9a-f]{64}$/) });
+    expect(JSON.stringify(mockScans)).not.toContain('203.0.113.9');
+
+    ScanEvent.create.mockRejectedValueOnce(new Error('mongo down'));
+    const degraded = await verify(PARIS);
+    expect(degraded.statusCode).toBe(200);
+    expect(degraded.body.risk).toBeNull();
+
+    // A slow ledger does not hold up verification; the scan is still recorded
+    process.env.SCAN_LEDGER_TIMEOUT_MS = '20';
+    let release;
+    ScanEvent.create.mockImplementationOnce((doc) => new Promise((resolve) => { release = () => { mockScans.push(doc); resolve(doc); }; }));
+    const slow = await verify(PARIS);
+    expect(slow.statusCode).toBe(200);
+    expect(slow.body.risk).toBeNull();
+    release();
+    await new Promise((r) => setImmediate(r));
+    expect(mockScans).toHaveLength(3);
+
+    process.env.SCAN_LEDGER_ENABLED = 'false';
+    await verify(PARIS);
+    expect(mockScans).toHaveLength(3);
+  });
+
+  test('the admin feed lists patches with suspicious scans', async () => {
+    await scannedAgo(30, PARIS, 'uid-clone');
+    await scannedAgo(20, TOKYO, 'uid-clone');
+    await scannedAgo(10, PARIS, 'uid-clone');
+    await scannedAgo(5, PARIS, 'uid-fine');
+    await scanLedgerService.recordScan('uid-tap', { tag: { genuine: false, counter: 3, reason: 'counter_replayed' } });
+
+    const res = await call(adminController, 'listCloneSuspects', { query: { limit: 50 } });
+    expect(res.body.min_score).toBe(50);
+    expect(res.body.suspects).toEqual([
+      expect.objectContaining({ uid_tag_id: 'uid-tap', max_score: 60, suspicious_scans: 1, flags: ['duplicate_counter'], countries: [] }),
+      expect.objectContaining({ uid_tag_id: 'uid-clone', max_score: 50, suspicious_scans: 2, flags: ['impossible_travel'], countries: ['JP', 'FR'] }),
+    ]);
+    expect((await call(adminController, 'listCloneSuspects', { query: { minScore: 55, limit: 50 } })).body.suspects).toHaveLength(1);
+  });
+});
@@ -0,0 +1,257 @@
+/*
+Unit tests for privacy mode (services/fieldCommitments.js) and selective disclosure (services/disclosureService.js,
+POST /v1/patches/:uid_tag_id/disclosures, POST /v1/disclosures/verify, PatchProofVerifier.verifyDisclosure)
+Covers: salted commitments anchored instead of cleartext fields, openings kept off chain, issuer signatures over the
+commitments, owner-signed disclosures checked against single and batch anchors, and tampered or unauthorized requests.
+*/
+
+process.env.SCAN_LEDGER_ENABLED = 'false'; // scans are covered by scanLedger.test.js
+
+jest.mock('../../services/databaseService', () => ({
+  findRegisteredUids: jest.fn(),
+  createPendingRegistrations: jest.fn(),
+  getPatchState: jest.fn(),
+  getConfirmedRecord: jest.fn(),
+}));
+jest.mock('../../services/kmsSigner', () => ({ isReady: true, signBatch: jest.fn() }));
+jest.mock('../../services/issuerKeyService', () => ({ getSigningKey: jest.fn(), checkSigner: jest.fn() }));
+jest.mock('../../services/chainDataService', () => ({ getRawTransaction: jest.fn() }));
+jest.mock('../../services/ownerChallengeCacheRedis', () => ({
+  isReady: true,
+  get: jest.fn(async (uid, nonce) => ({ nonce, expires_at: 1900000000000 })),
+  consume: jest.fn(async () => true),
+}));
+let mockRegistration = null;
+jest.mock('../../models/AuthenticationRecord', () => ({
+  bulkWrite: jest.fn(async (ops) => ({ modifiedCount: ops.length })),
+  updateMany: jest.fn(() => ({ exec: async () => ({}) })),
+  findOne: jest.fn(() => ({ select: () => ({ lean: () => ({ exec: async () => mockRegistration }) }) })),
+}));
+jest.mock('../../models/PatchState', () => ({ bulkWrite: jest.fn(async () => ({})) }));
+jest.mock('../../models/AnchorBatch', () => ({
+  create: jest.fn(async (doc) => ({ _id: 'batch1', ...doc })),
+  updateOne: jest.fn(() => ({ exec: async () => ({}) })),
+}));
+jest.mock('../../models/NfcTag', () => ({ findOne: jest.fn(() => ({ lean: () => ({ exec: async () => null }) })) }));
+
+const crypto = require('crypto');
+const bsv = require('bsv');
+const stringify = require('safe-stable-stringify');
+const dbService = require('../../services/databaseService');
+const kmsSigner = require('../../services/kmsSigner');
+const issuerKeyService = require('../../services/issuerKeyService');
+const chainData = require('../../services/chainDataService');
+const BlockchainService = require('../../services/blockchainService');
+const envelope = require('../../services/recordEnvelope');
+const fieldCommitments = require('../../services/fieldCommitments');
+const inclusionProofService = require('../../services/inclusionProofService');
+const { leafHash, computeMerkleRoot } = require('../../services/batchAnchorService');
+const { comparePayload } = require('../../services/chainVerificationService');
+const patchController = require('../../controllers/patchController');
+const { verifyBundle, verifyDisclosure } = require('../../public/verifier/patchproof-verifier');
+
+const sha256 = (b) => crypto.createHash('sha256').update(b).digest();
+const sign = (hash, priv) => bsv.crypto.ECDSA.sign(hash, priv, 'little').toDER().toString('hex');
+const issuerKey = new bsv.PrivateKey();
+const fundingKey = new bsv.PrivateKey();
+const ownerKey = new bsv.PrivateKey();
+const owner = ownerKey.toAddress().toString();
+
+function anchorTx(chunks) {
+  return new bsv.Transaction()
+    .from({ txid: sha256(Buffer.concat(chunks)).toString('hex'), vout: 0, satoshis: 10000, script: bsv.Script.buildPublicKeyHashOut(fundingKey.toAddress()).toHex() })
+    .addOutput(new bsv.Transaction.Output({ script: bsv.Script.buildSafeDataOut(chunks), satoshis: 0 }))
+    .change(fundingKey.toAddress())
+    .sign(fundingKey);
+}
+
+function mockRes() {
+  const res = { statusCode: 200 };
+  res.status = jest.fn((c) => { res.statusCode = c; return res; });
+  res.json = jest.fn((b) => { res.body = b; return res; });
+  return res;
+}
+
+async function call(method, req) {
+  const res = mockRes();
+  const next = jest.fn();
+  await patchController[method](req, res, next);
+  if (next.mock.calls.length) return { statusCode: next.mock.calls[0][0].statusCode || 500, error: next.mock.calls[0][0] };
+  return res;
+}
+
+// A privacy-mode registration anchored by its own tx, signed the way registerPatch signs it.
+function singleAnchored(uid) {
+  const fields = fieldCommitments.commit({ product: { uid_tag_id: uid, serial_number: 'SN-0042', name: 'Jacket' }, metadata: { notes: 'private notes' } });
+  const ts = 1700000000000;
+  const msg = { purpose: 'register_patch', uid_tag_id: uid, commitments_sha256: fieldCommitments.commitmentsSha256(fields.commitments), ts };
+  const record = {
+    type: 'AUTHENTICATION_RECORD',
+    product: fields.product,
+    metadata: fields.metadata,
+    commitments: fields.commitments,
+    auth: { owner, issuer_signature: sign(sha256(Buffer.from(stringify(msg))), issuerKey), issuer_pubkey: issuerKey.publicKey.toString(), ts },
+  };
+  const tx = anchorTx(envelope.encode('registration', record));
+  mockRegistration = { _id: 'reg1', uid_tag_id: uid, txid: tx.hash, record_data: record, field_openings: fields.openings };
+  dbService.getPatchState.mockResolvedValue({ uid_tag_id: uid, current_txid: tx.hash, current_owner_address: owner });
+  chainData.getRawTransaction.mockResolvedValue(tx.serialize());
+  return { record, tx, openings: fields.openings };
+}
+
+function disclosureRequest(uid, fields, key = ownerKey) {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const message = { purpose: 'disclose_fields', uid_tag_id: uid, currentTxid: mockRegistration.txid || mockRegistration.record_data.auth.anchorTxid, fields, nonce, expires_at: 1900000000000 };
+  return {
+    params: { uid_tag_id: uid },
+    body: { fields, ownerPubKey: key.publicKey.toString(), ownerSignature: sign(BlockchainService.computeSha256(message), key), nonce },
+  };
+}
+
+describe('privacy mode and selective disclosure', () => {
+  const ORIGINAL_ENV = { ...process.env };
+  let broadcast;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...ORIGINAL_ENV, RECORD_PRIVACY_MODE: 'commitments' };
+    issuerKeyService.getSigningKey.mockResolvedValue({ keyIdentifier: 'issuer-1', pubkey: issuerKey.publicKey.toString(), registered: true });
+    dbService.findRegisteredUids.mockResolvedValue(new Set());
+    kmsSigner.signBatch.mockImplementation(async (requests) => requests.map((r) => ({
+      signatureHex: bsv.crypto.ECDSA.sign(Buffer.from(r.sighash, 'hex'), issuerKey, 'little').toDER().toString('hex'),
+      pubKeyHex: issuerKey.publicKey.toString(),
+    })));
+  });
+
+  afterEach(() => {
+    if (broadcast) broadcast.mockRestore();
+    broadcast = null;
+  });
+
+  afterAll(() => {
+    process.env = ORIGINAL_ENV;
+  });
+
+  test('anchors salted commitments instead of cleartext and keeps the openings off chain', async () => {
+    let entries;
+    dbService.createPendingRegistrations.mockImplementation(async (e) => {
+      entries = e;
+      return e.map((x, i) => ({ _id: `rec${i}`, uid_tag_id: x.uid_tag_id, status: 'pending', record_data: JSON.parse(JSON.stringify(x.record_data)) }));
+    });
+    let anchor;
+    broadcast = jest.spyOn(BlockchainService, 'constructAndBroadcastTx').mockImplementation(async (chunks) => {
+      anchor = anchorTx(chunks);
+      return { success: true, txid: anchor.hash };
+    });
+    const items = [
+      { product: { uid_tag_id: 'uid-p1', serial_number: 'SN-0001', name: 'Jacket' }, metadata: { notes: 'gift for Sam', image: 'https://img.example/1.png' }, auth: { owner } },
+      { product: { uid_tag_id: 'uid-p2' } },
+    ];
+    const res = await call('registerPatchBatch', { body: { items } });
+    expect(res.statusCode).toBe(201);
+
+    const [first, second] = entries;
+    expect(first.record_data.product).toEqual({ uid_tag_id: 'uid-p1' });
+    expect(first.record_data.metadata).toEqual({});
+    expect(first.record_data.commitments.fields.map((f) => f.path)).toEqual(['product.name', 'product.serial_number', 'metadata.image', 'metadata.notes']);
+    expect(JSON.stringify(first.record_data)).not.toMatch(/SN-0001|gift for Sam|img\.example|Jacket/);
+    first.field_openings.forEach((o, i) => {
+      expect(fieldCommitments.fieldDigest(o.salt, o.path, o.value)).toBe(first.record_data.commitments.fields[i].digest);
+    });
+    expect(first.field_openings.find((o) => o.path === 'product.serial_number').value).toBe('SN-0001');
+    expect(second.record_data.commitments).toEqual({ scheme: 'sha256-salted-v1', fields: [] });
+
+    // Same value, different salt: commitments do not reveal equal fields across patches
+    const again = fieldCommitments.commit({ product: { uid_tag_id: 'uid-p3', serial_number: 'SN-0001' } });
+    expect(again.commitments.fields[0].digest).not.toBe(first.record_data.commitments.fields.find((f) => f.path === 'product.serial_number').digest);
+
+    // The batch member discloses through an inclusion proof of its leaf
+    const leaves = entries.map((e) => leafHash(e.record_data));
+    const proof = {
+      format: 'patchproof-inclusion-proof',
+      version: 1,
+      leaf: { alg: 'sha256', encoding: 'canonical-json', hash: leaves[0].toString('hex'), data: envelope.canonicalJson(first.record_data) },
+      tree: { alg: 'sha256', size: 2, index: 0, odd_node: 'duplicate' },
+      path: [{ hash: leaves[1].toString('hex'), position: 'right' }],
+      merkle_root: computeMerkleRoot(leaves).toString('hex'),
+      anchor: { txid: anchor.hash, tag: 'PatchProof', batch_id: 'batch1' },
+    };
+    const getProof = jest.spyOn(inclusionProofService, 'getProof').mockResolvedValue(proof);
+    try {
+      mockRegistration = { _id: 'rec0', uid_tag_id: 'uid-p1', txid: null, record_data: { ...first.record_data, auth: { ...first.record_data.auth, anchorTxid: anchor.hash } }, field_openings: first.field_openings };
+      const disclosureService = require('../../services/disclosureService');
+      const disclosure = await disclosureService.createDisclosure('uid-p1', ['product.serial_number']);
+      expect(getProof).toHaveBeenCalledWith('rec0');
+      expect(disclosure).toMatchObject({ anchor: { txid: anchor.hash }, fields: [{ path: 'product.serial_number', value: 'SN-0001' }] });
+      expect(verifyDisclosure(disclosure, anchor.serialize())).toMatchObject({ valid: true, anchored: true, issuerSignature: true, errors: [] });
+    } finally {
+      getProof.mockRestore();
+    }
+  });
+
+  test('single-anchored records verify on chain and offline with the issuer signature over the commitments', async () => {
+    const { record, tx } = singleAnchored('uid-s1');
+    expect(comparePayload(envelope.encode('registration', record), JSON.parse(JSON.stringify(record)))).toMatchObject({ match: true, comparison: 'bytes' });
+
+    const bundle = { format: 'patchproof-proof-bundle', uid_tag_id: 'uid-s1', records: [{ type: 'REGISTRATION', txid: tx.hash, record_data: record }], transactions: { [tx.hash]: tx.serialize() } };
+    expect(verifyBundle(bundle).errors).toEqual([]);
+    const swapped = JSON.parse(JSON.stringify(record));
+    swapped.commitments.fields[0].digest = 'ab'.repeat(32);
+    expect(verifyBundle({ ...bundle, records: [{ ...bundle.records[0], record_data: swapped }] }).valid).toBe(false);
+
+    issuerKeyService.checkSigner.mockResolvedValue({ trusted: true, reason: null });
+    dbService.getConfirmedRecord.mockResolvedValue({ type: 'REGISTRATION', record_data: record });
+    const verified = await call('verifyPatch', { params: { uid_tag_id: 'uid-s1' }, query: {} });
+    expect(verified.body).toMatchObject({ status: 'authentic', verificationDetails: { issuerSignatureValid: true } });
+  });
+
+  test('the current owner discloses single fields that anyone can check against the anchored commitments', async () => {
+    const { tx } = singleAnchored('uid-s2');
+    const res = await call('createDisclosure', disclosureRequest('uid-s2', ['product.serial_number']));
+    expect(res.statusCode).toBe(200);
+    const disclosure = res.body;
+    expect(disclosure).toMatchObject({ format: 'patchproof-disclosure', version: 1, uid_tag_id: 'uid-s2', anchor: { txid: tx.hash } });
+    expect(disclosure.fields).toEqual([{ path: 'product.serial_number', value: 'SN-0042', salt: expect.stringMatching(/^[0-9a-f]{32}$/) }]);
+    expect(disclosure.commitments.fields).toHaveLength(3);
+    expect(JSON.stringify(disclosure)).not.toMatch(/private notes|Jacket/);
+
+    expect(verifyDisclosure(disclosure, tx.serialize())).toEqual({
+      valid: true,
+      uid_tag_id: 'uid-s2',
+      fields: [{ path: 'product.serial_number', value: 'SN-0042', matches: true }],
+      anchored: true,
+      issuerSignature: true,
+      issuerPubkey: issuerKey.publicKey.toString(),
+      errors: [],
+    });
+    const checked = await call('verifyDisclosure', { body: disclosure });
+    expect(checked.body).toMatchObject({ valid: true });
+    expect(chainData.getRawTransaction).toHaveBeenCalledWith(tx.hash);
+
+    const lied = JSON.parse(JSON.stringify(disclosure));
+    lied.fields[0].value = 'SN-9999';
+    expect(verifyDisclosure(lied, tx.serialize()).errors).toEqual(['product.serial_number does not match its commitment']);
+    const forgedSet = JSON.parse(JSON.stringify(lied));
+    forgedSet.commitments.fields.find((f) => f.path === 'product.serial_number').digest = fieldCommitments.fieldDigest(lied.fields[0].salt, 'product.serial_number', 'SN-9999');
+    expect(verifyDisclosure(forgedSet, tx.serialize())).toMatchObject({ valid: false, anchored: false, errors: ['anchored record does not carry these commitments'] });
+
+    chainData.getRawTransaction.mockRejectedValueOnce(new Error('provider down'));
+    expect((await call('verifyDisclosure', { body: disclosure })).statusCode).toBe(503);
+  });
+
+  test('refuses other signers, fields that were not committed and public records', async () => {
+    singleAnchored('uid-s3');
+    expect((await call('createDisclosure', disclosureRequest('uid-s3', ['product.serial_number'], new bsv.PrivateKey()))).statusCode).toBe(403);
+
+    const signedForOther = disclosureRequest('uid-s3', ['product.name']);
+    signedForOther.body.fields = ['product.serial_number'];
+    expect((await call('createDisclosure', signedForOther)).statusCode).toBe(403);
+
+    const unknown = await call('createDisclosure', disclosureRequest('uid-s3', ['metadata.image']));
+    expect(unknown).toMatchObject({ statusCode: 404, error: { message: "Field 'metadata.image' is not committed for this patch" } });
+
+    delete mockRegistration.record_data.commitments;
+    const publicRecord = await call('createDisclosure', disclosureRequest('uid-s3', ['product.name']));
+    expect(publicRecord).toMatchObject({ statusCode: 404, error: { message: 'Patch was registered without field commitments' } });
+  });
+});
@@ -0,0 +1,157 @@
+/*
+Unit tests for wallet binding (services/walletBindingService.js, controllers/walletController.js: /v1/me/wallets,
+/v1/me/patches)
+Covers: challenge-bound binding signatures (wrong key, another user's challenge, replay), the binding limit, unbinding,
+and listing owned patches across bound addresses with cursor pagination.
+*/
+
+const mockBindings = [];
+const mockStates = [];
+const mockExec = (fn) => ({ exec: async () => fn() });
+
+jest.mock('../../models/WalletBinding', () => ({
+  exists: jest.fn(async ({ user_id, address }) => mockBindings.some((b) => b.user_id === user_id && b.address === address)),
+  countDocuments: jest.fn(({ user_id }) => mockExec(() => mockBindings.filter((b) => b.user_id === user_id).length)),
+  findOneAndUpdate: jest.fn(({ user_id, address }, { $set }) => ({
+    lean: () => mockExec(() => {
+      let b = mockBindings.find((x) => x.user_id === user_id && x.address === address);
+      if (!b) mockBindings.push((b = { user_id, address, bound_at: new Date() }));
+      return Object.assign(b, $set);
+    }),
+  })),
+  find: jest.fn(({ user_id }) => ({ sort: () => ({ lean: () => mockExec(() => mockBindings.filter((b) => b.user_id === user_id)) }) })),
+  deleteOne: jest.fn(({ user_id, address }) => mockExec(() => {
+    const i = mockBindings.findIndex((b) => b.user_id === user_id && b.address === address);
+    if (i >= 0) mockBindings.splice(i, 1);
+    return { deletedCount: i >= 0 ? 1 : 0 };
+  })),
+}));
+jest.mock('../../models/PatchState', () => ({
+  find: jest.fn((filter) => ({
+    sort: () => ({
+      limit: (n) => ({
+        lean: () => mockExec(() => mockStates
+          .filter((s) => filter.current_owner_address.$in.includes(s.current_owner_address) && (!filter._id || s._id > filter._id.$gt))
+          .slice(0, n)),
+      }),
+    }),
+  })),
+}));
+
+const bsv = require('bsv');
+const BlockchainService = require('../../services/blockchainService');
+const challenges = require('../../services/ownerChallengeCacheRedis');
+const walletBindingService = require('../../services/walletBindingService');
+const walletController = require('../../controllers/walletController');
+
+function fakeRedis() {
+  const data = new Map();
+  return {
+    set: jest.fn(async (key, value, ex, ttl, nx) => {
+      if (nx === 'NX' && data.has(key)) return null;
+      data.set(key, value);
+      return 'OK';
+    }),
+    get: jest.fn(async (key) => (data.has(key) ? data.get(key) : null)),
+    del: jest.fn(async (key) => (data.delete(key) ? 1 : 0)),
+  };
+}
+
+function mockRes() {
+  const res = { statusCode: 200 };
+  res.status = jest.fn((c) => { res.statusCode = c; return res; });
+  res.json = jest.fn((b) => { res.body = b; return res; });
+  res.end = jest.fn(() => res);
+  return res;
+}
+
+async function call(method, userId, req = {}) {
+  const res = mockRes();
+  const next = jest.fn();
+  await walletController[method]({ auth: { userId, svd: true }, params: {}, query: {}, ...req }, res, next);
+  if (next.mock.calls.length) throw next.mock.calls[0][0];
+  return res;
+}
+
+const sign = (message, key) => bsv.crypto.ECDSA.sign(BlockchainService.computeSha256(message), key, 'little').toDER().toString('hex');
+
+// Challenge for `userId`, signed with `key` (for `signedFor`, default userId)
+async function bindBody(userId, key, signedFor = userId) {
+  const { body: challenge } = await call('issueChallenge', userId);
+  const address = key.toAddress().toString();
+  const message = walletBindingService.bindingMessage(signedFor, address, challenge);
+  return { pubKey: key.publicKey.toString(), signature: sign(message, key), nonce: challenge.nonce };
+}
+
+describe('wallet binding', () => {
+  const walletA = new bsv.PrivateKey();
+  const walletB = new bsv.PrivateKey();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockBindings.length = 0;
+    mockStates.length = 0;
+    challenges.redisClient = fakeRedis();
+    challenges.isReady = true;
+    delete process.env.WALLET_MAX_BINDINGS;
+  });
+
+  test('binds an address with a challenge-bound signature once', async () => {
+    const body = await bindBody('user-1', walletA);
+    const res = await call('bindWallet', 'user-1', { body });
+    expect(res.statusCode).toBe(201);
+    expect(res.body).toMatchObject({ address: walletA.toAddress().toString(), pubkey: walletA.publicKey.toString() });
+    expect((await call('bindWallet', 'user-1', { body })).statusCode).toBe(400); // consumed
+
+    // Signed with another key, or over another user's id
+    const forged = { ...(await bindBody('user-1', walletB)), pubKey: walletA.publicKey.toString() };
+    expect((await call('bindWallet', 'user-1', { body: forged })).statusCode).toBe(403);
+    expect((await call('bindWallet', 'user-1', { body: await bindBody('user-1', walletB, 'user-2') })).statusCode).toBe(403);
+    // A challenge issued to another user
+    expect((await call('bindWallet', 'user-2', { body: await bindBody('user-1', walletB) })).statusCode).toBe(400);
+    expect((await call('bindWallet', 'user-1', { body: { ...body, pubKey: '02'.padEnd(66, '0') } })).statusCode).toBe(400);
+
+    expect((await call('listWallets', 'user-1')).body.wallets.map((w) => w.address)).toEqual([walletA.toAddress().toString()]);
+    expect((await call('listWallets', 'user-2')).body.wallets).toEqual([]);
+
+    challenges.isReady = false;
+    expect((await call('issueChallenge', 'user-1')).statusCode).toBe(503);
+  });
+
+  test('limits bindings per user and unbinds', async () => {
+    process.env.WALLET_MAX_BINDINGS = '1';
+    await call('bindWallet', 'user-1', { body: await bindBody('user-1', walletA) });
+    // Re-binding the same address refreshes it; a second address is over the limit
+    expect((await call('bindWallet', 'user-1', { body: await bindBody('user-1', walletA) })).statusCode).toBe(201);
+    await expect(call('bindWallet', 'user-1', { body: await bindBody('user-1', walletB) })).rejects.toThrow('At most 1 addresses can be bound');
+
+    const address = walletA.toAddress().toString();
+    expect((await call('unbindWallet', 'user-1', { params: { address } })).statusCode).toBe(204);
+    expect((await call('unbindWallet', 'user-1', { params: { address } })).statusCode).toBe(404);
+    expect(mockBindings).toHaveLength(0);
+  });
+
+  test('lists patches owned by the bound addresses', async () => {
+    const a = walletA.toAddress().toString();
+    const b = walletB.toAddress().toString();
+    const state = (id, owner, status = 'active') => ({ _id: id, uid_tag_id: `uid-${id}`, current_owner_address: owner, current_txid: id.padEnd(64, '0'), status });
+    mockStates.push(state('01', a), state('02', new bsv.PrivateKey().toAddress().toString()), state('03', b, 'stolen'), state('04', a));
+
+    expect(await walletBindingService.listOwnedPatches('user-1')).toEqual({ addresses: [], patches: [], next_cursor: null });
+    await call('bindWallet', 'user-1', { body: await bindBody('user-1', walletA) });
+    await call('bindWallet', 'user-1', { body: await bindBody('user-1', walletB) });
+
+    const first = await call('listMyPatches', 'user-1', { query: { limit: 2 } });
+    expect(first.body.addresses).toEqual([a, b]);
+    expect(first.body.patches).toEqual([
+      expect.objectContaining({ uid_tag_id: 'uid-01', owner_address: a, status: 'active' }),
+      expect.objectContaining({ uid_tag_id: 'uid-03', owner_address: b, status: 'stolen' }),
+    ]);
+    expect(first.body.next_cursor).toBe('03');
+    const second = await call('listMyPatches', 'user-1', { query: { limit: 2, cursor: first.body.next_cursor } });
+    expect(second.body.patches.map((p) => p.uid_tag_id)).toEqual(['uid-04']);
+    expect(second.body.next_cursor).toBeNull();
+
+    expect((await call('listMyPatches', 'user-2', { query: { limit: 50 } })).body.patches).toEqual([]);
+  });
+});
@@ -0,0 +1,58 @@
+// workers/batchAnchorWorker.js
+// Long-running batch anchor scheduler: every BATCH_ANCHOR_POLL_INTERVAL_SEC anchors registrations queued with
+// anchor_mode 'batch' once the size or latency threshold is reached (see services/batchAnchorService.js).
+// A Redis lock keeps concurrent instances from anchoring the same records twice.
+require('dotenv').config();
+const { initDb, closeDb } = require('../config/db');
+const lockManager = require('../services/lockManager');
+const batchAnchorService = require('../services/batchAnchorService');
+const logger = require('../logger');
+
+let timer = null;
+let stopping = false;
+
+async function tick() {
+  const result = await lockManager.withLockHeartbeat(batchAnchorService.LOCK_NAME, batchAnchorService.LEASE_MS, () => batchAnchorService.runOnce());
+  if (result.ok) {
+    const run = result.result;
+    if (run.trigger && !run.anchored) logger.error({ message: '[BatchAnchorWorker] Batch anchor failed', ...run });
+    else if (run.anchored || run.failedStale) logger.info({ message: '[BatchAnchorWorker] Run complete', ...run });
+  } else if (result.error !== 'LOCK_NOT_ACQUIRED') {
+    logger.error('[BatchAnchorWorker] Run failed', result.error);
+  }
+}
+
+function schedule() {
+  if (stopping) return;
+  const intervalMs = Math.max(5, parseInt(process.env.BATCH_ANCHOR_POLL_INTERVAL_SEC || '30', 10) || 30) * 1000;
+  timer = setTimeout(async () => {
+    try { await tick(); } catch (e) { logger.error('[BatchAnchorWorker] Tick error', e); }
+    schedule();
+  }, intervalMs);
+}
+
+async function start() {
+  logger.info('[BatchAnchorWorker] Starting...');
+  await initDb();
+  await lockManager.initialize();
+  await tick();
+  schedule();
+  logger.info('[BatchAnchorWorker] Scheduling batch anchors.');
+}
+
+async function shutdown() {
+  logger.info('[BatchAnchorWorker] Shutting down...');
+  stopping = true;
+  if (timer) clearTimeout(timer);
+  try { if (lockManager.redisClient) await lockManager.redisClient.quit(); } catch (e) { logger.error('[BatchAnchorWorker] Error closing Redis', e); }
+  try { await closeDb(); } catch (e) { logger.error('[BatchAnchorWorker] Error closing DB', e); }
+  logger.info('[BatchAnchorWorker] Shutdown complete.');
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
+start().catch((e) => {
+  logger.error('[BatchAnchorWorker] Failed to start', e);
+  process.exit(1);
+});
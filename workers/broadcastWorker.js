@@ -1,10 +1,18 @@
 // workers/broadcastWorker.js
 require('dotenv').config();
-const { Worker, QueueEvents, Queue } = require('bullmq');
+const { Worker, QueueEvents, Queue, UnrecoverableError } = require('bullmq');
 const IORedis = require('ioredis');
 const ClaimIntent = require('../models/ClaimIntent');
 const BlockchainService = require('../services/blockchainService');
 const dbService = require('../services/databaseService');
+const envelope = require('../services/recordEnvelope');
+const contentVaultService = require('../services/contentVaultService');
+const patchStatusService = require('../services/patchStatusService');
+const custodialWalletService = require('../services/custodialWalletService');
+const jobService = require('../services/jobService');
+const kmsSigner = require('../services/kmsSigner');
+const ownerChallengeCache = require('../services/ownerChallengeCacheRedis');
+const { ConflictError } = require('../errors');
 
 const connection = (() => {
   const url = process.env.REDIS_URL || process.env.REDIS_CONNECTION_STRING || null;
@@ -24,6 +32,54 @@ const connection = (() => {
 
 const queueName = 'broadcast';
 
+// A record the envelope schema rejects can never be broadcast; fail the job without retries.
+function encodeRecord(type, record) {
+  try { return envelope.encode(type, record); }
+  catch (e) { throw new UnrecoverableError(e.message); }
+}
+
+// A pending record broadcast by an earlier attempt of this job that failed before confirming it (or confirmed it
+// and failed afterwards): the retry confirms that tx instead of broadcasting again, which for a transfer would try
+// to spend the ownership output twice.
+async function priorBroadcast(job) {
+  const { pendingId, broadcast } = job.data;
+  const pending = pendingId ? await dbService.getPendingTransferById(pendingId) : null;
+  const stored = pending && (pending.status === 'confirmed'
+    ? { txid: pending.txid, data_sha256: pending.data_sha256, ownership_output: pending.ownership_output }
+    : pending.broadcast_result);
+  if (stored && stored.txid) {
+    return { success: true, txid: stored.txid, dataSha256: stored.data_sha256 || null, ownershipOutput: stored.ownership_output || null };
+  }
+  return broadcast && broadcast.txid ? { success: true, ...broadcast } : null;
+}
+
+// Store the broadcast tx before confirming it, on the pending record or, if the database is unreachable, the job
+async function rememberBroadcast(job, { txid, dataSha256 = null, ownershipOutput = null }) {
+  const { pendingId } = job.data;
+  try {
+    if (pendingId) return await dbService.recordBroadcast(pendingId, txid, { ownershipOutput, dataSha256 });
+  } catch (e) {
+    console.error('[broadcastWorker] recordBroadcast error:', e);
+  }
+  return job.updateData({ ...job.data, broadcast: { txid, dataSha256, ownershipOutput } });
+}
+
+// Handover jobs sign with custodial KMS keys, issue owner challenges and queue one transfer job per patch. Redis
+// clients become ready asynchronously; until they are, transferHeld throws and the job is retried.
+async function runHandover({ userId }) {
+  if (!kmsSigner.isReady) kmsSigner.initialize();
+  await ownerChallengeCache.initialize();
+  await jobService.initialize();
+  const wallet = await custodialWalletService.getWallet(userId);
+  if (!wallet) throw new UnrecoverableError('No custodial wallet');
+  try {
+    return { transfers: await custodialWalletService.transferHeld(wallet) };
+  } catch (e) {
+    if (e instanceof ConflictError) throw new UnrecoverableError(e.message);
+    throw e;
+  }
+}
+
 const queueEvents = new QueueEvents(queueName, { connection });
 const broadcastQueue = new Queue(queueName, { connection });
 queueEvents.on('failed', async ({ jobId, failedReason }) => {
@@ -68,30 +124,55 @@ queueEvents.on('completed', ({ jobId, returnvalue }) => {
 const worker = new Worker(
   queueName,
   async (job) => {
+    if (job.name === 'handover') return runHandover(job.data);
     if (job.name === 'transfer') {
       const { pendingId, uid_tag_id, currentTxid, newOwnerAddress, record, posIntentId } = job.data;
-      const opReturnData = [Buffer.from(JSON.stringify(record))];
-      const res = await BlockchainService.constructAndBroadcastTransferTx(
-        currentTxid,
-        newOwnerAddress,
-        record?.auth?.current_owner_signature,
-        opReturnData
-      );
-      if (!res.success) {
-        if (pendingId) {
-          try { await dbService.markTransferFailed(pendingId, res.error || 'broadcast failed'); }
-          catch (e) { console.error('[broadcastWorker] markTransferFailed error:', e); }
+      const opReturnData = encodeRecord('transfer', record);
+      let res = await priorBroadcast(job);
+      if (!res) {
+        // Reported stolen (or revoked/recalled) after the transfer was queued: never broadcast it
+        const blocked = patchStatusService.blockedReason(await dbService.getPatchState(uid_tag_id));
+        if (blocked) {
+          if (pendingId) {
+            try { await dbService.markTransferFailed(pendingId, blocked); }
+            catch (e) { console.error('[broadcastWorker] markTransferFailed error:', e); }
+          }
+          if (posIntentId) {
+            try { await ClaimIntent.findByIdAndUpdate(posIntentId, { $set: { status: 'failed', error: blocked } }).exec(); }
+            catch (e) { console.error('[broadcastWorker] update ClaimIntent failed-state error:', e); }
+          }
+          throw new UnrecoverableError(blocked);
         }
-        if (posIntentId) {
-          try { await ClaimIntent.findByIdAndUpdate(posIntentId, { $set: { status: 'failed', error: res.error || 'broadcast failed' } }).exec(); }
-          catch (e) { console.error('[broadcastWorker] update ClaimIntent failed-state error:', e); }
+        const previousOwnershipOutput = await dbService.getOwnershipOutput(currentTxid);
+        res = await BlockchainService.constructAndBroadcastTransferTx(
+          currentTxid,
+          newOwnerAddress,
+          record?.auth?.current_owner_signature,
+          opReturnData,
+          undefined,
+          { previousOwnershipOutput }
+        );
+        if (!res.success) {
+          if (pendingId) {
+            try { await dbService.markTransferFailed(pendingId, res.error || 'broadcast failed'); }
+            catch (e) { console.error('[broadcastWorker] markTransferFailed error:', e); }
+          }
+          if (posIntentId) {
+            try { await ClaimIntent.findByIdAndUpdate(posIntentId, { $set: { status: 'failed', error: res.error || 'broadcast failed' } }).exec(); }
+            catch (e) { console.error('[broadcastWorker] update ClaimIntent failed-state error:', e); }
+          }
+          // The ownership output was spent by another transfer; retrying can never succeed.
+          if (res.doubleSpend) throw new UnrecoverableError('Conflict: ownership output already spent');
+          throw new Error(`Broadcast failed: ${res.error}`);
         }
-        throw new Error(`Broadcast failed: ${res.error}`);
+        await rememberBroadcast(job, res);
       }
       const newTxid = res.txid;
       record.auth.txid = newTxid;
       if (pendingId) {
-        await dbService.markTransferConfirmed(pendingId, newTxid);
+        await dbService.markTransferConfirmed(pendingId, newTxid, { ownershipOutput: res.ownershipOutput, dataSha256: res.dataSha256 });
+        // Previous owners lose vault access (transfers and POS claims alike)
+        await contentVaultService.onOwnershipChange(uid_tag_id, newOwnerAddress);
       } else {
         // Should not happen in new flow; no legacy path since transfer previously used updateOwnership directly in controller
         // Best-effort: do nothing extra
@@ -104,20 +185,24 @@ const worker = new Worker(
     }
 
     // default/registration path
-    const { record, uid_tag_id, initialOwner, purpose, pendingId } = job.data;
-    const opReturnData = [Buffer.from(JSON.stringify(record))];
-    const res = await BlockchainService.constructAndBroadcastTx(opReturnData, purpose || 'Registration');
-    if (!res.success) {
-      if (pendingId) {
-        try { await dbService.markRegistrationFailed(pendingId, res.error || 'broadcast failed'); }
-        catch (e) { console.error('[broadcastWorker] markRegistrationFailed error:', e); }
+    const { record, uid_tag_id, initialOwner, pendingId } = job.data;
+    const opReturnData = encodeRecord('registration', record);
+    let res = await priorBroadcast(job);
+    if (!res) {
+      res = await BlockchainService.constructAndBroadcastRegistrationTx(opReturnData);
+      if (!res.success) {
+        if (pendingId) {
+          try { await dbService.markRegistrationFailed(pendingId, res.error || 'broadcast failed'); }
+          catch (e) { console.error('[broadcastWorker] markRegistrationFailed error:', e); }
+        }
+        throw new Error(`Broadcast failed: ${res.error}`);
       }
-      throw new Error(`Broadcast failed: ${res.error}`);
+      await rememberBroadcast(job, res);
     }
     const txid = res.txid;
     record.auth.txid = txid;
     if (pendingId) {
-      await dbService.markRegistrationConfirmed(pendingId, txid);
+      await dbService.markRegistrationConfirmed(pendingId, txid, { ownershipOutput: res.ownershipOutput, dataSha256: res.dataSha256 });
     } else {
       // Legacy fallback for older jobs without pendingId
       await dbService.registerPatch(uid_tag_id, txid, initialOwner, record);
@@ -0,0 +1,61 @@
+// workers/confirmationWorker.js
+// Long-running confirmation tracker: every CONFIRMATION_POLL_INTERVAL_SEC checks unsettled records on chain
+// (see services/confirmationTrackerService.js). A Redis lock keeps concurrent instances from double-processing.
+require('dotenv').config();
+const { initDb, closeDb } = require('../config/db');
+const lockManager = require('../services/lockManager');
+const jobService = require('../services/jobService');
+const confirmationTracker = require('../services/confirmationTrackerService');
+const logger = require('../logger');
+
+const LOCK_NAME = 'confirmation-tracker';
+const LEASE_MS = 5 * 60 * 1000;
+
+let timer = null;
+let stopping = false;
+
+async function tick() {
+  const result = await lockManager.withLockHeartbeat(LOCK_NAME, LEASE_MS, () => confirmationTracker.runOnce());
+  if (result.ok) {
+    if (result.result.checked > 0) logger.info({ message: '[ConfirmationWorker] Run complete', ...result.result });
+  } else if (result.error !== 'LOCK_NOT_ACQUIRED') {
+    logger.error('[ConfirmationWorker] Run failed', result.error);
+  }
+}
+
+function schedule() {
+  if (stopping) return;
+  const intervalMs = Math.max(5, parseInt(process.env.CONFIRMATION_POLL_INTERVAL_SEC || '60', 10) || 60) * 1000;
+  timer = setTimeout(async () => {
+    try { await tick(); } catch (e) { logger.error('[ConfirmationWorker] Tick error', e); }
+    schedule();
+  }, intervalMs);
+}
+
+async function start() {
+  logger.info('[ConfirmationWorker] Starting...');
+  await initDb();
+  await lockManager.initialize();
+  await jobService.initialize();
+  await tick();
+  schedule();
+  logger.info('[ConfirmationWorker] Tracking confirmations.');
+}
+
+async function shutdown() {
+  logger.info('[ConfirmationWorker] Shutting down...');
+  stopping = true;
+  if (timer) clearTimeout(timer);
+  try { await jobService.close(); } catch (e) { logger.error('[ConfirmationWorker] Error closing job queues', e); }
+  try { if (lockManager.redisClient) await lockManager.redisClient.quit(); } catch (e) { logger.error('[ConfirmationWorker] Error closing Redis', e); }
+  try { await closeDb(); } catch (e) { logger.error('[ConfirmationWorker] Error closing DB', e); }
+  logger.info('[ConfirmationWorker] Shutdown complete.');
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
+start().catch((e) => {
+  logger.error('[ConfirmationWorker] Failed to start', e);
+  process.exit(1);
+});